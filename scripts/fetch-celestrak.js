@@ -2,7 +2,11 @@
 /**
  * Fetch TLE data from CelesTrak and bundle into tle-catalog.json
  * 
- * Usage: node scripts/fetch-celestrak.js
+ * Usage: node scripts/fetch-celestrak.js [--eop | --eop-only]
+ * 
+ * --eop also refreshes the IERS Earth orientation (finals2000A) and leap second
+ * files bundled in src/data/eop/; --eop-only refreshes just those, leaving the
+ * TLE catalog alone.
  * 
  * Rate Limiting: CelesTrak allows 2 requests/hour per dataset.
  * This script respects rate limits with delays between requests.
@@ -15,6 +19,14 @@ const https = require('https');
 // CelesTrak GP API endpoint
 const CELESTRAK_API = 'https://celestrak.org/NORAD/elements/gp.php';
 
+// IERS Earth orientation sources
+const FINALS_URL = 'https://datacenter.iers.org/data/latestVersion/finals2000A.all';
+const LEAP_SECONDS_URL = 'https://hpiers.obspm.fr/iers/bul/bulc/Leap_Second.dat';
+const EOP_DIR = path.join(__dirname, '..', 'src', 'data', 'eop');
+
+// Days of observed EOP history to keep ahead of the predictions
+const EOP_HISTORY_DAYS = 366;
+
 // Preset definitions with CelesTrak GROUP names
 const PRESETS = [
     {
@@ -80,13 +92,27 @@ const PRESETS = [
     }
 ];
 
+// Redirects followed before giving up (the IERS data center moves files behind 301/302s)
+const MAX_REDIRECTS = 5;
+
 /**
- * Fetch text data from URL with promise wrapper
+ * Fetch text data from URL with promise wrapper, following redirects
  */
-function fetchText(url) {
+function fetchText(url, redirects = MAX_REDIRECTS) {
     return new Promise((resolve, reject) => {
         https.get(url, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirects === 0) {
+                    reject(new Error(`Too many redirects: ${url}`));
+                    return;
+                }
+                // Location may be relative to the URL that answered
+                fetchText(new URL(res.headers.location, url).toString(), redirects - 1).then(resolve, reject);
+                return;
+            }
             if (res.statusCode !== 200) {
+                res.resume();
                 reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
                 return;
             }
@@ -120,6 +146,44 @@ function parse3LE(text) {
     return satellites;
 }
 
+/**
+ * Keep the recent part of finals2000A: the last year of observations plus the
+ * Bulletin A predictions. Rows past the predictions have no UT1-UTC (cols 59-68).
+ */
+function trimFinals(text) {
+    const todayMjd = Date.now() / 86400000 + 40587;
+    return text.split('\n')
+        .filter(line => {
+            const mjd = parseFloat(line.slice(7, 15));
+            return mjd >= todayMjd - EOP_HISTORY_DAYS && line.slice(58, 68).trim() !== '';
+        })
+        .join('\n') + '\n';
+}
+
+/**
+ * Refresh the bundled finals2000A and leap second files
+ */
+async function fetchEarthOrientation() {
+    console.log('🌍 Fetching IERS Earth orientation data');
+    fs.mkdirSync(EOP_DIR, { recursive: true });
+
+    try {
+        const finals = trimFinals(await fetchText(FINALS_URL));
+        fs.writeFileSync(path.join(EOP_DIR, 'finals2000A.txt'), finals);
+        console.log(`   ✓ Saved ${finals.trim().split('\n').length} days of EOP`);
+    } catch (error) {
+        console.error(`   ✗ finals2000A: ${error.message}`);
+    }
+
+    try {
+        const leapSeconds = await fetchText(LEAP_SECONDS_URL);
+        fs.writeFileSync(path.join(EOP_DIR, 'Leap_Second.dat'), leapSeconds);
+        console.log('   ✓ Saved leap second table\n');
+    } catch (error) {
+        console.error(`   ✗ Leap_Second.dat: ${error.message}\n`);
+    }
+}
+
 /**
  * Sleep for specified milliseconds
  */
@@ -131,6 +195,11 @@ function sleep(ms) {
  * Main execution
  */
 async function main() {
+    if (process.argv.includes('--eop-only')) {
+        await fetchEarthOrientation();
+        return;
+    }
+
     console.log('🛰️  CelesTrak TLE Fetcher');
     console.log('========================\n');
 
@@ -206,6 +275,11 @@ async function main() {
     // Summary
     const totalSats = Object.values(catalog.presets).reduce((sum, p) => sum + p.count, 0);
     console.log(`📊 Total satellites: ${totalSats} across ${Object.keys(catalog.presets).length} presets`);
+
+    if (process.argv.includes('--eop')) {
+        console.log('');
+        await fetchEarthOrientation();
+    }
 }
 
 main().catch(err => {
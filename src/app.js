@@ -1,8 +1,10 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import Earth from './components/earth.js';
+import Moon from './components/moon.js';
 import Satellite from './components/satellite.js';
-import SatelliteManager from './components/satellite-manager.js';
+import SatelliteManager, { COLOR_MODES } from './components/satellite-manager.js';
+import OrbitRings from './components/orbit-rings.js';
 import GroundStation from './components/ground-station.js';
 import LineOfSight from './components/line-of-sight.js';
 import TimeController from './components/time-controller.js';
@@ -11,26 +13,101 @@ import SearchManager from './components/search-manager.js';
 import Tooltip from './components/tooltip.js';
 import SatelliteTrail from './components/satellite-trail.js';
 import GroundTrack from './components/ground-track.js';
+import CoverageFootprint from './components/coverage-footprint.js';
 import Toast from './components/toast.js';
+import CoveragePanel from './components/coverage-panel.js';
+import ConjunctionPanel from './components/conjunction-panel.js';
+import StructurePanel from './components/structure-panel.js';
+import DopPanel from './components/dop-panel.js';
+import PassPanel, { PASS_WINDOW_HOURS, PASS_COUNT } from './components/pass-panel.js';
+import LookPanel from './components/look-panel.js';
+import SGP4PriorityManager from './components/sgp4-priority.js';
+import PropagatorPool from './workers/propagator-pool.js';
+import { readSharedSlice } from './workers/shared-positions.js';
+import { PROPAGATION_STATUS, PROPAGATION_STATUS_LABELS } from './workers/propagation-status.js';
+import { ECLIPSE_STATE, ECLIPSE_STATE_LABELS, getEclipseState, findEclipses } from './workers/eclipse.js';
+import {
+  EPHEMERIS_FORMATS,
+  generateEphemeris,
+  getInternationalDesignator,
+  formatEphemerisCSV,
+  formatOEM
+} from './data/ephemeris-export.js';
 import { generateTLE } from './data/tle-generator.js';
+import { parseEphemerisFile, getOrbitParamsFromState } from './data/ephemeris-import.js';
+import { interpolateEphemeris } from './workers/ephemeris-interpolator.js';
+import { ORBIT_REGIMES, getRegimeLabel } from './orbit-regimes.js';
+import {
+  applyImpulsiveBurn,
+  generateManeuverEphemeris,
+  getAltitudeChangeBurn,
+  getInclinationChangeBurn,
+  getApsisAltitudes,
+  planeChangeDeltaV
+} from './data/maneuver-planner.js';
 import { loadPreset as loadPresetData, getPresetList, getCatalogTimestamp } from './data/tle-presets.js';
 import * as satellite from 'satellite.js';
+import { propagateSatellite, radToDeg } from './utils.js';
+import {
+  FRAMES,
+  FRAME_LABELS,
+  convertState,
+  geodeticToItrf,
+  temeToGeodetic,
+  temeToScene,
+  setEarthOrientationProvider
+} from './frames.js';
+import { loadBundledEarthOrientation, EOP_FILE_TYPES } from './data/earth-orientation.js';
+import { parseHorizonMask } from './data/horizon-mask.js';
+import { sunDirection, sunPosition } from './celestial.js';
+import { FOOTPRINT_MODES, coverageAngle, sensorCoverageAngle } from './coverage.js';
+
+// How far ahead the selected satellite's eclipse timetable looks
+const ECLIPSE_WINDOW_HOURS = 24;
 
 class App {
   constructor() {
     // Configuration
-    // NOTE: showOrbits and showLineOfSight disabled for v1.0 (performance - "coming soon")
+    // NOTE: showLineOfSight disabled for v1.0 (performance - "coming soon")
     this.settings = {
       showSatellites: true,
-      showOrbits: false,       // DISABLED: coming soon
+      showOrbits: false,       // Orbit line of the selected satellite (and its what-if orbits)
+      // Orbit rings for every visible satellite (one instanced draw)
+      showOrbitRings: false,
       showGroundStations: true,
+      // Draw the globe as the WGS84 ellipsoid rather than a sphere
+      oblateEarth: true,
+      // What satellite colors show (COLOR_MODES value)
+      colorMode: COLOR_MODES.TYPE,
       showLineOfSight: false,  // DISABLED: coming soon
+      // Bulk propagation model for non-priority satellites: 'kepler', 'j2' or 'j2-drag'
+      propagationModel: 'j2-drag',
+      // Accuracy watchdog: SGP4 spot-checks that promote drifting satellites to SGP4
+      accuracyWatchdog: {
+        samplesPerTick: 64,
+        thresholdKm: 10,
+        maxPromoted: 2000
+      },
+      // Max satellites given full SGP4 on request (selected, followed, watched, in view)
+      sgp4Budget: 256,
+      // Frame of the selected satellite's live position readout (FRAMES value)
+      positionFrame: FRAMES.TEME,
+      // Doppler calculator: nominal link frequency (MHz) and direction
+      dopplerFrequency: 437.5,
+      dopplerLink: 'downlink',
+      // Selected satellite's coverage footprint, limited by a ground elevation or a sensor cone
+      showFootprint: false,
+      footprintMode: FOOTPRINT_MODES.ELEVATION,
+      footprintElevation: 10,  // degrees
+      footprintHalfAngle: 30,  // degrees from nadir
       satelliteTypes: {
         LEO: true,
         MEO: true,
         GEO: true,
         HEO: true
-      }
+      },
+      // Regimes within the classes (ORBIT_REGIMES ids); shown when both are on
+      satelliteRegimes: Object.fromEntries(Object.keys(ORBIT_REGIMES).map(regime => [regime, true]))
     };
 
     // Counters and performance tracking
@@ -39,6 +116,8 @@ class App {
       lastCalcTime: 0,
       frameCount: 0,
       lastInfoUpdateTime: 0, // For throttling selected info updates
+      lastPositionReadoutTime: 0, // For throttling the live position readout
+      lastEarthOrientationTime: 0, // For throttling the UT1-UTC readout
       lastPositionUpdate: 0, // For throttling SGP4 calculations
       lastWorkerTimeSync: 0  // For syncing worker time with main thread
     };
@@ -51,8 +130,14 @@ class App {
     this.groundStations = [];
     this.satelliteCount = 0;
 
+    // IERS Earth orientation (UT1-UTC, polar motion, leap seconds), registered with frames.js in init()
+    this.earthOrientation = null;
+
     // Object references
     this.earth = null;
+    this.moon = null;
+    this.sunLight = null;
+    this._sunDirection = new THREE.Vector3();
     this.lineOfSight = null;
     this.selectedObject = null;
 
@@ -64,25 +149,75 @@ class App {
     this.tooltip = null;
     this.satelliteTrail = null;
     this.groundTrack = null;
+    this.footprint = null;
     this.hoveredObject = null;
 
+    // Coverage heatmap panel (made with the Earth in init)
+    this.coveragePanel = null;
+
+    // GNSS dilution of precision panel (made with the Earth in init)
+    this.dopPanel = null;
+
+    // Conjunction screening panel
+    this.conjunctionPanel = new ConjunctionPanel(this);
+
+    // Constellation shell / plane / slot analysis panel
+    this.structurePanel = new StructurePanel(this);
+
     // Follow camera tracking (from handoff)
     this.lastFollowTargetPos = new THREE.Vector3();
 
-    // SGP4 Web Worker for off-thread position calculations
+    // Orbit propagation off the render thread: a PropagatorPool of workers
+    // (same message interface as a single orbit-propagator worker)
     this.sgp4Worker = null;
     this.workerData = {
       positions: null,      // Float32Array from worker
       velocities: null,     // Float32Array for extrapolation
       receiveTime: 0,       // When we received this data (main thread time)
       timeMultiplier: 1,    // Time multiplier at physics calc time
-      physicsInterval: 100  // ms between worker physics updates (adaptive)
+      physicsInterval: 100, // ms between worker physics updates (adaptive)
+      accuracyErrors: null, // Float32Array of Keplerian error estimates (km, -1 = unsampled)
+      promoted: null,       // Uint8Array, 1 = satellite promoted to SGP4 by the watchdog
+      promotedCount: 0,
+      status: null,         // Uint8Array of PROPAGATION_STATUS per satellite
+      problemCount: 0,      // Satellites whose propagation currently fails
+      eclipse: null,        // Uint8Array of ECLIPSE_STATE per satellite
+      shadowCount: 0,       // Satellites in penumbra or umbra
+      shared: null,         // Shared channel views when cross-origin isolated (positions read in place)
+      sharedRanges: null    // [{slot, start, end}] worker index range written by each seqlock slot
     };
 
     // High-performance satellite manager using InstancedMesh
     // Reduces draw calls from N to 1 for massive performance gains
     this.satelliteManager = null;
 
+    // SGP4 priority set - which satellites the worker propagates at full accuracy
+    this.sgp4Priority = new SGP4PriorityManager(this.settings.sgp4Budget);
+
+    // Watch list - satellites kept at full SGP4 accuracy and listed in the left panel
+    this.watchList = new Set();
+
+    // Worker indices in view of the selected ground station (prioritized for SGP4)
+    this._losPriorityIndices = [];
+
+    // What-if satellites created by the maneuver planner (ghost orbit lines)
+    this.whatIfSatellites = [];
+
+    // Eclipse timetable of the selected satellite: { sat, start, eclipses }
+    this._eclipseSchedule = null;
+
+    // Pass table of the selected ground station
+    this.passPanel = new PassPanel(this);
+
+    // Look angles and Doppler of the selected satellite from a ground station
+    // (by default the last selected one)
+    this.lookPanel = new LookPanel(this);
+    this._lastSelectedStation = null;
+
+    // In-flight propagateAt queries: requestId -> { resolve, reject, indices, times }
+    this._pendingQueries = new Map();
+    this._nextQueryId = 1;
+
     // Constellation toggle system - tracks which constellations are currently loaded
     // Enables additive loading (GPS + Starlink + Weather all at once)
     this.loadedConstellations = new Set();
@@ -118,14 +253,13 @@ class App {
 
     document.body.appendChild(this.renderer.domElement);
 
-    // Uniform ambient lighting (no day/night cycle)
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    // Faint ambient light so the night side stays readable
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.15);
     this.scene.add(ambientLight);
 
-    // Add soft directional light for depth/shading
-    const fillLight = new THREE.DirectionalLight(0xffffff, 0.4);
-    fillLight.position.set(1, 0.5, 1).normalize();
-    this.scene.add(fillLight);
+    // Sunlight from the true Sun direction at the simulation time (updateCelestialBodies)
+    this.sunLight = new THREE.DirectionalLight(0xffffff, 2.0);
+    this.scene.add(this.sunLight);
 
     // Create orbit controls
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -142,13 +276,22 @@ class App {
     // Initialize camera controller
     this.cameraController = new CameraController(this.camera, this.controls);
 
+    // Every frame conversion (Earth rotation, stations, lat/lon) reads Earth orientation from here
+    this.earthOrientation = loadBundledEarthOrientation();
+    setEarthOrientationProvider(date => this.earthOrientation.at(date));
+
     // Create Earth
-    this.earth = new Earth();
+    this.earth = new Earth({ oblate: this.settings.oblateEarth });
     this.scene.add(this.earth.mesh);
 
     // Set initial Earth rotation to match current time
     this.earth.setRotationFromTime(this.timeController.current);
 
+    // Moon at its true position and scale
+    this.moon = new Moon();
+    this.scene.add(this.moon.mesh);
+    this.updateCelestialBodies(this.timeController.current);
+
     // Initialize line of sight calculator
     this.lineOfSight = new LineOfSight(this.scene);
 
@@ -156,10 +299,14 @@ class App {
     this.tooltip = new Tooltip();
     this.toast = new Toast();
     this.satelliteTrail = new SatelliteTrail(this.scene);
-    this.groundTrack = new GroundTrack(this.scene, this.earth.radius, this.earth.mesh);
+    this.groundTrack = new GroundTrack(this.scene, this.earth.mesh);
+    this.footprint = new CoverageFootprint(this.earth.mesh);
+    this.coveragePanel = new CoveragePanel(this);
+    this.dopPanel = new DopPanel(this);
 
     // Initialize satellite manager for instanced rendering
     this.satelliteManager = new SatelliteManager(this.scene, 50000);
+    this.orbitRings = new OrbitRings(this.scene);
 
     // Generate initial satellite data
     this.generateSatellites(this.satelliteCount);
@@ -226,6 +373,8 @@ class App {
       this.satelliteManager.clear();
     }
     this.satellites = [];
+    this.structurePanel.clear();
+    this.orbitRings.needsUpdate = true;
 
     // Generate new synthetic TLE data
     const tleData = generateTLE(count);
@@ -262,6 +411,9 @@ class App {
       }
     }
 
+    // Carry watched satellites over to their rebuilt objects
+    this._remapWatchList();
+
     // Initialize SGP4 worker with TLE data
     this.initSGP4Worker(tleData);
 
@@ -389,10 +541,14 @@ class App {
       this.satelliteManager.clear();
     }
     this.satellites = [];
+    this.whatIfSatellites = [];
+    this.structurePanel.clear();
+    this.orbitRings.needsUpdate = true;
 
     // If no constellations loaded, just update UI and return
     if (allTleData.length === 0) {
       document.getElementById('satellite-count').textContent = '0';
+      this._remapWatchList();
       // Stop worker since no satellites
       if (this.sgp4Worker) {
         this.sgp4Worker.postMessage({ type: 'stop' });
@@ -431,79 +587,1044 @@ class App {
       }
     }
 
+    // Carry watched satellites over to their rebuilt objects
+    this._remapWatchList();
+
     // Initialize SGP4 worker with combined TLE data
     this.initSGP4Worker(allTleData);
 
-    // Update UI
-    document.getElementById('satellite-count').textContent = this.satellites.length;
+    // Update UI
+    document.getElementById('satellite-count').textContent = this.satellites.length;
+  }
+
+  /**
+   * Get list of available presets
+   * @returns {Array<{id: string, name: string, count: number}>}
+   */
+  getAvailablePresets() {
+    return getPresetList();
+  }
+
+  /**
+   * Constellations currently loaded, with their preset names, for the
+   * analysis panels' target pickers
+   * @returns {Array<{id: string, name: string, count: number}>}
+   */
+  getLoadedConstellations() {
+    const presets = this.getAvailablePresets();
+    return [...this.loadedConstellations].map(id => {
+      const preset = presets.find(p => p.id === id);
+      return {
+        id,
+        name: preset ? preset.name : id,
+        count: this.satellites.filter(sat => sat.constellationId === id).length
+      };
+    });
+  }
+
+  /**
+   * Get timestamp of when the TLE catalog was generated
+   * @returns {string} ISO timestamp
+   */
+  getCatalogDate() {
+    return getCatalogTimestamp();
+  }
+
+  initSGP4Worker(tleData) {
+    // Terminate existing worker if any
+    if (this.sgp4Worker) {
+      this.sgp4Worker.postMessage({ type: 'stop' });
+      this.sgp4Worker.terminate();
+    }
+
+    // Accuracy estimates refer to the old satellite indices
+    this.workerData.accuracyErrors = null;
+    this.workerData.promoted = null;
+    this.workerData.promotedCount = 0;
+    this.workerData.status = null;
+    this.workerData.problemCount = 0;
+    this.workerData.eclipse = null;
+    this.workerData.shadowCount = 0;
+    this.workerData.positions = null;
+    this.workerData.velocities = null;
+    this.workerData.shared = null;
+    this.workerData.sharedRanges = null;
+
+    // Queries against the old worker refer to old indices and will never be answered
+    for (const query of this._pendingQueries.values()) {
+      query.reject(new Error('Propagation worker restarted'));
+    }
+    this._pendingQueries.clear();
+
+    // Create a pool of propagation workers sized from navigator.hardwareConcurrency;
+    // satellites are sharded by index range and merged back into one buffer
+    this.sgp4Worker = new PropagatorPool(tleData.length);
+
+    // Handle messages from worker
+    this.sgp4Worker.onmessage = (e) => {
+      const { type, ...data } = e.data;
+
+      switch (type) {
+        case 'config':
+          this.workerData.physicsInterval = data.physicsInterval;
+          break;
+
+        case 'initialized':
+          console.log(`Orbit Propagator initialized with ${data.count} satellites across ${data.workers} worker(s)`);
+          break;
+
+        case 'positions':
+          // Receive positions and velocities from worker
+          this.workerData.positions = new Float32Array(data.positions);
+          this.workerData.velocities = new Float32Array(data.velocities);
+          this.workerData.receiveTime = performance.now();
+          this.workerData.timeMultiplier = data.timeMultiplier;
+
+          break;
+
+        case 'status':
+          // Sent when any satellite's propagation status changes
+          this.workerData.status = new Uint8Array(data.status);
+          this.workerData.problemCount = data.problemCount;
+          this.updatePropagationStatusReadout();
+          this.renderPropagationProblems();
+          break;
+
+        case 'eclipse':
+          // Sent when any satellite enters or leaves the Earth's shadow
+          this.workerData.eclipse = new Uint8Array(data.eclipse);
+          this.workerData.shadowCount = data.shadowCount;
+          if (this.settings.colorMode === COLOR_MODES.ECLIPSE) {
+            this.satelliteManager.applyEclipseColors(this.workerData.eclipse);
+          }
+          break;
+
+        case 'propagateAtResult': {
+          const query = this._pendingQueries.get(data.requestId);
+          if (!query) break;
+          this._pendingQueries.delete(data.requestId);
+          query.resolve({
+            indices: query.indices,
+            times: query.times,
+            positions: new Float64Array(data.positions),
+            velocities: new Float64Array(data.velocities)
+          });
+          break;
+        }
+
+        case 'passesResult': {
+          const query = this._pendingQueries.get(data.requestId);
+          if (!query) break;
+          this._pendingQueries.delete(data.requestId);
+          query.resolve(data.passes);
+          break;
+        }
+
+        case 'coverageProgress': {
+          const query = this._pendingQueries.get(data.requestId);
+          if (query && query.onProgress) query.onProgress(data.progress);
+          break;
+        }
+
+        case 'coverageResult': {
+          const query = this._pendingQueries.get(data.requestId);
+          if (!query) break;
+          this._pendingQueries.delete(data.requestId);
+          query.resolve(data.counts ? new Uint8Array(data.counts) : null);
+          break;
+        }
+
+        case 'queryError': {
+          // A propagateAt / predictPasses / coverageGrid query threw in the worker
+          const query = this._pendingQueries.get(data.requestId);
+          if (!query) break;
+          this._pendingQueries.delete(data.requestId);
+          query.reject(new Error(data.message));
+          break;
+        }
+
+        case 'sharedChannel':
+          // Zero-copy mode: workers write positions in place, no 'positions' messages
+          this.workerData.shared = data.views;
+          this.workerData.sharedRanges = data.ranges;
+          this.workerData.positions = data.views.positions;
+          this.workerData.velocities = data.views.velocities;
+          break;
+
+        case 'accuracy':
+          // Periodic accuracy watchdog report
+          this.workerData.accuracyErrors = new Float32Array(data.errors);
+          this.workerData.promoted = new Uint8Array(data.promoted);
+          this.workerData.promotedCount = data.promotedCount;
+          this.updateAccuracyReadout();
+          break;
+      }
+    };
+
+    this.sgp4Worker.onerror = (e) => {
+      console.error('SGP4 Worker error:', e);
+    };
+
+    // Send TLE data to worker
+    this.sgp4Worker.postMessage({
+      type: 'init',
+      data: {
+        satellites: tleData,
+        model: this.settings.propagationModel,
+        watchdog: this.settings.accuracyWatchdog
+      }
+    });
+
+    // Indices were rebuilt - previous per-reason indices no longer apply
+    this._losPriorityIndices = [];
+    this.sgp4Priority.clear();
+    this.sgp4Priority.attach(this.sgp4Worker);
+    this.refreshSGP4Priority();
+  }
+
+  /**
+   * Recompute the SGP4 priority set from selection, follow target, watch list
+   * and the satellites in view of the selected ground station
+   */
+  refreshSGP4Priority() {
+    const selected = this.selectedObject && this.selectedObject.tleData ? this.selectedObject : null;
+    const followTarget = this.cameraController ? this.cameraController.getFollowTarget() : null;
+    const followed = followTarget && followTarget.tleData ? followTarget : null;
+
+    this.sgp4Priority.setReasons({
+      selected: selected ? [selected.workerIndex] : [],
+      followed: followed ? [followed.workerIndex] : [],
+      watched: [...this.watchList].map(sat => sat.workerIndex),
+      los: this._losPriorityIndices
+    });
+  }
+
+  /**
+   * Change how many satellites may be propagated with full SGP4 on request
+   * @param {number} budget
+   */
+  setSGP4Budget(budget) {
+    this.settings.sgp4Budget = budget;
+    this.sgp4Priority.setBudget(budget);
+  }
+
+  /**
+   * Propagate satellites at arbitrary epochs on the worker (full SGP4),
+   * without disturbing the live simulation clock
+   * @param {number[]} indices - Worker indices
+   * @param {Array<Date|number>} times - Epochs (Date or ms since Unix epoch)
+   * @returns {Promise<{indices: number[], times: number[], positions: Float64Array, velocities: Float64Array}>}
+   *   TEME km and km/s laid out [index][time][xyz]; failed propagations are (0,0,0)
+   */
+  propagateAt(indices, times) {
+    if (!this.sgp4Worker) {
+      return Promise.reject(new Error('Propagation worker not running'));
+    }
+
+    const requestId = this._nextQueryId++;
+    const epochs = times.map(time => (time instanceof Date ? time.getTime() : time));
+
+    return new Promise((resolve, reject) => {
+      this._pendingQueries.set(requestId, { resolve, reject, indices, times: epochs });
+      this.sgp4Worker.postMessage({
+        type: 'propagateAt',
+        data: { requestId, indices, times: epochs }
+      });
+    });
+  }
+
+  /**
+   * Propagate one satellite at several epochs on the worker
+   * @param {Object} sat - Satellite object
+   * @param {Array<Date|number>} times - Epochs (Date or ms since Unix epoch)
+   * @returns {Promise<Array<{time: Date, position: {x, y, z}|null, velocity: {x, y, z}|null}>>}
+   *   TEME, same shape as satellite.propagate(); position is null where propagation failed
+   */
+  async propagateSatelliteAt(sat, times) {
+    const result = await this.propagateAt([sat.workerIndex], times);
+
+    return result.times.map((time, j) => {
+      const o = j * 3;
+      const p = result.positions;
+      const v = result.velocities;
+      const valid = p[o] !== 0 || p[o + 1] !== 0 || p[o + 2] !== 0;
+      return {
+        time: new Date(time),
+        position: valid ? { x: p[o], y: p[o + 1], z: p[o + 2] } : null,
+        velocity: valid ? { x: v[o], y: v[o + 1], z: v[o + 2] } : null
+      };
+    });
+  }
+
+  /**
+   * Find the next passes of satellites over a ground station on the worker
+   * @param {GroundStation} station
+   * @param {Object[]} satellites - Satellite objects
+   * @param {Object} [options]
+   * @param {Date} [options.start] - Defaults to the simulation time
+   * @param {number} [options.hours=PASS_WINDOW_HOURS] - Window length
+   * @param {number} [options.maxPasses=PASS_COUNT] - Earliest passes to return, over all satellites
+   * @returns {Promise<Array<import('./workers/pass-prediction.js').Pass & {satellite: Object}>>}
+   *   Earliest AOS first; passes in progress at the start come first with a null AOS
+   */
+  predictPasses(station, satellites, {
+    start = this.timeController.current,
+    hours = PASS_WINDOW_HOURS,
+    maxPasses = PASS_COUNT
+  } = {}) {
+    if (!this.sgp4Worker) {
+      return Promise.reject(new Error('Propagation worker not running'));
+    }
+
+    const requestId = this._nextQueryId++;
+    const byIndex = new Map(satellites.map(sat => [sat.workerIndex, sat]));
+    const startMs = start.getTime();
+
+    return new Promise((resolve, reject) => {
+      this._pendingQueries.set(requestId, {
+        resolve: passes => resolve(passes.map(({ index, ...pass }) => ({ ...pass, satellite: byIndex.get(index) }))),
+        reject
+      });
+      this.sgp4Worker.postMessage({
+        type: 'predictPasses',
+        data: {
+          requestId,
+          indices: [...byIndex.keys()],
+          station: {
+            lat: station.lat,
+            lon: station.lon,
+            altitude: station.altitude,
+            minElevation: station.minElevation,
+            horizonMask: station.horizonMask
+          },
+          start: startMs,
+          end: startMs + hours * 3600000,
+          maxPasses,
+          eop: this.earthOrientation.at(start)
+        }
+      });
+    });
+  }
+
+  /**
+   * Sample how many satellites each cell of a lat/lon grid sees over a window, on the worker
+   * @param {Object[]} satellites - Satellite objects
+   * @param {Object} options
+   * @param {Date} options.start
+   * @param {number} options.hours - Window length
+   * @param {number} options.stepSeconds
+   * @param {number} options.resolution - Cell size, degrees
+   * @param {number} options.minElevation - Degrees
+   * @param {function(number): void} [onProgress] - Fraction done, 0 to 1
+   * @returns {Promise<Uint8Array|null>} Counts laid out [sample][cell] (see coverage-grid.js);
+   *   null if none of the satellites is on the worker
+   */
+  coverageGrid(satellites, { start, hours, stepSeconds, resolution, minElevation }, onProgress) {
+    if (!this.sgp4Worker) {
+      return Promise.reject(new Error('Propagation worker not running'));
+    }
+
+    const requestId = this._nextQueryId++;
+    const startMs = start.getTime();
+
+    return new Promise((resolve, reject) => {
+      this._pendingQueries.set(requestId, { resolve, reject, onProgress });
+      this.sgp4Worker.postMessage({
+        type: 'coverageGrid',
+        data: {
+          requestId,
+          indices: satellites.map(sat => sat.workerIndex),
+          start: startMs,
+          end: startMs + hours * 3600000,
+          stepSeconds,
+          resolution,
+          minElevation,
+          eop: this.earthOrientation.at(start)
+        }
+      });
+    });
+  }
+
+  /**
+   * Build an ephemeris file for the selected satellite or the watch list
+   * @param {Object} options
+   * @param {string} options.target - 'selected' or 'watchList'
+   * @param {string} options.format - EPHEMERIS_FORMATS value ('csv' or 'oem')
+   * @param {string} [options.frame='TEME'] - Output reference frame (EPHEMERIS_FRAMES key)
+   * @param {Date} options.start
+   * @param {Date} options.stop
+   * @param {number} options.stepSeconds
+   * @returns {{success: boolean, filename?: string, content?: string, mimeType?: string, message?: string}}
+   */
+  exportEphemeris({ target, format, frame = 'TEME', start, stop, stepSeconds }) {
+    const sats = target === 'watchList'
+      ? [...this.watchList]
+      : (this.selectedObject && this.selectedObject.tleData ? [this.selectedObject] : []);
+
+    if (sats.length === 0) {
+      return {
+        success: false,
+        message: target === 'watchList' ? 'Watch list is empty' : 'No satellite selected'
+      };
+    }
+
+    let objects;
+    try {
+      objects = sats.map(sat => sat.ephemeris
+        ? {
+          name: sat.tleData.name,
+          noradId: '',
+          objectId: sat.ephemeris.objectId,
+          source: 'Resampled from imported ephemeris',
+          states: generateEphemeris(date => propagateSatellite(sat, date), { start, stop, stepSeconds, frame })
+        }
+        : {
+          name: sat.tleData.name,
+          noradId: sat.tleData.tle1.substring(2, 7).trim(),
+          objectId: getInternationalDesignator(sat.tleData.tle1),
+          states: generateEphemeris(sat.satrec, { start, stop, stepSeconds, frame })
+        });
+    } catch (e) {
+      return { success: false, message: e.message };
+    }
+
+    if (objects.every(obj => obj.states.length === 0)) {
+      return { success: false, message: 'SGP4 propagation failed over the whole span' };
+    }
+
+    const baseName = sats.length === 1
+      ? sats[0].tleData.name.replace(/[^A-Za-z0-9-]+/g, '_')
+      : 'watch_list';
+    const stamp = start.toISOString().substring(0, 10);
+
+    if (format === EPHEMERIS_FORMATS.OEM) {
+      return {
+        success: true,
+        filename: `${baseName}_${stamp}.oem`,
+        content: formatOEM(objects, { frame }),
+        mimeType: 'text/plain'
+      };
+    }
+    return {
+      success: true,
+      filename: `${baseName}_${stamp}.csv`,
+      content: formatEphemerisCSV(objects),
+      mimeType: 'text/csv'
+    };
+  }
+
+  /**
+   * Check if a satellite is on the watch list
+   * @param {Object} sat
+   * @returns {boolean}
+   */
+  isWatched(sat) {
+    return this.watchList.has(sat);
+  }
+
+  /**
+   * Add or remove a satellite from the watch list
+   * @param {Object} sat - Satellite object
+   * @param {boolean} watched
+   */
+  setWatched(sat, watched) {
+    if (!sat || !sat.tleData) return;
+
+    if (watched) {
+      this.watchList.add(sat);
+    } else {
+      this.watchList.delete(sat);
+    }
+
+    this.refreshSGP4Priority();
+    this.renderWatchList();
+  }
+
+  /**
+   * Re-point the watch list at rebuilt satellite objects (matched by TLE line 1)
+   * @private
+   */
+  _remapWatchList() {
+    if (this.watchList.size === 0) return;
+
+    const byTle = new Map(this.satellites.map(sat => [sat.tleData.tle1, sat]));
+    const remapped = new Set();
+    for (const sat of this.watchList) {
+      const match = byTle.get(sat.tleData.tle1);
+      if (match) remapped.add(match);
+    }
+    this.watchList = remapped;
+    this.renderWatchList();
+  }
+
+  /**
+   * Render the watch list section in the left panel
+   */
+  renderWatchList() {
+    const section = document.getElementById('watch-list-section');
+    const list = document.getElementById('watch-list');
+    if (!section || !list) return;
+
+    list.innerHTML = '';
+    section.style.display = this.watchList.size > 0 ? 'block' : 'none';
+
+    for (const sat of this.watchList) {
+      const item = document.createElement('div');
+      item.className = 'watch-item';
+
+      const name = document.createElement('span');
+      name.className = 'watch-item-name';
+      name.textContent = sat.tleData.name;
+      name.title = 'Select';
+      name.addEventListener('click', () => this.selectObject({ object: sat }));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-icon';
+      removeBtn.title = 'Remove from watch list';
+      removeBtn.innerHTML = '<span class="material-icons">close</span>';
+      removeBtn.addEventListener('click', () => {
+        this.setWatched(sat, false);
+        if (sat === this.selectedObject) {
+          const watchToggle = document.getElementById('toggle-watch-selected');
+          if (watchToggle) watchToggle.checked = false;
+        }
+      });
+
+      item.appendChild(name);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Set the Keplerian error (km) above which the worker promotes a satellite to SGP4
+   * @param {number} thresholdKm
+   */
+  setAccuracyThreshold(thresholdKm) {
+    this.settings.accuracyWatchdog.thresholdKm = thresholdKm;
+    if (this.sgp4Worker) {
+      this.sgp4Worker.postMessage({ type: 'setWatchdog', data: { thresholdKm } });
+    }
+  }
+
+  /**
+   * Describe how accurate a satellite's displayed position is
+   * @param {Object} sat - Satellite object
+   * @returns {{tier: string, errorKm: number|null}} tier is 'sgp4', 'kepler' or 'ephemeris';
+   *   errorKm is the last measured Keplerian-vs-SGP4 error (null if unsampled)
+   */
+  getPositionAccuracy(sat) {
+    if (sat.ephemeris) {
+      // Interpolated from imported state vectors - no SGP4/Kepler tier applies
+      return { tier: 'ephemeris', errorKm: null };
+    }
+
+    const wd = this.workerData;
+    const idx = sat.workerIndex;
+    const error = wd.accuracyErrors && idx < wd.accuracyErrors.length ? wd.accuracyErrors[idx] : -1;
+    const isSGP4 = this.sgp4Priority.has(idx) || (wd.promoted && wd.promoted[idx] === 1);
+
+    return {
+      tier: isSGP4 ? 'sgp4' : 'kepler',
+      errorKm: error >= 0 ? error : null
+    };
+  }
+
+  /**
+   * Format position accuracy for the info panel and tooltip
+   * @param {Object} sat - Satellite object
+   * @returns {string} e.g. "±3.2 km", "SGP4 (Kepler ±14 km)"
+   */
+  formatPositionAccuracy(sat) {
+    const { tier, errorKm } = this.getPositionAccuracy(sat);
+    const km = errorKm === null ? null : errorKm < 10 ? errorKm.toFixed(1) : errorKm.toFixed(0);
+
+    if (tier === 'ephemeris') {
+      return 'Ephemeris';
+    }
+    if (tier === 'sgp4') {
+      return km === null ? 'SGP4' : `SGP4 (Kepler ±${km} km)`;
+    }
+    return km === null ? '—' : `±${km} km`;
+  }
+
+  /**
+   * Refresh the live accuracy readout for the selected satellite
+   */
+  updateAccuracyReadout() {
+    const readout = document.getElementById('selected-accuracy');
+    if (readout && this.selectedObject && this.selectedObject.tleData) {
+      readout.textContent = this.formatPositionAccuracy(this.selectedObject);
+    }
+  }
+
+  /**
+   * Set the frame of the selected satellite's position readout
+   * @param {string} frame - FRAMES value
+   */
+  setPositionFrame(frame) {
+    if (!Object.values(FRAMES).includes(frame)) return;
+    this.settings.positionFrame = frame;
+    this.updatePositionReadout();
+  }
+
+  /**
+   * Spec-grid rows for a satellite's position at the simulation time in the chosen frame
+   * @param {Object} sat - Satellite object
+   * @returns {string} HTML
+   */
+  formatPositionReadout(sat) {
+    const row = (label, value) =>
+      `<span class="spec-label">${label}</span><span class="spec-value">${value}</span>`;
+
+    const date = this.timeController.current;
+    const state = propagateSatellite(sat, date);
+    if (!state) {
+      return row('Position', '—');
+    }
+
+    const frame = this.settings.positionFrame;
+    if (frame === FRAMES.WGS84) {
+      const { latitude, longitude, height } = temeToGeodetic(state.position, date);
+      return row('Latitude', `${radToDeg(latitude).toFixed(4)}°`) +
+        row('Longitude', `${radToDeg(longitude).toFixed(4)}°`) +
+        row('Height', `${height.toFixed(2)} km`);
+    }
+
+    // ITRF velocity is relative to the rotating Earth
+    const { position, velocity } = convertState(state, FRAMES.TEME, frame, date);
+    return row('X', `${position.x.toFixed(2)} km`) +
+      row('Y', `${position.y.toFixed(2)} km`) +
+      row('Z', `${position.z.toFixed(2)} km`) +
+      row('Speed', `${Math.hypot(velocity.x, velocity.y, velocity.z).toFixed(4)} km/s`);
+  }
+
+  /**
+   * Refresh the live position readout for the selected satellite
+   */
+  updatePositionReadout() {
+    const readout = document.getElementById('selected-position');
+    if (readout && this.selectedObject && this.selectedObject.tleData) {
+      readout.innerHTML = this.formatPositionReadout(this.selectedObject);
+    }
+
+    const altitude = document.getElementById('selected-altitude');
+    if (altitude && this.selectedObject && this.selectedObject.tleData) {
+      altitude.textContent = `${this.getAltitude(this.selectedObject).toFixed(0)} km`;
+    }
+  }
+
+  /**
+   * Height above the WGS84 ellipsoid at the simulation time, the same value the
+   * WGS84 position readout shows. Falls back to the mean orbital altitude.
+   * @param {Object} sat - Satellite object
+   * @returns {number} km
+   */
+  getAltitude(sat) {
+    const date = this.timeController.current;
+    const state = propagateSatellite(sat, date);
+    return state ? temeToGeodetic(state.position, date).height : sat.orbit.altitude;
+  }
+
+  /**
+   * Where a satellite's footprint is centred and how far it reaches, for the
+   * chosen footprint mode
+   * @param {Object} sat - Satellite object
+   * @param {Date} date
+   * @returns {{lat: number, lon: number, angle: number}|null} Degrees; central angle in radians
+   */
+  getFootprint(sat, date) {
+    const state = propagateSatellite(sat, date);
+    if (!state) return null;
+
+    const { latitude, longitude, height } = temeToGeodetic(state.position, date);
+    const ground = geodeticToItrf(latitude, longitude, 0);
+    const earthRadius = Math.sqrt(ground.x * ground.x + ground.y * ground.y + ground.z * ground.z);
+    const angle = this.settings.footprintMode === FOOTPRINT_MODES.SENSOR
+      ? sensorCoverageAngle(earthRadius, earthRadius + height, this.settings.footprintHalfAngle)
+      : coverageAngle(earthRadius, earthRadius + height, this.settings.footprintElevation);
+
+    return { lat: radToDeg(latitude), lon: radToDeg(longitude), angle };
+  }
+
+  /**
+   * Move the selected satellite's footprint to the simulation time
+   */
+  updateFootprint() {
+    const sat = this.selectedObject;
+    const footprint = this.settings.showFootprint && sat && sat.tleData
+      ? this.getFootprint(sat, this.timeController.current)
+      : null;
+
+    if (footprint) {
+      this.footprint.update(footprint.lat, footprint.lon, footprint.angle);
+    }
+    this.footprint.setVisible(footprint !== null);
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  toggleFootprint(visible) {
+    this.settings.showFootprint = visible;
+    this.updateFootprint();
+  }
+
+  /**
+   * Change what limits the footprint and its angle
+   * @param {Object} options
+   * @param {string} [options.mode] - FOOTPRINT_MODES value
+   * @param {number} [options.angle] - Degrees: minimum elevation or sensor half-angle, for the mode
+   */
+  setFootprint({ mode, angle }) {
+    if (Object.values(FOOTPRINT_MODES).includes(mode)) {
+      this.settings.footprintMode = mode;
+    }
+    if (Number.isFinite(angle)) {
+      if (this.settings.footprintMode === FOOTPRINT_MODES.SENSOR) {
+        this.settings.footprintHalfAngle = Math.max(0, Math.min(90, angle));
+      } else {
+        this.settings.footprintElevation = Math.max(0, Math.min(90, angle));
+      }
+    }
+    this.updateFootprint();
+  }
+
+  /**
+   * Angle shown in the footprint input for the current mode
+   * @returns {number} Degrees
+   */
+  getFootprintAngle() {
+    return this.settings.footprintMode === FOOTPRINT_MODES.SENSOR
+      ? this.settings.footprintHalfAngle
+      : this.settings.footprintElevation;
+  }
+
+  /**
+   * Eclipse state of a satellite from the worker's last report
+   * @param {Object} sat - Satellite object
+   * @returns {number} ECLIPSE_STATE value
+   */
+  getWorkerEclipseState(sat) {
+    const eclipse = this.workerData.eclipse;
+    const idx = sat.workerIndex;
+    return eclipse && idx < eclipse.length ? eclipse[idx] : ECLIPSE_STATE.UNKNOWN;
+  }
+
+  /**
+   * Label for the worker's eclipse state, or null before the first report
+   * @param {Object} sat - Satellite object
+   * @returns {string|null}
+   */
+  formatWorkerEclipseState(sat) {
+    const state = this.getWorkerEclipseState(sat);
+    return state === ECLIPSE_STATE.UNKNOWN ? null : ECLIPSE_STATE_LABELS[state];
+  }
+
+  /**
+   * Eclipse state of the selected satellite, computed at the simulation time so
+   * it agrees with the eclipse timetable
+   * @param {Object} sat - Satellite object
+   * @returns {number} ECLIPSE_STATE value
+   */
+  getSelectedEclipseState(sat) {
+    const date = this.timeController.current;
+    const state = propagateSatellite(sat, date);
+    return state ? getEclipseState(state.position, sunPosition(date)) : ECLIPSE_STATE.UNKNOWN;
+  }
+
+  /**
+   * Eclipses of a satellite around the simulation time. One search spans a
+   * window back and two ahead, and is reused while the next
+   * ECLIPSE_WINDOW_HOURS stay inside it - so whichever way the clock runs it
+   * is redone once per simulated window, not on every readout refresh.
+   * @param {Object} sat - Satellite object
+   * @returns {import('./workers/eclipse.js').Eclipse[]}
+   */
+  getEclipseSchedule(sat) {
+    const now = this.timeController.current.getTime();
+    const span = ECLIPSE_WINDOW_HOURS * 3600000;
+    const cached = this._eclipseSchedule;
+    if (cached && cached.sat === sat && now >= cached.start && now + span <= cached.end) {
+      return cached.eclipses;
+    }
+
+    const start = now - span;
+    const end = now + 2 * span;
+    const eclipses = findEclipses(
+      date => propagateSatellite(sat, date)?.position ?? null,
+      new Date(start),
+      new Date(end)
+    );
+    this._eclipseSchedule = { sat, start, end, eclipses };
+    return eclipses;
+  }
+
+  /**
+   * Eclipse timetable rows: entry, exit, total and umbra durations
+   * @param {Object} sat - Satellite object
+   * @returns {string} HTML for a spec grid
+   */
+  formatEclipseSchedule(sat) {
+    const now = this.timeController.current.getTime();
+    const horizon = now + ECLIPSE_WINDOW_HOURS * 3600000;
+    const upcoming = this.getEclipseSchedule(sat).filter(e =>
+      (!e.end || e.end.getTime() > now) && (!e.start || e.start.getTime() < horizon));
+    if (upcoming.length === 0) {
+      return `<span class="spec-label">None</span><span class="spec-value">Sunlit throughout</span>`;
+    }
+
+    const clock = date => (date ? `${date.toISOString().substring(5, 19).replace('T', ' ')}Z` : '…');
+    const minutes = seconds => (seconds === null ? '?' : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`);
+
+    return upcoming.slice(0, 6).map(eclipse => {
+      const umbra = eclipse.umbraDuration !== null ? `, umbra ${minutes(eclipse.umbraDuration)}` : '';
+      return `<span class="spec-label">${clock(eclipse.start)}</span>` +
+        `<span class="spec-value">→ ${clock(eclipse.end).substring(6)} (${minutes(eclipse.duration)}${umbra})</span>`;
+    }).join('');
+  }
+
+  /**
+   * Refresh the selected satellite's eclipse state and timetable
+   */
+  updateEclipseReadout() {
+    const sat = this.selectedObject;
+    if (!sat || !sat.tleData) return;
+
+    const state = document.getElementById('selected-eclipse');
+    if (state) state.textContent = ECLIPSE_STATE_LABELS[this.getSelectedEclipseState(sat)];
+
+    const schedule = document.getElementById('selected-eclipses');
+    if (schedule) schedule.innerHTML = this.formatEclipseSchedule(sat);
+  }
+
+  /**
+   * Satellites currently above a station's horizon, among those shown
+   * @param {GroundStation} station
+   * @returns {Object[]}
+   */
+  getStationVisibleSatellites(station) {
+    return this.lineOfSight.getVisibleSatellitesList(station,
+      this.satellites.filter(s => this.isSatelliteVisible(s)));
+  }
+
+  /**
+   * Refresh the selected station's visible count and pass table without
+   * re-rendering the panel (which would reset its inputs)
+   */
+  updateStationReadout() {
+    const station = this.selectedObject;
+    if (!(station instanceof GroundStation)) return;
+
+    const visibleSats = this.getStationVisibleSatellites(station);
+    const count = document.getElementById('station-visible-count');
+    if (count) count.textContent = visibleSats.length;
+
+    // Satellites in view get full SGP4 accuracy while the station is selected
+    this._losPriorityIndices = visibleSats.map(s => s.workerIndex);
+    this.refreshSGP4Priority();
+
+    this.passPanel.update();
+  }
+
+  /**
+   * Change a station's minimum elevation and redo its passes
+   * @param {GroundStation} station
+   * @param {number} degrees
+   */
+  setStationMinElevation(station, degrees) {
+    if (!Number.isFinite(degrees)) return;
+    station.setMinElevation(Math.max(0, Math.min(90, degrees)));
+    this.updateStationReadout();
+    this.updateCoverageRadius(station);
+  }
+
+  /**
+   * Show a station's coverage region or change the satellite altitude it's for
+   * @param {GroundStation} station
+   * @param {Object} options
+   * @param {boolean} [options.visible]
+   * @param {number} [options.altitude] - km
+   */
+  setStationCoverage(station, { visible, altitude }) {
+    if (visible !== undefined) station.toggleCoverage(visible);
+    if (Number.isFinite(altitude) && altitude > 0) station.setCoverageAltitude(altitude);
+    this.updateCoverageRadius(station);
+  }
+
+  /**
+   * Ground distance from a station to the edge of its coverage, as a range
+   * where a horizon mask makes it vary with azimuth
+   * @param {GroundStation} station
+   * @returns {string}
+   */
+  formatCoverageRadius(station) {
+    const p = station.itrfPosition;
+    const radius = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z) - station.altitude;
+    const distances = [];
+    for (let azimuth = 0; azimuth < 360; azimuth += station.horizonMask ? 1 : 360) {
+      distances.push(station.getCoverageAngle(azimuth) * radius);
+    }
+    const low = Math.min(...distances);
+    const high = Math.max(...distances);
+    return Math.round(low) === Math.round(high)
+      ? `${low.toFixed(0)} km`
+      : `${low.toFixed(0)}–${high.toFixed(0)} km`;
+  }
+
+  /**
+   * @param {GroundStation} station
+   */
+  updateCoverageRadius(station) {
+    const readout = document.getElementById('station-coverage-radius');
+    if (readout && this.selectedObject === station) {
+      readout.textContent = this.formatCoverageRadius(station);
+    }
   }
 
   /**
-   * Get list of available presets
-   * @returns {Array<{id: string, name: string, count: number}>}
+   * Horizon mask summary for the station panel
+   * @param {GroundStation} station
+   * @returns {string}
    */
-  getAvailablePresets() {
-    return getPresetList();
+  formatHorizonMask(station) {
+    const mask = station.horizonMask;
+    if (!mask) return 'None';
+    const highest = Math.max(...mask.map(point => point.elevation));
+    return `${mask.length} pts, max ${highest.toFixed(1)}°`;
   }
 
   /**
-   * Get timestamp of when the TLE catalog was generated
-   * @returns {string} ISO timestamp
+   * Elevation limit as text: the minimum elevation, noting a horizon mask
+   * @param {{minElevation: number, horizonMask: Array|null}} station
+   * @returns {string}
    */
-  getCatalogDate() {
-    return getCatalogTimestamp();
+  formatElevationLimit(station) {
+    return `${station.minElevation}°${station.horizonMask ? ' + mask' : ''}`;
   }
 
-  initSGP4Worker(tleData) {
-    // Terminate existing worker if any
-    if (this.sgp4Worker) {
-      this.sgp4Worker.postMessage({ type: 'stop' });
-      this.sgp4Worker.terminate();
+  /**
+   * Give a station a horizon mask from an azimuth,elevation CSV
+   * @param {GroundStation} station
+   * @param {string} text - File contents
+   * @param {string} [filename]
+   * @returns {{success: boolean, message: string}}
+   */
+  loadHorizonMaskFile(station, text, filename = 'file') {
+    let mask;
+    try {
+      mask = parseHorizonMask(text);
+    } catch (error) {
+      return { success: false, message: `Failed to read horizon mask ${filename}: ${error.message}` };
     }
 
-    // Create new worker using Vite's worker import pattern
-    this.sgp4Worker = new Worker(
-      new URL('./workers/orbit-propagator.js', import.meta.url),
-      { type: 'module' }
-    );
+    this.setStationHorizonMask(station, mask);
+    return { success: true, message: `Loaded horizon mask for ${station.name} (${mask.length} points)` };
+  }
 
-    // Handle messages from worker
-    this.sgp4Worker.onmessage = (e) => {
-      const { type, ...data } = e.data;
+  /**
+   * Set or clear a station's horizon mask and redo its passes
+   * @param {GroundStation} station
+   * @param {import('./data/horizon-mask.js').HorizonMask|null} mask
+   */
+  setStationHorizonMask(station, mask) {
+    station.setHorizonMask(mask);
+    if (this.selectedObject === station) this.updateSelectedInfo();
+  }
 
-      switch (type) {
-        case 'config':
-          this.workerData.physicsInterval = data.physicsInterval;
-          break;
+  /**
+   * Color satellites by orbit class, orbit regime, constellation plane or eclipse state
+   * @param {string} mode - COLOR_MODES value
+   */
+  setColorMode(mode) {
+    this.settings.colorMode = mode;
+    this.satelliteManager.setColorMode(mode, this.workerData.eclipse);
+  }
 
-        case 'initialized':
-          console.log(`Orbit Propagator initialized with ${data.count} satellites`);
-          break;
+  /**
+   * Get a satellite's SGP4 propagation status at the current simulation time
+   * @param {Object} sat - Satellite object
+   * @returns {number} PROPAGATION_STATUS value (OK until the worker reports otherwise)
+   */
+  getPropagationStatus(sat) {
+    const status = this.workerData.status;
+    const idx = sat.workerIndex;
+    return status && idx < status.length ? status[idx] : PROPAGATION_STATUS.OK;
+  }
 
-        case 'positions':
-          // Receive positions and velocities from worker
-          this.workerData.positions = new Float32Array(data.positions);
-          this.workerData.velocities = new Float32Array(data.velocities);
-          this.workerData.receiveTime = performance.now();
-          this.workerData.timeMultiplier = data.timeMultiplier;
+  /**
+   * Human-readable propagation status for the info panel and tooltip
+   * @param {Object} sat - Satellite object
+   * @returns {string} e.g. "OK", "Decayed"
+   */
+  formatPropagationStatus(sat) {
+    return PROPAGATION_STATUS_LABELS[this.getPropagationStatus(sat)];
+  }
 
-          break;
-      }
-    };
+  /**
+   * Refresh the live propagation status readout for the selected satellite
+   */
+  updatePropagationStatusReadout() {
+    const readout = document.getElementById('selected-propagation-status');
+    if (readout && this.selectedObject && this.selectedObject.tleData) {
+      const sat = this.selectedObject;
+      readout.textContent = this.formatPropagationStatus(sat);
+      readout.classList.toggle('status-problem', this.getPropagationStatus(sat) !== PROPAGATION_STATUS.OK);
+    }
+  }
 
-    this.sgp4Worker.onerror = (e) => {
-      console.error('SGP4 Worker error:', e);
-    };
+  /**
+   * Render the list of satellites whose propagation currently fails
+   * (decayed, eccentricity out of range, invalid TLE); clicking one selects it
+   */
+  renderPropagationProblems() {
+    const section = document.getElementById('propagation-problems-section');
+    const list = document.getElementById('propagation-problems-list');
+    const count = document.getElementById('propagation-problems-count');
+    if (!section || !list) return;
+
+    const MAX_LISTED = 100;
+    const problems = this.workerData.problemCount > 0
+      ? this.satellites.filter(sat => this.getPropagationStatus(sat) !== PROPAGATION_STATUS.OK)
+      : [];
+
+    list.innerHTML = '';
+    section.style.display = problems.length > 0 ? 'block' : 'none';
+    if (count) count.textContent = problems.length > 0 ? `(${problems.length})` : '';
+
+    for (const sat of problems.slice(0, MAX_LISTED)) {
+      const item = document.createElement('div');
+      item.className = 'watch-item';
+
+      const name = document.createElement('span');
+      name.className = 'watch-item-name';
+      name.textContent = sat.tleData.name;
+      name.title = 'Select';
+      name.addEventListener('click', () => this.selectObject({ object: sat }));
+
+      const status = document.createElement('span');
+      status.className = 'problem-status';
+      status.textContent = this.formatPropagationStatus(sat);
+
+      item.appendChild(name);
+      item.appendChild(status);
+      list.appendChild(item);
+    }
 
-    // Send TLE data to worker
-    this.sgp4Worker.postMessage({
-      type: 'init',
-      data: { satellites: tleData }
-    });
+    if (problems.length > MAX_LISTED) {
+      const more = document.createElement('div');
+      more.className = 'problem-more';
+      more.textContent = `+${problems.length - MAX_LISTED} more`;
+      list.appendChild(more);
+    }
   }
 
   updateSatellitePositionsFromWorker(now) {
     const wd = this.workerData;
+    if (wd.shared) {
+      this.updateSatellitePositionsFromSharedChannel();
+      return;
+    }
     if (!wd.positions) return;
 
     // Calculate time since we received the physics update
@@ -514,20 +1635,74 @@ class App {
     this.applySatellitePositions(wd.positions, wd.velocities, dtSim);
   }
 
-  applySatellitePositions(positions, velocities, dtSim) {
+  /**
+   * Read positions from the shared channel, one worker slice at a time.
+   * Each slice is copied under its seqlock (re-read if a concurrent write shows),
+   * then extrapolated from its own worker time to the main-thread simulation
+   * time. A slice that stays torn keeps last frame's positions.
+   */
+  updateSatellitePositionsFromSharedChannel() {
+    const wd = this.workerData;
+    const simNow = this.timeController.current.getTime();
+
+    if (!this._sharedScratch || this._sharedScratch.positions.length !== wd.positions.length) {
+      this._sharedScratch = {
+        positions: new Float32Array(wd.positions.length),
+        velocities: new Float32Array(wd.velocities.length)
+      };
+    }
+    const scratch = this._sharedScratch;
+
+    for (const range of wd.sharedRanges) {
+      const from = this._satelliteArrayIndex(range.start);
+      const to = this._satelliteArrayIndex(range.end);
+      if (from === to) continue;
+
+      let time = 0;
+      const consistent = readSharedSlice(wd.shared, range.slot, (sliceTime) => {
+        scratch.positions.set(wd.positions.subarray(range.start * 3, range.end * 3), range.start * 3);
+        scratch.velocities.set(wd.velocities.subarray(range.start * 3, range.end * 3), range.start * 3);
+        time = sliceTime;
+      });
+      if (!consistent) continue;
+
+      this.applySatellitePositions(scratch.positions, scratch.velocities, (simNow - time) / 1000, from, to);
+    }
+  }
+
+  /**
+   * First index in this.satellites whose workerIndex is >= the given worker index
+   * (workerIndex increases with array position; failed TLEs leave gaps)
+   * @private
+   */
+  _satelliteArrayIndex(workerIndex) {
+    let lo = 0;
+    let hi = this.satellites.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.satellites[mid].workerIndex < workerIndex) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  applySatellitePositions(positions, velocities, dtSim, start = 0, end = this.satellites.length) {
     const showOrbits = this.settings.showOrbits;
     const followTarget = this.cameraController.getFollowTarget();
     const typeVisible = this.settings.satelliteTypes;
+    const regimeVisible = this.settings.satelliteRegimes;
+    const planeHidden = this.structurePanel.getHidden();
     const hasVelocity = velocities && dtSim > 0;
 
-    for (let i = 0; i < this.satellites.length; i++) {
+    for (let i = start; i < end; i++) {
       const satellite = this.satellites[i];
       const idx = satellite.workerIndex;
       if (idx === undefined) continue;
 
       // Quick visibility check
       const isFollowed = satellite === followTarget;
-      const isVisible = isFollowed || typeVisible[satellite.type];
+      const isVisible = isFollowed ||
+        (typeVisible[satellite.type] && regimeVisible[satellite.regime] && !(planeHidden && planeHidden[idx]));
 
       // Skip invisible satellites entirely
       if (!isVisible) {
@@ -538,9 +1713,6 @@ class App {
       }
 
       const i3 = idx * 3;
-      // SGP4/TEME coordinates: X, Y in equatorial plane, Z toward north pole
-      // Three.js coordinates: X, Z in horizontal plane, Y is up
-      // Swap Y↔Z to convert from TEME to Three.js
       let temeX = positions[i3];
       let temeY = positions[i3 + 1];
       let temeZ = positions[i3 + 2];
@@ -556,15 +1728,8 @@ class App {
         temeZ += velocities[i3 + 2] * dtSim;
       }
 
-      // Convert TEME to Three.js: swap Y and Z, negate Z to preserve handedness
-      const x = temeX;
-      const y = temeZ;   // TEME Z (north) → Three.js Y (up)
-      const z = -temeY;  // TEME Y → Three.js -Z (negated to preserve orbital direction)
-
       // Update mesh position (mesh is a proxy object with position Vector3)
-      satellite.mesh.position.x = x;
-      satellite.mesh.position.y = y;
-      satellite.mesh.position.z = z;
+      temeToScene(temeX, temeY, temeZ, satellite.mesh.position);
 
       // Update hitbox position for raycasting (hitbox is updated by SatelliteManager.syncToGPU)
 
@@ -586,7 +1751,7 @@ class App {
 
     for (const station of defaultStations) {
       const groundStation = new GroundStation(station);
-      groundStation.add(this.scene, this.earth.radius);
+      groundStation.add(this.scene, this.earth.mesh);
       this.groundStations.push(groundStation);
     }
 
@@ -604,13 +1769,19 @@ class App {
     this.timeController.update();
     this.updateClockDisplay();
 
-    // Update satellite positions using interpolated worker data
     const now = performance.now();
+    if (now - this.stats.lastEarthOrientationTime >= 1000) {
+      this.updateEarthOrientationDisplay();
+      this.stats.lastEarthOrientationTime = now;
+    }
+
+    // Update satellite positions using interpolated worker data
     this.updateSatellitePositionsFromWorker(now);
 
     // Sync Earth rotation to simulation time using GMST
     // This ensures Earth and satellite positions (both based on absolute time) stay in sync
     this.earth.setRotationFromTime(this.timeController.current);
+    this.updateCelestialBodies(this.timeController.current);
 
     // Periodically sync worker time with main thread to prevent drift at high warp speeds
     // Sync every 500ms or when time multiplier is high
@@ -625,9 +1796,9 @@ class App {
       this.stats.lastWorkerTimeSync = now;
     }
 
-    // Update ground station positions to rotate with Earth
+    // Place ground stations for the simulation time (same Earth orientation as the globe)
     for (const station of this.groundStations) {
-      station.updateWithEarthRotation(this.earth.getMesh());
+      station.updatePosition(this.timeController.current);
     }
 
     // Update camera follow using delta-based tracking
@@ -655,25 +1826,41 @@ class App {
       this.lineOfSight.update(this.groundStations, []);
     }
 
-    // Update selected info panel if a ground station is selected
+    // Update the selected ground station's readouts in place
     // Throttled to 10 updates per second (every 100ms) for performance
     if (this.selectedObject instanceof GroundStation) {
       if (now - this.stats.lastInfoUpdateTime >= 100) {
-        this.updateSelectedInfo();
+        this.updateStationReadout();
         this.stats.lastInfoUpdateTime = now;
       }
     }
 
+    // GNSS DOP readout and global overlay
+    this.dopPanel.update(now);
+
     // Update satellite trail, ground track, and orbit line if a satellite is selected
     if (this.selectedObject && this.selectedObject.mesh) {
+      if (now - this.stats.lastPositionReadoutTime >= 100) {
+        this.updatePositionReadout();
+        this.updateEclipseReadout();
+        this.lookPanel.update(this.selectedObject);
+        this.stats.lastPositionReadoutTime = now;
+      }
+
       this.satelliteTrail.update(this.timeController.current);
       this.groundTrack.update(this.timeController.current);
+      this.updateFootprint();
 
       // Refresh orbit line if simulation time has drifted significantly from orbit epoch
       // This keeps orbit line synchronized with ground track during time warp
       if (this.satelliteManager && this.selectedObject.orbitLine) {
         this.satelliteManager.updateOrbitLineIfNeeded(this.selectedObject, this.timeController.current);
       }
+      for (const ghost of this.whatIfSatellites) {
+        if (ghost.orbitLine && ghost !== this.selectedObject) {
+          this.satelliteManager.updateOrbitLineIfNeeded(ghost, this.timeController.current);
+        }
+      }
     }
 
     // Sync satellite positions to GPU (InstancedMesh)
@@ -683,6 +1870,10 @@ class App {
       this.satelliteManager.syncToGPU();
     }
 
+    // Orbit rings follow the visible satellites, and the camera distance for their detail
+    this.orbitRings.update(this.satellites, sat => this.isSatelliteVisible(sat),
+      this.timeController.current, this.settings.propagationModel, this.camera);
+
     // Render scene with extreme distance handling
     this.render();
   }
@@ -708,6 +1899,76 @@ class App {
     }
   }
 
+  /**
+   * Point the sunlight and the Earth's night side at the Sun and move the Moon
+   * @param {Date} date - Simulation time
+   */
+  updateCelestialBodies(date) {
+    const sun = sunDirection(date);
+    temeToScene(sun.x, sun.y, sun.z, this._sunDirection);
+
+    this.sunLight.position.copy(this._sunDirection);
+    this.earth.setSunDirection(this._sunDirection);
+    this.moon.update(date);
+  }
+
+  /**
+   * Show the UT1-UTC in use at the simulation time, with the rest of the
+   * Earth orientation in the tooltip
+   */
+  updateEarthOrientationDisplay() {
+    const element = document.getElementById('ut1-utc');
+    if (!element || !this.earthOrientation) return;
+
+    const eop = this.earthOrientation.at(this.timeController.current);
+    const span = this.earthOrientation.getSpan();
+
+    if (!span) {
+      element.textContent = 'UT1=UTC';
+      element.title = `No finals2000A data loaded (UT1 = UTC, no polar motion). TAI-UTC ${eop.taiMinusUtc} s`;
+      return;
+    }
+
+    const sign = eop.ut1MinusUtc < 0 ? '−' : '+';
+    element.textContent = `${sign}${Math.abs(eop.ut1MinusUtc).toFixed(4)} s${eop.predicted ? ' P' : ''}`;
+    element.title = [
+      `UT1-UTC ${eop.ut1MinusUtc.toFixed(7)} s${eop.predicted ? ' (predicted)' : ''}`,
+      `Polar motion x ${eop.xp.toFixed(6)}″  y ${eop.yp.toFixed(6)}″`,
+      `TAI-UTC ${eop.taiMinusUtc} s`,
+      `${this.earthOrientation.sources[EOP_FILE_TYPES.FINALS]}: ` +
+        `${span.start.toISOString().slice(0, 10)} to ${span.end.toISOString().slice(0, 10)}` +
+        (eop.inRange ? '' : ' (simulation time outside - end values held)')
+    ].join('\n');
+  }
+
+  /**
+   * Replace the Earth orientation data with a finals2000A file or leap second table
+   * @param {string} text - File contents
+   * @param {string} [filename]
+   * @returns {{success: boolean, message: string}}
+   */
+  loadEarthOrientationFile(text, filename = 'file') {
+    let type;
+    try {
+      type = this.earthOrientation.load(text, filename);
+    } catch (error) {
+      return { success: false, message: `Failed to read Earth orientation data: ${error.message}` };
+    }
+
+    this.updateEarthOrientationDisplay();
+
+    if (type === EOP_FILE_TYPES.LEAP_SECONDS) {
+      const last = this.earthOrientation.leapSeconds[this.earthOrientation.leapSeconds.length - 1];
+      return { success: true, message: `Loaded leap second table (TAI-UTC ${last.taiMinusUtc} s)` };
+    }
+    const span = this.earthOrientation.getSpan();
+    return {
+      success: true,
+      message: `Loaded Earth orientation for ${span.start.toISOString().slice(0, 10)} to ` +
+        `${span.end.toISOString().slice(0, 10)}`
+    };
+  }
+
   onWindowResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
@@ -725,6 +1986,11 @@ class App {
 
     raycaster.setFromCamera(mousePosition, this.camera);
 
+    // A click that sets the GNSS DOP location selects nothing
+    if (this.dopPanel.pick(raycaster)) {
+      return;
+    }
+
     // Get all selectable objects (use hitboxes for satellites for easier clicking)
     const selectableObjects = [
       ...this.satellites.map(sat => sat.hitbox),
@@ -744,20 +2010,12 @@ class App {
 
       // Toggle selection if clicking the same object, otherwise select new
       if (this.selectedObject === newSelection) {
-        // Clicking same object deselects it
+        // Clicking same object deselects it (SGP4 priority follows in updateSelectedInfo)
         this.selectedObject = null;
         this.updateSelectedInfo();
-        // Clear SGP4 priority when deselecting
-        if (this.sgp4Worker) {
-          this.sgp4Worker.postMessage({ type: 'setSGP4Priority', data: { index: -1 } });
-        }
       } else {
         this.selectedObject = newSelection;
         this.updateSelectedInfo();
-        // Set SGP4 priority for selected satellite (for accurate position data)
-        if (this.sgp4Worker && newSelection && newSelection.workerIndex !== undefined) {
-          this.sgp4Worker.postMessage({ type: 'setSGP4Priority', data: { index: newSelection.workerIndex } });
-        }
       }
     }
     // No click-away deselection - require clicking the object again to deselect
@@ -796,9 +2054,15 @@ class App {
             type: 'satellite',
             name: hoveredObject.tleData.name,
             objectType: hoveredObject.type,
-            altitude: hoveredObject.orbit.altitude,
+            regime: getRegimeLabel(hoveredObject.regime),
+            altitude: this.getAltitude(hoveredObject),
             period: hoveredObject.orbit.period,
-            inclination: hoveredObject.orbit.inclination
+            inclination: hoveredObject.orbit.inclination,
+            accuracy: this.formatPositionAccuracy(hoveredObject),
+            eclipse: this.formatWorkerEclipseState(hoveredObject),
+            propagationStatus: this.getPropagationStatus(hoveredObject) !== PROPAGATION_STATUS.OK
+              ? this.formatPropagationStatus(hoveredObject)
+              : null
           };
         } else if (hoveredObject.lat !== undefined) {
           const visibleCount = this.lineOfSight.getVisibleSatellitesFor(
@@ -810,6 +2074,7 @@ class App {
             name: hoveredObject.name,
             lat: hoveredObject.lat,
             lon: hoveredObject.lon,
+            elevationLimit: this.formatElevationLimit(hoveredObject),
             visibleCount: visibleCount
           };
         }
@@ -841,6 +2106,9 @@ class App {
       this.satelliteManager.removeOrbitLine(this._lastSelectedSatellite);
     }
 
+    // Indices in view of a selected ground station (filled in below)
+    let losIndices = [];
+
     if (this.selectedObject) {
       let html = '';
 
@@ -852,7 +2120,16 @@ class App {
         let tleAgeStr = '—';
         let tleAgeClass = '';
         let tleAgeDays = 0;
-        if (sat.satrec) {
+        let healthLabel = 'TLE';
+        if (sat.ephemeris) {
+          // Imported ephemeris: report coverage instead of TLE age
+          const { times } = sat.ephemeris;
+          const simTime = this.timeController.current.getTime();
+          const inSpan = simTime >= times[0] && simTime <= times[times.length - 1];
+          healthLabel = 'Ephemeris';
+          tleAgeStr = inSpan ? 'in span' : 'outside span';
+          tleAgeClass = inSpan ? 'tle-good' : 'tle-stale';
+        } else if (sat.satrec) {
           // Convert epoch to Date
           const epochYear = sat.satrec.epochyr < 57 ? 2000 + sat.satrec.epochyr : 1900 + sat.satrec.epochyr;
           const epochDate = new Date(epochYear, 0, 1);
@@ -881,32 +2158,62 @@ class App {
         }
 
         // Get eccentricity from satrec
-        const eccentricity = sat.satrec ? sat.satrec.ecco : 0;
+        const eccentricity = sat.satrec ? sat.satrec.ecco : sat.orbit.eccentricity;
 
         html += `<div class="object-name">${sat.tleData.name}</div>`;
-        html += `<div class="object-type">Satellite • ${sat.type}</div>`;
+        html += `<div class="object-type">Satellite • ${sat.type} • ${getRegimeLabel(sat.regime)}</div>`;
 
         // TLE Health indicator
         html += `<div class="tle-health ${tleAgeClass}">`;
         html += `<span class="material-icons" style="font-size: 14px;">schedule</span>`;
-        html += `<span>TLE: ${tleAgeStr}</span>`;
+        html += `<span>${healthLabel}: ${tleAgeStr}</span>`;
         html += `</div>`;
 
         // Orbital parameters
         html += `<div class="spec-grid">`;
         html += `<span class="spec-label">Period</span><span class="spec-value">${sat.orbit.period.toFixed(2)} min</span>`;
-        html += `<span class="spec-label">Altitude</span><span class="spec-value">${sat.orbit.altitude.toFixed(0)} km</span>`;
+        html += `<span class="spec-label">Altitude</span><span class="spec-value" id="selected-altitude">${this.getAltitude(sat).toFixed(0)} km</span>`;
         html += `<span class="spec-label">Inclination</span><span class="spec-value">${sat.orbit.inclination.toFixed(2)}°</span>`;
         html += `<span class="spec-label">Eccentricity</span><span class="spec-value">${eccentricity.toFixed(4)}</span>`;
+        html += `<span class="spec-label">Accuracy</span><span class="spec-value" id="selected-accuracy">${this.formatPositionAccuracy(sat)}</span>`;
+        const statusClass = this.getPropagationStatus(sat) !== PROPAGATION_STATUS.OK ? ' status-problem' : '';
+        html += `<span class="spec-label">Propagation</span><span class="spec-value${statusClass}" id="selected-propagation-status">${this.formatPropagationStatus(sat)}</span>`;
+        html += `<span class="spec-label">Eclipse</span><span class="spec-value" id="selected-eclipse">${ECLIPSE_STATE_LABELS[this.getSelectedEclipseState(sat)]}</span>`;
+        if (sat.maneuver) {
+          const { deltaV, frame, epoch } = sat.maneuver;
+          html += `<span class="spec-label">Burn</span><span class="spec-value">${Math.hypot(...deltaV).toFixed(1)} m/s ${frame}</span>`;
+          html += `<span class="spec-label">Burn Epoch</span><span class="spec-value">${epoch.toISOString().substring(0, 19)}Z</span>`;
+        }
+        html += `</div>`;
+
+        // Live position in the frame picked by the user
+        const frameOptions = Object.values(FRAMES)
+          .map(frame => `<option value="${frame}"${frame === this.settings.positionFrame ? ' selected' : ''}>${FRAME_LABELS[frame]}</option>`)
+          .join('');
+        html += `<div class="position-readout">`;
+        html += `<select id="position-frame" class="hud-select">${frameOptions}</select>`;
+        html += `<div class="spec-grid" id="selected-position">${this.formatPositionReadout(sat)}</div>`;
         html += `</div>`;
 
-        // Show position jump toast on new satellite selection
-        // The Keplerian→SGP4 propagation switch causes visible position shift
+        // Upcoming passes through the Earth's shadow
+        html += `<div class="eclipse-schedule">`;
+        html += `<div class="readout-title">ECLIPSES (NEXT ${ECLIPSE_WINDOW_HOURS} H)</div>`;
+        html += `<div class="spec-grid" id="selected-eclipses">${this.formatEclipseSchedule(sat)}</div>`;
+        html += `</div>`;
+
+        // Look angles and Doppler from a ground station
+        html += this.lookPanel.format(sat);
+
+        // Show position jump toast on new satellite selection, but only when the
+        // Keplerian→SGP4 switch actually moves it (not already SGP4, measurable drift)
         if (this._lastSelectedSatellite !== sat) {
-          this.toast.show(
-            `Position adjusted for selection. Switching from fast Keplerian to precise SGP4 propagation.`,
-            { type: 'info', duration: 4000, icon: 'sync_alt' }
-          );
+          const { tier, errorKm } = this.getPositionAccuracy(sat);
+          if (tier === 'kepler' && errorKm !== null && errorKm >= 1) {
+            this.toast.show(
+              `Position adjusted ~${errorKm.toFixed(0)} km for selection. Switching from fast Keplerian to precise SGP4 propagation.`,
+              { type: 'info', duration: 4000, icon: 'sync_alt' }
+            );
+          }
         }
 
         // Enable trail and ground track for selected satellite
@@ -920,7 +2227,11 @@ class App {
         const groundTrackToggle = document.getElementById('toggle-ground-track');
         const orbitToggle = document.getElementById('toggle-orbit-selected');
         const losToggle = document.getElementById('toggle-los-selected');
+        const watchToggle = document.getElementById('toggle-watch-selected');
 
+        if (watchToggle) {
+          watchToggle.checked = this.isWatched(sat);
+        }
         if (trailToggle) {
           this.satelliteTrail.toggleVisibility(trailToggle.checked);
         }
@@ -947,14 +2258,36 @@ class App {
         html += `<div class="object-name">${station.name}</div>`;
         html += `<div class="object-type">Ground Station</div>`;
 
-        // Count visible satellites
-        const visibleCount = this.lineOfSight.getVisibleSatellitesFor(station,
-          this.satellites.filter(s => this.isSatelliteVisible(s)));
+        // Satellites in view get full SGP4 accuracy while the station is selected
+        const visibleSats = this.getStationVisibleSatellites(station);
+        losIndices = visibleSats.map(s => s.workerIndex);
 
         html += `<div class="spec-grid">`;
         html += `<span class="spec-label">Latitude</span><span class="spec-value">${station.lat.toFixed(2)}°</span>`;
         html += `<span class="spec-label">Longitude</span><span class="spec-value">${station.lon.toFixed(2)}°</span>`;
-        html += `<span class="spec-label">Visible Sats</span><span class="spec-value">${visibleCount}</span>`;
+        html += `<span class="spec-label">Altitude</span><span class="spec-value">${(station.altitude * 1000).toFixed(0)} m WGS84</span>`;
+        html += `<span class="spec-label">Min Elevation</span><span class="spec-value"><input type="number" id="station-min-elevation" class="form-input monospace spec-input" min="0" max="90" step="1" value="${station.minElevation}">°</span>`;
+        html += `<span class="spec-label">Horizon Mask</span><span class="spec-value">${this.formatHorizonMask(station)}</span>`;
+        html += `<span class="spec-label">Visible Sats</span><span class="spec-value" id="station-visible-count">${visibleSats.length}</span>`;
+        html += `</div>`;
+        html += `<div class="mask-controls">`;
+        html += `<button class="btn" id="station-mask-load" title="Load an azimuth,elevation CSV"><span class="material-icons">terrain</span> LOAD MASK</button>`;
+        if (station.horizonMask) {
+          html += `<button class="btn" id="station-mask-clear" title="Remove the horizon mask"><span class="material-icons">clear</span></button>`;
+        }
+        html += `</div>`;
+
+        // Upcoming passes over the station's elevation limit; rows jump the clock to AOS
+        html += this.passPanel.format();
+
+        // Coverage for a satellite at a chosen altitude
+        html += `<div class="coverage-controls">`;
+        html += `<div class="readout-title">COVERAGE</div>`;
+        html += `<label class="toggle-row"><span>Show Coverage</span><input type="checkbox" id="station-coverage"${station.showCoverage ? ' checked' : ''}><span class="toggle-switch"></span></label>`;
+        html += `<div class="spec-grid">`;
+        html += `<span class="spec-label">Sat Altitude</span><span class="spec-value"><input type="number" id="station-coverage-altitude" class="form-input monospace spec-input" min="100" step="50" value="${station.coverageAltitude}"> km</span>`;
+        html += `<span class="spec-label">Ground Radius</span><span class="spec-value" id="station-coverage-radius">${this.formatCoverageRadius(station)}</span>`;
+        html += `</div>`;
         html += `</div>`;
 
         // Hide satellite-specific controls for ground stations
@@ -977,9 +2310,10 @@ class App {
       followControls.style.display = 'none';
       selectedObjectControls.style.display = 'none';
 
-      // Clear trail, ground track, and orbit line when deselecting
+      // Clear trail, ground track, footprint and orbit line when deselecting
       this.satelliteTrail.clearTrail();
       this.groundTrack.clearTrack();
+      this.footprint.setVisible(false);
 
       // Remove orbit line from previously selected satellite
       if (this._lastSelectedSatellite && this.satelliteManager) {
@@ -992,6 +2326,13 @@ class App {
     if (this.selectedObject && this.selectedObject.tleData) {
       this._lastSelectedSatellite = this.selectedObject;
     }
+    if (this.selectedObject instanceof GroundStation) {
+      this._lastSelectedStation = this.selectedObject;
+    }
+
+    this._losPriorityIndices = losIndices;
+    this.updateWhatIfOrbitLines();
+    this.refreshSGP4Priority();
   }
 
   toggleFollow() {
@@ -1008,10 +2349,13 @@ class App {
       ? '<span class="material-icons">videocam_off</span> STOP'
       : '<span class="material-icons">videocam</span> TRACK';
     followButton.classList.toggle('active', isNowFollowing);
+
+    this.refreshSGP4Priority();
   }
 
   resetCamera() {
     this.cameraController.reset();
+    this.refreshSGP4Priority();
 
     // Update button state
     const followButton = document.getElementById('toggle-follow');
@@ -1028,11 +2372,6 @@ class App {
     this.selectedObject = null;
     this.updateSelectedInfo();
 
-    // Clear SGP4 priority when deselecting
-    if (this.sgp4Worker) {
-      this.sgp4Worker.postMessage({ type: 'setSGP4Priority', data: { index: -1 } });
-    }
-
     // Reset follow button state
     const followButton = document.getElementById('toggle-follow');
     followButton.innerHTML = '<span class="material-icons">videocam</span> TRACK';
@@ -1053,8 +2392,18 @@ class App {
   toggleSatellites(visible) {
     this.settings.showSatellites = visible;
     for (const satellite of this.satellites) {
-      satellite.toggleVisibility(visible && this.isSatelliteTypeVisible(satellite.type));
+      satellite.toggleVisibility(visible && this.isSatelliteOrbitVisible(satellite));
     }
+    this.orbitRings.needsUpdate = true;
+  }
+
+  /**
+   * Show or hide the orbit rings of every visible satellite
+   * @param {boolean} visible
+   */
+  toggleOrbitRings(visible) {
+    this.settings.showOrbitRings = visible;
+    this.orbitRings.toggleVisibility(visible);
   }
 
   toggleOrbits(visible) {
@@ -1072,6 +2421,8 @@ class App {
         satellite.toggleOrbit(visible);
       }
     }
+
+    this.updateWhatIfOrbitLines();
   }
 
   toggleGroundStations(visible) {
@@ -1081,6 +2432,18 @@ class App {
     }
   }
 
+  /**
+   * Draw the globe as the WGS84 ellipsoid or as a sphere of the equatorial radius.
+   * Only the mesh changes; stations, tracks and visibility always use WGS84.
+   * @param {boolean} oblate
+   */
+  setOblateEarth(oblate) {
+    this.settings.oblateEarth = oblate;
+    this.earth.setOblate(oblate);
+    this.coveragePanel.setGeometry(this.earth.mesh.geometry);
+    this.dopPanel.setGeometry(this.earth.mesh.geometry);
+  }
+
   setupTimeControls() {
     // Play/Pause button
     const playPauseBtn = document.getElementById('time-play-pause');
@@ -1143,7 +2506,15 @@ class App {
   }
 
   resetTime() {
-    this.timeController.reset();
+    this.jumpToTime(new Date());
+  }
+
+  /**
+   * Move the simulation clock to a given time
+   * @param {Date|number} date
+   */
+  jumpToTime(date) {
+    this.timeController.setTime(date);
     this.updateClockDisplay();
 
     // Sync worker with new time
@@ -1201,17 +2572,46 @@ class App {
 
     for (const satellite of this.satellites) {
       if (satellite.type === type) {
-        satellite.toggleVisibility(visible && this.settings.showSatellites);
+        satellite.toggleVisibility(this.settings.showSatellites && this.isSatelliteOrbitVisible(satellite));
+      }
+    }
+    this.orbitRings.needsUpdate = true;
+  }
+
+  /**
+   * Show or hide one orbit regime within its class
+   * @param {string} regime - ORBIT_REGIMES id
+   * @param {boolean} visible
+   */
+  toggleSatelliteRegime(regime, visible) {
+    this.settings.satelliteRegimes[regime] = visible;
+
+    for (const satellite of this.satellites) {
+      if (satellite.regime === regime) {
+        satellite.toggleVisibility(this.settings.showSatellites && this.isSatelliteOrbitVisible(satellite));
       }
     }
+    this.orbitRings.needsUpdate = true;
   }
 
   isSatelliteTypeVisible(type) {
     return this.settings.satelliteTypes[type] || false;
   }
 
+  /**
+   * Whether a satellite's orbit class and regime filters are both on, and its plane isn't hidden
+   * @param {Object} satellite
+   * @returns {boolean}
+   */
+  isSatelliteOrbitVisible(satellite) {
+    const planeHidden = this.structurePanel.getHidden();
+    return this.isSatelliteTypeVisible(satellite.type) &&
+      (this.settings.satelliteRegimes[satellite.regime] || false) &&
+      !(planeHidden && planeHidden[satellite.workerIndex]);
+  }
+
   isSatelliteVisible(satellite) {
-    return this.settings.showSatellites && this.isSatelliteTypeVisible(satellite.type);
+    return this.settings.showSatellites && this.isSatelliteOrbitVisible(satellite);
   }
 
   render() {
@@ -1226,8 +2626,8 @@ class App {
   }
 
   // Search methods
-  searchObjects(query, type = 'all') {
-    return this.searchManager.search(query, type);
+  searchObjects(query, type = 'all', orbit = 'all') {
+    return this.searchManager.search(query, type, orbit);
   }
 
   selectObject(object) {
@@ -1337,6 +2737,7 @@ class App {
 
       // Add to satellites array
       this.satellites.push(sat);
+      this.orbitRings.needsUpdate = true;
 
       // Update the SGP4 worker with the new satellite
       if (this.sgp4Worker) {
@@ -1364,6 +2765,206 @@ class App {
     }
   }
 
+  /**
+   * Import satellites from an ephemeris file (CCSDS OEM or CSV state vectors).
+   * Each object becomes a satellite interpolated from its states in the worker.
+   * @param {string} text - File contents
+   * @param {string} [filename] - Used to name CSV objects without an object_name column
+   * @returns {{success: boolean, message: string, satellites?: Array, outsideSpan?: number}}
+   *   outsideSpan counts objects whose ephemeris doesn't cover the current simulation time
+   */
+  importEphemerisFile(text, filename = '') {
+    let ephemerides;
+    try {
+      ephemerides = parseEphemerisFile(text, filename);
+    } catch (error) {
+      return { success: false, message: `Failed to read ephemeris: ${error.message}` };
+    }
+
+    const satellites = ephemerides.map(ephemeris => this.addEphemerisSatellite(ephemeris));
+    const simTime = this.timeController.current.getTime();
+    const outside = ephemerides.filter(e => simTime < e.times[0] || simTime > e.times[e.times.length - 1]);
+
+    let message = `Imported ${satellites.length} object(s) from ephemeris`;
+    if (outside.length > 0) {
+      const first = ephemerides[0];
+      message += `. Simulation time is outside the span of ${outside.length} - ` +
+        `${first.name} covers ${new Date(first.times[0]).toISOString()} to ` +
+        `${new Date(first.times[first.times.length - 1]).toISOString()}`;
+    }
+
+    return { success: true, message, satellites, outsideSpan: outside.length };
+  }
+
+  /**
+   * Add a satellite that plays back an imported ephemeris
+   * @param {Object} ephemeris - From parseEphemerisFile
+   * @returns {Object} The satellite object
+   */
+  addEphemerisSatellite(ephemeris) {
+    // Classify the orbit from the state nearest the simulation time
+    const { times } = ephemeris;
+    const simTime = this.timeController.current.getTime();
+    const sampleTime = Math.min(Math.max(simTime, times[0]), times[times.length - 1]);
+    const state = interpolateEphemeris(ephemeris, sampleTime);
+    const orbitParams = getOrbitParamsFromState(state.position, state.velocity);
+
+    // tleData carries the ephemeris to the worker in place of TLE lines
+    const tleData = { name: ephemeris.name, ephemeris };
+    const workerIndex = this.satellites.length;
+
+    const sat = this.satelliteManager.addSatellite(tleData, workerIndex, null, orbitParams);
+    sat.ephemeris = ephemeris;
+    this.satellites.push(sat);
+    this.orbitRings.needsUpdate = true;
+
+    if (this.sgp4Worker) {
+      this.sgp4Worker.postMessage({
+        type: 'addSatellite',
+        data: { satellite: tleData, index: workerIndex }
+      });
+    }
+
+    document.getElementById('satellite-count').textContent = this.satellites.length;
+    return sat;
+  }
+
+  /**
+   * State of the selected satellite at a burn epoch
+   * @private
+   * @param {Date} epoch
+   * @returns {{state?: Object, message?: string}}
+   */
+  _maneuverState(epoch) {
+    const sat = this.selectedObject;
+    if (!sat || !sat.tleData) {
+      return { message: 'No satellite selected' };
+    }
+    if (!(epoch instanceof Date) || !Number.isFinite(epoch.getTime())) {
+      return { message: 'Invalid burn epoch' };
+    }
+
+    const state = propagateSatellite(sat, epoch);
+    if (!state) {
+      return { message: `No state for ${sat.tleData.name} at the burn epoch` };
+    }
+    return { state };
+  }
+
+  /**
+   * Size the first burn of a Hohmann transfer from the selected satellite to a
+   * circular orbit at the target altitude
+   * @param {Date} epoch - Burn time
+   * @param {number} targetAltitude - km
+   * @param {string} frame - MANEUVER_FRAMES value for the returned components
+   * @returns {{success: boolean, deltaV?: number[], message: string}} deltaV in m/s
+   */
+  sizeAltitudeChange(epoch, targetAltitude, frame) {
+    const { state, message } = this._maneuverState(epoch);
+    if (!state) return { success: false, message };
+
+    try {
+      const { deltaV, secondBurn, transferTime } = getAltitudeChangeBurn(state, targetAltitude, frame);
+      return {
+        success: true,
+        deltaV,
+        message: `Hohmann: ${Math.hypot(...deltaV).toFixed(1)} m/s now, then ` +
+          `${Math.abs(secondBurn).toFixed(1)} m/s to circularize ${(transferTime / 60).toFixed(1)} min later`
+      };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Size a plane change that takes the selected satellite to the target inclination
+   * @param {Date} epoch - Burn time
+   * @param {number} targetInclination - degrees
+   * @param {string} frame - MANEUVER_FRAMES value for the returned components
+   * @returns {{success: boolean, deltaV?: number[], message: string}} deltaV in m/s
+   */
+  sizeInclinationChange(epoch, targetInclination, frame) {
+    const { state, message } = this._maneuverState(epoch);
+    if (!state) return { success: false, message };
+
+    try {
+      const { deltaV, magnitude } = getInclinationChangeBurn(state, targetInclination, frame);
+      const { x, y, z } = state.velocity;
+      const change = (targetInclination - this.selectedObject.orbit.inclination) * Math.PI / 180;
+      return {
+        success: true,
+        deltaV,
+        message: `Plane change: ${magnitude.toFixed(1)} m/s ` +
+          `(${planeChangeDeltaV(Math.hypot(x, y, z), change).toFixed(1)} m/s at a node)`
+      };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Create a what-if satellite from the selected satellite after an impulsive burn.
+   * The post-burn orbit is sampled into an ephemeris and drawn with a ghost orbit
+   * line while it or its parent is selected.
+   * @param {Object} options
+   * @param {Date} options.epoch - Burn time
+   * @param {string} options.frame - MANEUVER_FRAMES value
+   * @param {number[]} options.deltaV - m/s in the frame's axis order
+   * @returns {{success: boolean, message: string, satellite?: Object}}
+   */
+  planManeuver({ epoch, frame, deltaV }) {
+    if (deltaV.some(component => !Number.isFinite(component))) {
+      return { success: false, message: 'Delta-v components must be numbers' };
+    }
+
+    const { state, message } = this._maneuverState(epoch);
+    if (!state) return { success: false, message };
+
+    const parent = this.selectedObject;
+    let ephemeris;
+    let apsides;
+    try {
+      const postBurn = applyImpulsiveBurn(state, deltaV, frame);
+      apsides = getApsisAltitudes(postBurn);
+      ephemeris = generateManeuverEphemeris(postBurn, epoch.getTime(), {
+        name: `${parent.tleData.name} (WHAT-IF)`
+      });
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    const sat = this.addEphemerisSatellite(ephemeris);
+    sat.maneuver = { parent, epoch, frame, deltaV: [...deltaV] };
+    this.whatIfSatellites.push(sat);
+    this.updateWhatIfOrbitLines();
+
+    return {
+      success: true,
+      message: `Created ${ephemeris.name}: ${Math.hypot(...deltaV).toFixed(1)} m/s, ` +
+        `perigee ${apsides.perigee.toFixed(0)} km, apogee ${apsides.apogee.toFixed(0)} km`,
+      satellite: sat
+    };
+  }
+
+  /**
+   * Show the ghost orbit lines of what-if satellites whose parent is selected,
+   * and remove the others (a selected what-if draws its own line)
+   */
+  updateWhatIfOrbitLines() {
+    if (!this.satelliteManager) return;
+
+    for (const ghost of this.whatIfSatellites) {
+      if (ghost === this.selectedObject) continue;
+
+      const show = this.settings.showOrbits && ghost.maneuver.parent === this.selectedObject;
+      if (show && !ghost.orbitLine) {
+        this.satelliteManager.createOrbitLine(ghost, this.timeController.current);
+      } else if (!show && ghost.orbitLine) {
+        this.satelliteManager.removeOrbitLine(ghost);
+      }
+    }
+  }
+
   /**
    * Parse a full TLE string (3 lines) into components
    * @param {string} fullTLE - Full TLE text with name and two TLE lines
@@ -0,0 +1,108 @@
+/**
+ * Sun and Moon Ephemeris
+ *
+ * Low-precision analytic positions (Astronomical Almanac series, as given in
+ * Vallado's Fundamentals of Astrodynamics): about 0.01° for the Sun and 0.3°
+ * for the Moon over 1950-2050 - plenty for lighting, eclipses and visibility.
+ *
+ * Results are geocentric, in the mean-equator-of-date frame, which is TEME to
+ * well within that accuracy. Positions are km.
+ */
+
+import { julianDate } from './frames.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const J2000_JD = 2451545.0;
+
+export const AU = 149597870.7;              // km
+export const SUN_RADIUS = 696000;           // km
+export const MOON_RADIUS = 1737.4;          // km
+const EARTH_EQUATORIAL_RADIUS = 6378.137;   // km, the unit of the lunar parallax series
+
+function sinDeg(deg) {
+  return Math.sin(deg * DEG_TO_RAD);
+}
+
+function cosDeg(deg) {
+  return Math.cos(deg * DEG_TO_RAD);
+}
+
+// Julian centuries since J2000 (UT; the TT/UT difference is far below this accuracy)
+function centuries(date) {
+  return (julianDate(date) - J2000_JD) / 36525;
+}
+
+// Ecliptic longitude/latitude and distance → equatorial of date
+function eclipticToEquatorial(longitude, latitude, distance, t) {
+  const obliquity = 23.439291 - 0.0130042 * t;
+  const cosLat = cosDeg(latitude);
+  return {
+    x: distance * cosLat * cosDeg(longitude),
+    y: distance * (cosDeg(obliquity) * cosLat * sinDeg(longitude) - sinDeg(obliquity) * sinDeg(latitude)),
+    z: distance * (sinDeg(obliquity) * cosLat * sinDeg(longitude) + cosDeg(obliquity) * sinDeg(latitude))
+  };
+}
+
+/**
+ * Geocentric position of the Sun
+ * @param {Date|number} date - UTC
+ * @returns {{x: number, y: number, z: number}} TEME km
+ */
+export function sunPosition(date) {
+  const t = centuries(date);
+  const meanLongitude = 280.460 + 36000.771 * t;
+  const meanAnomaly = 357.5291092 + 35999.05034 * t;
+
+  const longitude = meanLongitude +
+    1.914666471 * sinDeg(meanAnomaly) +
+    0.019994643 * sinDeg(2 * meanAnomaly);
+  const distance = (1.000140612 -
+    0.016708617 * cosDeg(meanAnomaly) -
+    0.000139589 * cosDeg(2 * meanAnomaly)) * AU;
+
+  return eclipticToEquatorial(longitude, 0, distance, t);
+}
+
+/**
+ * Geocentric position of the Moon
+ * @param {Date|number} date - UTC
+ * @returns {{x: number, y: number, z: number}} TEME km
+ */
+export function moonPosition(date) {
+  const t = centuries(date);
+
+  const longitude = 218.32 + 481267.8813 * t +
+    6.29 * sinDeg(134.9 + 477198.85 * t) -
+    1.27 * sinDeg(259.2 - 413335.38 * t) +
+    0.66 * sinDeg(235.7 + 890534.23 * t) +
+    0.21 * sinDeg(269.9 + 954397.70 * t) -
+    0.19 * sinDeg(357.5 + 35999.05 * t) -
+    0.11 * sinDeg(186.6 + 966404.05 * t);
+
+  const latitude =
+    5.13 * sinDeg(93.3 + 483202.03 * t) +
+    0.28 * sinDeg(228.2 + 960400.87 * t) -
+    0.28 * sinDeg(318.3 + 6003.18 * t) -
+    0.17 * sinDeg(217.6 - 407332.20 * t);
+
+  // Horizontal parallax gives the distance in Earth radii
+  const parallax = 0.9508 +
+    0.0518 * cosDeg(134.9 + 477198.85 * t) +
+    0.0095 * cosDeg(259.2 - 413335.38 * t) +
+    0.0078 * cosDeg(235.7 + 890534.23 * t) +
+    0.0028 * cosDeg(269.9 + 954397.70 * t);
+  const distance = EARTH_EQUATORIAL_RADIUS / sinDeg(parallax);
+
+  return eclipticToEquatorial(longitude, latitude, distance, t);
+}
+
+/**
+ * Unit vector from Earth's centre towards the Sun
+ * @param {Date|number} date - UTC
+ * @returns {{x: number, y: number, z: number}} TEME
+ */
+export function sunDirection(date) {
+  const { x, y, z } = sunPosition(date);
+  const r = Math.sqrt(x * x + y * y + z * z);
+  return { x: x / r, y: y / r, z: z / r };
+}
@@ -90,6 +90,26 @@ class CameraController {
     this.controls.enabled = true;
   }
 
+  /**
+   * Point the camera at a group of positions from outside their orbits, far
+   * enough out to see them all (stops following)
+   * @param {THREE.Vector3[]} points - Scene positions
+   */
+  frame(points) {
+    if (points.length === 0) return;
+    this.followTarget = null;
+
+    const centre = new THREE.Vector3();
+    points.forEach(point => centre.add(point));
+    centre.divideScalar(points.length);
+    const spread = Math.max(...points.map(point => point.distanceTo(centre)));
+
+    const distance = Math.max(2000, spread * 4);
+    this.camera.position.copy(centre).add(centre.clone().normalize().multiplyScalar(distance));
+    this.controls.target.copy(centre);
+    this.controls.update();
+  }
+
   /**
    * Reset camera to default position
    */
@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { orbitShell, shellsOverlap, createCoarseEphemeris, screenPair, findTca } from '../conjunction.js';
+import { temeToScene } from '../frames.js';
+import { propagateSatellite } from '../utils.js';
+
+// Largest coarse ephemeris (objects × samples) and pair count, closest
+// approaches kept, and ms of pair sweep per main-thread task
+const MAX_STATES = 1e6;
+const MAX_PAIRS = 2e6;
+const MAX_RESULTS = 500;
+const SLICE = 30;
+
+/**
+ * ConjunctionPanel - Close approaches between loaded objects (see conjunction.js)
+ * Screens the selected satellite against everything loaded, or a constellation
+ * all-vs-all, from coarse states off the workers; keeps the last screening and
+ * lists its conjunctions, each of which can be jumped to.
+ */
+class ConjunctionPanel {
+  constructor(app) {
+    this.app = app;
+
+    // Last screening:
+    // { target, label, start, hours, stepSeconds, threshold, objectCount, pairCount, conjunctions }
+    this.screening = null;
+  }
+
+  /**
+   * What can be screened: the selected satellite against everything loaded,
+   * or all-vs-all within one loaded constellation
+   * @returns {Array<{id: string, name: string, count: number}>}
+   */
+  getTargets() {
+    const constellations = this.app.getLoadedConstellations();
+    return [
+      { id: 'selected', name: 'Selected vs all loaded', count: this.app.satellites.length },
+      ...constellations.map(t => ({ ...t, name: `${t.name}, all-vs-all` }))
+    ];
+  }
+
+  /**
+   * Find close approaches over a window from the simulation time
+   * @param {Object} options
+   * @param {string} options.target - 'selected' or a loaded constellation ID (all-vs-all)
+   * @param {number} options.hours - Window length
+   * @param {number} options.stepSeconds - Coarse step; must be well under the orbital periods
+   * @param {number} options.threshold - Largest miss distance reported, km
+   * @param {function(number): void} [onProgress] - Fraction done, 0 to 1
+   * @returns {Promise<Object>} The screening (see screening); conjunctions are
+   *   {primary, secondary, tca, missDistance, relativeSpeed} by TCA
+   * @throws {Error} Without objects to screen, or with too many for the window
+   */
+  async run({ target, hours, stepSeconds, threshold }, onProgress) {
+    const { app } = this;
+    if (!(hours > 0) || !(stepSeconds > 0) || !(threshold > 0)) {
+      throw new Error('Invalid screening settings');
+    }
+
+    // A what-if orbit starts on its parent's: that pair isn't a conjunction
+    const related = (a, b) => (a.maneuver && a.maneuver.parent === b) || (b.maneuver && b.maneuver.parent === a);
+
+    // Apogee/perigee filter, pairs as object indices [a0, b0, a1, b1, ...]
+    let objects;
+    let pairs;
+    let label;
+    if (target === 'selected') {
+      const primary = app.selectedObject;
+      if (!primary || !primary.tleData) {
+        throw new Error('Select a satellite to screen');
+      }
+      const shell = orbitShell(primary.orbit);
+      const others = app.satellites.filter(sat =>
+        sat !== primary && !related(primary, sat) && shellsOverlap(shell, orbitShell(sat.orbit), threshold));
+      objects = [primary, ...others];
+      pairs = others.flatMap((_, j) => [0, j + 1]);
+      label = `${primary.tleData.name} vs all`;
+    } else {
+      const chosen = this.getTargets().find(t => t.id === target);
+      objects = app.satellites.filter(sat => sat.constellationId === target);
+      if (!chosen || objects.length < 2) {
+        throw new Error('Load a constellation to screen');
+      }
+      if (objects.length * (objects.length - 1) / 2 > MAX_PAIRS) {
+        throw new Error('Too many pairs: screen a smaller constellation or a selected satellite');
+      }
+      const shells = objects.map(sat => orbitShell(sat.orbit));
+      pairs = [];
+      for (let a = 0; a < objects.length; a++) {
+        for (let b = a + 1; b < objects.length; b++) {
+          if (!related(objects[a], objects[b]) && shellsOverlap(shells[a], shells[b], threshold)) pairs.push(a, b);
+        }
+      }
+      label = chosen.name;
+    }
+
+    const start = app.timeController.current.getTime();
+    const samples = Math.floor(hours * 3600 / stepSeconds) + 1;
+    if (objects.length * samples > MAX_STATES) {
+      throw new Error('Too many objects for the window: use a shorter window or a longer step');
+    }
+
+    const times = Array.from({ length: samples }, (_, k) => start + k * stepSeconds * 1000);
+    const conjunctions = [];
+    if (pairs.length > 0) {
+      const result = await app.propagateAt(objects.map(sat => sat.workerIndex), times);
+      const ephemeris = createCoarseEphemeris(result.positions, result.velocities, samples, stepSeconds);
+
+      // Fine search on the full propagator (SGP4 or the imported ephemeris)
+      const stateOf = sat => time => propagateSatellite(sat, new Date(time));
+      let sliceStart = performance.now();
+      for (let n = 0; n < pairs.length; n += 2) {
+        const a = pairs[n];
+        const b = pairs[n + 1];
+        for (const k of screenPair(ephemeris, a, b, threshold)) {
+          const tca = findTca(stateOf(objects[a]), stateOf(objects[b]), times[k], times[k + 1]);
+          if (tca && tca.missDistance <= threshold) {
+            conjunctions.push({
+              primary: objects[a],
+              secondary: objects[b],
+              tca: new Date(tca.time),
+              missDistance: tca.missDistance,
+              relativeSpeed: tca.relativeSpeed
+            });
+          }
+        }
+
+        // Sliced so the globe keeps rendering through a long sweep
+        if (performance.now() - sliceStart > SLICE) {
+          if (onProgress) onProgress((n + 2) / pairs.length);
+          await new Promise(resolve => setTimeout(resolve, 0));
+          sliceStart = performance.now();
+        }
+      }
+    }
+
+    // Keep the closest, listed by TCA
+    conjunctions.sort((x, y) => x.missDistance - y.missDistance);
+    conjunctions.length = Math.min(conjunctions.length, MAX_RESULTS);
+    conjunctions.sort((x, y) => x.tca - y.tca);
+
+    this.screening = {
+      target,
+      label,
+      start: new Date(start),
+      hours,
+      stepSeconds,
+      threshold,
+      objectCount: objects.length,
+      pairCount: pairs.length / 2,
+      conjunctions
+    };
+    return this.screening;
+  }
+
+  /**
+   * Rows for the last screening's conjunctions
+   * @returns {{summary: string, list: string}|null} Text and HTML, null without a screening
+   */
+  format() {
+    const screening = this.screening;
+    if (!screening) return null;
+
+    const { conjunctions } = screening;
+    const summary = `${screening.label} · ${screening.objectCount} objects, ${screening.pairCount} pairs · ` +
+      `${screening.hours} h from ${screening.start.toISOString().substring(0, 16).replace('T', ' ')} UTC · ` +
+      `≤${screening.threshold} km`;
+    if (conjunctions.length === 0) {
+      return { summary, list: `<div class="pass-empty">No approaches within ${screening.threshold} km</div>` };
+    }
+
+    const tca = date => `${date.toISOString().substring(5, 10)} ${date.toISOString().substring(11, 19)}`;
+    const speed = kms => (kms < 1 ? `${(kms * 1000).toFixed(1)} m/s` : `${kms.toFixed(2)} km/s`);
+    const list = conjunctions.map((c, i) =>
+      `<div class="pass-item" data-index="${i}" title="Jump to TCA">` +
+      `<div class="pass-head"><span class="pass-name">${c.primary.tleData.name} × ${c.secondary.tleData.name}</span>` +
+      `<span class="pass-max">${c.missDistance < 10 ? c.missDistance.toFixed(2) : c.missDistance.toFixed(1)} km</span></div>` +
+      `<div class="pass-times">TCA ${tca(c.tca)} · ${speed(c.relativeSpeed)}</div>` +
+      `</div>`
+    ).join('');
+    return { summary, list };
+  }
+
+  /**
+   * Jump the clock to a conjunction's TCA (paused), select the primary and frame both objects
+   * @param {number} index - Into screening.conjunctions
+   */
+  show(index) {
+    const { app } = this;
+    const conjunction = this.screening && this.screening.conjunctions[index];
+    if (!conjunction) return;
+
+    app.jumpToTime(conjunction.tca);
+    if (!app.timeController.isPaused) app.toggleTimePause();
+
+    app.selectedObject = conjunction.primary;
+    app.updateSelectedInfo();
+
+    // Frame the TCA states: the meshes catch up with the clock on the next worker tick
+    const points = [];
+    for (const sat of [conjunction.primary, conjunction.secondary]) {
+      const state = propagateSatellite(sat, conjunction.tca);
+      if (state) {
+        const { x, y, z } = state.position;
+        const p = temeToScene(x, y, z);
+        points.push(new THREE.Vector3(p.x, p.y, p.z));
+      }
+    }
+    app.cameraController.frame(points);
+    app.refreshSGP4Priority();
+
+    // Framing stops any follow
+    const followButton = document.getElementById('toggle-follow');
+    followButton.innerHTML = '<span class="material-icons">videocam</span> TRACK';
+    followButton.classList.remove('active');
+  }
+}
+
+export default ConjunctionPanel;
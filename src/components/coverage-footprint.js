@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+import { geodeticToVector3 } from '../utils.js';
+import { destinationPoint } from '../coverage.js';
+
+// Height the footprint is draped at, km: clears the spherical globe's poles too
+const DRAPE_HEIGHT = 25;
+const SEGMENTS = 90; // Azimuth steps around the edge
+const RINGS = 8;     // Steps from the centre out, so large footprints follow the curve
+
+/**
+ * CoverageFootprint - A coverage region draped over the globe
+ * Built in Earth-fixed coordinates as a child of the Earth mesh. Optionally adds
+ * the sky side: a cap at a satellite altitude and the walls joining it to an apex
+ * (the station), together bounding where such a satellite is in view.
+ */
+class CoverageFootprint {
+  /**
+   * @param {THREE.Object3D} parent - The Earth mesh (or the scene)
+   * @param {Object} [options]
+   * @param {number} [options.color=0x00ffff]
+   * @param {boolean} [options.sky=false] - Also draw the cap and walls
+   */
+  constructor(parent, { color = 0x00ffff, sky = false } = {}) {
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    parent.add(this.group);
+
+    this.ground = this.createSheet(color, 0.18);
+    this.outline = this.createOutline(color);
+
+    if (sky) {
+      this.cap = this.createSheet(color, 0.08);
+      this.walls = this.createWalls(color);
+    }
+  }
+
+  createSheet(color, opacity) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array((1 + RINGS * SEGMENTS) * 3), 3));
+
+    // Fan around the centre, then quads between rings
+    const indices = [];
+    for (let k = 0; k < SEGMENTS; k++) {
+      const next = (k + 1) % SEGMENTS;
+      indices.push(0, 1 + k, 1 + next);
+    }
+    for (let ring = 1; ring < RINGS; ring++) {
+      const inner = 1 + (ring - 1) * SEGMENTS;
+      const outer = 1 + ring * SEGMENTS;
+      for (let k = 0; k < SEGMENTS; k++) {
+        const next = (k + 1) % SEGMENTS;
+        indices.push(inner + k, outer + k, outer + next, inner + k, outer + next, inner + next);
+      }
+    }
+    geometry.setIndex(indices);
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    }));
+    mesh.frustumCulled = false; // Vertices are rewritten as the footprint moves
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  createOutline(color) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(SEGMENTS * 3), 3));
+
+    const line = new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.8
+    }));
+    line.frustumCulled = false;
+    this.group.add(line);
+    return line;
+  }
+
+  createWalls(color) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array((1 + SEGMENTS) * 3), 3));
+
+    const indices = [];
+    for (let k = 0; k < SEGMENTS; k++) {
+      indices.push(0, 1 + k, 1 + (k + 1) % SEGMENTS);
+    }
+    geometry.setIndex(indices);
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.06,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    }));
+    mesh.frustumCulled = false;
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  /**
+   * Reshape the footprint
+   * @param {number} lat - Centre, geodetic degrees
+   * @param {number} lon - Centre, degrees
+   * @param {number|function(number): number} angle - Central angle to the edge in
+   *   radians, or a function of azimuth (degrees) giving it
+   * @param {Object} [sky] - Required when built with sky: true
+   * @param {{lat: number, lon: number, altitude: number}} sky.apex - Where the walls meet
+   * @param {number} sky.altitude - Height of the cap, km
+   */
+  update(lat, lon, angle, sky = null) {
+    const angleAt = typeof angle === 'function' ? angle : () => angle;
+
+    // Ring points along each azimuth: [azimuth][ring] → {lat, lon}
+    const rays = [];
+    for (let k = 0; k < SEGMENTS; k++) {
+      const azimuth = k * 360 / SEGMENTS;
+      const edge = angleAt(azimuth);
+      const ray = [];
+      for (let ring = 1; ring <= RINGS; ring++) {
+        ray.push(destinationPoint(lat, lon, azimuth, edge * ring / RINGS));
+      }
+      rays.push(ray);
+    }
+
+    this.writeSheet(this.ground, lat, lon, rays, DRAPE_HEIGHT);
+
+    const outline = this.outline.geometry.attributes.position;
+    rays.forEach((ray, k) => {
+      const p = geodeticToVector3(ray[RINGS - 1].lat, ray[RINGS - 1].lon, DRAPE_HEIGHT);
+      outline.setXYZ(k, p.x, p.y, p.z);
+    });
+    outline.needsUpdate = true;
+
+    if (this.cap && sky) {
+      this.writeSheet(this.cap, lat, lon, rays, sky.altitude);
+
+      const walls = this.walls.geometry.attributes.position;
+      const apex = geodeticToVector3(sky.apex.lat, sky.apex.lon, sky.apex.altitude);
+      walls.setXYZ(0, apex.x, apex.y, apex.z);
+      rays.forEach((ray, k) => {
+        const p = geodeticToVector3(ray[RINGS - 1].lat, ray[RINGS - 1].lon, sky.altitude);
+        walls.setXYZ(1 + k, p.x, p.y, p.z);
+      });
+      walls.needsUpdate = true;
+    }
+  }
+
+  writeSheet(mesh, lat, lon, rays, altitude) {
+    const positions = mesh.geometry.attributes.position;
+    const centre = geodeticToVector3(lat, lon, altitude);
+    positions.setXYZ(0, centre.x, centre.y, centre.z);
+    rays.forEach((ray, k) => {
+      ray.forEach((point, ring) => {
+        const p = geodeticToVector3(point.lat, point.lon, altitude);
+        positions.setXYZ(1 + ring * SEGMENTS + k, p.x, p.y, p.z);
+      });
+    });
+    positions.needsUpdate = true;
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  dispose() {
+    this.group.parent?.remove(this.group);
+    this.group.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
+
+export default CoverageFootprint;
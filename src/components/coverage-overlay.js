@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+// Low → high (viridis)
+export const COVERAGE_COLORS = ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'];
+
+// Cells with no value (NaN), e.g. no GNSS fix
+export const COVERAGE_EMPTY_COLOR = '#e53935';
+
+const OVERLAY_SCALE = 1.002; // Just above the globe so it isn't lost in the depth buffer
+
+/**
+ * CoverageOverlay - A per-cell lat/lon grid painted over the globe
+ * One texel per cell on a shell sharing the Earth's geometry, so the cells
+ * land where the Earth texture's longitudes and latitudes are. Child of the
+ * Earth mesh so it turns with it.
+ */
+class CoverageOverlay {
+  /**
+   * @param {THREE.Mesh} earthMesh
+   * @param {Object} [options]
+   * @param {number} [options.scale=1.002] - Shell radius relative to the globe; overlays
+   *   shown together need different scales
+   */
+  constructor(earthMesh, { scale = OVERLAY_SCALE } = {}) {
+    this.canvas = document.createElement('canvas');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.magFilter = THREE.NearestFilter;
+    this.texture.minFilter = THREE.NearestFilter;
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+
+    this.mesh = new THREE.Mesh(earthMesh.geometry, new THREE.MeshBasicMaterial({
+      map: this.texture,
+      transparent: true,
+      opacity: 0.6,
+      depthWrite: false
+    }));
+    this.mesh.scale.setScalar(scale);
+    this.mesh.visible = false;
+    earthMesh.add(this.mesh);
+  }
+
+  /**
+   * Follow the globe's geometry when it is rebuilt (see Earth.setOblate)
+   * @param {THREE.BufferGeometry} geometry
+   */
+  setGeometry(geometry) {
+    this.mesh.geometry = geometry;
+  }
+
+  /**
+   * Paint cell values, row 0 at the north pole and column 0 at 180° W
+   * @param {ArrayLike<number>} values - [row][col]; NaN cells are painted COVERAGE_EMPTY_COLOR
+   * @param {number} rows
+   * @param {number} cols
+   * @param {number} min - Value shown in the first color
+   * @param {number} max - Value shown in the last color
+   */
+  paint(values, rows, cols, min, max) {
+    this.canvas.width = cols;
+    this.canvas.height = rows;
+    const context = this.canvas.getContext('2d');
+    const image = context.createImageData(cols, rows);
+    // sRGB bytes, blended the way the CSS legend gradient is
+    const toBytes = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const stops = COVERAGE_COLORS.map(toBytes);
+    const empty = toBytes(COVERAGE_EMPTY_COLOR);
+
+    for (let cell = 0; cell < rows * cols; cell++) {
+      image.data[cell * 4 + 3] = 255;
+      if (Number.isNaN(values[cell])) {
+        image.data.set(empty, cell * 4);
+        continue;
+      }
+      const t = max > min ? Math.max(0, Math.min(1, (values[cell] - min) / (max - min))) : 0;
+      const scaled = t * (stops.length - 1);
+      const k = Math.min(stops.length - 2, Math.floor(scaled));
+      const f = scaled - k;
+      for (let c = 0; c < 3; c++) {
+        image.data[cell * 4 + c] = Math.round(stops[k][c] + (stops[k + 1][c] - stops[k][c]) * f);
+      }
+    }
+
+    context.putImageData(image, 0, 0);
+    // A new canvas size needs a new GPU texture
+    this.texture.dispose();
+    this.texture.needsUpdate = true;
+    this.mesh.visible = true;
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.mesh.visible = visible;
+  }
+}
+
+export default CoverageOverlay;
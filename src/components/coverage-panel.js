@@ -0,0 +1,160 @@
+import CoverageOverlay, { COVERAGE_COLORS } from './coverage-overlay.js';
+import {
+  COVERAGE_METRICS,
+  createCoverageGrid,
+  coverageSampleCount,
+  summarizeCoverage,
+  globalMean
+} from '../workers/coverage-grid.js';
+
+// Largest sample array (cells × epochs, one byte each) a worker builds
+const MAX_SAMPLES = 50e6;
+
+// How each coverage statistic is labelled and scaled in the legend
+const METRIC_INFO = {
+  [COVERAGE_METRICS.PERCENT]: {
+    label: 'Time covered',
+    format: value => `${value.toFixed(value < 99.95 ? 1 : 0)}%`,
+    fixedMax: 100
+  },
+  [COVERAGE_METRICS.MAX_GAP]: {
+    label: 'Maximum gap',
+    format: value => (value < 7200 ? `${(value / 60).toFixed(0)} min` : `${(value / 3600).toFixed(1)} h`)
+  },
+  [COVERAGE_METRICS.MEAN_VISIBLE]: {
+    label: 'Mean visible',
+    format: value => value.toFixed(1)
+  }
+};
+
+/**
+ * CoveragePanel - Coverage heatmap of a set of satellites over a lat/lon grid
+ * The grid is sampled on the propagation workers (see coverage-grid.js); the
+ * panel keeps the last run, reduces it to per-cell statistics and paints one
+ * of them on the globe.
+ */
+class CoveragePanel {
+  constructor(app) {
+    this.app = app;
+
+    // Last run:
+    // { target, label, satelliteCount, start, hours, stepSeconds, minElevation, grid, statistics, metric }
+    this.analysis = null;
+
+    this.overlay = new CoverageOverlay(app.earth.mesh);
+  }
+
+  /**
+   * What a heatmap can be run for: everything loaded, or one loaded constellation
+   * @returns {Array<{id: string, name: string, count: number}>}
+   */
+  getTargets() {
+    const { app } = this;
+    return [{ id: 'all', name: 'All loaded', count: app.satellites.length }, ...app.getLoadedConstellations()];
+  }
+
+  /**
+   * Compute a heatmap from the simulation time and show it on the globe
+   * @param {Object} options
+   * @param {string} options.target - 'all' or a loaded constellation ID
+   * @param {number} options.hours - Window length
+   * @param {number} options.stepSeconds - Sampling step; gaps shorter than this may be missed
+   * @param {number} options.resolution - Grid cell size, degrees
+   * @param {number} options.minElevation - Degrees
+   * @param {function(number): void} [onProgress] - Fraction done, 0 to 1
+   * @returns {Promise<Object>} The analysis (see analysis)
+   * @throws {Error} If there is nothing to analyse or the grid is too fine for the window
+   */
+  async run({ target, hours, stepSeconds, resolution, minElevation }, onProgress) {
+    const { app } = this;
+    const chosen = this.getTargets().find(t => t.id === target);
+    const satellites = target === 'all'
+      ? app.satellites
+      : app.satellites.filter(sat => sat.constellationId === target);
+    if (!chosen || satellites.length === 0) {
+      throw new Error('Load a constellation to analyse');
+    }
+    if (!(hours > 0) || !(stepSeconds > 0) || !(resolution > 0) || !Number.isFinite(minElevation)) {
+      throw new Error('Invalid coverage settings');
+    }
+
+    const start = new Date(app.timeController.current);
+    const grid = createCoverageGrid(resolution);
+    const cellCount = grid.rows * grid.cols;
+    const samples = coverageSampleCount(start.getTime(), start.getTime() + hours * 3600000, stepSeconds);
+    if (samples * cellCount > MAX_SAMPLES) {
+      throw new Error('Grid too fine for the window: use larger cells, a longer step or fewer hours');
+    }
+
+    const counts = await app.coverageGrid(satellites, { start, hours, stepSeconds, resolution, minElevation }, onProgress);
+    if (!counts) {
+      throw new Error('No satellites to analyse');
+    }
+
+    this.analysis = {
+      target,
+      label: chosen.name,
+      satelliteCount: satellites.length,
+      start,
+      hours,
+      stepSeconds,
+      minElevation,
+      grid,
+      statistics: summarizeCoverage(counts, cellCount, stepSeconds),
+      metric: this.analysis ? this.analysis.metric : COVERAGE_METRICS.PERCENT
+    };
+    this.showMetric(this.analysis.metric);
+    return this.analysis;
+  }
+
+  /**
+   * Paint one statistic of the last run on the globe
+   * @param {string} metric - COVERAGE_METRICS value
+   * @returns {{label: string, gradient: string, min: string, max: string, mean: string, summary: string}|null}
+   *   Legend contents, null without a run
+   */
+  showMetric(metric) {
+    const analysis = this.analysis;
+    const info = METRIC_INFO[metric];
+    if (!analysis || !info) return null;
+
+    analysis.metric = metric;
+    const values = analysis.statistics[metric];
+    const { rows, cols } = analysis.grid;
+    let max = info.fixedMax;
+    if (max === undefined) {
+      max = 0;
+      for (const value of values) max = Math.max(max, value);
+    }
+    this.overlay.paint(values, rows, cols, 0, max);
+
+    return {
+      label: info.label,
+      gradient: `linear-gradient(to right, ${COVERAGE_COLORS.join(', ')})`,
+      min: info.format(0),
+      max: info.format(max),
+      mean: info.format(globalMean(analysis.grid, values)),
+      summary: `${analysis.label} (${analysis.satelliteCount}) · ${analysis.hours} h from ` +
+        `${analysis.start.toISOString().substring(0, 16).replace('T', ' ')} UTC · ` +
+        `${analysis.grid.resolution}° cells · ${analysis.stepSeconds} s · ≥${analysis.minElevation}°`
+    };
+  }
+
+  /**
+   * Remove the heatmap
+   */
+  clear() {
+    this.analysis = null;
+    this.overlay.setVisible(false);
+  }
+
+  /**
+   * Follow the globe's shape (see Earth.setOblate)
+   * @param {THREE.BufferGeometry} geometry
+   */
+  setGeometry(geometry) {
+    this.overlay.setGeometry(geometry);
+  }
+}
+
+export default CoveragePanel;
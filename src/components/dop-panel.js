@@ -0,0 +1,417 @@
+import * as THREE from 'three';
+import CoverageOverlay, { COVERAGE_COLORS, COVERAGE_EMPTY_COLOR } from './coverage-overlay.js';
+import { DOP_METRICS, MIN_SATELLITES, getDop, createDopGrid, dopGrid } from '../dop.js';
+import { createStation } from '../workers/pass-prediction.js';
+import { globalMean } from '../workers/coverage-grid.js';
+import { itrfToGeodetic, temeToItrf } from '../frames.js';
+import { propagateSatellite, radToDeg, geodeticToVector3 } from '../utils.js';
+
+// Constellations the DOP can use, plot sampling and the global overlay
+export const DOP_SYSTEMS = ['gps', 'glonass', 'galileo'];
+const PLOT_SAMPLES = 240;         // Epochs across the plot window
+const PLOT_MAX = 10;              // DOP at the top of the plot; larger values are clipped
+const OVERLAY_RESOLUTION = 5;     // Overlay cell size, degrees
+const OVERLAY_MAX = 6;            // DOP shown in the last legend color
+const READOUT_INTERVAL = 100;     // ms of real time between readout refreshes
+const OVERLAY_INTERVAL = 2000;    // ms of real time between overlay refreshes
+
+/**
+ * DopPanel - GNSS dilution of precision at a ground location (see dop.js)
+ * Keeps the panel's state, and draws its live readout, its plot over a window
+ * and a global overlay of one DOP on the globe. Satellites, time and Earth
+ * orientation come from the app.
+ */
+class DopPanel {
+  constructor(app) {
+    this.app = app;
+
+    this.enabled = false;
+    // Constellation IDs used (only loaded ones count)
+    this.systems = new Set(['gps']);
+    // Custom location, degrees; a GroundStation used instead, if set
+    this.lat = 0;
+    this.lon = 0;
+    this.station = null;
+    // Mask, degrees; a station's own limit and horizon mask also apply
+    this.minElevation = 5;
+    // Callback waiting for a click on the globe, or null
+    this.picking = null;
+    // { start, hours, samples (null while pending) }
+    this.plot = null;
+    // { metric, grid } while the global overlay is shown
+    this.overlay = null;
+
+    this.globeOverlay = new CoverageOverlay(app.earth.mesh, { scale: 1.003 });
+    this.marker = null;
+    this.lastReadoutTime = 0;
+    this.lastOverlayTime = 0;
+  }
+
+  /**
+   * GNSS constellations the DOP can use, and whether each is chosen and loaded
+   * @returns {Array<{id: string, name: string, selected: boolean, loaded: boolean}>}
+   */
+  getSystems() {
+    const presets = this.app.getAvailablePresets();
+    return DOP_SYSTEMS
+      .filter(id => presets.some(p => p.id === id))
+      .map(id => ({
+        id,
+        name: presets.find(p => p.id === id).name,
+        selected: this.systems.has(id),
+        loaded: this.app.loadedConstellations.has(id)
+      }));
+  }
+
+  /**
+   * Turn the readout (and the location marker) on or off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.picking = null;
+    if (!enabled) this.setOverlay(null);
+    this.updateMarker();
+  }
+
+  /**
+   * Use a constellation for the DOP, loading it if needed
+   * @param {string} id - Constellation ID
+   * @param {boolean} selected
+   * @returns {boolean} Whether the constellation is loaded
+   */
+  setSystem(id, selected) {
+    const { app } = this;
+    if (selected) {
+      this.systems.add(id);
+      if (!app.loadedConstellations.has(id)) app.loadConstellation(id);
+    } else {
+      this.systems.delete(id);
+    }
+    this.plot = null;
+    return app.loadedConstellations.has(id);
+  }
+
+  /**
+   * GNSS satellites the DOP uses: the loaded constellations among the chosen systems
+   * @returns {Object[]}
+   */
+  getSatellites() {
+    return this.app.satellites.filter(sat => this.systems.has(sat.constellationId));
+  }
+
+  /**
+   * Evaluate the DOP at a custom location
+   * @param {{lat: number, lon: number}} location - Degrees
+   */
+  setLocation({ lat, lon }) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+    this.lat = Math.max(-90, Math.min(90, lat));
+    this.lon = ((lon + 180) % 360 + 360) % 360 - 180;
+    this.station = null;
+    this.plot = null;
+    this.updateMarker();
+  }
+
+  /**
+   * Evaluate the DOP at a ground station, with its elevation limit and horizon mask
+   * @param {number} index - Index into the app's groundStations
+   */
+  setStation(index) {
+    const station = this.app.groundStations[index];
+    if (!station) return;
+    this.station = station;
+    this.lat = station.lat;
+    this.lon = station.lon;
+    this.plot = null;
+    this.updateMarker();
+  }
+
+  /**
+   * @param {number} elevation - Mask, degrees
+   */
+  setMinElevation(elevation) {
+    if (!Number.isFinite(elevation)) return;
+    this.minElevation = Math.max(0, Math.min(90, elevation));
+    this.plot = null;
+    if (this.overlay) this.setOverlay(this.overlay.metric);
+  }
+
+  /**
+   * Wait for a click on the globe to set the location
+   * @param {function({lat: number, lon: number}): void} onPick
+   */
+  armPick(onPick) {
+    this.picking = onPick;
+  }
+
+  /**
+   * Where the DOP is evaluated, with the elevation limit applied
+   * @returns {import('../workers/pass-prediction.js').Station}
+   */
+  getStation() {
+    const { station, minElevation } = this;
+    if (station) {
+      return createStation({
+        lat: station.lat,
+        lon: station.lon,
+        altitude: station.altitude,
+        minElevation: Math.max(minElevation, station.minElevation),
+        horizonMask: station.horizonMask
+      });
+    }
+    return createStation({ lat: this.lat, lon: this.lon, minElevation });
+  }
+
+  /**
+   * Marker on the globe at a custom location (stations mark themselves)
+   */
+  updateMarker() {
+    if (!this.marker) {
+      this.marker = new THREE.Mesh(
+        new THREE.OctahedronGeometry(40),
+        new THREE.MeshBasicMaterial({ color: 0xffab40 })
+      );
+      this.app.earth.mesh.add(this.marker);
+    }
+    const p = geodeticToVector3(this.lat, this.lon, 20);
+    this.marker.position.set(p.x, p.y, p.z);
+    this.marker.visible = this.enabled && !this.station;
+  }
+
+  /**
+   * DOP at the simulation time from the chosen GNSS satellites, propagated on the main thread
+   * @returns {{count: number, dop: import('../dop.js').Dop|null}}
+   */
+  getLiveDop() {
+    const date = this.app.timeController.current;
+    const positions = this.getSatellites().map(sat => {
+      const state = propagateSatellite(sat, date);
+      return state ? state.position : null;
+    });
+    return getDop(positions, this.getStation(), date, this.app.earthOrientation.at(date));
+  }
+
+  /**
+   * @returns {string} HTML for the live readout
+   */
+  formatReadout() {
+    const { count, dop } = this.getLiveDop();
+    const value = metric => (dop ? dop[metric].toFixed(2) : '—');
+    const outage = count < MIN_SATELLITES;
+
+    return `<div class="dop-row${outage ? ' dop-outage' : ''}"><span>In view</span>` +
+      `<span>${count}${outage ? ' · OUTAGE' : ''}</span></div>` +
+      Object.values(DOP_METRICS)
+        .map(metric => `<div class="dop-row"><span>${metric.toUpperCase()}</span><span>${value(metric)}</span></div>`)
+        .join('');
+  }
+
+  /**
+   * Refresh what runs with the clock: the readout and the plot's time marker
+   * (10 per second) and the global overlay (every couple of seconds)
+   * @param {number} now - performance.now()
+   */
+  update(now) {
+    if (this.enabled && now - this.lastReadoutTime >= READOUT_INTERVAL) {
+      this.updateReadout();
+      this.lastReadoutTime = now;
+    }
+    if (this.overlay && now - this.lastOverlayTime >= OVERLAY_INTERVAL) {
+      this.updateOverlay();
+      this.lastOverlayTime = now;
+    }
+  }
+
+  /**
+   * Refresh the live readout and the plot's time marker
+   */
+  updateReadout() {
+    const readout = document.getElementById('dop-readout');
+    if (readout) readout.innerHTML = this.formatReadout();
+
+    const plot = document.getElementById('dop-plot');
+    if (plot && this.plot) plot.innerHTML = this.formatPlot();
+  }
+
+  /**
+   * Sample the DOP over a window from the simulation time (positions from the worker)
+   * @param {number} hours - Window length
+   * @returns {Promise<Object>} The plot (see plot)
+   * @throws {Error} Without GNSS satellites or with an invalid window
+   */
+  async runPlot(hours) {
+    const { app } = this;
+    const satellites = this.getSatellites();
+    if (satellites.length === 0) {
+      throw new Error('Load a GNSS constellation');
+    }
+    if (!(hours > 0)) {
+      throw new Error('Invalid plot window');
+    }
+
+    const station = this.getStation();
+    const start = app.timeController.current.getTime();
+    const step = hours * 3600000 / (PLOT_SAMPLES - 1);
+    const times = Array.from({ length: PLOT_SAMPLES }, (_, j) => start + j * step);
+    const plot = { start, hours, samples: null };
+    this.plot = plot;
+
+    const result = await app.propagateAt(satellites.map(sat => sat.workerIndex), times);
+    const eop = app.earthOrientation.at(new Date(start));
+    const p = result.positions;
+    plot.samples = times.map((time, j) => {
+      const positions = satellites.map((_, i) => {
+        const o = (i * times.length + j) * 3;
+        return p[o] !== 0 || p[o + 1] !== 0 || p[o + 2] !== 0 ? { x: p[o], y: p[o + 1], z: p[o + 2] } : null;
+      });
+      return { time, ...getDop(positions, station, time, eop) };
+    });
+    return plot;
+  }
+
+  /**
+   * DOP over the plot window: one line per DOP, outages shaded, simulation time marked
+   * @returns {string} HTML (inline SVG, key and axis labels)
+   */
+  formatPlot() {
+    const plot = this.plot;
+    if (!plot) return '';
+    if (!plot.samples) return `<div class="pass-empty">Computing…</div>`;
+
+    const width = 240;
+    const height = 80;
+    const from = plot.start;
+    const to = from + plot.hours * 3600000;
+    const halfStep = (to - from) / (PLOT_SAMPLES - 1) / 2;
+    const x = time => Math.max(0, Math.min(width, ((time - from) / (to - from)) * width));
+    const y = value => height - (Math.min(value, PLOT_MAX) / PLOT_MAX) * (height - 2);
+
+    // Lines break where there is no fix; outages (too few satellites) are shaded
+    const lines = Object.values(DOP_METRICS).map(metric => {
+      const runs = [[]];
+      for (const sample of plot.samples) {
+        if (sample.dop) {
+          runs[runs.length - 1].push(`${x(sample.time).toFixed(1)},${y(sample.dop[metric]).toFixed(1)}`);
+        } else if (runs[runs.length - 1].length > 0) {
+          runs.push([]);
+        }
+      }
+      return runs
+        .filter(run => run.length > 0)
+        .map(run => `<polyline class="dop-line dop-${metric}" points="${run.join(' ')}"/>`)
+        .join('');
+    }).join('');
+
+    let bands = '';
+    let outageSamples = 0;
+    let bandStart = null;
+    plot.samples.forEach((sample, j) => {
+      const outage = sample.count < MIN_SATELLITES;
+      if (outage) outageSamples++;
+      if (outage && bandStart === null) bandStart = sample.time - halfStep;
+      const last = j === plot.samples.length - 1;
+      if (bandStart !== null && (!outage || last)) {
+        const bandEnd = outage ? sample.time + halfStep : sample.time - halfStep;
+        bands += `<rect class="dop-outage-band" x="${x(bandStart).toFixed(1)}" y="0" ` +
+          `width="${(x(bandEnd) - x(bandStart)).toFixed(1)}" height="${height}"/>`;
+        bandStart = null;
+      }
+    });
+
+    const now = this.app.timeController.current.getTime();
+    const marker = now >= from && now <= to
+      ? `<line class="doppler-now" x1="${x(now).toFixed(1)}" y1="0" x2="${x(now).toFixed(1)}" y2="${height}"/>`
+      : '';
+    const clock = time => new Date(time).toISOString().substring(11, 16);
+    const outageMinutes = Math.round(outageSamples * 2 * halfStep / 60000);
+
+    return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bands}${lines}${marker}</svg>` +
+      `<div class="dop-key">${Object.values(DOP_METRICS)
+        .map(metric => `<span class="dop-${metric}">${metric.toUpperCase()}</span>`).join('')}</div>` +
+      `<div class="doppler-axis"><span>${clock(from)}</span>` +
+      `<span>0–${PLOT_MAX}${outageMinutes > 0 ? ` · outage ${outageMinutes} min` : ''}</span>` +
+      `<span>${clock(to)}</span></div>`;
+  }
+
+  /**
+   * Show one DOP over the globe, refreshed as time runs; cells without a fix are red
+   * @param {string|null} metric - DOP_METRICS value, null to hide
+   * @returns {{gradient: string, min: string, max: string, outage: string}|null} Legend contents, null when hidden
+   */
+  setOverlay(metric) {
+    if (!metric) {
+      this.overlay = null;
+      this.globeOverlay.setVisible(false);
+      return null;
+    }
+
+    this.overlay = { metric, grid: createDopGrid(OVERLAY_RESOLUTION, this.minElevation) };
+    this.updateOverlay();
+    return {
+      gradient: `linear-gradient(to right, ${COVERAGE_COLORS.join(', ')})`,
+      min: '1',
+      max: `≥${OVERLAY_MAX}`,
+      outage: COVERAGE_EMPTY_COLOR
+    };
+  }
+
+  /**
+   * Repaint the global overlay for the simulation time
+   */
+  updateOverlay() {
+    const overlay = this.overlay;
+    if (!overlay) return;
+
+    const date = this.app.timeController.current;
+    const eop = this.app.earthOrientation.at(date);
+    const positions = [];
+    for (const sat of this.getSatellites()) {
+      const state = propagateSatellite(sat, date);
+      if (state) positions.push(temeToItrf({ position: state.position }, date, eop).position);
+    }
+
+    const { grid } = overlay;
+    const { values } = dopGrid(grid, positions, overlay.metric);
+    this.globeOverlay.paint(values, grid.rows, grid.cols, 1, OVERLAY_MAX);
+
+    const summary = document.getElementById('dop-overlay-summary');
+    if (summary) {
+      const outage = globalMean(grid, values.map(value => (Number.isNaN(value) ? 100 : 0)));
+      summary.textContent = `${overlay.metric.toUpperCase()} · ${positions.length} satellites · ` +
+        `≥${this.minElevation}° · no fix over ${outage.toFixed(1)}% of the globe`;
+    }
+  }
+
+  /**
+   * Follow the globe's shape (see Earth.setOblate)
+   * @param {THREE.BufferGeometry} geometry
+   */
+  setGeometry(geometry) {
+    this.globeOverlay.setGeometry(geometry);
+  }
+
+  /**
+   * Set the location from a click on the globe, if one was asked for
+   * @param {THREE.Raycaster} raycaster
+   * @returns {boolean} Whether the click was used
+   */
+  pick(raycaster) {
+    if (!this.picking) return false;
+    const mesh = this.app.earth.mesh;
+    const hit = raycaster.intersectObject(mesh, false)[0];
+    if (!hit) return false;
+
+    // Scene (x, y, z) is ITRF (x, z, -y) in the Earth mesh's frame
+    const local = mesh.worldToLocal(hit.point.clone());
+    const { latitude, longitude } = itrfToGeodetic({ x: local.x, y: -local.z, z: local.y });
+    this.setLocation({ lat: radToDeg(latitude), lon: radToDeg(longitude) });
+
+    const onPick = this.picking;
+    this.picking = null;
+    onPick({ lat: this.lat, lon: this.lon });
+    return true;
+  }
+}
+
+export default DopPanel;
@@ -1,15 +1,24 @@
 import * as THREE from 'three';
+import { greenwichMeanSiderealTime, WGS84 } from '../frames.js';
 
 class Earth {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.oblate=true] - Flatten the globe to the WGS84 ellipsoid
+   */
+  constructor({ oblate = true } = {}) {
     // Earth parameters
-    this.radius = 6371; // Earth radius in km
+    this.radius = WGS84.a; // Equatorial radius in km
+    this.oblate = oblate;
 
     // Physics-based rotation speed (radians per second)
     // Earth's sidereal rotation period: 23h 56m 4s = 86164.0905 seconds
     // Angular velocity: 2π / 86164.0905 = 7.2921159 × 10^-5 rad/s
     this.rotationSpeed = 7.2921159e-5; // radians per second
 
+    // Unit vector towards the Sun in scene coordinates (see setSunDirection)
+    this.sunDirection = new THREE.Vector3(1, 0, 0);
+
     // Create Earth object
     this.createEarth();
 
@@ -32,48 +41,42 @@ class Earth {
 
   /**
    * Calculate Greenwich Mean Sidereal Time in radians
-   * Based on IAU formula for GMST
+   * Same IAU-82 angle that takes SGP4's TEME frame to Earth-fixed (see frames.js)
    * @param {Date} date - UTC date/time
    * @returns {number} GMST in radians
    */
   calculateGMST(date) {
-    // Julian date calculation
-    const year = date.getUTCFullYear();
-    const month = date.getUTCMonth() + 1;
-    const day = date.getUTCDate();
-    const hour = date.getUTCHours();
-    const minute = date.getUTCMinutes();
-    const second = date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
-
-    // Convert to Julian Date
-    const a = Math.floor((14 - month) / 12);
-    const y = year + 4800 - a;
-    const m = month + 12 * a - 3;
-
-    const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y +
-      Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
-    const jd = jdn + (hour - 12) / 24 + minute / 1440 + second / 86400;
-
-    // Julian centuries since J2000.0
-    const T = (jd - 2451545.0) / 36525;
-
-    // GMST in degrees (IAU 1982 formula)
-    let gmstDeg = 280.46061837 +
-      360.98564736629 * (jd - 2451545.0) +
-      0.000387933 * T * T -
-      T * T * T / 38710000;
-
-    // Normalize to 0-360
-    gmstDeg = gmstDeg % 360;
-    if (gmstDeg < 0) gmstDeg += 360;
-
-    // Convert to radians
-    return gmstDeg * Math.PI / 180;
+    return greenwichMeanSiderealTime(date);
+  }
+
+  /**
+   * Sphere of the equatorial radius, squashed along the polar (Y) axis to the
+   * WGS84 polar radius when oblate. The flattening is baked into the geometry,
+   * not the mesh scale, so children (the ground track) keep true coordinates.
+   * @returns {THREE.SphereGeometry}
+   */
+  createGeometry() {
+    const geometry = new THREE.SphereGeometry(this.radius, 64, 64);
+    if (this.oblate) {
+      geometry.scale(1, WGS84.b / WGS84.a, 1);
+    }
+    return geometry;
+  }
+
+  /**
+   * Switch between the WGS84 ellipsoid and a sphere of the equatorial radius
+   * @param {boolean} oblate
+   */
+  setOblate(oblate) {
+    if (oblate === this.oblate) return;
+    this.oblate = oblate;
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = this.createGeometry();
   }
 
   createEarth() {
     // Create Earth geometry
-    const geometry = new THREE.SphereGeometry(this.radius, 64, 64);
+    const geometry = this.createGeometry();
 
     // Use Vite's base URL for correct path resolution on GitHub Pages
     const base = import.meta.env.BASE_URL || '/';
@@ -84,13 +87,56 @@ class Earth {
       bumpMap: new THREE.TextureLoader().load(`${base}assets/textures/earth-topology.png`),
       bumpScale: 100,
       specularMap: new THREE.TextureLoader().load(`${base}assets/textures/earth-water.png`),
-      specular: new THREE.Color(0x333333)
+      specular: new THREE.Color(0x333333),
+      // City lights, faded in on the night side only (see addNightSide)
+      emissiveMap: new THREE.TextureLoader().load(`${base}assets/textures/earth-night.png`),
+      emissive: new THREE.Color(0xffffff)
     });
+    this.addNightSide(material);
 
     // Create mesh
     this.mesh = new THREE.Mesh(geometry, material);
   }
 
+  /**
+   * Patch the Phong shader so the emissive city lights only show where the Sun
+   * is down, fading in across a twilight band rather than switching on at the
+   * terminator
+   * @param {THREE.MeshPhongMaterial} material
+   */
+  addNightSide(material) {
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.sunDirection = { value: this.sunDirection };
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying vec3 vWorldNormal;')
+        .replace(
+          '#include <beginnormal_vertex>',
+          '#include <beginnormal_vertex>\nvWorldNormal = normalize(mat3(modelMatrix) * objectNormal);'
+        );
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nuniform vec3 sunDirection;\nvarying vec3 vWorldNormal;')
+        .replace(
+          '#include <emissivemap_fragment>',
+          [
+            '#include <emissivemap_fragment>',
+            // Sine of the Sun's elevation: lights up from ~3° above the horizon to fully on ~12° below
+            'float sunElevation = dot(normalize(vWorldNormal), sunDirection);',
+            'totalEmissiveRadiance *= 1.0 - smoothstep(-0.2, 0.05, sunElevation);'
+          ].join('\n')
+        );
+    };
+  }
+
+  /**
+   * Point the night-side shading at the Sun
+   * @param {{x: number, y: number, z: number}} direction - Unit vector, scene coordinates
+   */
+  setSunDirection(direction) {
+    this.sunDirection.set(direction.x, direction.y, direction.z);
+  }
+
   rotate(deltaTimeSeconds = 1 / 60) {
     // Calculate rotation angle based on actual time delta
     // This makes Earth rotation physics-based and independent of frame rate
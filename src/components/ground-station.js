@@ -1,5 +1,14 @@
 import * as THREE from 'three';
-import { latLonToVector3 } from '../utils.js';
+import { degToRad } from '../utils.js';
+import { geodeticToItrf, itrfToTeme, temeToScene } from '../frames.js';
+import { getElevationLimit } from '../data/horizon-mask.js';
+import { coverageAngle } from '../coverage.js';
+import CoverageFootprint from './coverage-footprint.js';
+
+// Horizontal reach of the mask fence, km (a visual scale, not a physical one)
+const FENCE_RADIUS = 160;
+// Steepest limit the fence draws; beyond this its height grows without bound
+const FENCE_MAX_ELEVATION = 60;
 
 class GroundStation {
   constructor(data) {
@@ -7,6 +16,14 @@ class GroundStation {
     this.name = data.name;
     this.lat = data.lat;
     this.lon = data.lon;
+    this.altitude = data.altitude || 0; // km above the WGS84 ellipsoid
+    this.minElevation = data.minElevation || 0; // degrees, lowest elevation the antenna can track
+    this.horizonMask = data.horizonMask || null; // azimuth-dependent limit (see horizon-mask.js)
+    this.coverageAltitude = data.coverageAltitude || 550; // km, satellite altitude the coverage is drawn for
+    this.showCoverage = false;
+    
+    // Earth-fixed position, fixed for the life of the station
+    this.itrfPosition = geodeticToItrf(degToRad(this.lat), degToRad(this.lon), this.altitude);
     
     // Set ground station parameters
     this.color = 0x00ff00; // Green color for ground stations
@@ -14,9 +31,13 @@ class GroundStation {
     this.visible = true;
   }
   
-  add(scene, earthRadius) {
-    // Calculate position on Earth's surface
-    const position = latLonToVector3(this.lat, this.lon, earthRadius);
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Object3D} [earthMesh] - Parent for Earth-fixed decorations (mask fence, coverage)
+   */
+  add(scene, earthMesh = null) {
+    // Earth-fixed position until the first updatePosition() spins it with the Earth
+    const position = temeToScene(this.itrfPosition.x, this.itrfPosition.y, this.itrfPosition.z);
     
     // Create ground station geometry
     const geometry = new THREE.CylinderGeometry(this.stationSize/3, this.stationSize, this.stationSize*2, 8);
@@ -31,9 +52,6 @@ class GroundStation {
     // Create mesh
     this.mesh = new THREE.Mesh(geometry, material);
     
-    // Calculate normal at position on the sphere
-    const normal = new THREE.Vector3(position.x, position.y, position.z).normalize();
-    
     // Position mesh at ground station location
     this.mesh.position.set(position.x, position.y, position.z);
     
@@ -45,98 +63,190 @@ class GroundStation {
       name: this.name,
       type: 'groundStation',
       lat: this.lat,
-      lon: this.lon
-    };
-    
-    // Store initial position for rotation
-    this.initialPosition = {
-      x: position.x,
-      y: position.y,
-      z: position.z
+      lon: this.lon,
+      altitude: this.altitude
     };
     
     // Add to scene
     scene.add(this.mesh);
     
-    // Add visibility cone (optional)
-    this.createVisibilityCone(scene, position, normal, earthRadius);
+    // Fence showing the elevation limit and the coverage region, turning with the Earth
+    this.fenceParent = earthMesh || scene;
+    this.updateMaskFence();
+
+    this.coverage = new CoverageFootprint(this.fenceParent, { color: this.color, sky: true });
+    this.updateCoverage();
   }
-  
-  createVisibilityCone(scene, position, normal, earthRadius) {
-    // Create visibility cone
-    const coneHeight = earthRadius * 0.5;
-    const coneRadius = earthRadius * 0.3;
-    const coneGeometry = new THREE.ConeGeometry(coneRadius, coneHeight, 16, 1, true);
-    
-    // Create material with transparency
-    const coneMaterial = new THREE.MeshBasicMaterial({
+
+  /**
+   * Lowest elevation the station can track in a direction
+   * @param {number} azimuth - Degrees from north through east
+   * @returns {number} Degrees
+   */
+  getElevationLimit(azimuth) {
+    return getElevationLimit(this, azimuth);
+  }
+
+  /**
+   * Elevation limit in the form isSatelliteVisibleFromStation takes: a number,
+   * or a function of azimuth when a horizon mask is loaded
+   * @returns {number|function(number): number}
+   */
+  getVisibilityLimit() {
+    return this.horizonMask ? azimuth => this.getElevationLimit(azimuth) : this.minElevation;
+  }
+
+  /**
+   * @param {number} degrees - Minimum elevation
+   */
+  setMinElevation(degrees) {
+    this.minElevation = degrees;
+    this.updateMaskFence();
+    this.updateCoverage();
+  }
+
+  /**
+   * @param {import('../data/horizon-mask.js').HorizonMask|null} mask
+   */
+  setHorizonMask(mask) {
+    this.horizonMask = mask;
+    this.updateMaskFence();
+    this.updateCoverage();
+  }
+
+  /**
+   * @param {number} altitude - km, satellite altitude the coverage is drawn for
+   */
+  setCoverageAltitude(altitude) {
+    this.coverageAltitude = altitude;
+    this.updateCoverage();
+  }
+
+  /**
+   * Central angle from the station out to where a satellite at the coverage
+   * altitude sits on the elevation limit
+   * @param {number} azimuth - Degrees
+   * @returns {number} Radians
+   */
+  getCoverageAngle(azimuth) {
+    const p = this.itrfPosition;
+    const stationRadius = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+    const groundRadius = stationRadius - this.altitude;
+    return coverageAngle(stationRadius, groundRadius + this.coverageAltitude, this.getElevationLimit(azimuth));
+  }
+
+  /**
+   * Reshape the coverage region: the ground a satellite at the coverage altitude
+   * is in view over, the cap at that altitude and the walls up to it
+   */
+  updateCoverage() {
+    if (!this.coverage) return;
+    this.coverage.update(this.lat, this.lon, azimuth => this.getCoverageAngle(azimuth), {
+      apex: { lat: this.lat, lon: this.lon, altitude: this.altitude },
+      altitude: this.coverageAltitude
+    });
+  }
+
+  /**
+   * (Re)build the fence around the station whose top edge, seen from the
+   * station, traces the elevation limit. Built in Earth-fixed coordinates.
+   */
+  updateMaskFence() {
+    if (this.fence) {
+      this.fence.parent?.remove(this.fence);
+      this.fence.geometry.dispose();
+      this.fence.material.dispose();
+      this.fence = null;
+    }
+    if (!this.fenceParent) return;
+
+    // Every 2°, plus the mask's own points so its corners stay sharp
+    const azimuths = new Set(Array.from({ length: 180 }, (_, k) => k * 2));
+    for (const point of this.horizonMask || []) azimuths.add(point.azimuth);
+    const samples = [...azimuths].sort((a, b) => a - b);
+    const limits = samples.map(azimuth => Math.min(this.getElevationLimit(azimuth), FENCE_MAX_ELEVATION));
+    if (limits.every(limit => limit <= 0)) return;
+
+    // Local east/north/up at the station, Earth-fixed
+    const phi = degToRad(this.lat);
+    const lambda = degToRad(this.lon);
+    const east = [-Math.sin(lambda), Math.cos(lambda), 0];
+    const north = [-Math.sin(phi) * Math.cos(lambda), -Math.sin(phi) * Math.sin(lambda), Math.cos(phi)];
+    const up = [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+    const base = this.itrfPosition;
+
+    const vertices = [];
+    samples.forEach((azimuth, k) => {
+      const sinAz = Math.sin(degToRad(azimuth));
+      const cosAz = Math.cos(degToRad(azimuth));
+      const height = FENCE_RADIUS * Math.tan(degToRad(Math.max(0, limits[k])));
+      for (const rise of [0, height]) {
+        const x = base.x + FENCE_RADIUS * (sinAz * east[0] + cosAz * north[0]) + rise * up[0];
+        const y = base.y + FENCE_RADIUS * (sinAz * east[1] + cosAz * north[1]) + rise * up[1];
+        const z = base.z + FENCE_RADIUS * (sinAz * east[2] + cosAz * north[2]) + rise * up[2];
+        const point = temeToScene(x, y, z);
+        vertices.push(point.x, point.y, point.z);
+      }
+    });
+
+    // One quad per azimuth step, wrapping back to north
+    const indices = [];
+    const count = samples.length;
+    for (let k = 0; k < count; k++) {
+      const next = (k + 1) % count;
+      indices.push(2 * k, 2 * next, 2 * k + 1, 2 * k + 1, 2 * next, 2 * next + 1);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+
+    const material = new THREE.MeshBasicMaterial({
       color: this.color,
       transparent: true,
-      opacity: 0.1,
-      side: THREE.DoubleSide
+      opacity: 0.25,
+      side: THREE.DoubleSide,
+      depthWrite: false
     });
-    
-    // Create mesh
-    this.cone = new THREE.Mesh(coneGeometry, coneMaterial);
-    
-    // Position cone
-    this.cone.position.set(position.x, position.y, position.z);
-    
-    // Orient cone to point away from Earth's center
-    this.cone.lookAt(position.x * 2, position.y * 2, position.z * 2);
-    
-    // Move cone so base is at ground station
-    this.cone.translateOnAxis(new THREE.Vector3(0, 1, 0), coneHeight/2);
-    
-    // Hide cone initially
-    this.cone.visible = false;
-    
-    // Add to scene
-    scene.add(this.cone);
+
+    this.fence = new THREE.Mesh(geometry, material);
+    this.fence.visible = this.visible;
+    this.fenceParent.add(this.fence);
   }
   
-  // Update position based on Earth rotation
-  updateWithEarthRotation(earthMesh) {
-    if (!this.initialPosition) return;
+  /**
+   * Place the station for a simulation time: WGS84 → ITRF → TEME, rotated with
+   * UT1 and polar motion from the active Earth orientation, then into the scene
+   * @param {Date} date
+   */
+  updatePosition(date) {
+    if (!this.mesh) return;
     
-    // Create a position vector
-    const position = new THREE.Vector3(
-      this.initialPosition.x,
-      this.initialPosition.y,
-      this.initialPosition.z
-    );
-    
-    // Apply the same rotation as the Earth
-    position.applyQuaternion(earthMesh.quaternion);
-    
-    // Update mesh position
-    this.mesh.position.set(position.x, position.y, position.z);
+    const { position } = itrfToTeme({ position: this.itrfPosition }, date);
+    temeToScene(position.x, position.y, position.z, this.mesh.position);
     
     // Update mesh orientation to always point away from center
     this.mesh.lookAt(0, 0, 0);
     this.mesh.rotateX(Math.PI / 2);
-    
-    // Update cone position if it exists
-    if (this.cone) {
-      this.cone.position.set(position.x, position.y, position.z);
-      this.cone.lookAt(0, 0, 0);
-      this.cone.rotateX(Math.PI / 2);
-    }
   }
   
   toggleVisibility(visible) {
     // Toggle ground station visibility
     this.visible = visible;
     this.mesh.visible = visible;
-    if (this.cone) {
-      this.cone.visible = visible;
+    if (this.fence) {
+      this.fence.visible = visible;
+    }
+    if (this.coverage) {
+      this.coverage.setVisible(visible && this.showCoverage);
     }
   }
   
-  toggleVisibilityCone(visible) {
-    // Toggle visibility cone
-    if (this.cone) {
-      this.cone.visible = visible && this.visible;
+  toggleCoverage(visible) {
+    // Toggle the coverage region
+    this.showCoverage = visible;
+    if (this.coverage) {
+      this.coverage.setVisible(visible && this.visible);
     }
   }
   
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import * as satellite from 'satellite.js';
+import { propagateSatellite, radToDeg, geodeticToVector3 } from '../utils.js';
+import { temeToGeodetic, ellipsoidRadius } from '../frames.js';
 
 /**
  * GroundTrack - Projects satellite path onto Earth's surface
@@ -7,9 +8,8 @@ import * as satellite from 'satellite.js';
  * Handles dateline crossing by breaking into segments
  */
 class GroundTrack {
-  constructor(scene, earthRadius, earthMesh = null) {
+  constructor(scene, earthMesh = null) {
     this.scene = scene;
-    this.earthRadius = earthRadius;
     this.earthMesh = earthMesh; // Reference to Earth mesh for rotation
     this.target = null;
     this.visible = false; // Default OFF to match UI toggle state
@@ -75,36 +75,27 @@ class GroundTrack {
 
   /**
    * Convert satellite position to ground position (lat/lon projected onto Earth surface)
-   * @param {Object} positionEci - ECI position {x, y, z}
-   * @param {Date} date - Current date for GMST calculation
-   * @returns {Object} - {lat, lon} in degrees
+   * @param {Object} positionEci - TEME position {x, y, z}
+   * @param {Date} date - Current date for the Earth rotation
+   * @returns {Object} - {lat, lon} in degrees (WGS84 geodetic)
    */
   eciToLatLon(positionEci, date) {
-    const gmst = satellite.gstime(date);
-    const geodetic = satellite.eciToGeodetic(positionEci, gmst);
+    const geodetic = temeToGeodetic(positionEci, date);
 
     return {
-      lat: satellite.degreesLat(geodetic.latitude),
-      lon: satellite.degreesLong(geodetic.longitude)
+      lat: radToDeg(geodetic.latitude),
+      lon: radToDeg(geodetic.longitude)
     };
   }
 
   /**
-   * Convert lat/lon to 3D position on Earth surface
-   * @param {number} lat - Latitude in degrees
+   * Convert lat/lon to a 3D position just above the WGS84 ellipsoid
+   * @param {number} lat - Geodetic latitude in degrees
    * @param {number} lon - Longitude in degrees
-   * @returns {THREE.Vector3}
+   * @returns {THREE.Vector3} In the Earth mesh's frame
    */
   latLonToVector3(lat, lon) {
-    const phi = (90 - lat) * (Math.PI / 180);
-    const theta = (lon + 180) * (Math.PI / 180);
-
-    const radius = this.earthRadius + this.trackHeight;
-
-    const x = -radius * Math.sin(phi) * Math.cos(theta);
-    const y = radius * Math.cos(phi);
-    const z = radius * Math.sin(phi) * Math.sin(theta);
-
+    const { x, y, z } = geodeticToVector3(lat, lon, this.trackHeight);
     return new THREE.Vector3(x, y, z);
   }
 
@@ -113,7 +104,7 @@ class GroundTrack {
    * @param {Date} simulationTime - Current simulation time
    */
   update(simulationTime) {
-    if (!this.target || !this.target.satrec) return;
+    if (!this.target || !(this.target.satrec || this.target.ephemeris)) return;
 
     // Throttle updates - ground track doesn't need 60fps recalculation
     const now = performance.now();
@@ -168,10 +159,11 @@ class GroundTrack {
     const satPos = this.target.mesh.position;
     if (!satPos) return;
 
-    // Quick projection: normalize to earth surface
+    // Quick projection: straight down to the ellipsoid (scene Y is the polar axis)
     const dist = satPos.length();
     if (dist > 0) {
-      const scale = (this.earthRadius + this.trackHeight) / dist;
+      const surface = ellipsoidRadius(Math.asin(satPos.y / dist));
+      const scale = (surface + this.trackHeight) / dist;
       this.positionMarker.position.set(
         satPos.x * scale,
         satPos.y * scale,
@@ -187,8 +179,8 @@ class GroundTrack {
    */
   getGroundPoint(time) {
     try {
-      const positionAndVelocity = satellite.propagate(this.target.satrec, time);
-      if (!positionAndVelocity.position) return null;
+      const positionAndVelocity = propagateSatellite(this.target, time);
+      if (!positionAndVelocity) return null;
 
       const latLon = this.eciToLatLon(positionAndVelocity.position, time);
       const position = this.latLonToVector3(latLon.lat, latLon.lon);
@@ -206,8 +198,8 @@ class GroundTrack {
    */
   getGroundPointWithVelocity(time) {
     try {
-      const positionAndVelocity = satellite.propagate(this.target.satrec, time);
-      if (!positionAndVelocity.position || !positionAndVelocity.velocity) return null;
+      const positionAndVelocity = propagateSatellite(this.target, time);
+      if (!positionAndVelocity || !positionAndVelocity.velocity) return null;
 
       const latLon = this.eciToLatLon(positionAndVelocity.position, time);
       const position = this.latLonToVector3(latLon.lat, latLon.lon);
@@ -13,9 +13,6 @@ class LineOfSight {
     // Store scene reference
     this.scene = scene;
 
-    // Earth radius for calculations
-    this.earthRadius = 6371; // km
-
     // Flag for visibility
     this.visible = false; // Default OFF to match UI toggle state
 
@@ -74,6 +71,7 @@ class LineOfSight {
     // Calculate and set instance matrices for visible LOS lines
     for (const station of groundStations) {
       const stationPos = station.getPosition();
+      const limit = station.getVisibilityLimit();
 
       for (const sat of satellites) {
         // Skip if we've hit max capacity
@@ -85,8 +83,8 @@ class LineOfSight {
           z: sat.mesh.position.z
         };
 
-        // Check if satellite is visible from the ground station
-        if (isSatelliteVisibleFromStation(stationPos, satPos, this.earthRadius)) {
+        // Check if satellite is above the station's elevation limit
+        if (isSatelliteVisibleFromStation(stationPos, satPos, limit)) {
           this.setLineInstance(this.activeLineCount, stationPos, satPos);
           this.activeLineCount++;
         }
@@ -128,11 +126,20 @@ class LineOfSight {
   }
 
   getVisibleSatellitesFor(groundStation, satellites) {
+    return this.getVisibleSatellitesList(groundStation, satellites).length;
+  }
+
+  /**
+   * Get the satellites currently in view of a ground station
+   * @param {GroundStation} groundStation
+   * @param {Array} satellites - Candidate satellites
+   * @returns {Array} Visible satellites
+   */
+  getVisibleSatellitesList(groundStation, satellites) {
     // Get position of ground station
     const stationPos = groundStation.getPosition();
-
-    // Count visible satellites
-    let count = 0;
+    const limit = groundStation.getVisibilityLimit();
+    const visible = [];
 
     for (const sat of satellites) {
       const satPos = {
@@ -141,13 +148,13 @@ class LineOfSight {
         z: sat.mesh.position.z
       };
 
-      // Check if satellite is visible
-      if (isSatelliteVisibleFromStation(stationPos, satPos, this.earthRadius)) {
-        count++;
+      // Check if satellite is above the station's elevation limit
+      if (isSatelliteVisibleFromStation(stationPos, satPos, limit)) {
+        visible.push(sat);
       }
     }
 
-    return count;
+    return visible;
   }
 
   /**
@@ -0,0 +1,264 @@
+import { createStation, getTopocentricState, dopplerShift } from '../workers/pass-prediction.js';
+import { propagateSatellite } from '../utils.js';
+import { PASS_WINDOW_HOURS } from './pass-panel.js';
+
+/**
+ * LookPanel - The selected satellite as seen from a ground station
+ * Live azimuth, elevation, range and range-rate, the Doppler shift on the
+ * link set in the app's settings, and the shift over the current or next pass.
+ */
+class LookPanel {
+  constructor(app) {
+    this.app = app;
+
+    // Station picked in the panel (null: the last selected station)
+    this.station = null;
+    // Range-rate over the current or next pass for the Doppler curve:
+    // { sat, station, minElevation, horizonMask, start, pass, samples (null while pending) }
+    this.dopplerPass = null;
+  }
+
+  /**
+   * Station the satellite is seen from: the one picked in the panel, else the
+   * last selected station, else the first
+   * @returns {GroundStation|null}
+   */
+  getStation() {
+    const { groundStations } = this.app;
+    const candidates = [this.station, this.app._lastSelectedStation];
+    return candidates.find(station => station && groundStations.includes(station)) ||
+      groundStations[0] || null;
+  }
+
+  /**
+   * Pick the station for look angles and Doppler
+   * @param {number} index - Index into the ground station list
+   */
+  setStation(index) {
+    this.station = this.app.groundStations[index] || null;
+    this.update(this.app.selectedObject);
+  }
+
+  /**
+   * Set the Doppler calculator's link
+   * @param {Object} link
+   * @param {number} [link.frequency] - Nominal frequency, MHz
+   * @param {'downlink'|'uplink'} [link.direction]
+   */
+  setLink({ frequency, direction }) {
+    const { settings } = this.app;
+    if (Number.isFinite(frequency) && frequency > 0) settings.dopplerFrequency = frequency;
+    if (direction) settings.dopplerLink = direction;
+    this.update(this.app.selectedObject);
+  }
+
+  /**
+   * Azimuth, elevation, range and range-rate of a satellite from the station
+   * at the simulation time
+   * @param {Object} sat - Satellite object
+   * @returns {{azimuth: number, elevation: number, range: number, rangeRate: number}|null}
+   */
+  getTopocentric(sat) {
+    const station = this.getStation();
+    const date = this.app.timeController.current;
+    const state = station ? propagateSatellite(sat, date) : null;
+    return state ? getTopocentricState(state, createStation(station), date) : null;
+  }
+
+  /**
+   * Look angle rows
+   * @param {Object} sat - Satellite object
+   * @returns {string} HTML for a spec grid
+   */
+  formatLookAngles(sat) {
+    const look = this.getTopocentric(sat);
+    if (!look) {
+      return `<span class="spec-label">Position</span><span class="spec-value">unavailable</span>`;
+    }
+
+    const inView = look.elevation >= this.getStation().getElevationLimit(look.azimuth);
+    const rows = [
+      ['Azimuth', `${look.azimuth.toFixed(2)}°`],
+      ['Elevation', `${look.elevation.toFixed(2)}°`, inView ? 'in-view' : ''],
+      ['Range', `${look.range.toFixed(1)} km`],
+      ['Range Rate', `${look.rangeRate >= 0 ? '+' : ''}${look.rangeRate.toFixed(3)} km/s`]
+    ];
+    return rows
+      .map(([label, value, cls]) => `<span class="spec-label">${label}</span><span class="spec-value${cls ? ` ${cls}` : ''}">${value}</span>`)
+      .join('');
+  }
+
+  /**
+   * Current Doppler shift for the calculator's link
+   * @param {Object} sat - Satellite object
+   * @returns {string} HTML for a spec grid
+   */
+  formatDoppler(sat) {
+    const look = this.getTopocentric(sat);
+    if (!look) return '';
+
+    const { settings } = this.app;
+    const frequency = settings.dopplerFrequency;
+    const shift = dopplerShift(frequency, look.rangeRate);
+    // Downlink: where to listen. Uplink: where to transmit so the satellite hears the nominal frequency
+    const uplink = settings.dopplerLink === 'uplink';
+    const tuned = uplink ? frequency - shift : frequency + shift;
+
+    return `<span class="spec-label">Shift</span><span class="spec-value">${shift >= 0 ? '+' : ''}${(shift * 1000).toFixed(3)} kHz</span>` +
+      `<span class="spec-label">${uplink ? 'Transmit' : 'Receive'}</span><span class="spec-value">${tuned.toFixed(6)} MHz</span>`;
+  }
+
+  /**
+   * Sample range-rate over the satellite's current or next pass of the
+   * station. The pass is found and propagated on the worker; it is redone when
+   * the satellite, station or minimum elevation change, or the pass ends.
+   * @param {Object} sat - Satellite object
+   */
+  refreshDopplerPass(sat) {
+    const { app } = this;
+    const station = this.getStation();
+    if (!station || !app.sgp4Worker) return;
+
+    const now = app.timeController.current.getTime();
+    const current = this.dopplerPass;
+    if (current &&
+      current.sat === sat &&
+      current.station === station &&
+      current.minElevation === station.minElevation &&
+      current.horizonMask === station.horizonMask &&
+      (current.samples === null ||
+        (now >= current.start && (current.pass
+          ? !current.pass.los || now < current.pass.los.getTime()
+          : now < current.start + 3600000)))) {
+      return;
+    }
+
+    const request = {
+      sat,
+      station,
+      minElevation: station.minElevation,
+      horizonMask: station.horizonMask,
+      start: now,
+      pass: null,
+      samples: null
+    };
+    this.dopplerPass = request;
+
+    // Start a little early so a pass already under way is found from its AOS
+    const lookBack = 30 * 60000;
+    app.predictPasses(station, [sat], { start: new Date(now - lookBack), hours: PASS_WINDOW_HOURS, maxPasses: 3 })
+      .then(passes => {
+        request.pass = passes.find(pass => pass.los && pass.los.getTime() > now) || null;
+        if (!request.pass) return [];
+
+        const from = (request.pass.aos || request.pass.tca).getTime();
+        const to = request.pass.los.getTime();
+        const samples = 120;
+        const times = Array.from({ length: samples + 1 }, (_, k) => from + (to - from) * k / samples);
+        return app.propagateSatelliteAt(sat, times);
+      })
+      .then(states => {
+        const topocentric = createStation(station);
+        request.samples = states
+          .filter(state => state.position)
+          .map(state => ({
+            time: state.time.getTime(),
+            rangeRate: getTopocentricState(state, topocentric, state.time).rangeRate
+          }));
+      })
+      .catch(() => {
+        // Worker restarted or failed - the next readout asks again
+        if (this.dopplerPass === request) this.dopplerPass = null;
+      });
+  }
+
+  /**
+   * Doppler shift over the current or next pass, with the simulation time marked
+   * @param {Object} sat - Satellite object
+   * @returns {string} HTML (inline SVG and axis labels)
+   */
+  formatDopplerCurve(sat) {
+    const { app } = this;
+    this.refreshDopplerPass(sat);
+    const request = this.dopplerPass;
+    if (!request || request.sat !== sat || request.samples === null) {
+      return `<div class="pass-empty">Finding pass…</div>`;
+    }
+    if (!request.pass || request.samples.length < 2) {
+      return `<div class="pass-empty">No pass above ${app.formatElevationLimit(request)} in the next ${PASS_WINDOW_HOURS} h</div>`;
+    }
+
+    const frequency = app.settings.dopplerFrequency;
+    const points = request.samples.map(sample => ({ time: sample.time, shift: dopplerShift(frequency, sample.rangeRate) * 1000 }));
+    const from = points[0].time;
+    const to = points[points.length - 1].time;
+    const limit = Math.max(...points.map(p => Math.abs(p.shift))) || 1;
+
+    const width = 240;
+    const height = 80;
+    const x = time => ((time - from) / (to - from)) * width;
+    const y = shift => height / 2 - (shift / limit) * (height / 2 - 4);
+    const line = points.map(p => `${x(p.time).toFixed(1)},${y(p.shift).toFixed(1)}`).join(' ');
+
+    const now = app.timeController.current.getTime();
+    const marker = now >= from && now <= to
+      ? `<line class="doppler-now" x1="${x(now).toFixed(1)}" y1="0" x2="${x(now).toFixed(1)}" y2="${height}"/>`
+      : '';
+    const clock = time => new Date(time).toISOString().substring(11, 19);
+
+    return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">` +
+      `<line class="doppler-zero" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"/>` +
+      `<polyline class="doppler-line" points="${line}"/>${marker}</svg>` +
+      `<div class="doppler-axis"><span>${request.pass.aos ? 'AOS' : 'TCA'} ${clock(from)}</span>` +
+      `<span>±${limit.toFixed(1)} kHz</span><span>LOS ${clock(to)}</span></div>`;
+  }
+
+  /**
+   * The panel section for the satellite info panel
+   * @param {Object} sat - Satellite object
+   * @returns {string} HTML, empty without ground stations
+   */
+  format(sat) {
+    const { app } = this;
+    const lookStation = this.getStation();
+    if (!lookStation) return '';
+
+    const stationOptions = app.groundStations
+      .map((station, i) => `<option value="${i}"${station === lookStation ? ' selected' : ''}>${station.name}</option>`)
+      .join('');
+    const linkOptions = [['downlink', 'Downlink'], ['uplink', 'Uplink']]
+      .map(([value, label]) => `<option value="${value}"${value === app.settings.dopplerLink ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    return `<div class="station-readout">` +
+      `<div class="readout-title">FROM GROUND STATION</div>` +
+      `<select id="look-station" class="hud-select">${stationOptions}</select>` +
+      `<div class="spec-grid" id="selected-look">${this.formatLookAngles(sat)}</div>` +
+      `<div class="doppler-controls">` +
+      `<input type="number" id="doppler-frequency" class="form-input monospace" min="0" step="0.001" value="${app.settings.dopplerFrequency}">` +
+      `<span class="doppler-unit">MHz</span>` +
+      `<select id="doppler-link" class="hud-select">${linkOptions}</select>` +
+      `</div>` +
+      `<div class="spec-grid" id="selected-doppler">${this.formatDoppler(sat)}</div>` +
+      `<div class="doppler-curve" id="doppler-curve">${this.formatDopplerCurve(sat)}</div>` +
+      `</div>`;
+  }
+
+  /**
+   * Refresh a satellite's look angles, Doppler shift and curve in place
+   * @param {Object} sat - The selected object; anything but a satellite is ignored
+   */
+  update(sat) {
+    if (!sat || !sat.tleData) return;
+
+    const look = document.getElementById('selected-look');
+    if (look) look.innerHTML = this.formatLookAngles(sat);
+
+    const doppler = document.getElementById('selected-doppler');
+    if (doppler) doppler.innerHTML = this.formatDoppler(sat);
+
+    const curve = document.getElementById('doppler-curve');
+    if (curve) curve.innerHTML = this.formatDopplerCurve(sat);
+  }
+}
+
+export default LookPanel;
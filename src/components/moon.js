@@ -0,0 +1,37 @@
+import * as THREE from 'three';
+import { moonPosition, MOON_RADIUS } from '../celestial.js';
+import { temeToScene } from '../frames.js';
+
+/**
+ * Moon - True-scale Moon at its geocentric position for the simulation time.
+ * Lit by the same Sun light as the Earth, so it shows the right phase.
+ */
+class Moon {
+  constructor() {
+    this.radius = MOON_RADIUS;
+
+    const geometry = new THREE.SphereGeometry(this.radius, 48, 48);
+    const material = new THREE.MeshPhongMaterial({
+      color: 0x9a9a9a,
+      shininess: 0
+    });
+
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.userData = { name: 'Moon', type: 'moon' };
+  }
+
+  /**
+   * Move the Moon to its position at a given time
+   * @param {Date} date - Simulation time
+   */
+  update(date) {
+    const { x, y, z } = moonPosition(date);
+    temeToScene(x, y, z, this.mesh.position);
+  }
+
+  getMesh() {
+    return this.mesh;
+  }
+}
+
+export default Moon;
@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+import { propagateSatellite } from '../utils.js';
+import { extractOrbitalElements, elementsFromState, secularElements } from '../workers/keplerian-propagator.js';
+
+// Segments per ring by camera distance from the Earth's centre (km); halved
+// further while the rings would need more than RING_VERTEX_BUDGET vertices
+export const RING_LOD = [
+  { distance: 25000, segments: 256 },
+  { distance: 60000, segments: 128 },
+  { distance: 150000, segments: 64 },
+  { distance: Infinity, segments: 32 }
+];
+const MIN_SEGMENTS = 16;
+const RING_VERTEX_BUDGET = 1500000;
+
+// Simulation time the rings' elements are good for (J2 turns a LEO node ~0.2°/h)
+const REFRESH_MS = 60 * 60 * 1000;
+
+const VERTEX_SHADER = `
+  attribute mat4 orbitMatrix;
+  attribute vec3 orbitColor;
+  varying vec3 vColor;
+  #include <logdepthbuf_pars_vertex>
+
+  void main() {
+    vColor = orbitColor;
+    gl_Position = projectionMatrix * modelViewMatrix * orbitMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
+  }
+`;
+
+const FRAGMENT_SHADER = `
+  uniform float opacity;
+  varying vec3 vColor;
+  #include <logdepthbuf_pars_fragment>
+
+  void main() {
+    #include <logdepthbuf_fragment>
+    gl_FragColor = vec4(vColor, opacity);
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * Segments to draw each ring with
+ * @param {number} distance - Camera distance from the Earth's centre, km
+ * @param {number} count - Rings drawn
+ * @returns {number}
+ */
+export function ringSegments(distance, count) {
+  let { segments } = RING_LOD.find(level => distance < level.distance);
+  while (segments > MIN_SEGMENTS && segments * count > RING_VERTEX_BUDGET) segments /= 2;
+  return segments;
+}
+
+/**
+ * Affine map from the unit circle onto an orbit, in scene coordinates: the
+ * point (cos E, sin E, 0) goes to the orbit's position at eccentric anomaly E
+ * @param {{a: number, e: number, i: number, omega: number, Omega: number}} elements - km, radians
+ * @param {ArrayLike<number>} out - Column-major 4×4, written from offset
+ * @param {number} [offset=0]
+ * @returns {ArrayLike<number>} out
+ */
+export function orbitRingMatrix({ a, e, i, omega, Omega }, out, offset = 0) {
+  const b = a * Math.sqrt(1 - e * e);
+  const cosO = Math.cos(Omega), sinO = Math.sin(Omega);
+  const cosw = Math.cos(omega), sinw = Math.sin(omega);
+  const cosi = Math.cos(i), sini = Math.sin(i);
+
+  // Perigee direction P, Q 90° ahead in the orbit and the normal W (TEME)
+  const P = [cosO * cosw - sinO * sinw * cosi, sinO * cosw + cosO * sinw * cosi, sinw * sini];
+  const Q = [-cosO * sinw - sinO * cosw * cosi, -sinO * sinw + cosO * cosw * cosi, cosw * sini];
+  const W = [sinO * sini, -cosO * sini, cosi];
+
+  // Columns a·P, b·Q, W and the centre -a·e·P, each TEME (x, y, z) → scene (x, z, -y)
+  const columns = [
+    [a * P[0], a * P[1], a * P[2], 0],
+    [b * Q[0], b * Q[1], b * Q[2], 0],
+    [W[0], W[1], W[2], 0],
+    [-a * e * P[0], -a * e * P[1], -a * e * P[2], 1]
+  ];
+  columns.forEach(([x, y, z, w], c) => {
+    out[offset + c * 4] = x;
+    out[offset + c * 4 + 1] = z;
+    out[offset + c * 4 + 2] = -y;
+    out[offset + c * 4 + 3] = w;
+  });
+  return out;
+}
+
+/**
+ * OrbitRings - Orbit lines for every visible satellite in one draw call
+ * A shared unit circle is instanced once per satellite and mapped onto its
+ * orbit by a per-instance matrix built from the mean elements, so the rings
+ * cost no propagation. The circle's segment count follows the camera distance
+ * (level of detail). Rings are colored by orbit class.
+ */
+class OrbitRings {
+  constructor(scene) {
+    this.scene = scene;
+    this.visible = false;
+
+    // Ring matrix (scene frame) of each satellite, good around epoch
+    this.matrices = new WeakMap();
+    this.epoch = null;
+    // Set when the satellites, or which are visible, change
+    this.needsUpdate = true;
+
+    // Unit circle per segment count, sharing the instance attributes
+    this.geometries = new Map();
+    this.segments = 0;
+    this.count = 0;
+    this.allocate(1024);
+    this._color = new THREE.Color();
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: { opacity: { value: 0.35 } },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.mesh = new THREE.LineLoop(this.getGeometry(RING_LOD[0].segments), this.material);
+    // The geometry's bounds are the unit circle's, not the rings'
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  toggleVisibility(visible) {
+    this.visible = visible;
+    this.mesh.visible = visible;
+    // Catch up on changes made while hidden
+    this.needsUpdate = true;
+  }
+
+  /**
+   * Refresh the rings: rebuild them when needed, and choose their level of detail
+   * @param {Object[]} satellites - All satellites
+   * @param {function(Object): boolean} isVisible - Whether a satellite gets a ring
+   * @param {Date} time - Simulation time
+   * @param {string} model - PROPAGATION_MODELS value the satellites are drawn with
+   * @param {THREE.Camera} camera
+   */
+  update(satellites, isVisible, time, model, camera) {
+    if (!this.visible) return;
+
+    if (this.epoch === null || Math.abs(time.getTime() - this.epoch) > REFRESH_MS) {
+      this.matrices = new WeakMap();
+      this.epoch = time.getTime();
+      this.needsUpdate = true;
+    }
+    if (this.needsUpdate) {
+      this.needsUpdate = false;
+      this.build(satellites.filter(isVisible), model);
+    }
+
+    const segments = ringSegments(camera.position.length(), this.count);
+    if (segments !== this.segments) {
+      this.segments = segments;
+      this.mesh.geometry = this.getGeometry(segments);
+    }
+    this.mesh.geometry.instanceCount = this.count;
+  }
+
+  /**
+   * Fill the instance attributes with the rings of some satellites
+   * @param {Object[]} satellites
+   * @param {string} model
+   * @private
+   */
+  build(satellites, model) {
+    if (satellites.length > this.capacity) {
+      this.allocate(Math.max(satellites.length, this.capacity * 2));
+    }
+
+    const matrices = this.matrixAttribute.array;
+    const colors = this.colorAttribute.array;
+    let count = 0;
+    for (const sat of satellites) {
+      let matrix = this.matrices.get(sat);
+      if (!matrix) {
+        const elements = this.getElements(sat, model);
+        if (!elements) continue;
+        matrix = orbitRingMatrix(elements, new Float32Array(16));
+        this.matrices.set(sat, matrix);
+      }
+      matrices.set(matrix, count * 16);
+      this._color.setHex(sat.color).toArray(colors, count * 3);
+      count++;
+    }
+
+    this.count = count;
+    this.matrixAttribute.needsUpdate = true;
+    this.colorAttribute.needsUpdate = true;
+  }
+
+  /**
+   * Mean elements at the rings' epoch: from the TLE, or osculating from an ephemeris
+   * @param {Object} sat
+   * @param {string} model
+   * @returns {Object|null} { a, e, i, omega, Omega }; null if there is no bound orbit
+   * @private
+   */
+  getElements(sat, model) {
+    if (sat.satrec) {
+      const elements = extractOrbitalElements(sat.satrec);
+      const drifted = secularElements(elements, (this.epoch - elements.epoch) / 1000, model);
+      return drifted.decayed ? null : drifted;
+    }
+    const state = propagateSatellite(sat, new Date(this.epoch));
+    if (!state) return null;
+    try {
+      return elementsFromState(state.position, state.velocity, this.epoch);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Unit circle with a segment count, made on first use
+   * @param {number} segments
+   * @returns {THREE.InstancedBufferGeometry}
+   * @private
+   */
+  getGeometry(segments) {
+    let geometry = this.geometries.get(segments);
+    if (!geometry) {
+      const positions = new Float32Array(segments * 3);
+      for (let k = 0; k < segments; k++) {
+        const E = (k / segments) * Math.PI * 2;
+        positions[k * 3] = Math.cos(E);
+        positions[k * 3 + 1] = Math.sin(E);
+      }
+      geometry = new THREE.InstancedBufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geometry.instanceCount = 0;
+      this.attach(geometry);
+      this.geometries.set(segments, geometry);
+    }
+    return geometry;
+  }
+
+  /**
+   * (Re)create the instance attributes with room for some rings. The renderer
+   * keeps a geometry's instance limit from its first draw until it is disposed,
+   * so the geometries made for the old attributes are dropped, not re-attached.
+   * @param {number} capacity
+   * @private
+   */
+  allocate(capacity) {
+    this.capacity = capacity;
+    this.matrixAttribute = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 16), 16);
+    this.colorAttribute = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    for (const geometry of this.geometries.values()) geometry.dispose();
+    this.geometries.clear();
+    // update() picks a new geometry for the level of detail
+    this.segments = 0;
+  }
+
+  /**
+   * @param {THREE.InstancedBufferGeometry} geometry
+   * @private
+   */
+  attach(geometry) {
+    geometry.setAttribute('orbitMatrix', this.matrixAttribute);
+    geometry.setAttribute('orbitColor', this.colorAttribute);
+  }
+
+  /**
+   * Free GPU resources
+   */
+  dispose() {
+    this.scene.remove(this.mesh);
+    for (const geometry of this.geometries.values()) geometry.dispose();
+    this.geometries.clear();
+    this.material.dispose();
+  }
+}
+
+export default OrbitRings;
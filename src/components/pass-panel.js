@@ -0,0 +1,172 @@
+import GroundStation from './ground-station.js';
+
+// Pass searches: how far ahead, how many passes
+export const PASS_WINDOW_HOURS = 24;
+export const PASS_COUNT = 10;
+
+/**
+ * PassPanel - Pass table of the selected ground station
+ * Starts pass searches on the propagation worker for one satellite or every
+ * satellite shown, and lists the upcoming passes with AOS, TCA and LOS.
+ * Rows carry the time to jump the clock to.
+ */
+class PassPanel {
+  constructor(app) {
+    this.app = app;
+
+    // { station, target, minElevation, horizonMask, start, passes (null while pending) }
+    this.prediction = null;
+    // 'all', a satellite, or null for the last selected satellite
+    this.target = null;
+    // What the list shows, to skip identical re-renders
+    this.listHtml = '';
+  }
+
+  /**
+   * Satellites the table is for: one satellite, or every satellite shown
+   * @returns {{target: 'all'|Object, satellites: Object[]}}
+   */
+  getTarget() {
+    const { app } = this;
+    const target = this.target || app._lastSelectedSatellite || 'all';
+    if (target === 'all') {
+      return { target, satellites: app.satellites.filter(s => app.isSatelliteVisible(s)) };
+    }
+    return { target, satellites: [target] };
+  }
+
+  /**
+   * Choose what the table covers
+   * @param {string} value - 'all' or a satellite's worker index
+   */
+  setTarget(value) {
+    this.target = value === 'all'
+      ? 'all'
+      : this.app.satellites.find(sat => sat.workerIndex === Number(value)) || null;
+    this.app.updateStationReadout();
+  }
+
+  /**
+   * Start a pass search for the selected station when the station, target or
+   * elevation limit changed, or the clock left the searched window. The
+   * search is redone once the clock is an hour past its start.
+   */
+  refresh() {
+    const { app } = this;
+    const station = app.selectedObject;
+    if (!(station instanceof GroundStation) || !app.sgp4Worker) return;
+
+    const { target, satellites } = this.getTarget();
+    const now = app.timeController.current.getTime();
+    const current = this.prediction;
+    if (current &&
+      current.station === station &&
+      current.target === target &&
+      current.minElevation === station.minElevation &&
+      current.horizonMask === station.horizonMask &&
+      (current.passes === null || (now >= current.start && now < current.start + 3600000))) {
+      return;
+    }
+
+    const prediction = {
+      station,
+      target,
+      minElevation: station.minElevation,
+      horizonMask: station.horizonMask,
+      start: now,
+      passes: null
+    };
+    this.prediction = prediction;
+    app.predictPasses(station, satellites, { start: new Date(now) })
+      .then(passes => {
+        prediction.passes = passes;
+      })
+      .catch(() => {
+        // Worker restarted or failed - the next readout starts a new search
+        if (this.prediction === prediction) this.prediction = null;
+      });
+  }
+
+  /**
+   * Options for the target picker: the last selected satellite, the watch
+   * list, and every shown satellite
+   * @returns {string} HTML
+   */
+  formatTargetOptions() {
+    const { app } = this;
+    const { target } = this.getTarget();
+    const candidates = new Set([app._lastSelectedSatellite, target, ...app.watchList]);
+    candidates.delete(null);
+    candidates.delete(undefined);
+    candidates.delete('all');
+
+    const shown = app.satellites.filter(s => app.isSatelliteVisible(s)).length;
+    let html = `<option value="all"${target === 'all' ? ' selected' : ''}>All shown satellites (${shown})</option>`;
+    for (const sat of candidates) {
+      html += `<option value="${sat.workerIndex}"${sat === target ? ' selected' : ''}>${sat.tleData.name}</option>`;
+    }
+    return html;
+  }
+
+  /**
+   * Table rows for the selected station
+   * @returns {string} HTML
+   */
+  formatList() {
+    const { app } = this;
+    const prediction = this.prediction;
+    if (!prediction || prediction.station !== app.selectedObject) return '';
+    if (prediction.passes === null) {
+      return `<div class="pass-empty">Predicting…</div>`;
+    }
+
+    const now = app.timeController.current.getTime();
+    const upcoming = prediction.passes.filter(pass => !pass.los || pass.los.getTime() > now);
+    if (upcoming.length === 0) {
+      return `<div class="pass-empty">No passes above ${app.formatElevationLimit(prediction)}</div>`;
+    }
+
+    const clock = date => (date ? date.toISOString().substring(11, 19) : '…');
+    const day = date => (date ? date.toISOString().substring(5, 10) : '');
+    const minutes = seconds => (seconds === null ? '' : ` · ${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`);
+
+    return upcoming.map(pass => {
+      const jump = (pass.aos || pass.tca).getTime();
+      const name = pass.satellite ? pass.satellite.tleData.name : '—';
+      return `<div class="pass-item" data-time="${jump}" title="Jump to ${pass.aos ? 'AOS' : 'TCA'}">` +
+        `<div class="pass-head"><span class="pass-name">${name}</span><span class="pass-max">${pass.maxElevation.toFixed(1)}°</span></div>` +
+        `<div class="pass-times">${day(pass.aos || pass.tca)} ${clock(pass.aos)} → ${clock(pass.tca)} → ${clock(pass.los)}${minutes(pass.duration)}</div>` +
+        `</div>`;
+    }).join('');
+  }
+
+  /**
+   * The panel section for the station info panel
+   * @returns {string} HTML
+   */
+  format() {
+    this.refresh();
+    this.listHtml = this.formatList();
+    return `<div class="pass-schedule">` +
+      `<div class="readout-title">PASSES (NEXT ${PASS_WINDOW_HOURS} H)</div>` +
+      `<select id="pass-target" class="hud-select">${this.formatTargetOptions()}</select>` +
+      `<div class="pass-list" id="station-passes">${this.listHtml}</div>` +
+      `</div>`;
+  }
+
+  /**
+   * Refresh the list in place. Only touches it when it changes, so a click on
+   * a row isn't lost to a re-render.
+   */
+  update() {
+    this.refresh();
+    const list = document.getElementById('station-passes');
+    const html = this.formatList();
+    if (list && html !== this.listHtml) {
+      list.innerHTML = html;
+      this.listHtml = html;
+    }
+  }
+}
+
+export default PassPanel;
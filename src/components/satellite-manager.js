@@ -1,6 +1,19 @@
 import * as THREE from 'three';
-import * as satellite from 'satellite.js';
-import { getSatelliteTypeColor } from '../utils.js';
+import { getSatelliteTypeColor, getEclipseStateColor, propagateSatellite } from '../utils.js';
+import { temeToScene } from '../frames.js';
+import { ECLIPSE_STATE } from '../workers/eclipse.js';
+import { ORBIT_REGIMES, classifySatrec } from '../orbit-regimes.js';
+
+// What the instance colors show
+export const COLOR_MODES = Object.freeze({
+  TYPE: 'type',        // Orbit class (LEO/MEO/GEO/HEO)
+  REGIME: 'regime',    // Orbit regime within the class (ORBIT_REGIMES)
+  PLANE: 'plane',      // Orbital plane from a constellation structure analysis
+  ECLIPSE: 'eclipse'   // Sunlit / penumbra / umbra
+});
+
+// Satellites outside every analysed plane in COLOR_MODES.PLANE
+const NO_PLANE_COLOR = 0x555555;
 
 /**
  * SatelliteManager - High-performance satellite rendering using InstancedMesh
@@ -28,6 +41,12 @@ class SatelliteManager {
     // The single InstancedMesh that renders all satellites
     this.instancedMesh = null;
 
+    // COLOR_MODES value for the instance colors
+    this.colorMode = COLOR_MODES.TYPE;
+
+    // Plane color by worker index, for COLOR_MODES.PLANE
+    this.planeColors = null;
+
     // Reusable matrix and color for updates
     this._matrix = new THREE.Matrix4();
     this._position = new THREE.Vector3();
@@ -92,7 +111,12 @@ class SatelliteManager {
       this._expandCapacity(index + 1);
     }
 
-    const type = this.determineSatelliteType(satrec);
+    // Imported ephemerides have no satrec - classify from their osculating orbit
+    const { type, regime } = classifySatrec(satrec || {
+      no: (2 * Math.PI) / orbitParams.period,
+      ecco: orbitParams.eccentricity,
+      inclo: orbitParams.inclination * Math.PI / 180
+    });
     const color = getSatelliteTypeColor(type);
 
     // Create a proxy object that mimics the old Satellite interface
@@ -100,6 +124,7 @@ class SatelliteManager {
       tleData,
       satrec,
       type,
+      regime,
       color,
       orbit: orbitParams,
       workerIndex: index,
@@ -150,7 +175,13 @@ class SatelliteManager {
     this.scene.add(hitbox);
 
     // Set instance color
-    this._color.setHex(color);
+    if (this.colorMode === COLOR_MODES.REGIME) {
+      this._color.setHex(ORBIT_REGIMES[regime].color);
+    } else if (this.colorMode === COLOR_MODES.PLANE) {
+      this._color.setHex(this.planeColors?.get(index) ?? NO_PLANE_COLOR);
+    } else {
+      this._color.setHex(color);
+    }
     this.instancedMesh.setColorAt(index, this._color);
 
     this.satellites.push(satellite);
@@ -208,23 +239,88 @@ class SatelliteManager {
   }
 
   /**
-   * Determine satellite type from satrec
+   * Determine satellite type (orbit class) from satrec; see classifySatrec for the regime too
    */
   determineSatelliteType(satrec) {
-    const mm = satrec.no; // mean motion (rad/min)
-    const mmRadPerSec = mm / 60;
-    const earthRadius = 6378.137;
-    const mu = 398600.4418;
-    const a = Math.pow(mu / (mmRadPerSec * mmRadPerSec), 1 / 3);
-    const e = satrec.ecco;
-
-    const GEO_SMA = earthRadius + 35786;
-    const LEO_MAX_SMA = earthRadius + 2000;
-
-    if (e > 0.25) return 'HEO';
-    if (Math.abs(a - GEO_SMA) < 1000 && e < 0.01) return 'GEO';
-    if (a < LEO_MAX_SMA) return 'LEO';
-    return 'MEO';
+    return classifySatrec(satrec).type;
+  }
+
+  /**
+   * Choose what the instance colors show
+   * @param {string} mode - COLOR_MODES value
+   * @param {Uint8Array|null} [eclipse] - ECLIPSE_STATE per worker index, for COLOR_MODES.ECLIPSE
+   */
+  setColorMode(mode, eclipse = null) {
+    this.colorMode = mode;
+    if (mode === COLOR_MODES.ECLIPSE) {
+      this.applyEclipseColors(eclipse);
+    } else if (mode === COLOR_MODES.REGIME) {
+      this.applyRegimeColors();
+    } else if (mode === COLOR_MODES.PLANE) {
+      this.applyPlaneColors();
+    } else {
+      this.applyTypeColors();
+    }
+  }
+
+  /**
+   * Color each satellite by orbit class
+   */
+  applyTypeColors() {
+    if (!this.instancedMesh) return;
+    for (const sat of this.satellites) {
+      this._color.setHex(sat.color);
+      this.instancedMesh.setColorAt(sat.workerIndex, this._color);
+    }
+    this.instancedMesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Color each satellite by orbit regime
+   */
+  applyRegimeColors() {
+    if (!this.instancedMesh) return;
+    for (const sat of this.satellites) {
+      this._color.setHex(ORBIT_REGIMES[sat.regime].color);
+      this.instancedMesh.setColorAt(sat.workerIndex, this._color);
+    }
+    this.instancedMesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Set the plane colors, repainting if they are shown
+   * @param {Map<number, number>|null} colors - Hex color by worker index; null to clear
+   */
+  setPlaneColors(colors) {
+    this.planeColors = colors;
+    if (this.colorMode === COLOR_MODES.PLANE) this.applyPlaneColors();
+  }
+
+  /**
+   * Color each satellite by orbital plane (grey outside every plane)
+   */
+  applyPlaneColors() {
+    if (!this.instancedMesh) return;
+    for (const sat of this.satellites) {
+      this._color.setHex(this.planeColors?.get(sat.workerIndex) ?? NO_PLANE_COLOR);
+      this.instancedMesh.setColorAt(sat.workerIndex, this._color);
+    }
+    this.instancedMesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Color each satellite by its shadow state (grey until the worker reports)
+   * @param {Uint8Array|null} eclipse - ECLIPSE_STATE per worker index
+   */
+  applyEclipseColors(eclipse) {
+    if (!this.instancedMesh) return;
+    for (const sat of this.satellites) {
+      const idx = sat.workerIndex;
+      const state = eclipse && idx < eclipse.length ? eclipse[idx] : ECLIPSE_STATE.UNKNOWN;
+      this._color.setHex(getEclipseStateColor(state));
+      this.instancedMesh.setColorAt(idx, this._color);
+    }
+    this.instancedMesh.instanceColor.needsUpdate = true;
   }
 
   /**
@@ -310,7 +406,7 @@ class SatelliteManager {
   }
 
   /**
-   * Create an orbit line for a satellite on-demand (for selected satellite only)
+   * Create an orbit line for a satellite on-demand (selected satellite and its what-if orbits)
    * This avoids computing 360 SGP4 calls per satellite at startup
    * @param {Object} sat - Satellite object
    * @param {Date} simulationTime - Current simulation time (defaults to wall-clock if not provided)
@@ -324,14 +420,20 @@ class SatelliteManager {
       sat.orbitLine = null;
     }
 
-    if (!sat.satrec) return null;
+    if (!sat.satrec && !sat.ephemeris) return null;
 
     // Use simulation time if provided, otherwise use current wall-clock time
-    const baseDate = simulationTime || new Date();
+    let baseDate = simulationTime || new Date();
 
     // Store the epoch for this orbit line to detect when refresh is needed
     sat.orbitLineEpoch = baseDate.getTime();
 
+    // Ephemerides only have positions inside their span: draw the first orbit
+    // of the span while the simulation is still before it (e.g. a planned burn)
+    if (sat.ephemeris && baseDate.getTime() < sat.ephemeris.times[0]) {
+      baseDate = new Date(sat.ephemeris.times[0]);
+    }
+
     // Generate orbit points (360 points for full orbit)
     const points = [];
     const periodMs = sat.orbit.period * 60 * 1000; // period in ms
@@ -341,11 +443,10 @@ class SatelliteManager {
       const pointDate = new Date(baseDate.getTime() + timeOffset);
 
       try {
-        const positionAndVelocity = satellite.propagate(sat.satrec, pointDate);
-        if (positionAndVelocity.position) {
+        const positionAndVelocity = propagateSatellite(sat, pointDate);
+        if (positionAndVelocity) {
           const pos = positionAndVelocity.position;
-          // Convert TEME to Three.js: swap Y/Z, negate Z
-          points.push(new THREE.Vector3(pos.x, pos.z, -pos.y));
+          points.push(temeToScene(pos.x, pos.y, pos.z, new THREE.Vector3()));
         }
       } catch (e) {
         // Skip failed propagation points
@@ -354,16 +455,25 @@ class SatelliteManager {
 
     if (points.length < 2) return null;
 
-    // Create geometry and material
+    // Create geometry and material (what-if orbits from the maneuver planner are dashed ghosts)
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    const material = new THREE.LineBasicMaterial({
-      color: sat.color,
-      transparent: true,
-      opacity: 0.6,
-      linewidth: 1
-    });
+    const material = sat.maneuver
+      ? new THREE.LineDashedMaterial({
+        color: sat.color,
+        transparent: true,
+        opacity: 0.45,
+        dashSize: 150,
+        gapSize: 100
+      })
+      : new THREE.LineBasicMaterial({
+        color: sat.color,
+        transparent: true,
+        opacity: 0.6,
+        linewidth: 1
+      });
 
     sat.orbitLine = new THREE.Line(geometry, material);
+    if (sat.maneuver) sat.orbitLine.computeLineDistances();
     sat.orbitLine.visible = true;
     this.scene.add(sat.orbitLine);
 
@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import * as satellite from 'satellite.js';
 import { getSatelliteTypeColor } from '../utils.js';
+import { temeToScene, temeToGeodetic } from '../frames.js';
+import { classifySatrec } from '../orbit-regimes.js';
 
 // Shared hitbox geometry for all satellites (reduces memory)
 const SHARED_HITBOX_GEOMETRY = new THREE.SphereGeometry(200, 4, 4);
@@ -31,42 +33,13 @@ class Satellite {
   }
   
   determineSatelliteType() {
-    // Calculate semi-major axis (km)
-    const mm = this.satrec.no; // mean motion (rad/min)
-    const mmRadPerSec = mm / 60; // Convert to rad/s for formula consistency
-    const earthRadius = 6378.137;
-    const mu = 398600.4418; // km³/s²
-    const a = Math.pow(mu / (mmRadPerSec * mmRadPerSec), 1/3);
-    
     // Calculate period in minutes
-    this.period = (2 * Math.PI) / mm;
-    
-    // Get eccentricity
-    const e = this.satrec.ecco;
-    
-    // Classification thresholds
-    const GEO_ALTITUDE = 35786; // km
-    const GEO_SMA = earthRadius + GEO_ALTITUDE; // ~42164 km
-    const LEO_MAX_ALTITUDE = 2000; // km
-    const LEO_MAX_SMA = earthRadius + LEO_MAX_ALTITUDE; // ~8378 km
+    this.period = (2 * Math.PI) / this.satrec.no;
     
-    // HEO first: defined by high eccentricity (elliptical orbit)
-    if (e > 0.25) {
-      return 'HEO'; // Highly Elliptical Orbit
-    }
-    
-    // GEO: circular orbit at geostationary altitude
-    if (Math.abs(a - GEO_SMA) < 1000 && e < 0.01) {
-      return 'GEO'; // Geostationary Orbit
-    }
-    
-    // LEO: below 2000 km altitude
-    if (a < LEO_MAX_SMA) {
-      return 'LEO'; // Low Earth Orbit
-    }
-    
-    // MEO: between LEO and GEO (2000 - 35786 km)
-    return 'MEO'; // Medium Earth Orbit
+    // Orbit class (LEO/MEO/GEO/HEO) and regime
+    const { type, regime } = classifySatrec(this.satrec);
+    this.regime = regime;
+    return type;
   }
   
   calculateOrbitalParameters() {
@@ -85,17 +58,8 @@ class Satellite {
     const positionAndVelocity = satellite.propagate(this.satrec, now);
     
     if (positionAndVelocity.position) {
-      const position = positionAndVelocity.position;
-      
-      // Calculate distance from Earth center (in km)
-      const distance = Math.sqrt(
-        position.x * position.x +
-        position.y * position.y +
-        position.z * position.z
-      );
-      
-      // Subtract Earth radius to get altitude
-      return distance - 6371;
+      // Height above the WGS84 ellipsoid (km)
+      return temeToGeodetic(positionAndVelocity.position, now).height;
     }
     
     return 0;
@@ -162,8 +126,7 @@ class Satellite {
       const positionAndVelocity = satellite.propagate(this.satrec, pointDate);
       if (positionAndVelocity.position) {
         const pos = positionAndVelocity.position;
-        // Convert TEME to Three.js: swap Y/Z, negate Z to preserve handedness
-        points.push(new THREE.Vector3(pos.x, pos.z, -pos.y));
+        points.push(temeToScene(pos.x, pos.y, pos.z, new THREE.Vector3()));
       }
     }
     
@@ -190,8 +153,7 @@ class Satellite {
     if (positionAndVelocity.position) {
       const pos = positionAndVelocity.position;
       
-      // Convert TEME to Three.js: swap Y/Z, negate Z to preserve handedness
-      this.mesh.position.set(pos.x, pos.z, -pos.y);
+      temeToScene(pos.x, pos.y, pos.z, this.mesh.position);
       this.hitbox.position.copy(this.mesh.position);
       
       // Update orbit visibility
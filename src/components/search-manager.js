@@ -10,20 +10,24 @@ class SearchManager {
    * Search for objects matching the query
    * @param {string} query - Search query
    * @param {string} type - 'all', 'satellite', or 'groundstation'
+   * @param {string} [orbit='all'] - Satellites only of an orbit class (LEO/MEO/GEO/HEO)
+   *   or regime (ORBIT_REGIMES id); ground stations are left out when set
    * @returns {Array} Array of matching results
    */
-  search(query, type = 'all') {
+  search(query, type = 'all', orbit = 'all') {
     query = query.toLowerCase().trim();
     const results = [];
 
     // Search satellites if applicable
     if (type === 'all' || type === 'satellite') {
       const satelliteResults = this.app.satellites.filter(sat =>
+        (orbit === 'all' || sat.type === orbit || sat.regime === orbit) &&
         sat.tleData.name.toLowerCase().includes(query)
       ).map(sat => ({
         name: sat.tleData.name,
         type: 'satellite',
         objectType: sat.type,
+        objectRegime: sat.regime,
         object: sat
       }));
 
@@ -31,7 +35,7 @@ class SearchManager {
     }
 
     // Search ground stations if applicable
-    if (type === 'all' || type === 'groundstation') {
+    if ((type === 'all' || type === 'groundstation') && orbit === 'all') {
       const stationResults = this.app.groundStations.filter(station =>
         station.name.toLowerCase().includes(query)
       ).map(station => ({
@@ -0,0 +1,135 @@
+/**
+ * SGP4PriorityManager - Decides which satellites the worker propagates with full SGP4
+ *
+ * Each satellite can be prioritized for several reasons at once (selected,
+ * followed, watch-listed, in view of the selected station). The manager keeps
+ * the reasons per worker index, ranks them, trims to the budget and sends only
+ * the add/remove deltas to the worker so re-asserting the same state is free.
+ */
+
+// Reasons in rank order - earlier reasons win when the budget is exceeded
+export const PRIORITY_REASONS = ['selected', 'followed', 'watched', 'los'];
+
+class SGP4PriorityManager {
+  /**
+   * @param {number} budget - Maximum number of satellites propagated with SGP4
+   */
+  constructor(budget = 256) {
+    this.budget = budget;
+    this.worker = null;
+
+    // reason -> Set of worker indices
+    this.reasons = new Map(PRIORITY_REASONS.map(reason => [reason, new Set()]));
+
+    // Indices currently prioritized in the worker
+    this.active = new Set();
+  }
+
+  /**
+   * Attach to a (new) worker and send it the full current priority set
+   * @param {Worker} worker
+   */
+  attach(worker) {
+    this.worker = worker;
+    this.active = new Set();
+    if (worker) {
+      worker.postMessage({ type: 'setSGP4Budget', data: { budget: this.budget } });
+    }
+    this.flush();
+  }
+
+  /**
+   * Replace the indices prioritized for one reason
+   * @param {string} reason - One of PRIORITY_REASONS
+   * @param {Iterable<number>} indices - Worker indices (undefined entries ignored)
+   */
+  setReason(reason, indices) {
+    this.setReasons({ [reason]: indices });
+  }
+
+  /**
+   * Replace the indices for several reasons at once, then flush a single delta
+   * @param {Object<string, Iterable<number>>} reasonIndices - e.g. { selected: [4], los: [...] }
+   */
+  setReasons(reasonIndices) {
+    for (const [reason, indices] of Object.entries(reasonIndices)) {
+      const set = this.reasons.get(reason);
+      if (!set) continue;
+
+      set.clear();
+      for (const index of indices) {
+        if (index !== undefined && index !== null && index >= 0) {
+          set.add(index);
+        }
+      }
+    }
+    this.flush();
+  }
+
+  /**
+   * Drop every reason (e.g. when worker indices are rebuilt)
+   */
+  clear() {
+    for (const set of this.reasons.values()) {
+      set.clear();
+    }
+    this.flush();
+  }
+
+  /**
+   * Change the SGP4 budget
+   * @param {number} budget
+   */
+  setBudget(budget) {
+    this.budget = budget;
+    if (this.worker) {
+      this.worker.postMessage({ type: 'setSGP4Budget', data: { budget } });
+    }
+    this.flush();
+  }
+
+  /**
+   * Check whether a worker index currently gets SGP4 propagation
+   * @param {number} index
+   * @returns {boolean}
+   */
+  has(index) {
+    return this.active.has(index);
+  }
+
+  /**
+   * Ranked, budget-trimmed set of indices that should be prioritized
+   * @returns {Set<number>}
+   */
+  getDesired() {
+    const desired = new Set();
+    for (const reason of PRIORITY_REASONS) {
+      for (const index of this.reasons.get(reason)) {
+        if (desired.size >= this.budget) return desired;
+        desired.add(index);
+      }
+    }
+    return desired;
+  }
+
+  /**
+   * Send add/remove deltas between the desired and active sets to the worker
+   */
+  flush() {
+    const desired = this.getDesired();
+    const added = [...desired].filter(index => !this.active.has(index));
+    const removed = [...this.active].filter(index => !desired.has(index));
+
+    this.active = desired;
+
+    if (!this.worker) return;
+    if (removed.length > 0) {
+      this.worker.postMessage({ type: 'removeSGP4Priority', data: { indices: removed } });
+    }
+    if (added.length > 0) {
+      this.worker.postMessage({ type: 'addSGP4Priority', data: { indices: added } });
+    }
+  }
+}
+
+export default SGP4PriorityManager;
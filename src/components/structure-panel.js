@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { planeElements, analyzeConstellationSteps } from '../constellation-structure.js';
+
+// ms of plane fitting per main-thread task
+const SLICE = 30;
+
+/**
+ * StructurePanel - Shells, orbital planes and slots of loaded satellites
+ * (see constellation-structure.js). Keeps the last analysis, colors the
+ * satellites by plane and lets each plane be hidden.
+ */
+class StructurePanel {
+  constructor(app) {
+    this.app = app;
+
+    // Last analysis:
+    // { target, label, time, satelliteCount, shells, planes, unassigned, hidden }
+    // planes - numbered across shells: { shell, raan, slotCount, members, gaps, drifting, color, visible }
+    // hidden - 1 per worker index whose plane is toggled off
+    this.analysis = null;
+  }
+
+  /**
+   * What can be analysed: everything loaded, or one loaded constellation
+   * @returns {Array<{id: string, name: string, count: number}>}
+   */
+  getTargets() {
+    return [
+      { id: 'all', name: 'All loaded', count: this.app.satellites.length },
+      ...this.app.getLoadedConstellations()
+    ];
+  }
+
+  /**
+   * Find the shells, planes and in-plane slots at the simulation time
+   * @param {string} target - 'all' or a loaded constellation ID
+   * @param {Function} [onProgress] - Called with the fraction of satellites placed
+   * @returns {Promise<Object>} The analysis (see analysis)
+   * @throws {Error} Without satellites to analyse
+   */
+  async analyze(target, onProgress) {
+    const { app } = this;
+    const chosen = this.getTargets().find(t => t.id === target);
+    // Mean elements come from TLEs; imported ephemerides have none
+    const satellites = app.satellites.filter(sat =>
+      sat.satrec && (target === 'all' || sat.constellationId === target));
+    if (!chosen || satellites.length === 0) {
+      throw new Error('Load a constellation to analyse');
+    }
+
+    const time = app.timeController.current.getTime();
+    const steps = analyzeConstellationSteps(satellites.map(sat => planeElements(sat.satrec, time)));
+
+    // Sliced so the globe keeps rendering through a large constellation
+    let sliceStart = performance.now();
+    let step = steps.next();
+    while (!step.done) {
+      if (performance.now() - sliceStart > SLICE) {
+        if (onProgress) onProgress(step.value);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        sliceStart = performance.now();
+      }
+      step = steps.next();
+    }
+    const { shells, unassigned } = step.value;
+
+    // Planes numbered across shells, colored around the hue circle (golden ratio steps)
+    const planes = [];
+    const colors = new Map();
+    const color = new THREE.Color();
+    shells.forEach((shell, s) => {
+      for (const plane of shell.planes) {
+        const hex = color.setHSL((planes.length * 0.618034) % 1, 0.85, 0.55).getHex();
+        const members = plane.members.map(({ index, slot, drifting }) => ({ satellite: satellites[index], slot, drifting }));
+        for (const { satellite } of members) colors.set(satellite.workerIndex, hex);
+        planes.push({ ...plane, shell: s, members, color: hex, visible: true });
+      }
+    });
+
+    this.analysis = {
+      target,
+      label: chosen.name,
+      time: new Date(time),
+      satelliteCount: satellites.length,
+      shells: shells.map(shell => ({ ...shell, unassigned: shell.unassigned.map(k => satellites[k]) })),
+      planes,
+      unassigned: unassigned.map(k => satellites[k]),
+      hidden: new Uint8Array(app.satellites.reduce((max, sat) => Math.max(max, sat.workerIndex + 1), 0))
+    };
+    app.satelliteManager.setPlaneColors(colors);
+    // Planes hidden in an earlier analysis come back
+    app.toggleSatellites(app.settings.showSatellites);
+    return this.analysis;
+  }
+
+  /**
+   * Rows for the last analysis: a header per shell, then a toggle per plane
+   * @returns {{summary: string, list: string}|null} Text and HTML, null without an analysis
+   */
+  format() {
+    const structure = this.analysis;
+    if (!structure) return null;
+
+    const { shells, planes, unassigned } = structure;
+    const summary = `${structure.label} · ${structure.satelliteCount} satellites, ${shells.length} shells, ` +
+      `${planes.length} planes · ${unassigned.length} between shells · ` +
+      `${structure.time.toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+    if (shells.length === 0) {
+      return { summary, list: '<div class="pass-empty">No shells found</div>' };
+    }
+
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    const list = shells.map((shell, s) => {
+      const rows = planes.map((plane, p) => ({ plane, p })).filter(({ plane }) => plane.shell === s).map(({ plane, p }) => {
+        const onStation = plane.slotCount - plane.gaps.length;
+        const flags = [
+          plane.gaps.length ? plural(plane.gaps.length, 'gap') : '',
+          plane.drifting ? `${plane.drifting} drifting` : ''
+        ].filter(Boolean).join(' · ');
+        const details = [
+          plane.gaps.length ? `Empty slots: ${plane.gaps.join(', ')}` : '',
+          plane.drifting
+            ? `Drifting: ${plane.members.filter(m => m.drifting).map(m => `${m.satellite.tleData.name} (slot ${m.slot})`).join(', ')}`
+            : ''
+        ].filter(Boolean).join('\n');
+        const hex = `#${plane.color.toString(16).padStart(6, '0')}`;
+        return `<label class="filter-row filter-sub structure-plane"${details ? ` title="${details}"` : ''}>` +
+          `<input type="checkbox" data-plane="${p}"${plane.visible ? ' checked' : ''}>` +
+          `<span class="check-mark"></span>` +
+          `<span class="color-tag" style="--tag-color: ${hex};"></span>` +
+          `<span class="structure-plane-name">RAAN ${plane.raan.toFixed(1)}°</span>` +
+          `<span class="monospace">${onStation}/${plane.slotCount}</span>` +
+          (flags ? `<span class="structure-flags">${flags}</span>` : '') +
+          `</label>`;
+      }).join('');
+      const between = shell.unassigned.length ? ` · ${shell.unassigned.length} between planes` : '';
+      return `<div class="pass-head structure-shell">` +
+        `<span class="pass-name">${shell.inclination.toFixed(2)}° · ${shell.altitude.toFixed(0)} km</span>` +
+        `<span class="pass-max">${shell.count} sats · ${plural(shell.planes.length, 'plane')}${between}</span>` +
+        `</div>${rows}`;
+    }).join('');
+    return { summary, list };
+  }
+
+  /**
+   * Show or hide the satellites of one plane from the last analysis
+   * @param {number} plane - Into analysis.planes
+   * @param {boolean} visible
+   */
+  setPlaneVisible(plane, visible) {
+    const { app } = this;
+    const structure = this.analysis;
+    if (!structure || !structure.planes[plane]) return;
+
+    structure.planes[plane].visible = visible;
+    for (const { satellite } of structure.planes[plane].members) {
+      structure.hidden[satellite.workerIndex] = visible ? 0 : 1;
+      satellite.toggleVisibility(app.settings.showSatellites && app.isSatelliteOrbitVisible(satellite));
+    }
+    app.orbitRings.needsUpdate = true;
+  }
+
+  /**
+   * Satellites whose plane is toggled off
+   * @returns {Uint8Array|null} 1 per hidden worker index, null without an analysis
+   */
+  getHidden() {
+    return this.analysis ? this.analysis.hidden : null;
+  }
+
+  /**
+   * Drop the analysis (its satellites are gone), showing every plane again
+   */
+  clear() {
+    this.analysis = null;
+    if (this.app.satelliteManager) this.app.satelliteManager.setPlaneColors(null);
+  }
+}
+
+export default StructurePanel;
@@ -70,6 +70,14 @@ class TimeController {
     this.current = new Date();
   }
 
+  /**
+   * Jump simulation time to a given instant
+   * @param {Date|number} date
+   */
+  setTime(date) {
+    this.current = new Date(date);
+  }
+
   /**
    * Format the current simulation time for display
    * @returns {string} Formatted time string
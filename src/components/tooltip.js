@@ -57,11 +57,14 @@ class Tooltip {
       
       html = `
         <div style="font-weight: 600; margin-bottom: 6px; color: ${color};">${data.name}</div>
-        <div style="color: #aaa; font-size: 11px; text-transform: uppercase; margin-bottom: 4px;">${data.objectType} Satellite</div>
+        <div style="color: #aaa; font-size: 11px; text-transform: uppercase; margin-bottom: 4px;">${data.objectType} Satellite${data.regime && data.regime !== data.objectType ? ` · ${data.regime}` : ''}</div>
         <div style="display: grid; gap: 3px; font-size: 12px;">
           <div><span style="color: #888;">Altitude:</span> ${data.altitude?.toFixed(0) || '—'} km</div>
           <div><span style="color: #888;">Period:</span> ${data.period?.toFixed(1) || '—'} min</div>
           <div><span style="color: #888;">Inclination:</span> ${data.inclination?.toFixed(1) || '—'}°</div>
+          ${data.accuracy ? `<div><span style="color: #888;">Accuracy:</span> ${data.accuracy}</div>` : ''}
+          ${data.eclipse ? `<div><span style="color: #888;">Eclipse:</span> ${data.eclipse}</div>` : ''}
+          ${data.propagationStatus ? `<div><span style="color: #888;">Propagation:</span> <span style="color: #e03131;">${data.propagationStatus}</span></div>` : ''}
         </div>
       `;
     } else if (data.type === 'groundStation') {
@@ -70,6 +73,7 @@ class Tooltip {
         <div style="color: #aaa; font-size: 11px; text-transform: uppercase; margin-bottom: 4px;">Ground Station</div>
         <div style="display: grid; gap: 3px; font-size: 12px;">
           <div><span style="color: #888;">Location:</span> ${data.lat?.toFixed(2)}°, ${data.lon?.toFixed(2)}°</div>
+          ${data.elevationLimit ? `<div><span style="color: #888;">Elevation Limit:</span> ${data.elevationLimit}</div>` : ''}
           ${data.visibleCount !== undefined ? `<div><span style="color: #888;">Visible Sats:</span> ${data.visibleCount}</div>` : ''}
         </div>
       `;
@@ -44,7 +44,7 @@ class Walkthrough {
             {
                 target: '.control-section:has(.filter-list)',
                 title: 'Orbit Class Filter',
-                description: 'Filter satellites by orbit type: LEO (Low Earth), MEO (Medium), GEO (Geostationary), or HEO (Highly Elliptical).',
+                description: 'Filter satellites by orbit type: LEO (Low Earth), MEO (Medium), GEO (Geostationary), or HEO (Highly Elliptical), and by regime within each: sun-synchronous, polar, inclined GSO, graveyard, Molniya, Tundra or GTO.',
                 icon: 'filter_alt',
                 position: 'left'
             },
@@ -0,0 +1,197 @@
+/**
+ * Conjunction Screening
+ *
+ * Close approaches between pairs of objects over a window, in three stages:
+ * 1. Apogee/perigee filter - two orbits whose radial shells (perigee to apogee
+ *    radius, padded by the threshold) don't overlap can never come close.
+ * 2. Coarse sweep - both objects sampled on a fixed step; a range minimum lies
+ *    between two samples where the range-rate turns from closing to opening.
+ *    Stretches where the pair is too far apart to close to the threshold even
+ *    at their combined top speed are skipped.
+ * 3. Fine search - the time of closest approach (TCA) is refined between the
+ *    samples on the full propagator, as the root of the range-rate.
+ *
+ * The step must be well under the orbital periods so that no two minima of a
+ * pair's range fall between the same pair of samples.
+ *
+ * Pure functions, used by the main thread with coarse states from the workers'
+ * propagateAt. Positions are TEME km, velocities km/s.
+ */
+
+const EARTH_RADIUS = 6378.137;  // km, the radius orbit altitudes are measured from
+const SHELL_MARGIN = 30;        // km: mean vs osculating elements (J2 short-period terms)
+const SPEED_MARGIN = 1.02;      // Sampled top speeds can fall just short of the perigee speed
+const TCA_TOLERANCE = 1;        // ms
+const MAX_ITERATIONS = 40;
+
+/**
+ * Radial extent of an orbit
+ * @param {{altitude: number, eccentricity: number}} orbit - Semi-major axis above the
+ *   equatorial radius (km) and eccentricity, as in a satellite's orbit parameters
+ * @returns {{perigee: number, apogee: number}} Radii, km
+ */
+export function orbitShell({ altitude, eccentricity }) {
+  const a = altitude + EARTH_RADIUS;
+  return { perigee: a * (1 - eccentricity), apogee: a * (1 + eccentricity) };
+}
+
+/**
+ * Apogee/perigee filter: whether two orbits can come within a distance
+ * @param {{perigee: number, apogee: number}} a
+ * @param {{perigee: number, apogee: number}} b
+ * @param {number} threshold - km
+ * @returns {boolean}
+ */
+export function shellsOverlap(a, b, threshold) {
+  const pad = threshold + SHELL_MARGIN;
+  return Math.max(a.perigee, b.perigee) - Math.min(a.apogee, b.apogee) <= pad;
+}
+
+/**
+ * Sampled states of several objects on a fixed step
+ * @typedef {Object} CoarseEphemeris
+ * @property {Float64Array} positions - [object][sample][xyz]; (0,0,0) where propagation failed
+ * @property {Float64Array} velocities - Same layout
+ * @property {number} samples - Samples per object
+ * @property {number} stepSeconds
+ * @property {Float64Array} maxSpeed - Top sampled speed of each object (with a margin), km/s
+ */
+
+/**
+ * @param {Float64Array} positions - propagateAt layout, [object][sample][xyz]
+ * @param {Float64Array} velocities
+ * @param {number} samples
+ * @param {number} stepSeconds
+ * @returns {CoarseEphemeris}
+ */
+export function createCoarseEphemeris(positions, velocities, samples, stepSeconds) {
+  const count = positions.length / (samples * 3);
+  const maxSpeed = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    let top = 0;
+    for (let k = 0; k < samples; k++) {
+      const o = (i * samples + k) * 3;
+      top = Math.max(top, Math.hypot(velocities[o], velocities[o + 1], velocities[o + 2]));
+    }
+    maxSpeed[i] = top * SPEED_MARGIN;
+  }
+  return { positions, velocities, samples, stepSeconds, maxSpeed };
+}
+
+/**
+ * Coarse sweep of one pair
+ * @param {CoarseEphemeris} ephemeris
+ * @param {number} a - Object index in the ephemeris
+ * @param {number} b
+ * @param {number} threshold - km
+ * @returns {number[]} Sample k of each interval [k, k + 1] holding a range minimum
+ *   that may be within the threshold
+ */
+export function screenPair(ephemeris, a, b, threshold) {
+  const { positions: p, velocities: v, samples, stepSeconds } = ephemeris;
+  const reachPerStep = (ephemeris.maxSpeed[a] + ephemeris.maxSpeed[b]) * stepSeconds;
+  const offsetA = a * samples * 3;
+  const offsetB = b * samples * 3;
+  const candidates = [];
+
+  // Range and range-rate (r·v, same sign) at sample k; null where either failed
+  const relative = (k) => {
+    const oa = offsetA + k * 3;
+    const ob = offsetB + k * 3;
+    if ((p[oa] === 0 && p[oa + 1] === 0 && p[oa + 2] === 0) ||
+        (p[ob] === 0 && p[ob + 1] === 0 && p[ob + 2] === 0)) {
+      return null;
+    }
+    const rx = p[ob] - p[oa];
+    const ry = p[ob + 1] - p[oa + 1];
+    const rz = p[ob + 2] - p[oa + 2];
+    return {
+      range: Math.sqrt(rx * rx + ry * ry + rz * rz),
+      rate: rx * (v[ob] - v[oa]) + ry * (v[ob + 1] - v[oa + 1]) + rz * (v[ob + 2] - v[oa + 2])
+    };
+  };
+
+  let k = 0;
+  while (k < samples - 1) {
+    const here = relative(k);
+    if (!here) {
+      k++;
+      continue;
+    }
+
+    // Steps the pair certainly stays beyond the threshold for
+    const clear = Math.floor((here.range - threshold) / reachPerStep);
+    if (clear >= 1) {
+      k += clear;
+      continue;
+    }
+
+    const next = relative(k + 1);
+    // The range can dip below both samples by at most half the interval's reach
+    if (next && here.rate < 0 && next.rate >= 0 &&
+        (here.range + next.range - reachPerStep) / 2 <= threshold) {
+      candidates.push(k);
+    }
+    k++;
+  }
+
+  return candidates;
+}
+
+/**
+ * Refine a time of closest approach between two bracketing times: the root of
+ * the range-rate, by regula falsi with the Illinois modification
+ * @param {function(number): {position: {x, y, z}, velocity: {x, y, z}}|null} stateA - State at a time (ms)
+ * @param {function(number): {position: {x, y, z}, velocity: {x, y, z}}|null} stateB
+ * @param {number} start - ms, where the pair is closing
+ * @param {number} end - ms, where it is opening
+ * @returns {{time: number, missDistance: number, relativeSpeed: number}|null}
+ *   TCA (ms), km and km/s; null if either object can't be propagated
+ */
+export function findTca(stateA, stateB, start, end) {
+  const relative = (time) => {
+    const sa = stateA(time);
+    const sb = stateB(time);
+    if (!sa || !sb) return null;
+    const r = [sb.position.x - sa.position.x, sb.position.y - sa.position.y, sb.position.z - sa.position.z];
+    const v = [sb.velocity.x - sa.velocity.x, sb.velocity.y - sa.velocity.y, sb.velocity.z - sa.velocity.z];
+    return { time, r, v, rate: r[0] * v[0] + r[1] * v[1] + r[2] * v[2] };
+  };
+
+  let lo = relative(start);
+  let hi = relative(end);
+  if (!lo || !hi) return null;
+
+  let best = Math.abs(lo.rate) < Math.abs(hi.rate) ? lo : hi;
+  if (lo.rate < 0 && hi.rate > 0) {
+    let loRate = lo.rate;
+    let hiRate = hi.rate;
+    let side = 0;
+    for (let i = 0; i < MAX_ITERATIONS && hi.time - lo.time > TCA_TOLERANCE; i++) {
+      const time = (lo.time * hiRate - hi.time * loRate) / (hiRate - loRate);
+      const mid = relative(time);
+      if (!mid) return null;
+      best = mid;
+      if (mid.rate === 0) break;
+
+      if (mid.rate < 0) {
+        lo = mid;
+        loRate = mid.rate;
+        // Same end moved twice: halve the other's weight so it moves too
+        if (side === -1) hiRate /= 2;
+        side = -1;
+      } else {
+        hi = mid;
+        hiRate = mid.rate;
+        if (side === 1) loRate /= 2;
+        side = 1;
+      }
+    }
+  }
+
+  return {
+    time: best.time,
+    missDistance: Math.hypot(...best.r),
+    relativeSpeed: Math.hypot(...best.v)
+  };
+}
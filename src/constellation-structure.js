@@ -0,0 +1,393 @@
+/**
+ * Constellation Structure
+ *
+ * How a constellation is laid out: shells (satellites sharing an inclination
+ * and altitude), orbital planes within a shell (sharing a right ascension of
+ * the ascending node) and slots within a plane (evenly spaced in argument of
+ * latitude). Shells are modes of the inclination, then the altitude,
+ * distribution (mean shift), so a thin stream of satellites raising or lowering
+ * between two shells doesn't join them; satellites away from any mode are left
+ * out as between shells. Planes are found by density clustering of the node
+ * (DBSCAN) - a satellite with enough neighbours within a tolerance is a core
+ * point, cores within the tolerance of each other form a plane, other
+ * satellites within the tolerance of a core join it and the rest are between
+ * planes.
+ *
+ * In a plane, a satellite far from its slot's centre, or from the plane's node,
+ * is flagged as drifting, and a slot without a satellite on station as a gap.
+ *
+ * Mean elements are carried to a common time with J2 secular rates, so planes
+ * and slots line up whatever the TLE epochs. Used by the main thread.
+ */
+
+import { extractOrbitalElements, secularElements, PROPAGATION_MODELS } from './workers/keplerian-propagator.js';
+
+const EARTH_RADIUS = 6378.137;  // km, the radius altitudes are measured from
+const MAX_SHIFTS = 100;
+const MAX_SLOT_FACTOR = 1.25;  // Slot counts tried, up to this many per satellite in a plane
+const MIN_SLOT_FILL = 0.5;     // Of a slot count's slots with a satellite on station, for it to be tried
+const SLOT_SCORE = 0.8;        // Of the best slot count's score, for the smallest that will do
+const RAD_TO_DEG = 180 / Math.PI;
+const DEG_TO_RAD = Math.PI / 180;
+
+export const STRUCTURE_DEFAULTS = Object.freeze({
+  inclinationTolerance: 0.3,  // deg, shell half-width
+  altitudeTolerance: 20,      // km, shell half-width; a shell's planes can sit a few km apart (OneWeb)
+  raanTolerance: 0.5,         // deg between neighbours in a plane
+  minShellSize: 4,            // Satellites
+  minPlaneSize: 2,
+  slotTolerance: 0.25,        // Of the slot spacing, off the slot centre
+  nodeTolerance: 0.5          // deg off the plane's node
+});
+
+const wrap360 = deg => ((deg % 360) + 360) % 360;
+const wrap180 = deg => wrap360(deg + 180) - 180;
+
+/**
+ * Plane geometry of a satellite at a time
+ * @param {Object} satrec - satellite.js record
+ * @param {number} time - ms
+ * @returns {{inclination: number, altitude: number, raan: number, argumentOfLatitude: number}}
+ *   Degrees, and the semi-major axis above the equatorial radius (km)
+ */
+export function planeElements(satrec, time) {
+  const elements = extractOrbitalElements(satrec);
+  const { a, e, i, omega, Omega, M } = secularElements(
+    elements, (time - elements.epoch) / 1000, PROPAGATION_MODELS.J2);
+  return {
+    inclination: i * RAD_TO_DEG,
+    altitude: a - EARTH_RADIUS,
+    raan: wrap360(Omega * RAD_TO_DEG),
+    // True anomaly to first order in e, ample for the near-circular orbits constellations fly
+    argumentOfLatitude: wrap360((omega + M + 2 * e * Math.sin(M)) * RAD_TO_DEG)
+  };
+}
+
+/**
+ * Mode-seeking clustering of values on a line (mean shift with a flat kernel):
+ * each value climbs to the mean of its neighbours within the bandwidth until it
+ * settles on a mode, and the values on one mode form a cluster
+ * @param {number[]} values
+ * @param {number} bandwidth - Kernel half-width; also how far from its mode a value may be
+ * @param {number} minPoints - Smallest cluster; members of smaller ones are noise
+ * @returns {Int32Array} Cluster of each value, numbered in increasing value; -1 for noise
+ */
+export function clusterModes(values, bandwidth, minPoints) {
+  const n = values.length;
+  const sorted = [...values].sort((x, y) => x - y);
+  const prefix = new Float64Array(n + 1);
+  sorted.forEach((v, k) => { prefix[k + 1] = prefix[k] + v; });
+
+  // First sorted index with a value above x (or at or above it)
+  const bound = (x, inclusive) => {
+    let lo = 0;
+    let hi = n;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (inclusive ? sorted[mid] < x : sorted[mid] <= x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const climb = (x) => {
+    for (let shift = 0; shift < MAX_SHIFTS; shift++) {
+      const lo = bound(x - bandwidth, true);
+      const hi = bound(x + bandwidth, false);
+      const mean = (prefix[hi] - prefix[lo]) / (hi - lo);
+      if (Math.abs(mean - x) < bandwidth * 1e-3) return mean;
+      x = mean;
+    }
+    return x;
+  };
+
+  // Values on one mode settle within a fraction of the bandwidth of each other
+  const modes = values.map(climb);
+  const order = Array.from(values.keys()).sort((x, y) => modes[x] - modes[y]);
+  const labels = new Int32Array(n).fill(-1);
+  let cluster = -1;
+  let members = [];
+  const close = () => {
+    if (members.length >= minPoints) {
+      cluster++;
+      for (const k of members) labels[k] = cluster;
+    }
+    members = [];
+  };
+  order.forEach((k, j) => {
+    if (j > 0 && modes[k] - modes[order[j - 1]] > bandwidth / 2) close();
+    if (Math.abs(values[k] - modes[k]) <= bandwidth) members.push(k);
+  });
+  close();
+
+  return labels;
+}
+
+/**
+ * Density clustering of values on a line
+ * @param {number[]} values
+ * @param {number} tolerance - Neighbourhood half-width
+ * @param {number} minPoints - Neighbours (self included) that make a core point
+ * @returns {Int32Array} Cluster of each value, numbered in increasing value; -1 for noise
+ */
+export function clusterLinear(values, tolerance, minPoints) {
+  const n = values.length;
+  const order = Array.from(values.keys()).sort((x, y) => values[x] - values[y]);
+  const sorted = order.map(k => values[k]);
+  const labels = new Int32Array(n).fill(-1);
+
+  const core = new Uint8Array(n);
+  let lo = 0;
+  let hi = 0;
+  for (let k = 0; k < n; k++) {
+    while (sorted[lo] < sorted[k] - tolerance) lo++;
+    while (hi + 1 < n && sorted[hi + 1] <= sorted[k] + tolerance) hi++;
+    core[k] = hi - lo + 1 >= minPoints ? 1 : 0;
+  }
+
+  let cluster = -1;
+  let lastCore = -Infinity;
+  for (let k = 0; k < n; k++) {
+    if (!core[k]) continue;
+    if (sorted[k] - lastCore > tolerance) cluster++;
+    labels[order[k]] = cluster;
+    lastCore = sorted[k];
+  }
+
+  // Border points join the nearest core within the tolerance
+  for (let k = 0; k < n; k++) {
+    if (core[k]) continue;
+    let best = -1;
+    let bestDistance = Infinity;
+    for (const step of [-1, 1]) {
+      for (let j = k + step; j >= 0 && j < n && Math.abs(sorted[j] - sorted[k]) <= tolerance; j += step) {
+        if (!core[j]) continue;
+        if (Math.abs(sorted[j] - sorted[k]) < bestDistance) {
+          bestDistance = Math.abs(sorted[j] - sorted[k]);
+          best = labels[order[j]];
+        }
+        break;
+      }
+    }
+    labels[order[k]] = best;
+  }
+
+  return labels;
+}
+
+/**
+ * Density clustering of angles
+ * @param {number[]} angles - Degrees
+ * @param {number} tolerance - Degrees
+ * @param {number} minPoints
+ * @returns {Int32Array} As clusterLinear
+ */
+export function clusterCircular(angles, tolerance, minPoints) {
+  if (angles.length === 0) return new Int32Array(0);
+
+  // Cut the circle in its widest gap, so no cluster straddles the cut
+  const sorted = angles.map(wrap360).sort((x, y) => x - y);
+  let cut = sorted[0];
+  let widest = sorted[0] + 360 - sorted[sorted.length - 1];
+  for (let k = 1; k < sorted.length; k++) {
+    if (sorted[k] - sorted[k - 1] > widest) {
+      widest = sorted[k] - sorted[k - 1];
+      cut = sorted[k];
+    }
+  }
+
+  return clusterLinear(angles.map(angle => {
+    const wrapped = wrap360(angle);
+    return wrapped < cut ? wrapped + 360 : wrapped;
+  }), tolerance, minPoints);
+}
+
+/**
+ * Circular mean
+ * @param {number[]} angles - Degrees
+ * @returns {number} Degrees, [0, 360)
+ */
+export function circularMean(angles) {
+  let s = 0;
+  let c = 0;
+  for (const angle of angles) {
+    s += Math.sin(angle * DEG_TO_RAD);
+    c += Math.cos(angle * DEG_TO_RAD);
+  }
+  return wrap360(Math.atan2(s, c) * RAD_TO_DEG);
+}
+
+/**
+ * Slots of the satellites in one plane. Each candidate slot count N places
+ * its slots where the satellites' phases N·u agree, and scores the slots with
+ * a satellite on station, each by how near its centre the closest one is (a
+ * count that fits only at the edge of the tolerance scores little). Multiples of the right count score as
+ * well (and a spare parked between two slots can make one score better), so
+ * the count is the smallest that comes near the best. Only counts up to a
+ * little over the plane's membership, with at least half their slots on
+ * station, are tried: a larger count always finds some satellite near a slot,
+ * and a plane still bunched from launch would come out mostly gaps. Slot 0 is
+ * the first at or after argument of latitude 0.
+ * @param {number[]} angles - Arguments of latitude, degrees
+ * @param {number} [slotTolerance] - Fraction of the spacing a satellite on station may be off its slot
+ * @returns {{slotCount: number, origin: number, slots: Int32Array, offsets: Float64Array}}
+ *   Slot of each satellite and its offset from the slot's centre (degrees)
+ */
+export function assignSlots(angles, slotTolerance = STRUCTURE_DEFAULTS.slotTolerance) {
+  const n = angles.length;
+  const layout = (slotCount) => {
+    const spacing = 360 / slotCount;
+    const origin = circularMean(angles.map(u => u * slotCount)) / slotCount;
+    const slots = new Int32Array(n);
+    const offsets = new Float64Array(n);
+    // Closest satellite to the centre of each slot, 1 at the centre to 0 at the tolerance
+    const onStation = new Map();
+    angles.forEach((u, k) => {
+      const slot = ((Math.round((u - origin) / spacing) % slotCount) + slotCount) % slotCount;
+      slots[k] = slot;
+      offsets[k] = wrap180(u - origin - slot * spacing);
+      const fit = 1 - Math.abs(offsets[k]) / (slotTolerance * spacing);
+      if (fit >= 0) onStation.set(slot, Math.max(fit, onStation.get(slot) ?? 0));
+    });
+    let score = 0;
+    for (const fit of onStation.values()) score += fit;
+    return { slotCount, origin, slots, offsets, score, filled: onStation.size / slotCount };
+  };
+
+  const candidates = Array.from({ length: Math.ceil(MAX_SLOT_FACTOR * n) }, (_, k) => layout(k + 1));
+  const filled = candidates.filter(l => l.filled >= MIN_SLOT_FILL);
+  const layouts = filled.length > 0 ? filled : candidates;
+  const best = Math.max(...layouts.map(l => l.score));
+  const { slotCount, origin, slots, offsets } = layouts.find(l => l.score >= SLOT_SCORE * best);
+  return { slotCount, origin, slots, offsets };
+}
+
+/**
+ * @typedef {Object} PlaneStructure
+ * @property {number} raan - Mean node, degrees
+ * @property {number} slotCount
+ * @property {Array<{index: number, slot: number, offset: number, drifting: boolean}>} members -
+ *   By slot; index into the analysed objects
+ * @property {number[]} gaps - Slots with no satellite on station
+ * @property {number} drifting - Members off their slot or the plane's node
+ */
+
+/**
+ * @typedef {Object} ShellStructure
+ * @property {number} inclination - Mean, degrees
+ * @property {number} altitude - Mean, km
+ * @property {number} count - Satellites, including those between planes
+ * @property {PlaneStructure[]} planes - By node
+ * @property {number[]} unassigned - Satellites between planes (indices)
+ */
+
+/**
+ * Find the shells, planes and slots of a set of satellites
+ * @param {Array<{inclination: number, altitude: number, raan: number, argumentOfLatitude: number}>} objects -
+ *   As from planeElements, all at the same time
+ * @param {Object} [options] - Tolerances, see STRUCTURE_DEFAULTS
+ * @returns {{shells: ShellStructure[], unassigned: number[]}} Shells by inclination then
+ *   altitude; unassigned are satellites in no shell (indices)
+ */
+export function analyzeConstellation(objects, options = {}) {
+  const steps = analyzeConstellationSteps(objects, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+/**
+ * analyzeConstellation one plane at a time, so a large constellation can be
+ * spread over several tasks: yields the fraction of satellites placed after
+ * each plane's slots are found, and returns the analysis
+ * @param {Object[]} objects - As analyzeConstellation
+ * @param {Object} [options] - As analyzeConstellation
+ * @returns {Generator<number, {shells: ShellStructure[], unassigned: number[]}>}
+ */
+export function* analyzeConstellationSteps(objects, options = {}) {
+  const settings = { ...STRUCTURE_DEFAULTS, ...options };
+  const unassigned = [];
+  const shells = [];
+  let placed = 0;
+
+  const groupBy = (indices, labels) => {
+    const groups = [];
+    indices.forEach((index, k) => {
+      if (labels[k] < 0) {
+        unassigned.push(index);
+      } else {
+        (groups[labels[k]] ||= []).push(index);
+      }
+    });
+    return groups.filter(Boolean);
+  };
+
+  const all = Array.from(objects.keys());
+  const byInclination = groupBy(all,
+    clusterModes(all.map(k => objects[k].inclination), settings.inclinationTolerance, settings.minShellSize));
+
+  for (const group of byInclination) {
+    const byAltitude = groupBy(group,
+      clusterModes(group.map(k => objects[k].altitude), settings.altitudeTolerance, settings.minShellSize));
+
+    for (const shell of byAltitude) {
+      const labels = clusterCircular(shell.map(k => objects[k].raan), settings.raanTolerance, settings.minPlaneSize);
+      const between = shell.filter((_, k) => labels[k] < 0);
+      const members = [];
+      shell.forEach((index, k) => {
+        if (labels[k] >= 0) (members[labels[k]] ||= []).push(index);
+      });
+
+      const planes = [];
+      for (const plane of members.filter(Boolean)) {
+        const raan = circularMean(plane.map(k => objects[k].raan));
+        const { slotCount, slots, offsets } = assignSlots(
+          plane.map(k => objects[k].argumentOfLatitude), settings.slotTolerance);
+        const spacing = 360 / slotCount;
+
+        const rows = plane.map((index, k) => ({
+          index,
+          slot: slots[k],
+          offset: offsets[k],
+          drifting: Math.abs(offsets[k]) > settings.slotTolerance * spacing ||
+            Math.abs(wrap180(objects[index].raan - raan)) > settings.nodeTolerance
+        }));
+
+        // Of two on station in one slot, the one further off it is drifting
+        const onStation = new Map();
+        for (const row of rows) {
+          if (row.drifting) continue;
+          const other = onStation.get(row.slot);
+          if (!other) {
+            onStation.set(row.slot, row);
+          } else {
+            const [keep, drop] = Math.abs(row.offset) < Math.abs(other.offset) ? [row, other] : [other, row];
+            drop.drifting = true;
+            onStation.set(row.slot, keep);
+          }
+        }
+
+        rows.sort((x, y) => x.slot - y.slot || x.offset - y.offset);
+        planes.push({
+          raan,
+          slotCount,
+          members: rows,
+          gaps: Array.from({ length: slotCount }, (_, slot) => slot).filter(slot => !onStation.has(slot)),
+          drifting: rows.filter(row => row.drifting).length
+        });
+        placed += plane.length;
+        yield placed / objects.length;
+      }
+      planes.sort((x, y) => x.raan - y.raan);
+
+      shells.push({
+        inclination: shell.reduce((sum, k) => sum + objects[k].inclination, 0) / shell.length,
+        altitude: shell.reduce((sum, k) => sum + objects[k].altitude, 0) / shell.length,
+        count: shell.length,
+        planes,
+        unassigned: between
+      });
+    }
+  }
+
+  return { shells, unassigned };
+}
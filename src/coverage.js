@@ -0,0 +1,78 @@
+/**
+ * Coverage Geometry
+ *
+ * How far across the ground a satellite can be seen, or can see: the Earth
+ * central angle from a point to the edge of its coverage. Two limits set the
+ * edge - a minimum elevation at the ground (the station's or terminal's), or a
+ * sensor's half-angle measured at the satellite from nadir.
+ *
+ * The geometry is spherical, using the local WGS84 radius under the centre;
+ * over a footprint the ellipsoid's curvature changes far less than the
+ * uncertainty in where an antenna pattern actually ends.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// What limits a satellite's footprint
+export const FOOTPRINT_MODES = Object.freeze({
+  ELEVATION: 'elevation', // Minimum elevation at the ground
+  SENSOR: 'sensor'        // Sensor half-angle from nadir
+});
+
+/**
+ * Central angle out to where a satellite sits at a given elevation
+ * @param {number} earthRadius - km, under the centre of coverage
+ * @param {number} satelliteRadius - km from the Earth's centre
+ * @param {number} elevation - Degrees
+ * @returns {number} Radians (0 if the satellite is at or below the surface)
+ */
+export function coverageAngle(earthRadius, satelliteRadius, elevation) {
+  if (!(satelliteRadius > earthRadius)) return 0;
+  const e = elevation * DEG_TO_RAD;
+  return Math.max(0, Math.acos(earthRadius * Math.cos(e) / satelliteRadius) - e);
+}
+
+/**
+ * Central angle seen by a nadir-pointed sensor; a cone wider than the Earth's
+ * disc is cut off at the horizon
+ * @param {number} earthRadius - km, under the satellite
+ * @param {number} satelliteRadius - km from the Earth's centre
+ * @param {number} halfAngle - Sensor half-angle from nadir, degrees
+ * @returns {number} Radians
+ */
+export function sensorCoverageAngle(earthRadius, satelliteRadius, halfAngle) {
+  if (!(satelliteRadius > earthRadius)) return 0;
+  const eta = Math.max(0, halfAngle) * DEG_TO_RAD;
+  const sinElevation = satelliteRadius * Math.sin(eta) / earthRadius;
+  if (sinElevation >= 1) return coverageAngle(earthRadius, satelliteRadius, 0);
+
+  // Elevation where the edge of the cone meets the ground
+  const elevation = Math.acos(sinElevation);
+  return Math.PI / 2 - eta - elevation;
+}
+
+/**
+ * Point a central angle away along an azimuth (great circle)
+ * @param {number} lat - Degrees
+ * @param {number} lon - Degrees
+ * @param {number} azimuth - Degrees from north through east
+ * @param {number} angle - Central angle, radians
+ * @returns {{lat: number, lon: number}} Degrees, longitude in [-180, 180)
+ */
+export function destinationPoint(lat, lon, azimuth, angle) {
+  const phi = lat * DEG_TO_RAD;
+  const az = azimuth * DEG_TO_RAD;
+  const sinPhi = Math.sin(phi) * Math.cos(angle) + Math.cos(phi) * Math.sin(angle) * Math.cos(az);
+  const phi2 = Math.asin(Math.max(-1, Math.min(1, sinPhi)));
+  const dLambda = Math.atan2(
+    Math.sin(az) * Math.sin(angle) * Math.cos(phi),
+    Math.cos(angle) - Math.sin(phi) * sinPhi
+  );
+
+  const lon2 = lon + dLambda * RAD_TO_DEG;
+  return {
+    lat: phi2 * RAD_TO_DEG,
+    lon: ((lon2 + 180) % 360 + 360) % 360 - 180
+  };
+}
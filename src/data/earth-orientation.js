@@ -0,0 +1,264 @@
+/**
+ * Earth Orientation
+ *
+ * IERS Earth orientation parameters (UT1-UTC, polar motion, excess length of day)
+ * from a finals2000A file, and the TAI-UTC leap second table. The app registers
+ * a table with frames.js so Earth rotation, ground stations and every lat/lon
+ * conversion use them.
+ *
+ * Bundled copies live in ./eop/ and are refreshed by
+ * `node scripts/fetch-celestrak.js --eop`; users can also drop newer files in.
+ */
+
+import { julianDate, DEFAULT_TAI_MINUS_UTC } from '../frames.js';
+
+const MJD_OFFSET = 2400000.5;
+const NTP_EPOCH_MJD = 15020;      // 1900-01-01, the epoch of leap-seconds.list
+
+export const EOP_FILE_TYPES = Object.freeze({
+  FINALS: 'finals',
+  LEAP_SECONDS: 'leapSeconds'
+});
+
+// finals2000A: "YYMMDD MJD.00 F xp ..." with a fixed-column layout
+const FINALS_LINE = /^[ \d]{6} \d{5}\.\d{2} [IP ]/;
+// IERS Leap_Second.dat: "MJD day month year TAI-UTC"
+const LEAP_SECOND_DAT_LINE = /^\s*(\d{5})(?:\.\d*)?\s+\d{1,2}\s+\d{1,2}\s+\d{4}\s+(\d+)\s*$/;
+// leap-seconds.list (NTP/IETF): "NTP seconds  TAI-UTC  # date"
+const LEAP_SECONDS_LIST_LINE = /^\s*(\d{10})\s+(\d+)\b/;
+
+/**
+ * One day of Earth orientation from finals2000A
+ * @typedef {Object} EopRecord
+ * @property {number} mjd - Modified Julian Date (UTC, 0h)
+ * @property {number} xp - Polar motion x (arcsec)
+ * @property {number} yp - Polar motion y (arcsec)
+ * @property {number} ut1MinusUtc - seconds
+ * @property {number} lod - Excess length of day (seconds)
+ * @property {boolean} predicted - Bulletin A prediction rather than an observed value
+ */
+
+function column(line, start, end) {
+  // 1-based inclusive columns, as in the IERS format description
+  const value = parseFloat(line.slice(start - 1, end));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parse an IERS finals2000A (or finals.all) file, Bulletin A values
+ * @param {string} text
+ * @returns {EopRecord[]} Sorted by MJD
+ * @throws {Error} If the file has no usable rows
+ */
+export function parseFinals2000A(text) {
+  const records = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!FINALS_LINE.test(line)) continue;
+
+    const mjd = column(line, 8, 15);
+    const ut1MinusUtc = column(line, 59, 68);
+    // Rows past the end of the predictions are dated but blank
+    if (mjd === null || ut1MinusUtc === null) continue;
+
+    records.push({
+      mjd,
+      xp: column(line, 19, 27) ?? 0,
+      yp: column(line, 38, 46) ?? 0,
+      ut1MinusUtc,
+      lod: (column(line, 80, 86) ?? 0) / 1000,  // ms
+      predicted: line[57] === 'P'
+    });
+  }
+
+  if (records.length === 0) {
+    throw new Error('No Earth orientation rows found in finals2000A file');
+  }
+  return records.sort((a, b) => a.mjd - b.mjd);
+}
+
+/**
+ * Parse a leap second table: IERS Leap_Second.dat or the IETF leap-seconds.list
+ * @param {string} text
+ * @returns {Array<{mjd: number, taiMinusUtc: number}>} Sorted by MJD
+ * @throws {Error} If the file has no entries
+ */
+export function parseLeapSeconds(text) {
+  const entries = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('#')) continue;
+
+    const dat = line.match(LEAP_SECOND_DAT_LINE);
+    if (dat) {
+      entries.push({ mjd: parseInt(dat[1], 10), taiMinusUtc: parseInt(dat[2], 10) });
+      continue;
+    }
+
+    const list = line.match(LEAP_SECONDS_LIST_LINE);
+    if (list) {
+      entries.push({
+        mjd: NTP_EPOCH_MJD + Math.round(parseInt(list[1], 10) / 86400),
+        taiMinusUtc: parseInt(list[2], 10)
+      });
+    }
+  }
+
+  if (entries.length === 0) {
+    throw new Error('No entries found in leap second table');
+  }
+  return entries.sort((a, b) => a.mjd - b.mjd);
+}
+
+/**
+ * Tell a finals2000A file from a leap second table by its contents
+ * @param {string} text
+ * @returns {string|null} EOP_FILE_TYPES value, or null for anything else
+ */
+export function detectEarthOrientationFile(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#')).slice(0, 20);
+  if (lines.length === 0) return null;
+
+  if (lines.some(line => FINALS_LINE.test(line) && line.length >= 68)) {
+    return EOP_FILE_TYPES.FINALS;
+  }
+  if (lines.every(line => LEAP_SECOND_DAT_LINE.test(line) || LEAP_SECONDS_LIST_LINE.test(line))) {
+    return EOP_FILE_TYPES.LEAP_SECONDS;
+  }
+  return null;
+}
+
+// Index of the last entry with entry.mjd <= mjd, or -1
+function findInterval(entries, mjd) {
+  let low = 0;
+  let high = entries.length - 1;
+  if (high < 0 || mjd < entries[0].mjd) return -1;
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (entries[mid].mjd <= mjd) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Daily Earth orientation and leap seconds, interpolated to any instant
+ */
+export class EarthOrientationTable {
+  /**
+   * @param {Object} [options]
+   * @param {EopRecord[]} [options.records] - From parseFinals2000A
+   * @param {Array<{mjd: number, taiMinusUtc: number}>} [options.leapSeconds] - From parseLeapSeconds
+   */
+  constructor({ records = [], leapSeconds = [] } = {}) {
+    this.records = records;
+    this.leapSeconds = leapSeconds;
+    this.sources = {};
+  }
+
+  /**
+   * Load a finals2000A file or leap second table, replacing the current one
+   * @param {string} text
+   * @param {string} [name] - Shown as the data source
+   * @returns {string} EOP_FILE_TYPES value of what was loaded
+   * @throws {Error} If the file is neither
+   */
+  load(text, name = 'file') {
+    const type = detectEarthOrientationFile(text);
+    if (type === EOP_FILE_TYPES.FINALS) {
+      this.records = parseFinals2000A(text);
+    } else if (type === EOP_FILE_TYPES.LEAP_SECONDS) {
+      this.leapSeconds = parseLeapSeconds(text);
+    } else {
+      throw new Error(`${name} is not a finals2000A file or leap second table`);
+    }
+    this.sources[type] = name;
+    return type;
+  }
+
+  /**
+   * TAI-UTC in effect on a day
+   * @param {number} mjd - UTC
+   * @returns {number} seconds
+   */
+  getTaiMinusUtc(mjd) {
+    if (this.leapSeconds.length === 0) return DEFAULT_TAI_MINUS_UTC;
+    const k = findInterval(this.leapSeconds, mjd);
+    // Before 1972 UTC was not an integer offset from TAI; hold the first value
+    return this.leapSeconds[Math.max(k, 0)].taiMinusUtc;
+  }
+
+  /**
+   * Earth orientation at an instant. UT1 is interpolated as UT1-TAI so it
+   * doesn't smear across leap seconds; outside the table the end values hold.
+   * @param {Date|number} date - UTC
+   * @returns {import('../frames.js').EarthOrientation & {predicted: boolean, inRange: boolean}}
+   */
+  at(date) {
+    const mjd = julianDate(date) - MJD_OFFSET;
+    const taiMinusUtc = this.getTaiMinusUtc(mjd);
+    const { records } = this;
+
+    if (records.length === 0) {
+      return { ut1MinusUtc: 0, xp: 0, yp: 0, lod: 0, taiMinusUtc, predicted: false, inRange: false };
+    }
+
+    const k = findInterval(records, mjd);
+    const inRange = k >= 0 && k < records.length - 1;
+    const a = records[Math.min(Math.max(k, 0), records.length - 1)];
+    const b = inRange ? records[k + 1] : a;
+    const f = inRange ? (mjd - a.mjd) / (b.mjd - a.mjd) : 0;
+    const lerp = key => a[key] + (b[key] - a[key]) * f;
+
+    const ut1MinusTaiA = a.ut1MinusUtc - this.getTaiMinusUtc(a.mjd);
+    const ut1MinusTaiB = b.ut1MinusUtc - this.getTaiMinusUtc(b.mjd);
+
+    return {
+      ut1MinusUtc: ut1MinusTaiA + (ut1MinusTaiB - ut1MinusTaiA) * f + taiMinusUtc,
+      xp: lerp('xp'),
+      yp: lerp('yp'),
+      lod: lerp('lod'),
+      taiMinusUtc,
+      predicted: a.predicted || b.predicted,
+      inRange
+    };
+  }
+
+  /**
+   * Dates the finals data covers
+   * @returns {{start: Date, end: Date, predictedFrom: Date|null}|null} null without finals data
+   */
+  getSpan() {
+    if (this.records.length === 0) return null;
+    const toDate = mjd => new Date((mjd + MJD_OFFSET - 2440587.5) * 86400000);
+    const firstPredicted = this.records.find(record => record.predicted);
+    return {
+      start: toDate(this.records[0].mjd),
+      end: toDate(this.records[this.records.length - 1].mjd),
+      predictedFrom: firstPredicted ? toDate(firstPredicted.mjd) : null
+    };
+  }
+}
+
+// Whatever is in ./eop/ at build time; a missing finals file just means UT1 = UTC
+const BUNDLED_FILES = import.meta.glob('./eop/*', { query: '?raw', import: 'default', eager: true });
+
+/**
+ * Table built from the bundled finals2000A and leap second files
+ * @returns {EarthOrientationTable}
+ */
+export function loadBundledEarthOrientation() {
+  const table = new EarthOrientationTable();
+  for (const [path, text] of Object.entries(BUNDLED_FILES)) {
+    try {
+      table.load(text, path.split('/').pop());
+    } catch (error) {
+      console.warn('Skipping bundled Earth orientation file:', error.message);
+    }
+  }
+  return table;
+}
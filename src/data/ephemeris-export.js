@@ -0,0 +1,175 @@
+/**
+ * Ephemeris Export
+ *
+ * Samples satellite states with SGP4 and formats them as CSV or
+ * CCSDS Orbit Ephemeris Message (OEM 2.0, KVN text) for use in other tools.
+ * States are in the TEME frame that SGP4 produces, optionally rotated to
+ * GCRF/EME2000 or ITRF with frames.js.
+ */
+
+import * as satellite from 'satellite.js';
+import { FRAMES, convertState } from '../frames.js';
+
+export const EPHEMERIS_FORMATS = Object.freeze({
+  CSV: 'csv',
+  OEM: 'oem'
+});
+
+// OEM REF_FRAME names the app reads and writes, and the frames.js frame each
+// maps to (EME2000 and GCRF differ only by the ~20 mas frame bias)
+export const EPHEMERIS_FRAMES = Object.freeze({
+  TEME: FRAMES.TEME,
+  GCRF: FRAMES.GCRF,
+  EME2000: FRAMES.GCRF,
+  ITRF: FRAMES.ITRF
+});
+
+// Guard against accidentally exporting millions of rows (e.g. 1 s step over a month)
+export const MAX_EPHEMERIS_STATES = 100000;
+
+/**
+ * Sample a satellite's state with SGP4 from start to stop (inclusive) at a fixed step
+ * @param {Object|Function} source - satellite.js satrec (as stored by SatelliteManager.addSatellite),
+ *   or a function (date) => {position, velocity}|null for non-TLE satellites
+ * @param {Object} options
+ * @param {Date} options.start
+ * @param {Date} options.stop
+ * @param {number} options.stepSeconds
+ * @param {string} [options.frame='TEME'] - EPHEMERIS_FRAMES key for the output states
+ * @returns {Array<{time: Date, position: {x, y, z}, velocity: {x, y, z}}>} km and km/s;
+ *   epochs where SGP4 fails (e.g. decayed) are omitted
+ * @throws {Error} If the time range, step or frame is invalid, or would exceed MAX_EPHEMERIS_STATES
+ */
+export function generateEphemeris(source, { start, stop, stepSeconds, frame = 'TEME' }) {
+  const propagate = typeof source === 'function'
+    ? source
+    : (date) => satellite.propagate(source, date);
+
+  const startMs = start.getTime();
+  const stopMs = stop.getTime();
+
+  if (!Number.isFinite(startMs) || !Number.isFinite(stopMs) || stopMs < startMs) {
+    throw new Error('Stop time must be after start time');
+  }
+  if (!(stepSeconds > 0)) {
+    throw new Error('Step must be greater than zero');
+  }
+  const outputFrame = EPHEMERIS_FRAMES[frame];
+  if (!outputFrame) {
+    throw new Error(`Unsupported reference frame "${frame}"`);
+  }
+
+  const stepMs = stepSeconds * 1000;
+  const count = Math.floor((stopMs - startMs) / stepMs) + 1;
+  if (count > MAX_EPHEMERIS_STATES) {
+    throw new Error(`Too many samples (${count}); increase the step or shorten the span`);
+  }
+
+  const states = [];
+  for (let k = 0; k < count; k++) {
+    const time = new Date(startMs + k * stepMs);
+    const positionAndVelocity = propagate(time);
+    if (positionAndVelocity && positionAndVelocity.position && positionAndVelocity.velocity) {
+      const { position, velocity } = convertState(positionAndVelocity, FRAMES.TEME, outputFrame, time);
+      states.push({ time, position, velocity });
+    }
+  }
+  return states;
+}
+
+/**
+ * Convert the TLE international designator (line 1, cols 10-17) to COSPAR form
+ * @param {string} tle1 - TLE line 1
+ * @returns {string} e.g. "1998-067A", or "UNKNOWN" if blank
+ */
+export function getInternationalDesignator(tle1) {
+  const field = (tle1 || '').substring(9, 17).trim();
+  if (field.length < 5) return 'UNKNOWN';
+
+  const yy = parseInt(field.substring(0, 2), 10);
+  const year = yy < 57 ? 2000 + yy : 1900 + yy;  // Sputnik (1957) starts the catalog
+  return `${year}-${field.substring(2)}`;
+}
+
+/**
+ * Format a Date as an OEM/CSV epoch (ISO 8601 UTC without the trailing Z)
+ * @param {Date} date
+ * @returns {string} e.g. "2024-01-01T12:00:00.000"
+ */
+function formatEpoch(date) {
+  return date.toISOString().replace('Z', '');
+}
+
+function formatNumber(value, decimals) {
+  return value.toFixed(decimals);
+}
+
+/**
+ * Format ephemerides as CSV (one row per state, all objects in one file)
+ * @param {Array<{name: string, noradId: string, states: Array}>} objects
+ * @returns {string}
+ */
+export function formatEphemerisCSV(objects) {
+  const lines = ['object_name,norad_id,epoch_utc,x_km,y_km,z_km,vx_km_s,vy_km_s,vz_km_s'];
+
+  for (const { name, noradId, states } of objects) {
+    // Quote names - catalog names can contain commas
+    const quotedName = `"${name.replace(/"/g, '""')}"`;
+    for (const { time, position: p, velocity: v } of states) {
+      lines.push([
+        quotedName,
+        noradId,
+        formatEpoch(time),
+        formatNumber(p.x, 6), formatNumber(p.y, 6), formatNumber(p.z, 6),
+        formatNumber(v.x, 9), formatNumber(v.y, 9), formatNumber(v.z, 9)
+      ].join(','));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format ephemerides as a CCSDS OEM 2.0 KVN message (one segment per object)
+ * @param {Array<{name: string, objectId: string, states: Array, source?: string}>} objects -
+ *   source describes where the states came from (defaults to TLE/SGP4)
+ * @param {Object} [options]
+ * @param {string} [options.frame='TEME'] - REF_FRAME keyword
+ * @param {string} [options.originator='SATORAMA']
+ * @param {Date} [options.creationDate=new Date()]
+ * @returns {string}
+ */
+export function formatOEM(objects, { frame = 'TEME', originator = 'SATORAMA', creationDate = new Date() } = {}) {
+  const lines = [
+    'CCSDS_OEM_VERS = 2.0',
+    `CREATION_DATE = ${formatEpoch(creationDate)}`,
+    `ORIGINATOR = ${originator}`
+  ];
+
+  for (const { name, objectId, states, source = 'Generated from TLE with SGP4' } of objects) {
+    if (states.length === 0) continue;
+
+    lines.push(
+      '',
+      'META_START',
+      `OBJECT_NAME = ${name}`,
+      `OBJECT_ID = ${objectId}`,
+      'CENTER_NAME = EARTH',
+      `REF_FRAME = ${frame}`,
+      'TIME_SYSTEM = UTC',
+      `START_TIME = ${formatEpoch(states[0].time)}`,
+      `STOP_TIME = ${formatEpoch(states[states.length - 1].time)}`,
+      'META_STOP',
+      '',
+      `COMMENT ${source}; km and km/s`
+    );
+
+    for (const { time, position: p, velocity: v } of states) {
+      lines.push([
+        formatEpoch(time),
+        formatNumber(p.x, 6), formatNumber(p.y, 6), formatNumber(p.z, 6),
+        formatNumber(v.x, 9), formatNumber(v.y, 9), formatNumber(v.z, 9)
+      ].join(' '));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
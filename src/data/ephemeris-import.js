@@ -0,0 +1,332 @@
+/**
+ * Ephemeris Import
+ *
+ * Parses precomputed state vectors - CCSDS OEM (KVN text) or CSV - into
+ * ephemerides the orbit-propagator worker can interpolate. Used for spacecraft
+ * without a TLE (planned orbits, post-maneuver solutions).
+ *
+ * States must be Earth-centred and in UTC. OEM states in GCRF/EME2000 or ITRF
+ * are rotated to TEME, the frame the rest of the app runs in; CSV states are
+ * taken as TEME. The CSV layout matches ephemeris-export.js.
+ */
+
+import { INTERPOLATION_METHODS, DEFAULT_LAGRANGE_DEGREE } from '../workers/ephemeris-interpolator.js';
+import { EPHEMERIS_FRAMES } from './ephemeris-export.js';
+import { FRAMES, convertState } from '../frames.js';
+
+const SUPPORTED_FRAMES = Object.keys(EPHEMERIS_FRAMES);
+const SUPPORTED_TIME_SYSTEMS = ['UTC'];
+
+const MU = 398600.4418;           // km³/s²
+const EARTH_RADIUS = 6378.137;    // km
+
+/**
+ * Parse an OEM epoch: calendar (2024-01-01T12:00:00.000) or day-of-year (2024-001T12:00:00)
+ * @param {string} text
+ * @returns {number} ms since Unix epoch (UTC)
+ * @throws {Error} If the epoch can't be parsed
+ */
+export function parseEpoch(text) {
+  const value = text.trim().replace(/Z$/, '');
+  const dayOfYear = value.match(/^(\d{4})-(\d{3})T(.+)$/);
+
+  let ms;
+  if (dayOfYear) {
+    const [, year, day, clock] = dayOfYear;
+    ms = Date.parse(`${year}-01-01T${clock}Z`) + (parseInt(day, 10) - 1) * 86400000;
+  } else {
+    ms = Date.parse(`${value}Z`);
+  }
+
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid epoch: ${text.trim()}`);
+  }
+  return ms;
+}
+
+/**
+ * Build the ephemeris object from a list of states, sorted by time with duplicates
+ * dropped and rotated to TEME
+ * @private
+ */
+function buildEphemeris({ name, objectId, frame, interpolation, degree }, states) {
+  states.sort((a, b) => a.time - b.time);
+  const unique = states.filter((state, k) => k === 0 || state.time !== states[k - 1].time);
+  const hasVelocity = unique.every(state => state.velocity);
+  const sourceFrame = EPHEMERIS_FRAMES[frame];
+
+  const times = new Float64Array(unique.length);
+  const positions = new Float64Array(unique.length * 3);
+  const velocities = hasVelocity ? new Float64Array(unique.length * 3) : null;
+
+  unique.forEach((state, k) => {
+    times[k] = state.time;
+    const [x, y, z] = state.position;
+    const velocity = hasVelocity ? { x: state.velocity[0], y: state.velocity[1], z: state.velocity[2] } : null;
+    const teme = convertState({ position: { x, y, z }, velocity }, sourceFrame, FRAMES.TEME, state.time);
+
+    positions.set([teme.position.x, teme.position.y, teme.position.z], k * 3);
+    if (velocities) velocities.set([teme.velocity.x, teme.velocity.y, teme.velocity.z], k * 3);
+  });
+
+  return {
+    name,
+    objectId,
+    frame: FRAMES.TEME,
+    sourceFrame: frame,
+    interpolation: hasVelocity ? interpolation : INTERPOLATION_METHODS.LAGRANGE,
+    degree,
+    times,
+    positions,
+    velocities
+  };
+}
+
+/**
+ * Parse a CCSDS OEM (KVN) message. Segments for the same object are merged.
+ * @param {string} text
+ * @returns {Array<Object>} Ephemerides (one per object)
+ * @throws {Error} On unsupported frames/time systems or malformed data
+ */
+export function parseOEM(text) {
+  const objects = new Map();  // OBJECT_ID|OBJECT_NAME -> { meta, states }
+  let meta = null;
+  let current = null;
+  let inMeta = false;
+  let inCovariance = false;
+
+  const lines = text.split(/\r?\n/);
+  for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+    const line = lines[lineNumber].trim();
+    if (!line || line.startsWith('COMMENT')) continue;
+
+    if (line === 'META_START') {
+      inMeta = true;
+      meta = {};
+      continue;
+    }
+    if (line === 'META_STOP') {
+      inMeta = false;
+      current = startSegment(objects, meta);
+      continue;
+    }
+    if (line === 'COVARIANCE_START') {
+      inCovariance = true;
+      continue;
+    }
+    if (line === 'COVARIANCE_STOP') {
+      inCovariance = false;
+      continue;
+    }
+    if (inCovariance) continue;
+
+    const keyValue = line.match(/^([A-Z_0-9]+)\s*=\s*(.*)$/);
+    if (keyValue) {
+      if (inMeta) meta[keyValue[1]] = keyValue[2].trim();
+      continue;
+    }
+
+    // Data line: epoch x y z vx vy vz [ax ay az]
+    if (!current) {
+      throw new Error(`Line ${lineNumber + 1}: state data before META_STOP`);
+    }
+    const fields = line.split(/\s+/);
+    if (fields.length < 7) {
+      throw new Error(`Line ${lineNumber + 1}: expected epoch and 6 state values`);
+    }
+    const values = fields.slice(1, 7).map(Number);
+    if (values.some(v => !Number.isFinite(v))) {
+      throw new Error(`Line ${lineNumber + 1}: invalid number`);
+    }
+    current.states.push({
+      time: parseEpoch(fields[0]),
+      position: values.slice(0, 3),
+      velocity: values.slice(3, 6)
+    });
+  }
+
+  const ephemerides = [...objects.values()]
+    .filter(object => object.states.length > 0)
+    .map(object => buildEphemeris(object.meta, object.states));
+
+  if (ephemerides.length === 0) {
+    throw new Error('No state vectors found in OEM');
+  }
+  return ephemerides;
+}
+
+/**
+ * Validate one OEM metadata block and return the object it belongs to
+ * @private
+ */
+function startSegment(objects, meta) {
+  // Any ITRF realization (ITRF-93, ITRF2000, ...) is treated as ITRF
+  const frame = (meta.REF_FRAME || '').toUpperCase().replace(/^ITRF.*/, 'ITRF');
+  const timeSystem = (meta.TIME_SYSTEM || '').toUpperCase();
+  const center = (meta.CENTER_NAME || 'EARTH').toUpperCase();
+
+  if (!SUPPORTED_FRAMES.includes(frame)) {
+    throw new Error(`Unsupported REF_FRAME "${meta.REF_FRAME}" (supported: ${SUPPORTED_FRAMES.join(', ')})`);
+  }
+  if (!SUPPORTED_TIME_SYSTEMS.includes(timeSystem)) {
+    throw new Error(`Unsupported TIME_SYSTEM "${meta.TIME_SYSTEM}" (supported: ${SUPPORTED_TIME_SYSTEMS.join(', ')})`);
+  }
+  if (center !== 'EARTH') {
+    throw new Error(`Unsupported CENTER_NAME "${meta.CENTER_NAME}" (must be EARTH)`);
+  }
+
+  const name = meta.OBJECT_NAME || meta.OBJECT_ID || 'OEM OBJECT';
+  const objectId = meta.OBJECT_ID || 'UNKNOWN';
+  const key = `${objectId}|${name}`;
+
+  if (!objects.has(key)) {
+    const interpolation = (meta.INTERPOLATION || '').toUpperCase() === INTERPOLATION_METHODS.LAGRANGE
+      ? INTERPOLATION_METHODS.LAGRANGE
+      : INTERPOLATION_METHODS.HERMITE;
+    const degree = parseInt(meta.INTERPOLATION_DEGREE, 10) || DEFAULT_LAGRANGE_DEGREE;
+
+    objects.set(key, {
+      meta: { name, objectId, frame, interpolation, degree },
+      states: []
+    });
+  }
+  return objects.get(key);
+}
+
+/**
+ * Parse a CSV of state vectors. Requires a header row with an epoch column
+ * (epoch_utc / epoch / time) and x, y, z position columns (km, with or without
+ * a _km suffix); vx, vy, vz (km/s) and object_name / norad_id are optional.
+ * @param {string} text
+ * @param {string} [defaultName='CSV OBJECT'] - Name when there is no object_name column
+ * @returns {Array<Object>} Ephemerides (one per object_name)
+ * @throws {Error} On missing columns or malformed rows
+ */
+export function parseEphemerisCSV(text, defaultName = 'CSV OBJECT') {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) {
+    throw new Error('CSV needs a header row and at least one state');
+  }
+
+  const header = splitCSVLine(lines[0]).map(column => column.trim().toLowerCase());
+  const find = (...names) => header.findIndex(column => names.includes(column));
+
+  const columns = {
+    name: find('object_name', 'name'),
+    id: find('norad_id', 'object_id'),
+    epoch: find('epoch_utc', 'epoch', 'time', 'time_utc'),
+    position: [find('x_km', 'x'), find('y_km', 'y'), find('z_km', 'z')],
+    velocity: [find('vx_km_s', 'vx'), find('vy_km_s', 'vy'), find('vz_km_s', 'vz')]
+  };
+
+  if (columns.epoch < 0 || columns.position.some(index => index < 0)) {
+    throw new Error('CSV header must include epoch and x, y, z columns');
+  }
+  const hasVelocity = columns.velocity.every(index => index >= 0);
+
+  const objects = new Map();
+  for (let row = 1; row < lines.length; row++) {
+    const fields = splitCSVLine(lines[row]);
+    const name = columns.name >= 0 ? fields[columns.name].trim() : defaultName;
+    const position = columns.position.map(index => Number(fields[index]));
+    const velocity = hasVelocity ? columns.velocity.map(index => Number(fields[index])) : null;
+
+    if (position.some(v => !Number.isFinite(v)) || (velocity && velocity.some(v => !Number.isFinite(v)))) {
+      throw new Error(`Row ${row + 1}: invalid number`);
+    }
+
+    if (!objects.has(name)) {
+      objects.set(name, {
+        meta: {
+          name,
+          objectId: columns.id >= 0 ? fields[columns.id].trim() : 'UNKNOWN',
+          frame: 'TEME',
+          interpolation: INTERPOLATION_METHODS.HERMITE,
+          degree: DEFAULT_LAGRANGE_DEGREE
+        },
+        states: []
+      });
+    }
+    objects.get(name).states.push({ time: parseEpoch(fields[columns.epoch]), position, velocity });
+  }
+
+  return [...objects.values()].map(object => buildEphemeris(object.meta, object.states));
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @private
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let k = 0; k < line.length; k++) {
+    const ch = line[k];
+    if (quoted) {
+      if (ch === '"' && line[k + 1] === '"') {
+        field += '"';
+        k++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Parse an ephemeris file, detecting OEM vs CSV from its content
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used to name CSV objects without an object_name column
+ * @returns {Array<Object>} Ephemerides
+ * @throws {Error} If the file can't be parsed
+ */
+export function parseEphemerisFile(text, filename = '') {
+  if (/^\s*CCSDS_OEM_VERS/m.test(text)) {
+    return parseOEM(text);
+  }
+  const baseName = filename.replace(/\.[^.]+$/, '') || undefined;
+  return parseEphemerisCSV(text, baseName);
+}
+
+/**
+ * Osculating orbit summary from one state vector, in the same shape as the
+ * orbitParams the app derives from TLEs
+ * @param {{x, y, z}} position - km
+ * @param {{x, y, z}} velocity - km/s
+ * @returns {{period: number, inclination: number, eccentricity: number, altitude: number}}
+ *   period in minutes, inclination in degrees, altitude = semi-major axis - Earth radius (km)
+ */
+export function getOrbitParamsFromState(position, velocity) {
+  const r = Math.hypot(position.x, position.y, position.z);
+  const v2 = velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2;
+  const a = 1 / (2 / r - v2 / MU);
+
+  // Angular momentum h = r × v
+  const hx = position.y * velocity.z - position.z * velocity.y;
+  const hy = position.z * velocity.x - position.x * velocity.z;
+  const hz = position.x * velocity.y - position.y * velocity.x;
+  const h = Math.hypot(hx, hy, hz);
+
+  const eccentricity = Math.sqrt(Math.max(0, 1 - (h * h) / (MU * a)));
+  const period = a > 0 ? (2 * Math.PI * Math.sqrt(a ** 3 / MU)) / 60 : Infinity;
+
+  return {
+    period,
+    inclination: (Math.acos(hz / h) * 180) / Math.PI,
+    eccentricity,
+    altitude: a - EARTH_RADIUS
+  };
+}
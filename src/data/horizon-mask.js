@@ -0,0 +1,95 @@
+/**
+ * Horizon Mask
+ *
+ * The lowest elevation a ground station can see in each direction - terrain,
+ * buildings, or the antenna's own limits. Loaded from a CSV of azimuth and
+ * elevation pairs in degrees, one per line:
+ *
+ *   azimuth,elevation
+ *   0,2.5
+ *   90,8
+ *   180,1
+ *
+ * A header line and '#' comments are skipped; commas, semicolons, tabs or
+ * spaces separate the columns. Between points the mask is interpolated
+ * linearly in azimuth, wrapping through north.
+ */
+
+/**
+ * Mask points sorted by azimuth (degrees, [0, 360))
+ * @typedef {Array<{azimuth: number, elevation: number}>} HorizonMask
+ */
+
+/**
+ * Parse a horizon mask CSV
+ * @param {string} text
+ * @returns {HorizonMask}
+ * @throws {Error} If a line isn't an azimuth,elevation pair or there are no points
+ */
+export function parseHorizonMask(text) {
+  const byAzimuth = new Map();
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((raw, k) => {
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+
+    const fields = line.split(/[,;\t ]+/).map(Number);
+    if (fields.length < 2 || !fields.slice(0, 2).every(Number.isFinite)) {
+      // A header is only allowed before the first point
+      if (byAzimuth.size === 0 && !/\d/.test(line.split(/[,;\t ]+/)[0])) return;
+      throw new Error(`Line ${k + 1}: expected azimuth,elevation in degrees`);
+    }
+
+    const [azimuth, elevation] = fields;
+    if (elevation < -90 || elevation > 90) {
+      throw new Error(`Line ${k + 1}: elevation ${elevation}° is out of range`);
+    }
+
+    // 360 and 0 are the same direction; where points repeat keep the higher limit
+    const key = ((azimuth % 360) + 360) % 360;
+    byAzimuth.set(key, Math.max(elevation, byAzimuth.get(key) ?? -90));
+  });
+
+  if (byAzimuth.size === 0) {
+    throw new Error('No azimuth,elevation points found');
+  }
+
+  return [...byAzimuth]
+    .map(([azimuth, elevation]) => ({ azimuth, elevation }))
+    .sort((a, b) => a.azimuth - b.azimuth);
+}
+
+/**
+ * Mask elevation in a direction
+ * @param {HorizonMask} mask
+ * @param {number} azimuth - Degrees from north through east
+ * @returns {number} Degrees
+ */
+export function getMaskElevation(mask, azimuth) {
+  if (mask.length === 1) return mask[0].elevation;
+
+  const az = ((azimuth % 360) + 360) % 360;
+  let upper = mask.findIndex(point => point.azimuth > az);
+  if (upper === -1) upper = 0;
+  const lower = (upper - 1 + mask.length) % mask.length;
+
+  // Span from the lower point to the upper one, unwrapped through north
+  const from = mask[lower];
+  const to = mask[upper];
+  const span = ((to.azimuth - from.azimuth) + 360) % 360 || 360;
+  const offset = ((az - from.azimuth) + 360) % 360;
+  return from.elevation + (to.elevation - from.elevation) * (offset / span);
+}
+
+/**
+ * Lowest elevation a station can track in a direction: its minimum elevation,
+ * raised by the horizon mask where that is higher
+ * @param {{minElevation?: number, horizonMask?: HorizonMask|null}} station
+ * @param {number} azimuth - Degrees
+ * @returns {number} Degrees
+ */
+export function getElevationLimit(station, azimuth) {
+  const minimum = station.minElevation || 0;
+  return station.horizonMask ? Math.max(minimum, getMaskElevation(station.horizonMask, azimuth)) : minimum;
+}
@@ -0,0 +1,291 @@
+/**
+ * Maneuver Planner
+ *
+ * Impulsive burns for "what-if" orbits: applies a delta-v given in a local
+ * orbital frame to a TEME state, and samples the post-burn orbit into an
+ * ephemeris the orbit-propagator worker can play back (see ephemeris-import.js
+ * for the shape). Also sizes Hohmann and plane-change burns.
+ *
+ * Local frames (axis order of the delta-v components):
+ * - RIC: Radial (r̂), In-track (Ĉ × R̂), Cross-track (orbit normal r × v)
+ * - VNB: Velocity (v̂), Normal (orbit normal r × v), Binormal (V̂ × N̂)
+ *
+ * Delta-v components are in m/s; states are km and km/s like the rest of the app.
+ */
+
+import { elementsFromState, propagateKeplerian, PROPAGATION_MODELS } from '../workers/keplerian-propagator.js';
+import { INTERPOLATION_METHODS, DEFAULT_LAGRANGE_DEGREE } from '../workers/ephemeris-interpolator.js';
+
+export const MANEUVER_FRAMES = Object.freeze({
+  RIC: 'RIC',
+  VNB: 'VNB'
+});
+
+// Component labels per frame, in axis order
+export const MANEUVER_FRAME_AXES = Object.freeze({
+  [MANEUVER_FRAMES.RIC]: ['Radial', 'In-track', 'Cross-track'],
+  [MANEUVER_FRAMES.VNB]: ['Velocity', 'Normal', 'Binormal']
+});
+
+// Default what-if span: long enough to watch phasing build up over a few days
+export const WHAT_IF_SPAN_SECONDS = 3 * 86400;
+export const WHAT_IF_STEP_SECONDS = 60;
+
+const MU = 398600.4418;           // km³/s²
+const EARTH_RADIUS = 6378.137;    // km
+
+const toArray = (v) => [v.x, v.y, v.z];
+const toVector = ([x, y, z]) => ({ x, y, z });
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = (a) => Math.sqrt(dot(a, a));
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const unit = (a) => scale(a, 1 / norm(a));
+
+/**
+ * Unit axes of a local orbital frame, expressed in the inertial (TEME) frame
+ * @param {{position: {x, y, z}, velocity: {x, y, z}}} state - km, km/s
+ * @param {string} frame - MANEUVER_FRAMES value
+ * @returns {Array<number[]>} Three unit vectors in the frame's axis order
+ * @throws {Error} On an unknown frame
+ */
+export function getManeuverFrameAxes({ position, velocity }, frame) {
+  const r = toArray(position);
+  const v = toArray(velocity);
+  const normal = unit(cross(r, v));
+
+  switch (frame) {
+    case MANEUVER_FRAMES.RIC: {
+      const radial = unit(r);
+      return [radial, cross(normal, radial), normal];
+    }
+    case MANEUVER_FRAMES.VNB: {
+      const along = unit(v);
+      return [along, normal, cross(along, normal)];
+    }
+    default:
+      throw new Error(`Unknown maneuver frame "${frame}"`);
+  }
+}
+
+/**
+ * Convert a delta-v from a local orbital frame to inertial km/s
+ * @param {Object} state - Pre-burn {position, velocity}
+ * @param {number[]} deltaV - Components in m/s, in the frame's axis order
+ * @param {string} frame - MANEUVER_FRAMES value
+ * @returns {{x, y, z}} km/s
+ */
+export function maneuverToInertial(state, deltaV, frame) {
+  const axes = getManeuverFrameAxes(state, frame);
+  const inertial = [0, 0, 0];
+  axes.forEach((axis, k) => {
+    for (let c = 0; c < 3; c++) inertial[c] += axis[c] * deltaV[k] / 1000;
+  });
+  return toVector(inertial);
+}
+
+/**
+ * Express an inertial delta-v in a local orbital frame
+ * @param {Object} state - Pre-burn {position, velocity}
+ * @param {{x, y, z}} inertial - km/s
+ * @param {string} frame - MANEUVER_FRAMES value
+ * @returns {number[]} Components in m/s, in the frame's axis order
+ */
+export function inertialToManeuver(state, inertial, frame) {
+  const dv = toArray(inertial);
+  return getManeuverFrameAxes(state, frame).map(axis => dot(axis, dv) * 1000);
+}
+
+/**
+ * Apply an impulsive burn
+ * @param {Object} state - Pre-burn {position, velocity} (km, km/s)
+ * @param {number[]} deltaV - Components in m/s, in the frame's axis order
+ * @param {string} frame - MANEUVER_FRAMES value
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}}} Post-burn state
+ */
+export function applyImpulsiveBurn(state, deltaV, frame) {
+  const dv = maneuverToInertial(state, deltaV, frame);
+  return {
+    position: { ...state.position },
+    velocity: {
+      x: state.velocity.x + dv.x,
+      y: state.velocity.y + dv.y,
+      z: state.velocity.z + dv.z
+    }
+  };
+}
+
+/**
+ * Classic Hohmann transfer between circular orbits
+ * @param {number} r1 - Initial orbit radius (km)
+ * @param {number} r2 - Target orbit radius (km)
+ * @returns {{deltaV1: number, deltaV2: number, transferTime: number}} Signed burn
+ *   magnitudes along the velocity in m/s (negative lowers the orbit) and the
+ *   half-period of the transfer ellipse in seconds
+ */
+export function hohmannTransfer(r1, r2) {
+  const aTransfer = (r1 + r2) / 2;
+  const v1 = Math.sqrt(MU / r1);
+  const v2 = Math.sqrt(MU / r2);
+  const vPeriapsis = Math.sqrt(MU * (2 / r1 - 1 / aTransfer));
+  const vApoapsis = Math.sqrt(MU * (2 / r2 - 1 / aTransfer));
+
+  return {
+    deltaV1: (vPeriapsis - v1) * 1000,
+    deltaV2: (v2 - vApoapsis) * 1000,
+    transferTime: Math.PI * Math.sqrt(aTransfer ** 3 / MU)
+  };
+}
+
+/**
+ * First burn of a Hohmann-style transfer from the current state to a circular
+ * orbit at the target altitude. The burn is along the velocity and sized with
+ * vis-viva from the current radius, so it also works for slightly eccentric orbits.
+ * @param {Object} state - Pre-burn {position, velocity}
+ * @param {number} targetAltitude - km above the equatorial radius
+ * @param {string} frame - MANEUVER_FRAMES value for the returned components
+ * @returns {{deltaV: number[], secondBurn: number, transferTime: number}} deltaV in m/s
+ *   in the frame's axis order; secondBurn (m/s) circularizes at the target after transferTime (s)
+ * @throws {Error} If the target altitude is below the surface
+ */
+export function getAltitudeChangeBurn(state, targetAltitude, frame) {
+  if (!(targetAltitude > 0)) {
+    throw new Error('Target altitude must be above the surface');
+  }
+
+  const r1 = norm(toArray(state.position));
+  const r2 = EARTH_RADIUS + targetAltitude;
+  const aTransfer = (r1 + r2) / 2;
+  const speed = norm(toArray(state.velocity));
+  const burn = Math.sqrt(MU * (2 / r1 - 1 / aTransfer)) - speed;
+
+  const along = unit(toArray(state.velocity));
+  const { deltaV2, transferTime } = hohmannTransfer(r1, r2);
+
+  return {
+    deltaV: inertialToManeuver(state, toVector(scale(along, burn)), frame),
+    secondBurn: deltaV2,
+    transferTime
+  };
+}
+
+/**
+ * Delta-v to turn a velocity through an angle: 2 v sin(Δθ / 2)
+ * @param {number} speed - km/s
+ * @param {number} angle - radians
+ * @returns {number} m/s
+ */
+export function planeChangeDeltaV(speed, angle) {
+  return 2 * speed * Math.sin(Math.abs(angle) / 2) * 1000;
+}
+
+/**
+ * Burn that rotates the orbit plane about the current position vector so the
+ * orbit reaches the target inclination. The speed and flight-path angle are
+ * unchanged. Cheapest at a node; away from the nodes only a limited range of
+ * inclinations can be reached and the RAAN shifts as well.
+ * @param {Object} state - Pre-burn {position, velocity}
+ * @param {number} targetInclination - degrees
+ * @param {string} frame - MANEUVER_FRAMES value for the returned components
+ * @returns {{deltaV: number[], magnitude: number}} m/s
+ * @throws {Error} If the inclination can't be reached from this position
+ */
+export function getInclinationChangeBurn(state, targetInclination, frame) {
+  const r = unit(toArray(state.position));
+  const v = toArray(state.velocity);
+  const h = unit(cross(r, v));
+  const k = cross(r, h);
+
+  // Rotating the plane by θ about r̂ turns ĥ into ĥ cosθ + (r̂ × ĥ) sinθ,
+  // so cos i' = A cosθ + B sinθ with A = ĥz, B = (r̂ × ĥ)z
+  const A = h[2];
+  const B = k[2];
+  const reach = Math.hypot(A, B);
+  const target = Math.cos(targetInclination * Math.PI / 180);
+
+  if (Math.abs(target) > reach + 1e-12) {
+    throw new Error('Target inclination not reachable from here - burn nearer a node');
+  }
+
+  const phase = Math.atan2(B, A);
+  const offset = Math.acos(Math.max(-1, Math.min(1, target / reach)));
+  const candidates = [phase + offset, phase - offset].map(angle => Math.atan2(Math.sin(angle), Math.cos(angle)));
+  const theta = Math.abs(candidates[0]) <= Math.abs(candidates[1]) ? candidates[0] : candidates[1];
+
+  // Rodrigues rotation of v about r̂ (r̂ · v term is the unchanged radial part)
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const rCrossV = cross(r, v);
+  const radial = dot(r, v);
+  const rotated = [0, 1, 2].map(c => v[c] * cos + rCrossV[c] * sin + r[c] * radial * (1 - cos));
+  const inertial = toVector([0, 1, 2].map(c => rotated[c] - v[c]));
+
+  return {
+    deltaV: inertialToManeuver(state, inertial, frame),
+    magnitude: norm(toArray(inertial)) * 1000
+  };
+}
+
+/**
+ * Sample a post-burn orbit into an ephemeris starting at the burn epoch.
+ * Propagation is two-body with J2 secular drift from the osculating elements.
+ * @param {Object} state - Post-burn {position, velocity} (TEME km, km/s)
+ * @param {number} epoch - Burn time (ms since Unix epoch)
+ * @param {Object} [options]
+ * @param {string} [options.name='WHAT-IF']
+ * @param {number} [options.spanSeconds=WHAT_IF_SPAN_SECONDS]
+ * @param {number} [options.stepSeconds=WHAT_IF_STEP_SECONDS]
+ * @returns {Object} Ephemeris in the shape of parseEphemerisFile results
+ * @throws {Error} If the post-burn orbit is unbound or intersects the Earth
+ */
+export function generateManeuverEphemeris(state, epoch, {
+  name = 'WHAT-IF',
+  spanSeconds = WHAT_IF_SPAN_SECONDS,
+  stepSeconds = WHAT_IF_STEP_SECONDS
+} = {}) {
+  const elements = elementsFromState(state.position, state.velocity, epoch);
+  if (elements.a * (1 - elements.e) < EARTH_RADIUS) {
+    throw new Error('Post-burn perigee is below the surface');
+  }
+
+  const count = Math.floor(spanSeconds / stepSeconds) + 1;
+  const times = new Float64Array(count);
+  const positions = new Float64Array(count * 3);
+  const velocities = new Float64Array(count * 3);
+
+  for (let k = 0; k < count; k++) {
+    const time = epoch + k * stepSeconds * 1000;
+    const { position, velocity } = propagateKeplerian(elements, new Date(time), PROPAGATION_MODELS.J2);
+    times[k] = time;
+    positions.set(toArray(position), k * 3);
+    velocities.set(toArray(velocity), k * 3);
+  }
+
+  return {
+    name,
+    objectId: 'WHAT-IF',
+    frame: 'TEME',
+    interpolation: INTERPOLATION_METHODS.HERMITE,
+    degree: DEFAULT_LAGRANGE_DEGREE,
+    times,
+    positions,
+    velocities
+  };
+}
+
+/**
+ * Perigee and apogee altitudes of a state's osculating orbit
+ * @param {Object} state - {position, velocity} (km, km/s)
+ * @returns {{perigee: number, apogee: number}} km above the equatorial radius
+ */
+export function getApsisAltitudes(state) {
+  const { a, e } = elementsFromState(state.position, state.velocity, 0);
+  return {
+    perigee: a * (1 - e) - EARTH_RADIUS,
+    apogee: a * (1 + e) - EARTH_RADIUS
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Dilution of Precision
+ *
+ * How satellite geometry scales ranging errors into a GNSS fix. Each satellite
+ * in view contributes its unit line of sight (east, north, up) plus a receiver
+ * clock term; the DOPs are square roots of sums of the diagonal of
+ * Q = (GᵀG)⁻¹. Constellations share a single receiver clock, i.e. the offsets
+ * between their system times are taken as known (they are broadcast). A fix
+ * needs at least four satellites and a geometry that isn't degenerate.
+ *
+ * Used by the main thread for the live readout, the DOP plot over a window and
+ * the global overlay. Satellite positions are TEME km; angles are degrees.
+ */
+
+import { temeToItrf } from './frames.js';
+import { getElevationLimit } from './data/horizon-mask.js';
+import { createStation, toTopocentric } from './workers/pass-prediction.js';
+import { cellLatitude, cellLongitude } from './workers/coverage-grid.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export const DOP_METRICS = Object.freeze({
+  GDOP: 'gdop',  // Geometric: position and time
+  PDOP: 'pdop',  // Position (3D)
+  HDOP: 'hdop',  // Horizontal
+  VDOP: 'vdop',  // Vertical
+  TDOP: 'tdop'   // Time
+});
+
+// Fewest satellites in view for a fix
+export const MIN_SATELLITES = 4;
+
+/**
+ * @typedef {Object} Dop
+ * @property {number} gdop
+ * @property {number} pdop
+ * @property {number} hdop
+ * @property {number} vdop
+ * @property {number} tdop
+ */
+
+/**
+ * Unit line of sight in the station's east/north/up frame
+ * @param {number} azimuth - Degrees
+ * @param {number} elevation - Degrees
+ * @returns {{e: number, n: number, u: number}}
+ */
+export function lineOfSight(azimuth, elevation) {
+  const az = azimuth * DEG_TO_RAD;
+  const el = elevation * DEG_TO_RAD;
+  return { e: Math.cos(el) * Math.sin(az), n: Math.cos(el) * Math.cos(az), u: Math.sin(el) };
+}
+
+/**
+ * DOP from the lines of sight to the satellites in view
+ * @param {Array<{e: number, n: number, u: number}>} directions
+ * @returns {Dop|null} null with fewer than four satellites or a degenerate geometry
+ */
+export function computeDop(directions) {
+  if (directions.length < MIN_SATELLITES) return null;
+
+  // Normal matrix GᵀG for rows [e, n, u, 1], augmented with the identity
+  const m = [0, 1, 2, 3].map(i => Array.from({ length: 8 }, (_, j) => (j === i + 4 ? 1 : 0)));
+  for (const { e, n, u } of directions) {
+    const row = [e, n, u, 1];
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) m[i][j] += row[i] * row[j];
+    }
+  }
+
+  // Gauss-Jordan with partial pivoting; the right half becomes Q
+  for (let col = 0; col < 4; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 4; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    const scale = m[col][col];
+    for (let j = 0; j < 8; j++) m[col][j] /= scale;
+    for (let r = 0; r < 4; r++) {
+      if (r === col) continue;
+      const factor = m[r][col];
+      for (let j = 0; j < 8; j++) m[r][j] -= factor * m[col][j];
+    }
+  }
+
+  const [qe, qn, qu, qt] = [m[0][4], m[1][5], m[2][6], m[3][7]];
+  return {
+    gdop: Math.sqrt(qe + qn + qu + qt),
+    pdop: Math.sqrt(qe + qn + qu),
+    hdop: Math.sqrt(qe + qn),
+    vdop: Math.sqrt(qu),
+    tdop: Math.sqrt(qt)
+  };
+}
+
+/**
+ * DOP at a station from satellite positions, counting those above its elevation limit
+ * @param {Array<{x, y, z}|null>} positions - TEME km (null where propagation failed)
+ * @param {import('./pass-prediction.js').Station} station
+ * @param {Date|number} date - UTC
+ * @param {import('../frames.js').EarthOrientation} [eop]
+ * @returns {{count: number, dop: Dop|null}} Satellites in view, and the DOP if there's a fix
+ */
+export function getDop(positions, station, date, eop) {
+  const directions = [];
+  for (const position of positions) {
+    if (!position) continue;
+    const look = toTopocentric(temeToItrf({ position }, date, eop).position, station);
+    if (look.elevation >= getElevationLimit(station, look.azimuth)) {
+      directions.push(lineOfSight(look.azimuth, look.elevation));
+    }
+  }
+  return { count: directions.length, dop: computeDop(directions) };
+}
+
+/**
+ * Stations at the centres of a lat/lon grid (the coverage grid's layout)
+ * @param {number} resolution - Cell size, degrees
+ * @param {number} minElevation - Degrees
+ * @returns {{resolution: number, rows: number, cols: number, stations: import('./pass-prediction.js').Station[]}}
+ */
+export function createDopGrid(resolution, minElevation) {
+  const rows = Math.round(180 / resolution);
+  const cols = Math.round(360 / resolution);
+  const stations = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      stations.push(createStation({
+        lat: cellLatitude(resolution, row),
+        lon: cellLongitude(resolution, col),
+        minElevation
+      }));
+    }
+  }
+  return { resolution, rows, cols, stations };
+}
+
+/**
+ * One DOP over every cell of a grid
+ * @param {ReturnType<typeof createDopGrid>} grid
+ * @param {Array<{x, y, z}>} itrfPositions - Satellites, ITRF km
+ * @param {string} metric - DOP_METRICS value
+ * @returns {{values: Float32Array, counts: Uint8Array}} NaN where there is no fix
+ */
+export function dopGrid(grid, itrfPositions, metric) {
+  const values = new Float32Array(grid.stations.length);
+  const counts = new Uint8Array(grid.stations.length);
+
+  grid.stations.forEach((station, cell) => {
+    const directions = [];
+    for (const itrf of itrfPositions) {
+      const look = toTopocentric(itrf, station);
+      if (look.elevation >= station.minElevation) {
+        directions.push(lineOfSight(look.azimuth, look.elevation));
+      }
+    }
+    const dop = computeDop(directions);
+    values[cell] = dop ? dop[metric] : NaN;
+    counts[cell] = Math.min(255, directions.length);
+  });
+
+  return { values, counts };
+}
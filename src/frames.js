@@ -0,0 +1,485 @@
+/**
+ * Reference Frames
+ *
+ * One place for every coordinate conversion in the app:
+ * - TEME: true equator, mean equinox - what SGP4 produces and what the scene is drawn in
+ * - GCRF: Earth-centred inertial (J2000 / EME2000; the ~20 mas frame bias is ignored)
+ * - ITRF: Earth-fixed (ECEF), via GMST (IAU-82), UT1 and polar motion
+ * - WGS84: geodetic latitude, longitude and height above the ellipsoid
+ *
+ * TEME↔GCRF follows the IAU-76/FK5 chain (precession, IAU-1980 nutation truncated
+ * to its 18 largest terms, equation of the equinoxes), good to a few metres in LEO.
+ *
+ * Earth orientation parameters are optional everywhere. When a call doesn't pass
+ * them, the provider registered with setEarthOrientationProvider() is asked (the
+ * app registers its IERS table); without either, UT1 = UTC, there is no polar
+ * motion and TAI-UTC is the leap second count below.
+ *
+ * Positions are km, velocities km/s, angles in radians unless noted.
+ */
+
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+const J2000_JD = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+const DAY_MS = 86400000;
+
+// Earth rotation rate (rad/s) for a nominal length of day
+const EARTH_ROTATION_RATE = 7.292115146706979e-5;
+
+// TAI-UTC since 2017-01-01 (no leap seconds announced since)
+export const DEFAULT_TAI_MINUS_UTC = 37;
+const TT_MINUS_TAI = 32.184;
+
+export const FRAMES = Object.freeze({
+  TEME: 'TEME',
+  GCRF: 'GCRF',
+  ITRF: 'ITRF',
+  WGS84: 'WGS84'
+});
+
+export const FRAME_LABELS = Object.freeze({
+  [FRAMES.TEME]: 'TEME (SGP4 inertial)',
+  [FRAMES.GCRF]: 'GCRF / J2000',
+  [FRAMES.ITRF]: 'ITRF / ECEF',
+  [FRAMES.WGS84]: 'WGS84 geodetic'
+});
+
+export const WGS84 = Object.freeze({
+  a: 6378.137,                   // Equatorial radius (km)
+  f: 1 / 298.257223563,          // Flattening
+  e2: 6.69437999014e-3,          // First eccentricity squared: f(2 - f)
+  b: 6356.752314245              // Polar radius (km)
+});
+
+/**
+ * Earth orientation at one instant
+ * @typedef {Object} EarthOrientation
+ * @property {number} [ut1MinusUtc=0] - seconds
+ * @property {number} [xp=0] - Polar motion x (arcsec)
+ * @property {number} [yp=0] - Polar motion y (arcsec)
+ * @property {number} [lod=0] - Excess length of day (seconds)
+ * @property {number} [taiMinusUtc=DEFAULT_TAI_MINUS_UTC] - Leap seconds
+ */
+
+let earthOrientationProvider = null;
+
+/**
+ * Register where conversions get Earth orientation when none is passed in
+ * @param {((date: Date|number) => EarthOrientation)|null} provider - null to clear
+ */
+export function setEarthOrientationProvider(provider) {
+  earthOrientationProvider = provider;
+}
+
+/**
+ * Earth orientation for an instant: the given parameters, else the provider's
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {EarthOrientation}
+ */
+export function resolveEarthOrientation(date, eop) {
+  if (eop) return eop;
+  return earthOrientationProvider ? earthOrientationProvider(date) : {};
+}
+
+// ─── Time ──────────────────────────────────────────────────────────────────
+
+/**
+ * Julian date of a UTC instant
+ * @param {Date|number} date - Date or ms since Unix epoch
+ * @returns {number}
+ */
+export function julianDate(date) {
+  const ms = date instanceof Date ? date.getTime() : date;
+  return ms / DAY_MS + UNIX_EPOCH_JD;
+}
+
+/**
+ * Julian centuries of Terrestrial Time since J2000 (argument of precession/nutation)
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {number}
+ */
+export function julianCenturiesTT(date, eop) {
+  const taiMinusUtc = resolveEarthOrientation(date, eop).taiMinusUtc ?? DEFAULT_TAI_MINUS_UTC;
+  const jdTT = julianDate(date) + (taiMinusUtc + TT_MINUS_TAI) / 86400;
+  return (jdTT - J2000_JD) / 36525;
+}
+
+/**
+ * Greenwich Mean Sidereal Time (IAU-82, the angle SGP4's TEME rotates by)
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop] - ut1MinusUtc is applied when present
+ * @returns {number} radians in [0, 2π)
+ */
+export function greenwichMeanSiderealTime(date, eop) {
+  const ut1MinusUtc = resolveEarthOrientation(date, eop).ut1MinusUtc || 0;
+  const jdUT1 = julianDate(date) + ut1MinusUtc / 86400;
+  const t = (jdUT1 - J2000_JD) / 36525;
+
+  // Seconds of sidereal time
+  const seconds = 67310.54841 +
+    (876600 * 3600 + 8640184.812866) * t +
+    0.093104 * t * t -
+    6.2e-6 * t * t * t;
+
+  let gmst = ((seconds % 86400) / 240) * DEG_TO_RAD;  // 240 s of time per degree
+  if (gmst < 0) gmst += TWO_PI;
+  return gmst;
+}
+
+// ─── Rotation matrices ─────────────────────────────────────────────────────
+
+// Coordinate (passive) rotations about the x, y and z axes
+function rotX(angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [[1, 0, 0], [0, c, s], [0, -s, c]];
+}
+
+function rotY(angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+}
+
+function rotZ(angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+}
+
+function multiply(a, b) {
+  const out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      out[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+    }
+  }
+  return out;
+}
+
+function transpose(m) {
+  return [
+    [m[0][0], m[1][0], m[2][0]],
+    [m[0][1], m[1][1], m[2][1]],
+    [m[0][2], m[1][2], m[2][2]]
+  ];
+}
+
+function apply(m, v) {
+  return {
+    x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+    y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+    z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z
+  };
+}
+
+// ─── Precession and nutation (IAU-76 / FK5) ────────────────────────────────
+
+/**
+ * IAU-76 precession: r_MOD = P r_GCRF
+ * @param {number} t - Julian centuries TT since J2000
+ * @returns {number[][]}
+ */
+export function precessionMatrix(t) {
+  const zeta = (2306.2181 * t + 0.30188 * t * t + 0.017998 * t * t * t) * ARCSEC_TO_RAD;
+  const z = (2306.2181 * t + 1.09468 * t * t + 0.018203 * t * t * t) * ARCSEC_TO_RAD;
+  const theta = (2004.3109 * t - 0.42665 * t * t - 0.041833 * t * t * t) * ARCSEC_TO_RAD;
+  return multiply(rotZ(-z), multiply(rotY(theta), rotZ(-zeta)));
+}
+
+// Largest IAU-1980 nutation terms: multipliers of (D, M, M', F, Ω), then
+// Δψ = (A + B t) sin(arg) and Δε = (C + D t) cos(arg) in 0.0001"
+const NUTATION_TERMS = [
+  [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+  [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+  [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+  [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+  [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+  [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+  [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+  [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+  [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+  [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+  [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+  [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+  [0, 0, -1, 2, 2, 123, 0, -53, 0],
+  [2, 0, 0, 0, 0, 63, 0, 0, 0],
+  [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+  [2, 0, -1, 2, 2, -59, 0, 26, 0],
+  [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+  [0, 0, 1, 2, 1, -51, 0, 27, 0]
+];
+
+/**
+ * Nutation in longitude and obliquity (IAU-1980, truncated)
+ * @param {number} t - Julian centuries TT since J2000
+ * @returns {{dpsi: number, deps: number, meanObliquity: number}} radians
+ */
+export function nutation(t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  // Delaunay arguments (degrees): Moon's elongation, Sun's and Moon's mean
+  // anomalies, Moon's argument of latitude, longitude of the ascending node
+  const args = [
+    297.85036 + 445267.111480 * t - 0.0019142 * t2 + t3 / 189474,
+    357.52772 + 35999.050340 * t - 0.0001603 * t2 - t3 / 300000,
+    134.96298 + 477198.867398 * t + 0.0086972 * t2 + t3 / 56250,
+    93.27191 + 483202.017538 * t - 0.0036825 * t2 + t3 / 327270,
+    125.04452 - 1934.136261 * t + 0.0020708 * t2 + t3 / 450000
+  ].map(deg => (deg % 360) * DEG_TO_RAD);
+
+  let dpsi = 0;
+  let deps = 0;
+  for (const [d, m, mp, f, om, a, b, c, e] of NUTATION_TERMS) {
+    const arg = d * args[0] + m * args[1] + mp * args[2] + f * args[3] + om * args[4];
+    dpsi += (a + b * t) * Math.sin(arg);
+    deps += (c + e * t) * Math.cos(arg);
+  }
+
+  const meanObliquity = (84381.448 - 46.8150 * t - 0.00059 * t2 + 0.001813 * t3) * ARCSEC_TO_RAD;
+  return {
+    dpsi: dpsi * 1e-4 * ARCSEC_TO_RAD,
+    deps: deps * 1e-4 * ARCSEC_TO_RAD,
+    meanObliquity
+  };
+}
+
+/**
+ * Rotation from GCRF to TEME: r_TEME = M r_GCRF
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {number[][]}
+ */
+export function gcrfToTemeMatrix(date, eop) {
+  const t = julianCenturiesTT(date, eop);
+  const { dpsi, deps, meanObliquity } = nutation(t);
+  const trueObliquity = meanObliquity + deps;
+
+  // MOD → TOD, then TOD → TEME by the equation of the equinoxes
+  const nutationMatrix = multiply(rotX(-trueObliquity), multiply(rotZ(-dpsi), rotX(meanObliquity)));
+  const equinoxes = dpsi * Math.cos(meanObliquity);
+
+  return multiply(rotZ(equinoxes), multiply(nutationMatrix, precessionMatrix(t)));
+}
+
+// ─── Frame conversions ─────────────────────────────────────────────────────
+
+/**
+ * TEME → GCRF
+ * @param {{position: {x, y, z}, velocity?: {x, y, z}}} state
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}|null}}
+ */
+export function temeToGcrf({ position, velocity }, date, eop) {
+  const m = transpose(gcrfToTemeMatrix(date, eop));
+  return { position: apply(m, position), velocity: velocity ? apply(m, velocity) : null };
+}
+
+/**
+ * GCRF → TEME
+ * @param {{position: {x, y, z}, velocity?: {x, y, z}}} state
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}|null}}
+ */
+export function gcrfToTeme({ position, velocity }, date, eop) {
+  const m = gcrfToTemeMatrix(date, eop);
+  return { position: apply(m, position), velocity: velocity ? apply(m, velocity) : null };
+}
+
+/**
+ * Polar motion: r_PEF = W r_ITRF (IAU-76/FK5 form)
+ * @private
+ */
+function polarMotionMatrix(eop) {
+  const xp = (eop.xp || 0) * ARCSEC_TO_RAD;
+  const yp = (eop.yp || 0) * ARCSEC_TO_RAD;
+  const cx = Math.cos(xp);
+  const sx = Math.sin(xp);
+  const cy = Math.cos(yp);
+  const sy = Math.sin(yp);
+  return [
+    [cx, 0, -sx],
+    [sx * sy, cy, cx * sy],
+    [sx * cy, -sy, cx * cy]
+  ];
+}
+
+function earthRotationRate(eop) {
+  return EARTH_ROTATION_RATE * (1 - (eop.lod || 0) / 86400);
+}
+
+/**
+ * TEME → ITRF (Earth-fixed). Velocity is relative to the rotating Earth.
+ * @param {{position: {x, y, z}, velocity?: {x, y, z}}} state
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}|null}}
+ */
+export function temeToItrf({ position, velocity }, date, eop) {
+  eop = resolveEarthOrientation(date, eop);
+  const spin = rotZ(greenwichMeanSiderealTime(date, eop));
+  const polar = transpose(polarMotionMatrix(eop));
+  const pef = apply(spin, position);
+
+  let itrfVelocity = null;
+  if (velocity) {
+    // v_PEF = R3(θ) v_TEME - ω × r_PEF
+    const omega = earthRotationRate(eop);
+    const rotated = apply(spin, velocity);
+    itrfVelocity = apply(polar, {
+      x: rotated.x + omega * pef.y,
+      y: rotated.y - omega * pef.x,
+      z: rotated.z
+    });
+  }
+  return { position: apply(polar, pef), velocity: itrfVelocity };
+}
+
+/**
+ * ITRF → TEME
+ * @param {{position: {x, y, z}, velocity?: {x, y, z}}} state - Earth-fixed
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}|null}}
+ */
+export function itrfToTeme({ position, velocity }, date, eop) {
+  eop = resolveEarthOrientation(date, eop);
+  const spin = transpose(rotZ(greenwichMeanSiderealTime(date, eop)));
+  const polar = polarMotionMatrix(eop);
+  const pef = apply(polar, position);
+
+  let temeVelocity = null;
+  if (velocity) {
+    const omega = earthRotationRate(eop);
+    const pefVelocity = apply(polar, velocity);
+    temeVelocity = apply(spin, {
+      x: pefVelocity.x - omega * pef.y,
+      y: pefVelocity.y + omega * pef.x,
+      z: pefVelocity.z
+    });
+  }
+  return { position: apply(spin, pef), velocity: temeVelocity };
+}
+
+/**
+ * Earth-fixed position → WGS84 geodetic coordinates
+ * @param {{x, y, z}} position - ITRF km
+ * @returns {{latitude: number, longitude: number, height: number}} radians, km
+ */
+export function itrfToGeodetic({ x, y, z }) {
+  const { a, e2 } = WGS84;
+  const p = Math.sqrt(x * x + y * y);
+  const longitude = Math.atan2(y, x);
+
+  // Fixed-point iteration on latitude; converges to sub-mm in a few steps
+  let latitude = Math.atan2(z, p * (1 - e2));
+  let height = 0;
+  for (let k = 0; k < 5; k++) {
+    const sinLat = Math.sin(latitude);
+    const n = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+    // This form of the height stays well-conditioned near the poles
+    height = p * Math.cos(latitude) + z * sinLat - a * a / n;
+    latitude = Math.atan2(z, p * (1 - e2 * n / (n + height)));
+  }
+
+  return { latitude, longitude, height };
+}
+
+/**
+ * WGS84 geodetic coordinates → Earth-fixed position
+ * @param {number} latitude - radians
+ * @param {number} longitude - radians
+ * @param {number} [height=0] - km above the ellipsoid
+ * @returns {{x, y, z}} ITRF km
+ */
+export function geodeticToItrf(latitude, longitude, height = 0) {
+  const { a, e2 } = WGS84;
+  const sinLat = Math.sin(latitude);
+  const cosLat = Math.cos(latitude);
+  const n = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+
+  return {
+    x: (n + height) * cosLat * Math.cos(longitude),
+    y: (n + height) * cosLat * Math.sin(longitude),
+    z: (n * (1 - e2) + height) * sinLat
+  };
+}
+
+/**
+ * Distance from Earth's centre to the WGS84 surface at a geocentric latitude
+ * @param {number} geocentricLatitude - radians
+ * @returns {number} km
+ */
+export function ellipsoidRadius(geocentricLatitude) {
+  const cosLat = Math.cos(geocentricLatitude);
+  return WGS84.b / Math.sqrt(1 - WGS84.e2 * cosLat * cosLat);
+}
+
+/**
+ * TEME position → WGS84 geodetic coordinates
+ * @param {{x, y, z}} position - TEME km
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {{latitude: number, longitude: number, height: number}} radians, km
+ */
+export function temeToGeodetic(position, date, eop) {
+  return itrfToGeodetic(temeToItrf({ position }, date, eop).position);
+}
+
+/**
+ * Convert a Cartesian state between TEME, GCRF and ITRF
+ * @param {{position: {x, y, z}, velocity?: {x, y, z}}} state
+ * @param {string} from - FRAMES value (not WGS84)
+ * @param {string} to - FRAMES value (not WGS84)
+ * @param {Date|number} date - UTC
+ * @param {EarthOrientation} [eop]
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}|null}}
+ * @throws {Error} On an unknown or non-Cartesian frame
+ */
+export function convertState(state, from, to, date, eop) {
+  if (from === to) {
+    return { position: state.position, velocity: state.velocity || null };
+  }
+  eop = resolveEarthOrientation(date, eop);
+
+  let teme;
+  switch (from) {
+    case FRAMES.TEME: teme = state; break;
+    case FRAMES.GCRF: teme = gcrfToTeme(state, date, eop); break;
+    case FRAMES.ITRF: teme = itrfToTeme(state, date, eop); break;
+    default: throw new Error(`Cannot convert from frame "${from}"`);
+  }
+
+  switch (to) {
+    case FRAMES.TEME: return { position: teme.position, velocity: teme.velocity || null };
+    case FRAMES.GCRF: return temeToGcrf(teme, date, eop);
+    case FRAMES.ITRF: return temeToItrf(teme, date, eop);
+    default: throw new Error(`Cannot convert to frame "${to}"`);
+  }
+}
+
+// ─── Scene ─────────────────────────────────────────────────────────────────
+
+/**
+ * Map TEME coordinates to the Three.js scene (Y up): swap Y and Z, negating
+ * the new Z to keep the frame right-handed. The Earth mesh is spun by GMST
+ * about the scene Y axis to line up with it.
+ * @param {number} x - TEME km
+ * @param {number} y
+ * @param {number} z
+ * @param {{x, y, z}} [out={}] - Written in place (e.g. a THREE.Vector3)
+ * @returns {{x, y, z}} out
+ */
+export function temeToScene(x, y, z, out = {}) {
+  out.x = x;
+  out.y = z;   // TEME Z (north) → scene Y (up)
+  out.z = -y;  // TEME Y → scene -Z
+  return out;
+}
@@ -1,5 +1,8 @@
 import App from './app.js';
 import Walkthrough from './components/walkthrough.js';
+import { MANEUVER_FRAME_AXES } from './data/maneuver-planner.js';
+import { detectEarthOrientationFile } from './data/earth-orientation.js';
+import { getRegimeLabel } from './orbit-regimes.js';
 
 // Initialize the application on DOM content loaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -18,12 +21,33 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up TLE modal functionality
   setupTLEModal(app);
 
+  // Set up ephemeris export dialog
+  setupExportModal(app);
+
+  // Set up ephemeris file import (button and drag-and-drop)
+  setupEphemerisImport(app);
+
+  // Set up the maneuver planner dialog
+  setupManeuverPlanner(app);
+
   // Set up keyboard shortcuts
   setupKeyboardShortcuts(app);
 
   // Set up preset buttons
   setupPresets(app);
 
+  // Set up the coverage heatmap analysis
+  setupCoverageAnalysis(app);
+
+  // Set up the GNSS dilution-of-precision calculator
+  setupDop(app);
+
+  // Set up conjunction screening
+  setupConjunctionScreening(app);
+
+  // Set up the constellation shell / plane / slot analysis
+  setupConstellationStructure(app);
+
   // Set up walkthrough / onboarding tutorial
   setupWalkthrough();
 });
@@ -39,7 +63,7 @@ function setupPresets(app) {
   const presets = app.getAvailablePresets();
 
   // Featured constellations to show
-  const featured = ['iss', 'gps', 'brightest', 'starlink', 'weather', 'stations'];
+  const featured = ['iss', 'gps', 'glonass', 'galileo', 'brightest', 'starlink', 'weather', 'stations', 'iridium', 'oneweb'];
 
   // Store button references for active state management
   const buttons = {};
@@ -58,10 +82,14 @@ function setupPresets(app) {
     const displayNames = {
       'iss': 'ISS',
       'gps': 'GPS',
+      'glonass': 'GLONASS',
+      'galileo': 'GALILEO',
       'brightest': 'BRIGHT',
       'starlink': 'STARLINK',
       'weather': 'WEATHER',
-      'stations': 'STATIONS'
+      'stations': 'STATIONS',
+      'iridium': 'IRIDIUM',
+      'oneweb': 'ONEWEB'
     };
 
     btn.innerHTML = `
@@ -115,6 +143,280 @@ function setupPresets(app) {
   }
 }
 
+// Set up the coverage heatmap: run over a loaded constellation, then pick the statistic shown
+function setupCoverageAnalysis(app) {
+  const targetSelect = document.getElementById('coverage-target');
+  const runBtn = document.getElementById('coverage-run');
+  const result = document.getElementById('coverage-result');
+  const metricSelect = document.getElementById('coverage-metric');
+  const runLabel = runBtn.innerHTML;
+
+  // Loaded constellations change with the preset buttons; refresh on open
+  function refreshTargets() {
+    const selected = targetSelect.value;
+    targetSelect.innerHTML = app.coveragePanel.getTargets()
+      .map(t => `<option value="${t.id}"${t.id === selected ? ' selected' : ''}>${t.name} (${t.count})</option>`)
+      .join('');
+  }
+
+  function showLegend(legend) {
+    if (!legend) return;
+    document.getElementById('coverage-legend-bar').style.background = legend.gradient;
+    document.getElementById('coverage-legend-min').textContent = legend.min;
+    document.getElementById('coverage-legend-mean').textContent = `${legend.label}: ${legend.mean} avg`;
+    document.getElementById('coverage-legend-max').textContent = legend.max;
+    document.getElementById('coverage-summary').textContent = legend.summary;
+    result.style.display = 'block';
+  }
+
+  refreshTargets();
+  targetSelect.addEventListener('focus', refreshTargets);
+  document.getElementById('preset-buttons').addEventListener('click', refreshTargets);
+
+  runBtn.addEventListener('click', async () => {
+    runBtn.disabled = true;
+    runBtn.innerHTML = '<span class="material-icons">hourglass_empty</span> COMPUTING 0%';
+
+    try {
+      await app.coveragePanel.run({
+        target: targetSelect.value,
+        hours: parseFloat(document.getElementById('coverage-hours').value),
+        stepSeconds: parseFloat(document.getElementById('coverage-step').value),
+        resolution: parseFloat(document.getElementById('coverage-resolution').value),
+        minElevation: parseFloat(document.getElementById('coverage-min-elevation').value)
+      }, (progress) => {
+        runBtn.innerHTML = `<span class="material-icons">hourglass_empty</span> COMPUTING ${Math.floor(progress * 100)}%`;
+      });
+      showLegend(app.coveragePanel.showMetric(metricSelect.value));
+    } catch (error) {
+      app.toast.error(error.message);
+    } finally {
+      runBtn.disabled = false;
+      runBtn.innerHTML = runLabel;
+    }
+  });
+
+  metricSelect.addEventListener('change', () => {
+    showLegend(app.coveragePanel.showMetric(metricSelect.value));
+  });
+
+  document.getElementById('coverage-clear').addEventListener('click', () => {
+    app.coveragePanel.clear();
+    result.style.display = 'none';
+  });
+}
+
+// Set up the GNSS DOP calculator: systems, location, live readout, plot and global overlay
+function setupDop(app) {
+  const controls = document.getElementById('dop-controls');
+  const systems = document.getElementById('dop-systems');
+  const locationSelect = document.getElementById('dop-location');
+  const latInput = document.getElementById('dop-lat');
+  const lonInput = document.getElementById('dop-lon');
+  const pickBtn = document.getElementById('dop-pick');
+  const plotBtn = document.getElementById('dop-plot-run');
+  const plot = document.getElementById('dop-plot');
+  const overlaySelect = document.getElementById('dop-overlay-metric');
+  const legend = document.getElementById('dop-overlay-legend');
+  const plotLabel = plotBtn.innerHTML;
+
+  // Loaded constellations change with the preset buttons too
+  function renderSystems() {
+    systems.innerHTML = app.dopPanel.getSystems()
+      .map(s => `<label title="${s.name}${s.loaded ? '' : ' (loads it)'}">` +
+        `<input type="checkbox" data-system="${s.id}"${s.selected ? ' checked' : ''}>${s.id.toUpperCase()}</label>`)
+      .join('');
+  }
+
+  function showLocation() {
+    latInput.value = app.dopPanel.lat.toFixed(2);
+    lonInput.value = app.dopPanel.lon.toFixed(2);
+    latInput.disabled = lonInput.disabled = app.dopPanel.station !== null;
+    plot.innerHTML = '';
+  }
+
+  locationSelect.innerHTML = '<option value="custom">Custom location</option>' +
+    app.groundStations.map((station, i) => `<option value="${i}">${station.name}</option>`).join('');
+  renderSystems();
+  showLocation();
+
+  document.getElementById('toggle-dop').addEventListener('change', (e) => {
+    app.dopPanel.setEnabled(e.target.checked);
+    controls.style.display = e.target.checked ? 'block' : 'none';
+    if (!e.target.checked) {
+      overlaySelect.value = '';
+      legend.style.display = 'none';
+    }
+  });
+
+  systems.addEventListener('change', (e) => {
+    const id = e.target.dataset.system;
+    if (!id) return;
+    const loaded = app.dopPanel.setSystem(id, e.target.checked);
+    const presetBtn = document.querySelector(`.preset-btn[data-constellation-id="${id}"]`);
+    if (presetBtn) presetBtn.classList.toggle('active', loaded);
+    plot.innerHTML = '';
+  });
+  document.getElementById('preset-buttons').addEventListener('click', renderSystems);
+
+  locationSelect.addEventListener('change', () => {
+    if (locationSelect.value === 'custom') {
+      app.dopPanel.setLocation({ lat: app.dopPanel.lat, lon: app.dopPanel.lon });
+    } else {
+      app.dopPanel.setStation(parseInt(locationSelect.value, 10));
+    }
+    showLocation();
+  });
+
+  const setCustomLocation = () => {
+    app.dopPanel.setLocation({ lat: parseFloat(latInput.value), lon: parseFloat(lonInput.value) });
+    showLocation();
+  };
+  latInput.addEventListener('change', setCustomLocation);
+  lonInput.addEventListener('change', setCustomLocation);
+
+  pickBtn.addEventListener('click', () => {
+    pickBtn.classList.add('active');
+    app.toast.info('Click the globe to set the DOP location');
+    app.dopPanel.armPick(() => {
+      pickBtn.classList.remove('active');
+      locationSelect.value = 'custom';
+      showLocation();
+    });
+  });
+
+  document.getElementById('dop-min-elevation').addEventListener('change', (e) => {
+    app.dopPanel.setMinElevation(parseFloat(e.target.value));
+    e.target.value = app.dopPanel.minElevation;
+    plot.innerHTML = '';
+  });
+
+  plotBtn.addEventListener('click', async () => {
+    plotBtn.disabled = true;
+    plotBtn.innerHTML = '<span class="material-icons">hourglass_empty</span> PLOT';
+    try {
+      await app.dopPanel.runPlot(parseFloat(document.getElementById('dop-hours').value));
+      plot.innerHTML = app.dopPanel.formatPlot();
+    } catch (error) {
+      app.toast.error(error.message);
+    } finally {
+      plotBtn.disabled = false;
+      plotBtn.innerHTML = plotLabel;
+    }
+  });
+
+  overlaySelect.addEventListener('change', () => {
+    const contents = app.dopPanel.setOverlay(overlaySelect.value || null);
+    legend.style.display = contents ? 'block' : 'none';
+    if (!contents) return;
+    document.getElementById('dop-legend-bar').style.background = contents.gradient;
+    document.getElementById('dop-legend-min').textContent = contents.min;
+    document.getElementById('dop-legend-max').textContent = contents.max;
+    document.getElementById('dop-legend-outage').style.setProperty('--tag-color', contents.outage);
+  });
+}
+
+// Set up conjunction screening: the selected satellite or a constellation, then jump to a TCA
+function setupConjunctionScreening(app) {
+  const targetSelect = document.getElementById('conjunction-target');
+  const runBtn = document.getElementById('conjunction-run');
+  const result = document.getElementById('conjunction-result');
+  const list = document.getElementById('conjunction-list');
+  const runLabel = runBtn.innerHTML;
+
+  function refreshTargets() {
+    const selected = targetSelect.value;
+    targetSelect.innerHTML = app.conjunctionPanel.getTargets()
+      .map(t => `<option value="${t.id}"${t.id === selected ? ' selected' : ''}>${t.name} (${t.count})</option>`)
+      .join('');
+  }
+
+  refreshTargets();
+  targetSelect.addEventListener('focus', refreshTargets);
+  document.getElementById('preset-buttons').addEventListener('click', refreshTargets);
+
+  runBtn.addEventListener('click', async () => {
+    runBtn.disabled = true;
+    runBtn.innerHTML = '<span class="material-icons">hourglass_empty</span> SCREENING';
+
+    try {
+      await app.conjunctionPanel.run({
+        target: targetSelect.value,
+        hours: parseFloat(document.getElementById('conjunction-hours').value),
+        stepSeconds: parseFloat(document.getElementById('conjunction-step').value),
+        threshold: parseFloat(document.getElementById('conjunction-threshold').value)
+      }, (progress) => {
+        runBtn.innerHTML = `<span class="material-icons">hourglass_empty</span> SCREENING ${Math.floor(progress * 100)}%`;
+      });
+      const { summary, list: rows } = app.conjunctionPanel.format();
+      document.getElementById('conjunction-summary').textContent = summary;
+      list.innerHTML = rows;
+      result.style.display = 'block';
+    } catch (error) {
+      app.toast.error(error.message);
+    } finally {
+      runBtn.disabled = false;
+      runBtn.innerHTML = runLabel;
+    }
+  });
+
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.pass-item');
+    if (item) app.conjunctionPanel.show(Number(item.dataset.index));
+  });
+}
+
+// Set up the constellation structure analysis
+function setupConstellationStructure(app) {
+  const targetSelect = document.getElementById('structure-target');
+  const runBtn = document.getElementById('structure-run');
+  const result = document.getElementById('structure-result');
+  const list = document.getElementById('structure-list');
+  const runLabel = runBtn.innerHTML;
+
+  function refreshTargets() {
+    const selected = targetSelect.value;
+    targetSelect.innerHTML = app.structurePanel.getTargets()
+      .map(t => `<option value="${t.id}"${t.id === selected ? ' selected' : ''}>${t.name} (${t.count})</option>`)
+      .join('');
+  }
+
+  refreshTargets();
+  targetSelect.addEventListener('focus', refreshTargets);
+  // Reloading satellites drops the analysis
+  const reset = () => {
+    refreshTargets();
+    result.style.display = 'none';
+  };
+  document.getElementById('preset-buttons').addEventListener('click', reset);
+  document.getElementById('satellite-slider').addEventListener('change', reset);
+
+  runBtn.addEventListener('click', async () => {
+    runBtn.disabled = true;
+    runBtn.innerHTML = '<span class="material-icons">hourglass_empty</span> ANALYZING 0%';
+
+    try {
+      await app.structurePanel.analyze(targetSelect.value, (progress) => {
+        runBtn.innerHTML = `<span class="material-icons">hourglass_empty</span> ANALYZING ${Math.floor(progress * 100)}%`;
+      });
+      const { summary, list: rows } = app.structurePanel.format();
+      document.getElementById('structure-summary').textContent = summary;
+      list.innerHTML = rows;
+      result.style.display = 'block';
+    } catch (error) {
+      app.toast.error(error.message);
+    } finally {
+      runBtn.disabled = false;
+      runBtn.innerHTML = runLabel;
+    }
+  });
+
+  list.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-plane]');
+    if (input) app.structurePanel.setPlaneVisible(Number(input.dataset.plane), input.checked);
+  });
+}
+
 // Debounce function to limit how often a function is called
 function debounce(func, wait) {
   let timeout;
@@ -167,6 +469,20 @@ function setupEventListeners(app) {
     app.toggleGroundStations(e.target.checked);
   });
 
+  document.getElementById('toggle-orbit-rings').addEventListener('change', (e) => {
+    app.toggleOrbitRings(e.target.checked);
+  });
+
+  document.getElementById('toggle-oblate-earth').addEventListener('change', (e) => {
+    app.setOblateEarth(e.target.checked);
+  });
+
+  // Color satellites by orbit class, regime or eclipse state
+  document.getElementById('color-mode').addEventListener('change', (e) => {
+    app.setColorMode(e.target.value);
+    document.getElementById('eclipse-legend').style.display = e.target.value === 'eclipse' ? '' : 'none';
+  });
+
   // Trail and ground track toggles
   document.getElementById('toggle-trail').addEventListener('change', (e) => {
     app.toggleTrail(e.target.checked);
@@ -176,15 +492,84 @@ function setupEventListeners(app) {
     app.toggleGroundTrack(e.target.checked);
   });
 
+  document.getElementById('toggle-footprint').addEventListener('change', (e) => {
+    app.toggleFootprint(e.target.checked);
+  });
+
+  // The angle input holds the minimum elevation or the half-angle, whichever the mode uses
+  const footprintAngle = document.getElementById('footprint-angle');
+  document.getElementById('footprint-mode').addEventListener('change', (e) => {
+    app.setFootprint({ mode: e.target.value });
+    footprintAngle.value = app.getFootprintAngle();
+  });
+  footprintAngle.addEventListener('change', (e) => {
+    app.setFootprint({ angle: parseFloat(e.target.value) });
+    footprintAngle.value = app.getFootprintAngle();
+  });
+
   // Selected satellite specific toggles (in left panel)
   document.getElementById('toggle-orbit-selected').addEventListener('change', (e) => {
     app.toggleOrbits(e.target.checked);
   });
 
+  // The info panel is re-rendered on selection, so listen on its container
+  document.getElementById('selected-info').addEventListener('change', (e) => {
+    if (e.target.id === 'position-frame') {
+      app.setPositionFrame(e.target.value);
+    } else if (e.target.id === 'station-min-elevation') {
+      app.setStationMinElevation(app.selectedObject, parseFloat(e.target.value));
+    } else if (e.target.id === 'pass-target') {
+      app.passPanel.setTarget(e.target.value);
+    } else if (e.target.id === 'look-station') {
+      app.lookPanel.setStation(Number(e.target.value));
+    } else if (e.target.id === 'doppler-frequency') {
+      app.lookPanel.setLink({ frequency: parseFloat(e.target.value) });
+    } else if (e.target.id === 'doppler-link') {
+      app.lookPanel.setLink({ direction: e.target.value });
+    } else if (e.target.id === 'station-coverage') {
+      app.setStationCoverage(app.selectedObject, { visible: e.target.checked });
+    } else if (e.target.id === 'station-coverage-altitude') {
+      app.setStationCoverage(app.selectedObject, { altitude: parseFloat(e.target.value) });
+    }
+  });
+
+  // Clicking a predicted pass jumps the clock to it; the mask buttons edit the selected station
+  const maskInput = document.getElementById('horizon-mask-file-input');
+  let maskStation = null;
+
+  document.getElementById('selected-info').addEventListener('click', (e) => {
+    const pass = e.target.closest('.pass-item');
+    if (pass) {
+      app.jumpToTime(Number(pass.dataset.time));
+    } else if (e.target.closest('#station-mask-load')) {
+      maskStation = app.selectedObject;
+      maskInput.click();
+    } else if (e.target.closest('#station-mask-clear')) {
+      app.setStationHorizonMask(app.selectedObject, null);
+    }
+  });
+
+  maskInput.addEventListener('change', async () => {
+    const file = maskInput.files[0];
+    maskInput.value = '';
+    if (!file || !maskStation) return;
+
+    const result = app.loadHorizonMaskFile(maskStation, await file.text(), file.name);
+    if (result.success) {
+      app.toast.success(result.message);
+    } else {
+      app.toast.error(result.message);
+    }
+  });
+
   document.getElementById('toggle-los-selected').addEventListener('change', (e) => {
     app.toggleLineOfSight(e.target.checked);
   });
 
+  document.getElementById('toggle-watch-selected').addEventListener('change', (e) => {
+    app.setWatched(app.selectedObject, e.target.checked);
+  });
+
   // Satellite type filters
   document.querySelectorAll('.satellite-type').forEach(checkbox => {
     checkbox.addEventListener('change', (e) => {
@@ -192,6 +577,13 @@ function setupEventListeners(app) {
     });
   });
 
+  // Regime filters within each class
+  document.querySelectorAll('.satellite-regime').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      app.toggleSatelliteRegime(e.target.dataset.regime, e.target.checked);
+    });
+  });
+
   // Note: Follow and reset camera listeners are set up in app.js init()
 
   // Sync initial app state with toggle values (handles browser auto-restore of form state)
@@ -206,9 +598,13 @@ function syncInitialToggleStates(app) {
   // Main toggles
   const satToggle = document.getElementById('toggle-satellites');
   const gsToggle = document.getElementById('toggle-groundstations');
+  const ringsToggle = document.getElementById('toggle-orbit-rings');
+  const oblateToggle = document.getElementById('toggle-oblate-earth');
 
   if (satToggle) app.settings.showSatellites = satToggle.checked;
   if (gsToggle) app.settings.showGroundStations = gsToggle.checked;
+  if (ringsToggle) app.toggleOrbitRings(ringsToggle.checked);
+  if (oblateToggle) app.setOblateEarth(oblateToggle.checked);
 
   // Satellite type filters
   document.querySelectorAll('.satellite-type').forEach(checkbox => {
@@ -217,6 +613,12 @@ function syncInitialToggleStates(app) {
       app.settings.satelliteTypes[type] = checkbox.checked;
     }
   });
+  document.querySelectorAll('.satellite-regime').forEach(checkbox => {
+    const regime = checkbox.dataset.regime;
+    if (regime && app.settings.satelliteRegimes) {
+      app.settings.satelliteRegimes[regime] = checkbox.checked;
+    }
+  });
 
   // Selected satellite toggles - call toggle methods to properly initialize
   const orbitToggle = document.getElementById('toggle-orbit-selected');
@@ -237,6 +639,7 @@ function setupSearchFeature(app) {
   const searchSidebar = document.getElementById('search-sidebar');
   const searchInput = document.getElementById('search-input');
   const searchType = document.getElementById('search-type');
+  const searchOrbit = document.getElementById('search-orbit');
   const searchResults = document.getElementById('search-results');
   const resultsCount = document.getElementById('results-count');
 
@@ -263,6 +666,7 @@ function setupSearchFeature(app) {
   const performSearch = debounce(() => {
     const query = searchInput.value;
     const type = searchType.value;
+    const orbit = searchOrbit.value;
 
     // Clear previous results
     searchResults.innerHTML = '';
@@ -275,7 +679,7 @@ function setupSearchFeature(app) {
     }
 
     // Perform search
-    const results = app.searchObjects(query, type);
+    const results = app.searchObjects(query, type, orbit);
 
     // Update results count
     resultsCount.textContent = results.length;
@@ -302,7 +706,7 @@ function setupSearchFeature(app) {
       typeInfo.style.color = '#aaa';
 
       if (result.type === 'satellite') {
-        typeInfo.textContent = `Satellite (${result.objectType})`;
+        typeInfo.textContent = `Satellite (${result.objectType} • ${getRegimeLabel(result.objectRegime)})`;
       } else {
         typeInfo.textContent = `Ground Station (${result.location})`;
       }
@@ -360,6 +764,7 @@ function setupSearchFeature(app) {
   // Add event listeners for search
   searchInput.addEventListener('input', performSearch);
   searchType.addEventListener('change', performSearch);
+  searchOrbit.addEventListener('change', performSearch);
 
   // Add keyboard shortcut for search (Ctrl+F)
   document.addEventListener('keydown', (e) => {
@@ -506,6 +911,272 @@ function setupTLEModal(app) {
   });
 }
 
+// Set up ephemeris export dialog
+function setupExportModal(app) {
+  const modal = document.getElementById('export-modal');
+  const closeBtn = document.getElementById('export-modal-close');
+  const cancelBtn = document.getElementById('export-cancel');
+  const submitBtn = document.getElementById('export-submit');
+  const errorDiv = document.getElementById('export-error');
+
+  const targetSelect = document.getElementById('export-target');
+  const formatSelect = document.getElementById('export-format');
+  const frameSelect = document.getElementById('export-frame');
+  const startInput = document.getElementById('export-start');
+  const stopInput = document.getElementById('export-stop');
+  const stepInput = document.getElementById('export-step');
+
+  // datetime-local inputs hold UTC wall-clock time (no zone suffix)
+  const toInputValue = (date) => date.toISOString().substring(0, 19);
+  const fromInputValue = (value) => new Date(`${value}Z`);
+
+  function openModal(target) {
+    targetSelect.value = target;
+    // Default span: one day from the current simulation time
+    const start = app.timeController.current;
+    startInput.value = toInputValue(start);
+    stopInput.value = toInputValue(new Date(start.getTime() + 86400000));
+    errorDiv.classList.remove('visible');
+    modal.classList.add('open');
+  }
+
+  function closeModal() {
+    modal.classList.remove('open');
+  }
+
+  function showError(message) {
+    errorDiv.textContent = message;
+    errorDiv.classList.add('visible');
+  }
+
+  document.getElementById('export-selected-btn').addEventListener('click', () => openModal('selected'));
+  document.getElementById('export-watch-list-btn').addEventListener('click', () => openModal('watchList'));
+
+  closeBtn.addEventListener('click', closeModal);
+  cancelBtn.addEventListener('click', closeModal);
+
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Close on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      closeModal();
+    }
+  });
+
+  submitBtn.addEventListener('click', () => {
+    errorDiv.classList.remove('visible');
+
+    const result = app.exportEphemeris({
+      target: targetSelect.value,
+      format: formatSelect.value,
+      frame: frameSelect.value,
+      start: fromInputValue(startInput.value),
+      stop: fromInputValue(stopInput.value),
+      stepSeconds: parseFloat(stepInput.value)
+    });
+
+    if (!result.success) {
+      showError(result.message);
+      return;
+    }
+
+    // Trigger a download of the generated text
+    const url = URL.createObjectURL(new Blob([result.content], { type: result.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    closeModal();
+  });
+}
+
+// Set up ephemeris file import (OEM / CSV state vectors, plus IERS EOP and leap second files)
+function setupEphemerisImport(app) {
+  const importBtn = document.getElementById('import-ephemeris-btn');
+  const fileInput = document.getElementById('ephemeris-file-input');
+
+  async function importFiles(files) {
+    for (const file of files) {
+      const text = await file.text();
+
+      if (detectEarthOrientationFile(text)) {
+        const result = app.loadEarthOrientationFile(text, file.name);
+        if (result.success) {
+          app.toast.success(result.message);
+        } else {
+          app.toast.error(result.message);
+        }
+        continue;
+      }
+
+      const result = app.importEphemerisFile(text, file.name);
+
+      if (!result.success) {
+        app.toast.error(result.message);
+        continue;
+      }
+
+      if (result.outsideSpan > 0) {
+        app.toast.warning(result.message, 8000);
+      } else {
+        app.toast.success(result.message);
+      }
+
+      // Select the first imported object so its span/status is visible
+      app.selectObject({ object: result.satellites[0] });
+    }
+  }
+
+  importBtn.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', () => {
+    importFiles([...fileInput.files]);
+    fileInput.value = '';
+  });
+
+  // Accept files dropped anywhere on the page
+  document.addEventListener('dragover', (e) => {
+    if (e.dataTransfer && [...e.dataTransfer.types].includes('Files')) {
+      e.preventDefault();
+    }
+  });
+
+  document.addEventListener('drop', (e) => {
+    if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    importFiles([...e.dataTransfer.files]);
+  });
+}
+
+// Set up the impulsive maneuver planner for the selected satellite
+function setupManeuverPlanner(app) {
+  const modal = document.getElementById('maneuver-modal');
+  const closeBtn = document.getElementById('maneuver-modal-close');
+  const cancelBtn = document.getElementById('maneuver-cancel');
+  const submitBtn = document.getElementById('maneuver-submit');
+  const errorDiv = document.getElementById('maneuver-error');
+  const hintDiv = document.getElementById('maneuver-hint');
+
+  const epochInput = document.getElementById('maneuver-epoch');
+  const frameSelect = document.getElementById('maneuver-frame');
+  const dvInputs = [0, 1, 2].map(k => document.getElementById(`maneuver-dv-${k}`));
+  const axisLabels = [...modal.querySelectorAll('.maneuver-axis-label')];
+  const altitudeInput = document.getElementById('maneuver-target-altitude');
+  const inclinationInput = document.getElementById('maneuver-target-inclination');
+
+  // datetime-local inputs hold UTC wall-clock time (no zone suffix)
+  const toInputValue = (date) => date.toISOString().substring(0, 19);
+  const fromInputValue = (value) => new Date(`${value}Z`);
+  const readDeltaV = () => dvInputs.map(input => parseFloat(input.value));
+
+  function updateAxisLabels() {
+    MANEUVER_FRAME_AXES[frameSelect.value].forEach((label, k) => {
+      axisLabels[k].textContent = label;
+    });
+  }
+
+  function openModal() {
+    const sat = app.selectedObject;
+    if (!sat || !sat.tleData) return;
+
+    // Default: burn now, targets prefilled with the current orbit
+    epochInput.value = toInputValue(app.timeController.current);
+    dvInputs.forEach(input => { input.value = '0'; });
+    altitudeInput.value = sat.orbit.altitude.toFixed(0);
+    inclinationInput.value = sat.orbit.inclination.toFixed(2);
+    hintDiv.textContent = '';
+    errorDiv.classList.remove('visible');
+    updateAxisLabels();
+    modal.classList.add('open');
+  }
+
+  function closeModal() {
+    modal.classList.remove('open');
+  }
+
+  function showError(message) {
+    errorDiv.textContent = message;
+    errorDiv.classList.add('visible');
+  }
+
+  // Fill the delta-v fields from a sizing helper
+  function applySizing(result) {
+    errorDiv.classList.remove('visible');
+    if (!result.success) {
+      hintDiv.textContent = '';
+      showError(result.message);
+      return;
+    }
+    result.deltaV.forEach((component, k) => {
+      dvInputs[k].value = component.toFixed(2);
+    });
+    hintDiv.textContent = result.message;
+  }
+
+  document.getElementById('plan-maneuver-btn').addEventListener('click', openModal);
+  frameSelect.addEventListener('change', updateAxisLabels);
+
+  document.getElementById('maneuver-hohmann-btn').addEventListener('click', () => {
+    applySizing(app.sizeAltitudeChange(
+      fromInputValue(epochInput.value), parseFloat(altitudeInput.value), frameSelect.value));
+  });
+
+  document.getElementById('maneuver-plane-change-btn').addEventListener('click', () => {
+    applySizing(app.sizeInclinationChange(
+      fromInputValue(epochInput.value), parseFloat(inclinationInput.value), frameSelect.value));
+  });
+
+  closeBtn.addEventListener('click', closeModal);
+  cancelBtn.addEventListener('click', closeModal);
+
+  // Close on backdrop click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+
+  // Close on Escape key
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) {
+      closeModal();
+    }
+  });
+
+  submitBtn.addEventListener('click', () => {
+    errorDiv.classList.remove('visible');
+
+    const result = app.planManeuver({
+      epoch: fromInputValue(epochInput.value),
+      frame: frameSelect.value,
+      deltaV: readDeltaV()
+    });
+
+    if (!result.success) {
+      showError(result.message);
+      return;
+    }
+
+    // The ghost line is drawn with the other orbit lines - make sure they're on
+    const orbitCheckbox = document.getElementById('toggle-orbit-selected');
+    if (!orbitCheckbox.checked) {
+      orbitCheckbox.checked = true;
+      app.toggleOrbits(true);
+    }
+
+    app.toast.success(result.message);
+    closeModal();
+  });
+}
+
 // Set up keyboard shortcuts
 function setupKeyboardShortcuts(app) {
   document.addEventListener('keydown', (e) => {
@@ -0,0 +1,169 @@
+/**
+ * Orbit Regimes
+ *
+ * Classifies an orbit into one of the four orbit classes (LEO/MEO/GEO/HEO)
+ * and a regime: sun-synchronous, polar, GTO, Molniya, Tundra, graveyard,
+ * inclined GSO, or the class's catch-all. The classes are the original semi-major
+ * axis and eccentricity buckets, unchanged; the regime is a finer label on top.
+ * Each regime is listed under the class most of its orbits fall in, but one that
+ * spans the buckets' boundaries keeps its label across them (e.g. a Tundra orbit
+ * with e = 0.2 is MEO, a graveyard orbit 1500 km above GEO is MEO).
+ *
+ * Works from mean elements (a TLE's) or the osculating elements of an imported
+ * ephemeris; the tolerances are wide enough for either.
+ */
+
+const MU = 398600.4418;           // km³/s²
+const EARTH_RADIUS = 6378.137;    // km
+const J2 = 1.08262668e-3;
+const RAD_TO_DEG = 180 / Math.PI;
+
+const LEO_MAX_SMA = EARTH_RADIUS + 2000;   // km
+const GEO_SMA = EARTH_RADIUS + 35786;      // km
+const SIDEREAL_DAY = 1436.07;              // min
+const CRITICAL_INCLINATION = 63.43;        // deg: apsides frozen against J2
+// Node drift that follows the mean Sun, rad/s
+const SUN_SYNCHRONOUS_RATE = 2 * Math.PI / (365.2422 * 86400);
+
+// Tolerances
+const SSO_TOLERANCE = 1;                   // deg from the sun-synchronous inclination
+const POLAR_TOLERANCE = 10;                // deg from 90
+const GSO_INCLINATION = 3;                 // deg: above this a synchronous orbit is "inclined"
+const GSO_MAX_ECCENTRICITY = 0.15;         // Quasi-zenith orbits are mildly eccentric
+const GRAVEYARD_MIN = 200;                 // km above GEO (IADC re-orbit is ~235 km + margin)
+const GRAVEYARD_MAX = 2000;
+const GRAVEYARD_MAX_ECCENTRICITY = 0.05;
+const GTO_MAX_PERIGEE = EARTH_RADIUS + 2000;  // km radius
+const GTO_APOGEE_TOLERANCE = 6000;         // km from the GEO radius (sub- and super-synchronous)
+const MOLNIYA_PERIOD = SIDEREAL_DAY / 2;
+const MOLNIYA_MIN_ECCENTRICITY = 0.5;
+const TUNDRA_ECCENTRICITY = [0.15, 0.45];
+const RESONANT_PERIOD_TOLERANCE = 60;      // min from the Molniya / Tundra period
+const MOLNIYA_INCLINATION_TOLERANCE = 5;   // deg from the critical inclination
+const TUNDRA_INCLINATION_TOLERANCE = 10;
+
+/**
+ * Regimes by id, in the order they are listed under their class (type). Each
+ * class has a catch-all (LEO_OTHER, ...) so every orbit has a regime.
+ */
+export const ORBIT_REGIMES = Object.freeze({
+  SSO: { type: 'LEO', label: 'Sun-synchronous', color: 0x7fffb2 },
+  POLAR: { type: 'LEO', label: 'Polar', color: 0x4fa8ff },
+  LEO_OTHER: { type: 'LEO', label: 'Other LEO', color: 0x00ffff },
+  MEO_OTHER: { type: 'MEO', label: 'MEO', color: 0xffff00 },
+  GEOSTATIONARY: { type: 'GEO', label: 'Geostationary', color: 0xff00ff },
+  INCLINED_GSO: { type: 'GEO', label: 'Inclined GSO', color: 0xc77dff },
+  GRAVEYARD: { type: 'GEO', label: 'Graveyard', color: 0x9e8fa6 },
+  MOLNIYA: { type: 'HEO', label: 'Molniya', color: 0xff8a3d },
+  TUNDRA: { type: 'HEO', label: 'Tundra', color: 0xffc04d },
+  GTO: { type: 'HEO', label: 'GTO', color: 0xff4f8b },
+  HEO_OTHER: { type: 'HEO', label: 'Other HEO', color: 0xff0000 }
+});
+
+/**
+ * Inclination at which J2 turns an orbit's node with the mean Sun
+ * @param {number} semiMajorAxis - km
+ * @param {number} eccentricity
+ * @returns {number|null} Degrees, or null if no inclination is fast enough (a > ~12350 km)
+ */
+export function sunSynchronousInclination(semiMajorAxis, eccentricity) {
+  const n = Math.sqrt(MU / (semiMajorAxis * semiMajorAxis * semiMajorAxis));
+  const p = semiMajorAxis * (1 - eccentricity * eccentricity);
+  const cosi = -SUN_SYNCHRONOUS_RATE / (1.5 * n * J2 * (EARTH_RADIUS / p) * (EARTH_RADIUS / p));
+  return cosi >= -1 ? Math.acos(cosi) * RAD_TO_DEG : null;
+}
+
+/**
+ * Orbit class from semi-major axis and eccentricity alone (the original buckets)
+ * @param {number} semiMajorAxis - km
+ * @param {number} eccentricity
+ * @returns {string} 'LEO', 'MEO', 'GEO' or 'HEO'
+ */
+export function orbitClass(semiMajorAxis, eccentricity) {
+  if (eccentricity > 0.25) return 'HEO';
+  if (Math.abs(semiMajorAxis - GEO_SMA) < 1000 && eccentricity < 0.01) return 'GEO';
+  if (semiMajorAxis < LEO_MAX_SMA) return 'LEO';
+  return 'MEO';
+}
+
+/**
+ * Classify an orbit. The class is orbitClass's; the regime can belong to another
+ * class (see the header)
+ * @param {Object} orbit
+ * @param {number} orbit.semiMajorAxis - km
+ * @param {number} orbit.eccentricity
+ * @param {number} orbit.inclination - Degrees
+ * @returns {{type: string, regime: string}} Orbit class and ORBIT_REGIMES id
+ */
+export function classifyOrbit({ semiMajorAxis: a, eccentricity: e, inclination: i }) {
+  const period = 2 * Math.PI * Math.sqrt(a * a * a / MU) / 60;  // min
+  const perigee = a * (1 - e);
+  const apogee = a * (1 + e);
+  const type = orbitClass(a, e);
+  const regime = (id) => ({ type, regime: id });
+
+  // Resonant, critically inclined orbits, and transfers to GEO
+  if (Math.abs(i - CRITICAL_INCLINATION) <= MOLNIYA_INCLINATION_TOLERANCE &&
+      e > MOLNIYA_MIN_ECCENTRICITY &&
+      Math.abs(period - MOLNIYA_PERIOD) <= RESONANT_PERIOD_TOLERANCE) {
+    return regime('MOLNIYA');
+  }
+  if (Math.abs(i - CRITICAL_INCLINATION) <= TUNDRA_INCLINATION_TOLERANCE &&
+      e >= TUNDRA_ECCENTRICITY[0] && e <= TUNDRA_ECCENTRICITY[1] &&
+      Math.abs(period - SIDEREAL_DAY) <= RESONANT_PERIOD_TOLERANCE) {
+    return regime('TUNDRA');
+  }
+  if (perigee < GTO_MAX_PERIGEE && Math.abs(apogee - GEO_SMA) <= GTO_APOGEE_TOLERANCE) {
+    return regime('GTO');
+  }
+
+  // Around the geostationary ring
+  const aboveGeo = a - GEO_SMA;
+  if (aboveGeo >= GRAVEYARD_MIN && aboveGeo <= GRAVEYARD_MAX && e < GRAVEYARD_MAX_ECCENTRICITY) {
+    return regime('GRAVEYARD');
+  }
+  if (Math.abs(aboveGeo) < 1000 && e < GSO_MAX_ECCENTRICITY && i > GSO_INCLINATION) {
+    return regime('INCLINED_GSO');
+  }
+
+  if (type === 'LEO') {
+    const sso = sunSynchronousInclination(a, e);
+    if (sso !== null && Math.abs(i - sso) <= SSO_TOLERANCE) return regime('SSO');
+    if (Math.abs(i - 90) <= POLAR_TOLERANCE) return regime('POLAR');
+    return regime('LEO_OTHER');
+  }
+  if (type === 'GEO') return regime('GEOSTATIONARY');
+  return regime(`${type}_OTHER`);
+}
+
+/**
+ * Classify a satellite.js record (or anything with its no/ecco/inclo fields)
+ * @param {{no: number, ecco: number, inclo: number}} satrec - Mean motion rad/min,
+ *   eccentricity, inclination rad
+ * @returns {{type: string, regime: string}}
+ */
+export function classifySatrec(satrec) {
+  const n = satrec.no / 60;  // rad/s
+  return classifyOrbit({
+    semiMajorAxis: Math.pow(MU / (n * n), 1 / 3),
+    eccentricity: satrec.ecco,
+    inclination: satrec.inclo * RAD_TO_DEG
+  });
+}
+
+/**
+ * Regime ids of one orbit class, in listing order
+ * @param {string} type - 'LEO', 'MEO', 'GEO' or 'HEO'
+ * @returns {string[]}
+ */
+export function getClassRegimes(type) {
+  return Object.keys(ORBIT_REGIMES).filter(id => ORBIT_REGIMES[id].type === type);
+}
+
+/**
+ * @param {string} regime - ORBIT_REGIMES id
+ * @returns {string} Display label (the id itself if unknown)
+ */
+export function getRegimeLabel(regime) {
+  return ORBIT_REGIMES[regime]?.label ?? regime;
+}
@@ -1,3 +1,8 @@
+import * as satellite from 'satellite.js';
+import { interpolateEphemeris } from './workers/ephemeris-interpolator.js';
+import { WGS84, geodeticToItrf, temeToScene } from './frames.js';
+import { ECLIPSE_STATE } from './workers/eclipse.js';
+
 /**
  * Converts degrees to radians
  * @param {number} degrees - Angle in degrees
@@ -17,33 +22,30 @@ export function radToDeg(radians) {
 }
 
 /**
- * Converts lat/lon coordinates to 3D position
- * @param {number} lat - Latitude in degrees
+ * Converts WGS84 geodetic coordinates to an Earth-fixed scene position, i.e. in the
+ * Earth mesh's local frame (the mesh is spun by GMST to line it up with TEME)
+ * @param {number} lat - Geodetic latitude in degrees
  * @param {number} lon - Longitude in degrees
- * @param {number} radius - Radius of the sphere
+ * @param {number} [altitude=0] - km above the ellipsoid
  * @returns {Object} - {x, y, z} position
  */
-export function latLonToVector3(lat, lon, radius) {
-  const phi = degToRad(90 - lat);
-  const theta = degToRad(lon + 180);
-
-  const x = -radius * Math.sin(phi) * Math.cos(theta);
-  const y = radius * Math.cos(phi);
-  const z = radius * Math.sin(phi) * Math.sin(theta);
-
-  return { x, y, z };
+export function geodeticToVector3(lat, lon, altitude = 0) {
+  const { x, y, z } = geodeticToItrf(degToRad(lat), degToRad(lon), altitude);
+  return temeToScene(x, y, z);
 }
 
 /**
- * Calculate if a satellite is visible from a ground station
- * @param {Object} stationPos - Ground station position {x, y, z}
- * @param {Object} satellitePos - Satellite position {x, y, z}
- * @param {number} earthRadius - Radius of the Earth
+ * Calculate if a satellite is visible from a ground station: above the station's
+ * elevation limit and with the line of sight clear of the WGS84 ellipsoid.
+ * For azimuth, elevation and range-rate see getTopocentricState (workers/pass-prediction.js).
+ * @param {Object} stationPos - Ground station scene position {x, y, z} (km)
+ * @param {Object} satellitePos - Satellite scene position {x, y, z} (km)
+ * @param {number|function(number): number} [elevationLimit=0] - Lowest visible elevation
+ *   in degrees, or a function of azimuth (degrees from north) giving it (horizon masks)
  * @returns {boolean} - True if satellite is visible
  */
-export function isSatelliteVisibleFromStation(stationPos, satellitePos, earthRadius) {
-  // Check if satellite is visible from ground station (not blocked by Earth)
-  // Uses geometric line-of-sight check
+export function isSatelliteVisibleFromStation(stationPos, satellitePos, elevationLimit = 0) {
+  const { a, b } = WGS84;
 
   // Vector from station to satellite
   const dx = satellitePos.x - stationPos.x;
@@ -54,44 +56,50 @@ export function isSatelliteVisibleFromStation(stationPos, satellitePos, earthRad
   const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
   if (distance === 0) return false;
 
-  // Ground station normal (points away from Earth center)
-  const stationDist = Math.sqrt(stationPos.x * stationPos.x + stationPos.y * stationPos.y + stationPos.z * stationPos.z);
-  const nx = stationPos.x / stationDist;
-  const ny = stationPos.y / stationDist;
-  const nz = stationPos.z / stationDist;
-
-  // Direction to satellite (normalized)
-  const sx = dx / distance;
-  const sy = dy / distance;
-  const sz = dz / distance;
-
-  // Elevation angle: dot product of station normal and direction to satellite
-  // If negative, satellite is below the local horizon
-  const elevationCos = nx * sx + ny * sy + nz * sz;
-
-  // For visibility, we need elevation > 0 (above horizon)
-  // Adding small tolerance for numerical precision
-  if (elevationCos < -0.01) return false;
-
-  // Additional check: ensure the ray doesn't pass through Earth
-  // For satellites above horizon, this is usually true, but check for edge cases
-  // where the satellite is very far and the ray grazes Earth
-
-  // The minimum distance from ray to Earth center occurs at:
-  // t = -(station · rayDir) where rayDir is normalized
-  const t = -(stationPos.x * sx + stationPos.y * sy + stationPos.z * sz);
-
-  // If t < 0, closest point is behind station (toward satellite), ray is moving away from Earth
-  // If t > distance, closest point is beyond satellite
-  // Only check for intersection if closest point is between station and satellite
-  if (t > 0 && t < distance) {
-    const closestX = stationPos.x + t * sx;
-    const closestY = stationPos.y + t * sy;
-    const closestZ = stationPos.z + t * sz;
-    const closestDist = Math.sqrt(closestX * closestX + closestY * closestY + closestZ * closestZ);
-
-    // If closest point is inside Earth, LOS blocked
-    if (closestDist < earthRadius * 0.98) return false;
+  // Local vertical: the ellipsoid normal (scene Y is the polar axis)
+  let nx = stationPos.x / (a * a);
+  let ny = stationPos.y / (b * b);
+  let nz = stationPos.z / (a * a);
+  const normal = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  nx /= normal;
+  ny /= normal;
+  nz /= normal;
+
+  // Below the elevation limit
+  const up = nx * dx + ny * dy + nz * dz;
+  if (typeof elevationLimit === 'function') {
+    // Local north is the polar axis projected onto the horizontal plane; east = north × up
+    const northX = -ny * nx;
+    const northY = 1 - ny * ny;
+    const northZ = -ny * nz;
+    const eastX = northY * nz - northZ * ny;
+    const eastY = northZ * nx - northX * nz;
+    const eastZ = northX * ny - northY * nx;
+    const north = northX * dx + northY * dy + northZ * dz;
+    const east = eastX * dx + eastY * dy + eastZ * dz;
+    const azimuth = (radToDeg(Math.atan2(east, north)) + 360) % 360;
+    elevationLimit = elevationLimit(azimuth);
+  }
+  if (up < distance * Math.sin(degToRad(elevationLimit))) return false;
+
+  // A station above the surface could still look through Earth's limb, so check
+  // the ray against the ellipsoid too. Stretching Y by a/b turns the ellipsoid
+  // into a sphere of radius a.
+  const k = a / b;
+  const sx = stationPos.x;
+  const sy = stationPos.y * k;
+  const sz = stationPos.z;
+  const rx = dx;
+  const ry = dy * k;
+  const rz = dz;
+
+  // Closest approach of the segment to Earth's centre, as a fraction along it
+  const t = -(sx * rx + sy * ry + sz * rz) / (rx * rx + ry * ry + rz * rz);
+  if (t > 0 && t < 1) {
+    const cx = sx + t * rx;
+    const cy = sy + t * ry;
+    const cz = sz + t * rz;
+    if (cx * cx + cy * cy + cz * cz < a * a) return false;
   }
 
   return true;
@@ -134,3 +142,39 @@ export function getSatelliteTypeColor(type) {
       return 0xffffff; // White
   }
 }
+
+/**
+ * Get color for an eclipse state (satellite "color by eclipse" mode)
+ * @param {number} state - ECLIPSE_STATE value
+ * @returns {number} - Hex color
+ */
+export function getEclipseStateColor(state) {
+  switch (state) {
+    case ECLIPSE_STATE.SUNLIT:
+      return 0xffd54a; // Warm yellow
+    case ECLIPSE_STATE.PENUMBRA:
+      return 0xff7a1a; // Orange
+    case ECLIPSE_STATE.UMBRA:
+      return 0x4a5cff; // Blue
+    default:
+      return 0x808080; // Grey
+  }
+}
+
+/**
+ * Propagate a satellite object to a given time on the main thread:
+ * SGP4 from its satrec, or interpolation for an imported ephemeris
+ * @param {Object} sat - Satellite object (from SatelliteManager.addSatellite)
+ * @param {Date} date
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}}|null} TEME km and km/s,
+ *   null when propagation fails or the time is outside the ephemeris span
+ */
+export function propagateSatellite(sat, date) {
+  if (sat.ephemeris) {
+    return interpolateEphemeris(sat.ephemeris, date.getTime());
+  }
+  if (!sat.satrec) return null;
+
+  const positionAndVelocity = satellite.propagate(sat.satrec, date);
+  return positionAndVelocity && positionAndVelocity.position ? positionAndVelocity : null;
+}
@@ -0,0 +1,172 @@
+/**
+ * Accuracy Watchdog
+ *
+ * Decides which satellites the orbit-propagator worker moves from the fast
+ * Keplerian tier to SGP4. Each tick it spot-checks a rotating slice of the
+ * satellites against SGP4 and records how far the Keplerian estimate has
+ * drifted: a satellite whose error exceeds the threshold is promoted, and a
+ * promoted one that has come back within half the threshold (e.g. after a
+ * time reset) is demoted again - the gap between the two keeps a satellite
+ * near the threshold from flapping. Priority satellites are always SGP4; they
+ * are measured but never change tier. The SGP4 tier is capped so a long warp
+ * can't swamp the tick.
+ *
+ * No worker state: the step works on a WatchdogState and the tick's buffers,
+ * and gets positions from the propagators it is handed.
+ */
+
+import { PROPAGATION_STATUS } from './propagation-status.js';
+
+/**
+ * @typedef {Object} WatchdogSettings
+ * @property {boolean} enabled
+ * @property {number} samplesPerTick - SGP4 spot-checks per physics tick
+ * @property {number} thresholdKm - Promote to SGP4 above this Keplerian error
+ * @property {number} maxPromoted - Cap on the SGP4 tier
+ */
+
+/**
+ * @typedef {Object} WatchdogState
+ * @property {number} cursor - Next satellite index to sample (round-robin)
+ * @property {Uint8Array} promoted - 1 = satellite is in the SGP4 tier
+ * @property {number} promotedCount
+ * @property {Float32Array} errors - Last measured Keplerian error (km), -1 = unsampled
+ */
+
+/**
+ * @param {number} count - Satellites
+ * @returns {WatchdogState} Nothing promoted or sampled
+ */
+export function createWatchdogState(count) {
+  return {
+    cursor: 0,
+    promoted: new Uint8Array(count),
+    promotedCount: 0,
+    errors: new Float32Array(count).fill(-1)
+  };
+}
+
+/**
+ * Make room for satellites added at the end (unsampled, Keplerian tier)
+ * @param {WatchdogState} state - Updated in place
+ * @param {number} count - New number of satellites
+ */
+export function growWatchdogState(state, count) {
+  const promoted = new Uint8Array(count);
+  const errors = new Float32Array(count).fill(-1);
+  promoted.set(state.promoted);
+  errors.set(state.errors);
+  state.promoted = promoted;
+  state.errors = errors;
+}
+
+/**
+ * Move a satellite to the SGP4 tier unless the tier is full. Every promotion
+ * goes through here - the watchdog's and the worker's for satellites already
+ * failing - so one cap bounds the tick's SGP4 cost.
+ * @param {WatchdogState} state - Updated in place
+ * @param {number} i - Satellite index
+ * @param {number} maxPromoted - Cap on the SGP4 tier
+ * @returns {boolean} Whether the satellite is promoted (already, or now)
+ */
+export function promote(state, i, maxPromoted) {
+  if (state.promoted[i]) return true;
+  if (state.promotedCount >= maxPromoted) return false;
+  state.promoted[i] = 1;
+  state.promotedCount++;
+  return true;
+}
+
+/**
+ * Spot-check the next slice of satellites against SGP4.
+ *
+ * Must run right after the tick's propagation, so positions hold the tiered
+ * result: SGP4 for priority and promoted satellites, Keplerian for the rest.
+ * A satellite promoted here gets the SGP4 state in the buffers for this tick;
+ * one whose SGP4 propagation fails is promoted too (its Keplerian position is
+ * fiction) and zeroed.
+ * @param {WatchdogState} state - Updated in place
+ * @param {WatchdogSettings} settings
+ * @param {Object} tick
+ * @param {Float32Array} tick.positions - km, 3 per satellite
+ * @param {Float32Array} tick.velocities - km/s, 3 per satellite
+ * @param {Uint8Array} tick.priority - 1 = in the priority set
+ * @param {Uint8Array} tick.status - PROPAGATION_STATUS per satellite; only OK satellites are demoted
+ * @param {function(number): boolean} tick.canSample - False for satellites without a TLE or elements
+ * @param {function(number): ({x: number, y: number, z: number}|null)} tick.keplerPosition -
+ *   Bulk-tier position (km); null where the bulk tier has the orbit decayed
+ * @param {function(number): ({position: Object, velocity: Object}|null)} tick.sgp4State -
+ *   SGP4 state (km, km/s); null where SGP4 fails
+ */
+export function runWatchdogStep(state, settings, tick) {
+  const { positions, velocities, priority, status, canSample, keplerPosition, sgp4State } = tick;
+  const satelliteCount = state.promoted.length;
+  if (!settings.enabled || satelliteCount === 0) return;
+
+  const { promoted, errors } = state;
+  const count = Math.min(settings.samplesPerTick, satelliteCount);
+  for (let n = 0; n < count; n++) {
+    const i = state.cursor;
+    state.cursor = (state.cursor + 1) % satelliteCount;
+    if (!canSample(i)) continue;
+
+    try {
+      const i3 = i * 3;
+      const isPriority = priority[i] === 1;
+      const buffered = { x: positions[i3], y: positions[i3 + 1], z: positions[i3 + 2] };
+      let sgp4Pos, kepPos;
+      let sgp4Vel = null;
+
+      if (promoted[i] || isPriority) {
+        // Buffer holds SGP4; compute what Keplerian would have shown
+        kepPos = keplerPosition(i);
+        // Decayed in the bulk tier but not in SGP4: it stays promoted
+        if (!kepPos) continue;
+        sgp4Pos = buffered;
+      } else {
+        // Buffer holds Keplerian; compute the SGP4 reference
+        const sgp4 = sgp4State(i);
+        if (!sgp4 || !sgp4.position) {
+          // The Keplerian position is fiction: the SGP4 tier zeroes it and
+          // keeps its status current
+          if (promote(state, i, settings.maxPromoted)) {
+            positions[i3] = 0;
+            positions[i3 + 1] = 0;
+            positions[i3 + 2] = 0;
+          }
+          continue;
+        }
+        sgp4Pos = sgp4.position;
+        sgp4Vel = sgp4.velocity;
+        kepPos = buffered;
+      }
+
+      const dx = sgp4Pos.x - kepPos.x;
+      const dy = sgp4Pos.y - kepPos.y;
+      const dz = sgp4Pos.z - kepPos.z;
+      const error = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      // Priority satellites are always SGP4 - just record their bulk-tier error
+      if (!isPriority && !promoted[i] && error > settings.thresholdKm &&
+        promote(state, i, settings.maxPromoted)) {
+        // Use the SGP4 result we already have for this tick
+        positions[i3] = sgp4Pos.x;
+        positions[i3 + 1] = sgp4Pos.y;
+        positions[i3 + 2] = sgp4Pos.z;
+        if (sgp4Vel) {
+          velocities[i3] = sgp4Vel.x;
+          velocities[i3 + 1] = sgp4Vel.y;
+          velocities[i3 + 2] = sgp4Vel.z;
+        }
+      } else if (!isPriority && promoted[i] && status[i] === PROPAGATION_STATUS.OK &&
+        error < settings.thresholdKm * 0.5) {
+        promoted[i] = 0;
+        state.promotedCount--;
+      }
+
+      errors[i] = error;
+    } catch (e) {
+      // Propagation failed - leave previous estimate
+    }
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Coverage Grid
+ *
+ * How well a set of satellites covers the ground: a global latitude/longitude
+ * grid whose cell centres are treated as ground stations, sampled on a fixed
+ * time step over a window. Each sample records how many satellites every cell
+ * sees above a minimum elevation (the same test the line-of-sight lines use),
+ * and the samples reduce to per-cell statistics: percent of time covered,
+ * longest gap and mean number of satellites in view.
+ *
+ * Shared by the orbit-propagator worker (which samples its satellites) and the
+ * main thread (which merges the workers' samples and summarizes them).
+ */
+
+import { WGS84, temeToItrf, temeToScene } from '../frames.js';
+import { geodeticToVector3, isSatelliteVisibleFromStation } from '../utils.js';
+import { coverageAngle } from '../coverage.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+const CANDIDATE_MARGIN = 1;  // Degrees: geodetic vs geocentric latitude, cell size slack
+const MAX_COUNT = 255;       // Counts are bytes; more satellites than this in view saturate
+
+export const COVERAGE_METRICS = Object.freeze({
+  PERCENT: 'percent',          // Percent of the window with at least one satellite in view
+  MAX_GAP: 'maxGap',           // Longest stretch with none, seconds
+  MEAN_VISIBLE: 'meanVisible'  // Mean number of satellites in view
+});
+
+/**
+ * Grid of cell centres, row 0 at the north pole and column 0 at 180° W
+ * @typedef {Object} CoverageGrid
+ * @property {number} resolution - Cell size, degrees
+ * @property {number} rows
+ * @property {number} cols
+ * @property {Float64Array} positions - Cell centres, Earth-fixed scene km [cell][xyz]
+ */
+
+/**
+ * @param {number} resolution - Cell size in degrees (should divide 180)
+ * @returns {CoverageGrid}
+ */
+export function createCoverageGrid(resolution) {
+  const rows = Math.round(180 / resolution);
+  const cols = Math.round(360 / resolution);
+  const positions = new Float64Array(rows * cols * 3);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const p = geodeticToVector3(cellLatitude(resolution, row), cellLongitude(resolution, col));
+      positions.set([p.x, p.y, p.z], (row * cols + col) * 3);
+    }
+  }
+
+  return { resolution, rows, cols, positions };
+}
+
+/**
+ * @param {number} resolution - Degrees
+ * @param {number} row
+ * @returns {number} Latitude of the row's centre, degrees
+ */
+export function cellLatitude(resolution, row) {
+  return 90 - (row + 0.5) * resolution;
+}
+
+/**
+ * @param {number} resolution - Degrees
+ * @param {number} col
+ * @returns {number} Longitude of the column's centre, degrees
+ */
+export function cellLongitude(resolution, col) {
+  return -180 + (col + 0.5) * resolution;
+}
+
+/**
+ * Number of samples in a window: one at the start of each step
+ * @param {number} start - ms
+ * @param {number} end - ms
+ * @param {number} stepSeconds
+ * @returns {number}
+ */
+export function coverageSampleCount(start, end, stepSeconds) {
+  return Math.max(1, Math.floor((end - start) / (stepSeconds * 1000)));
+}
+
+/**
+ * Count one satellite in every cell that sees it. Only cells inside the
+ * satellite's widest possible coverage circle are tested.
+ * @param {CoverageGrid} grid
+ * @param {{x: number, y: number, z: number}} itrf - Satellite, ITRF km
+ * @param {number} minElevation - Degrees
+ * @param {Uint8Array} counts - One sample's counts per cell
+ */
+export function accumulateCoverage(grid, itrf, minElevation, counts) {
+  const { resolution, rows, cols, positions } = grid;
+  const radius = Math.sqrt(itrf.x * itrf.x + itrf.y * itrf.y + itrf.z * itrf.z);
+
+  // The polar radius gives the widest circle; nothing beyond it can see the satellite
+  const reach = coverageAngle(WGS84.b, radius, minElevation) * RAD_TO_DEG + CANDIDATE_MARGIN;
+  if (!(reach > CANDIDATE_MARGIN)) return;
+
+  const lat = Math.asin(itrf.z / radius) * RAD_TO_DEG;
+  const lon = Math.atan2(itrf.y, itrf.x) * RAD_TO_DEG;
+  const satellite = temeToScene(itrf.x, itrf.y, itrf.z);
+
+  // Longitude half-width of the circle, unless it reaches over a pole
+  const halfWidth = Math.abs(lat) + reach >= 90
+    ? 180
+    : Math.asin(Math.min(1, Math.sin(reach / RAD_TO_DEG) / Math.cos(lat / RAD_TO_DEG))) * RAD_TO_DEG;
+  const colSpan = Math.min(cols, Math.ceil(2 * halfWidth / resolution) + 2);
+  const firstCol = Math.floor((lon - halfWidth + 180) / resolution) - 1;
+
+  const firstRow = Math.max(0, Math.floor((90 - lat - reach) / resolution));
+  const lastRow = Math.min(rows - 1, Math.floor((90 - lat + reach) / resolution));
+
+  const station = { x: 0, y: 0, z: 0 };
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let k = 0; k < colSpan; k++) {
+      const col = ((firstCol + k) % cols + cols) % cols;
+      const cell = row * cols + col;
+      station.x = positions[cell * 3];
+      station.y = positions[cell * 3 + 1];
+      station.z = positions[cell * 3 + 2];
+      if (counts[cell] < MAX_COUNT && isSatelliteVisibleFromStation(station, satellite, minElevation)) {
+        counts[cell]++;
+      }
+    }
+  }
+}
+
+/**
+ * Sample one epoch: count every satellite in the cells that see it
+ * @param {CoverageGrid} grid
+ * @param {Array<{x, y, z}|null>} positions - Satellites, TEME km (null where propagation failed)
+ * @param {Date} date
+ * @param {number} minElevation - Degrees
+ * @param {Uint8Array} counts - This sample's counts per cell
+ * @param {import('../frames.js').EarthOrientation} [eop]
+ */
+export function sampleCoverage(grid, positions, date, minElevation, counts, eop) {
+  for (const position of positions) {
+    if (!position) continue;
+    const itrf = temeToItrf({ position }, date, eop).position;
+    accumulateCoverage(grid, itrf, minElevation, counts);
+  }
+}
+
+/**
+ * Per-cell coverage statistics
+ * @typedef {Object} CoverageStatistics
+ * @property {Float32Array} percent - Percent of samples with a satellite in view
+ * @property {Float32Array} maxGap - Longest run of samples without, seconds
+ * @property {Float32Array} meanVisible - Mean satellites in view
+ */
+
+/**
+ * Reduce samples to statistics
+ * @param {Uint8Array} counts - Samples laid out [sample][cell]
+ * @param {number} cellCount
+ * @param {number} stepSeconds
+ * @returns {CoverageStatistics}
+ */
+export function summarizeCoverage(counts, cellCount, stepSeconds) {
+  const samples = counts.length / cellCount;
+  const percent = new Float32Array(cellCount);
+  const maxGap = new Float32Array(cellCount);
+  const meanVisible = new Float32Array(cellCount);
+
+  for (let cell = 0; cell < cellCount; cell++) {
+    let covered = 0;
+    let total = 0;
+    let gap = 0;
+    let longest = 0;
+    for (let s = 0; s < samples; s++) {
+      const count = counts[s * cellCount + cell];
+      total += count;
+      if (count > 0) {
+        covered++;
+        gap = 0;
+      } else {
+        longest = Math.max(longest, ++gap);
+      }
+    }
+    percent[cell] = 100 * covered / samples;
+    maxGap[cell] = longest * stepSeconds;
+    meanVisible[cell] = total / samples;
+  }
+
+  return { percent, maxGap, meanVisible };
+}
+
+/**
+ * Area-weighted global mean of a per-cell statistic
+ * @param {CoverageGrid|{resolution: number, rows: number, cols: number}} grid
+ * @param {Float32Array} values
+ * @returns {number}
+ */
+export function globalMean(grid, values) {
+  let sum = 0;
+  let weights = 0;
+  for (let row = 0; row < grid.rows; row++) {
+    const weight = Math.cos(cellLatitude(grid.resolution, row) / RAD_TO_DEG);
+    for (let col = 0; col < grid.cols; col++) {
+      sum += weight * values[row * grid.cols + col];
+      weights += weight;
+    }
+  }
+  return sum / weights;
+}
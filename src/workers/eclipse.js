@@ -0,0 +1,154 @@
+/**
+ * Eclipse State
+ *
+ * Whether a satellite sees the Sun, using a conical Earth shadow: from the
+ * satellite, compare the apparent radii of the Sun and a spherical Earth with
+ * the angle between their centres. Shared by the orbit-propagator worker (state
+ * of every satellite each tick) and the main thread (eclipse timetables).
+ *
+ * Positions are TEME km.
+ */
+
+import { sunPosition, SUN_RADIUS } from '../celestial.js';
+
+export const ECLIPSE_STATE = Object.freeze({
+  UNKNOWN: 0,     // Not computed yet, or no position
+  SUNLIT: 1,
+  PENUMBRA: 2,    // Sun partly hidden by the Earth
+  UMBRA: 3        // Sun fully hidden
+});
+
+export const ECLIPSE_STATE_LABELS = Object.freeze({
+  [ECLIPSE_STATE.UNKNOWN]: '—',
+  [ECLIPSE_STATE.SUNLIT]: 'Sunlit',
+  [ECLIPSE_STATE.PENUMBRA]: 'Penumbra',
+  [ECLIPSE_STATE.UMBRA]: 'Umbra'
+});
+
+// Shadow-casting radius: WGS84 equatorial (the ~0.3% flattening is below the model)
+const EARTH_SHADOW_RADIUS = 6378.137;
+
+/**
+ * Shadow state of one satellite
+ * @param {{x: number, y: number, z: number}} position - Satellite, TEME km
+ * @param {{x: number, y: number, z: number}} sun - Sun, TEME km (from sunPosition)
+ * @returns {number} ECLIPSE_STATE value
+ */
+export function getEclipseState(position, sun) {
+  const r = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+  if (!(r > EARTH_SHADOW_RADIUS)) return ECLIPSE_STATE.UNKNOWN;
+
+  // Satellite → Sun
+  const sx = sun.x - position.x;
+  const sy = sun.y - position.y;
+  const sz = sun.z - position.z;
+  const sunDistance = Math.sqrt(sx * sx + sy * sy + sz * sz);
+
+  // Angle between the Sun's centre and the Earth's centre as seen from the satellite
+  const cosSeparation = -(sx * position.x + sy * position.y + sz * position.z) / (sunDistance * r);
+  const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+
+  const earthRadius = Math.asin(EARTH_SHADOW_RADIUS / r);
+  const sunRadius = Math.asin(SUN_RADIUS / sunDistance);
+
+  if (separation >= earthRadius + sunRadius) return ECLIPSE_STATE.SUNLIT;
+  // Past the umbra's tip the Earth can't cover the Sun (annular) - still penumbra
+  if (separation <= earthRadius - sunRadius) return ECLIPSE_STATE.UMBRA;
+  return ECLIPSE_STATE.PENUMBRA;
+}
+
+/**
+ * One pass through the Earth's shadow. Times are null where the window cut it.
+ * @typedef {Object} Eclipse
+ * @property {Date|null} start - Penumbra entry (null: already in shadow at the window start)
+ * @property {Date|null} end - Penumbra exit (null: still in shadow at the window end)
+ * @property {Date|null} umbraStart
+ * @property {Date|null} umbraEnd
+ * @property {number|null} duration - Seconds in shadow (penumbra + umbra)
+ * @property {number|null} umbraDuration - Seconds in umbra
+ */
+
+/**
+ * Find the eclipses of one satellite in a time window. The orbit is sampled
+ * every step and each shadow boundary is refined by bisection, separately for
+ * the penumbra and umbra so a penumbra shorter than a step isn't lost.
+ * @param {(date: Date) => ({x, y, z}|null)} propagate - TEME position, null if it fails
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} [options]
+ * @param {number} [options.stepSeconds=30] - Sampling step; shadow passes shorter than this may be missed
+ * @param {number} [options.toleranceMs=100] - Boundary precision
+ * @returns {Eclipse[]}
+ */
+export function findEclipses(propagate, start, end, { stepSeconds = 30, toleranceMs = 100 } = {}) {
+  const stateAt = (ms) => {
+    const date = new Date(ms);
+    const position = propagate(date);
+    return position ? getEclipseState(position, sunPosition(date)) : ECLIPSE_STATE.UNKNOWN;
+  };
+  const shadowed = state => state === ECLIPSE_STATE.PENUMBRA || state === ECLIPSE_STATE.UMBRA;
+  const inUmbra = state => state === ECLIPSE_STATE.UMBRA;
+
+  // Time in (low, high] where test(state) first differs from its value at low
+  const bisect = (low, high, test) => {
+    const initial = test(stateAt(low));
+    while (high - low > toleranceMs) {
+      const mid = (low + high) / 2;
+      if (test(stateAt(mid)) === initial) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return new Date(Math.round(high));
+  };
+
+  const eclipses = [];
+  let current = null;
+  const open = () => ({ start: null, end: null, umbraStart: null, umbraEnd: null, duration: null, umbraDuration: null });
+
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+  const stepMs = stepSeconds * 1000;
+
+  let previousMs = startMs;
+  let previous = stateAt(startMs);
+  if (shadowed(previous)) current = open();
+
+  while (previousMs < endMs) {
+    const ms = Math.min(previousMs + stepMs, endMs);
+    const state = stateAt(ms);
+
+    // A failed propagation ends the search rather than inventing boundaries
+    if (state === ECLIPSE_STATE.UNKNOWN || previous === ECLIPSE_STATE.UNKNOWN) break;
+
+    if (shadowed(state) && !shadowed(previous)) {
+      current = open();
+      current.start = bisect(previousMs, ms, shadowed);
+    }
+    if (inUmbra(state) !== inUmbra(previous) && current) {
+      const boundary = bisect(previousMs, ms, inUmbra);
+      if (inUmbra(state)) {
+        current.umbraStart = boundary;
+      } else {
+        current.umbraEnd = boundary;
+      }
+    }
+    if (!shadowed(state) && shadowed(previous) && current) {
+      current.end = bisect(previousMs, ms, shadowed);
+      eclipses.push(current);
+      current = null;
+    }
+
+    previous = state;
+    previousMs = ms;
+  }
+  if (current) eclipses.push(current);
+
+  const seconds = (a, b) => (a && b ? (b - a) / 1000 : null);
+  for (const eclipse of eclipses) {
+    eclipse.duration = seconds(eclipse.start, eclipse.end);
+    eclipse.umbraDuration = seconds(eclipse.umbraStart, eclipse.umbraEnd);
+  }
+  return eclipses;
+}
@@ -0,0 +1,162 @@
+/**
+ * Ephemeris Interpolator
+ *
+ * Position/velocity lookup in a precomputed ephemeris (imported OEM/CSV state
+ * vectors). Used by the orbit-propagator worker for live positions and by the
+ * main thread for orbit lines and ground tracks.
+ *
+ * - HERMITE: cubic Hermite between the bracketing states (needs velocities)
+ * - LAGRANGE: Lagrange polynomial through degree+1 states around the epoch
+ *
+ * Ephemeris shape (see data/ephemeris-import.js):
+ *   { times: Float64Array (ms), positions: Float64Array (km, xyz per state),
+ *     velocities: Float64Array|null (km/s), interpolation, degree }
+ */
+
+export const INTERPOLATION_METHODS = Object.freeze({
+  HERMITE: 'HERMITE',
+  LAGRANGE: 'LAGRANGE'
+});
+
+export const DEFAULT_LAGRANGE_DEGREE = 7;
+
+/**
+ * Check whether a time falls inside the ephemeris span
+ * @param {Object} ephemeris
+ * @param {number} timeMs - ms since Unix epoch
+ * @returns {boolean}
+ */
+export function isWithinEphemeris(ephemeris, timeMs) {
+  const { times } = ephemeris;
+  return times.length > 0 && timeMs >= times[0] && timeMs <= times[times.length - 1];
+}
+
+/**
+ * Index of the last state at or before timeMs (binary search)
+ * @private
+ */
+function findInterval(times, timeMs) {
+  let lo = 0;
+  let hi = times.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= timeMs) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Interpolate the state at a given time
+ * @param {Object} ephemeris
+ * @param {number} timeMs - ms since Unix epoch
+ * @returns {{position: {x, y, z}, velocity: {x, y, z}}|null} km and km/s in the
+ *   ephemeris frame, or null outside the span
+ */
+export function interpolateEphemeris(ephemeris, timeMs) {
+  if (!isWithinEphemeris(ephemeris, timeMs)) return null;
+
+  const { times } = ephemeris;
+  if (times.length === 1) {
+    return stateAt(ephemeris, 0);
+  }
+
+  const k = findInterval(times, timeMs);
+  if (ephemeris.velocities && ephemeris.interpolation !== INTERPOLATION_METHODS.LAGRANGE) {
+    return hermite(ephemeris, k, timeMs);
+  }
+  return lagrange(ephemeris, k, timeMs);
+}
+
+function stateAt({ positions, velocities }, k) {
+  const o = k * 3;
+  return {
+    position: { x: positions[o], y: positions[o + 1], z: positions[o + 2] },
+    velocity: velocities
+      ? { x: velocities[o], y: velocities[o + 1], z: velocities[o + 2] }
+      : { x: 0, y: 0, z: 0 }
+  };
+}
+
+/**
+ * Cubic Hermite between states k and k+1
+ * @private
+ */
+function hermite({ times, positions, velocities }, k, timeMs) {
+  const h = (times[k + 1] - times[k]) / 1000;  // seconds
+  const s = (timeMs - times[k]) / 1000 / h;
+  const s2 = s * s;
+  const s3 = s2 * s;
+
+  // Basis functions and their derivatives with respect to s
+  const h00 = 2 * s3 - 3 * s2 + 1;
+  const h10 = s3 - 2 * s2 + s;
+  const h01 = -2 * s3 + 3 * s2;
+  const h11 = s3 - s2;
+  const d00 = 6 * s2 - 6 * s;
+  const d10 = 3 * s2 - 4 * s + 1;
+  const d01 = -6 * s2 + 6 * s;
+  const d11 = 3 * s2 - 2 * s;
+
+  const a = k * 3;
+  const b = a + 3;
+  const position = {};
+  const velocity = {};
+  ['x', 'y', 'z'].forEach((axis, c) => {
+    const p0 = positions[a + c];
+    const p1 = positions[b + c];
+    const v0 = velocities[a + c] * h;
+    const v1 = velocities[b + c] * h;
+    position[axis] = h00 * p0 + h10 * v0 + h01 * p1 + h11 * v1;
+    velocity[axis] = (d00 * p0 + d10 * v0 + d01 * p1 + d11 * v1) / h;
+  });
+  return { position, velocity };
+}
+
+/**
+ * Lagrange polynomial through the degree+1 states nearest to timeMs.
+ * Velocities are interpolated the same way when present, otherwise taken
+ * from the derivative of the position polynomial.
+ * @private
+ */
+function lagrange({ times, positions, velocities, degree }, k, timeMs) {
+  const n = Math.min((degree || DEFAULT_LAGRANGE_DEGREE) + 1, times.length);
+  const first = Math.max(0, Math.min(k - Math.floor((n - 1) / 2), times.length - n));
+
+  // Work in seconds relative to the window start for conditioning
+  const t0 = times[first];
+  const t = (timeMs - t0) / 1000;
+  const nodes = new Float64Array(n);
+  for (let j = 0; j < n; j++) nodes[j] = (times[first + j] - t0) / 1000;
+
+  // Basis values L_j(t) and derivatives L_j'(t)
+  const basis = new Float64Array(n);
+  const derivative = new Float64Array(n);
+  for (let j = 0; j < n; j++) {
+    let value = 1;
+    let slope = 0;
+    for (let i = 0; i < n; i++) {
+      if (i === j) continue;
+      const denominator = nodes[j] - nodes[i];
+      // d/dt of the running product (product rule)
+      slope = (slope * (t - nodes[i]) + value) / denominator;
+      value *= (t - nodes[i]) / denominator;
+    }
+    basis[j] = value;
+    derivative[j] = slope;
+  }
+
+  const position = { x: 0, y: 0, z: 0 };
+  const velocity = { x: 0, y: 0, z: 0 };
+  const axes = ['x', 'y', 'z'];
+  for (let j = 0; j < n; j++) {
+    const o = (first + j) * 3;
+    for (let c = 0; c < 3; c++) {
+      position[axes[c]] += basis[j] * positions[o + c];
+      velocity[axes[c]] += velocities
+        ? basis[j] * velocities[o + c]
+        : derivative[j] * positions[o + c];
+    }
+  }
+  return { position, velocity };
+}
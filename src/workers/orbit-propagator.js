@@ -2,22 +2,84 @@
  * Orbit Propagator Web Worker
  * 
  * Tiered propagation architecture for scalable satellite visualization:
- * - Keplerian (two-body) for bulk satellites (~100× faster)
- * - SGP4 for selected/tracked satellite (full accuracy)
+ * - Keplerian (two-body + optional J2/drag secular terms) for bulk satellites (~100× faster)
+ * - SGP4 for the priority set (selected, followed, watch-listed... up to a budget)
+ * - SGP4 for satellites promoted by the accuracy watchdog
  * 
- * Sends position data back to main thread for interpolation.
+ * The watchdog re-propagates a rotating subset of satellites with SGP4 every
+ * tick, records how far the Keplerian estimate has drifted, and promotes any
+ * satellite whose error exceeds the threshold into the SGP4 tier. Satellites
+ * whose SGP4 propagation fails (decayed, eccentricity out of range) are
+ * promoted too, so their status is re-checked every tick.
+ * 
+ * Satellites imported from an ephemeris file (OEM/CSV) have no TLE and are
+ * interpolated from their state vectors instead.
+ * 
+ * Each tick also works out every satellite's eclipse state (sunlit, penumbra,
+ * umbra) from the tick's positions.
+ * 
+ * Answers queries outside the live clock: states at arbitrary epochs
+ * (propagateAt), ground station passes (predictPasses) and coverage samples
+ * over a lat/lon grid (coverageGrid).
+ * 
+ * Sends position data (and periodic accuracy estimates) back to main thread,
+ * either as transferred buffers or in place through a shared position channel.
  */
 
 import * as satellite from 'satellite.js';
-import { extractOrbitalElements, propagateKeplerian } from './keplerian-propagator.js';
+import {
+  extractOrbitalElements,
+  propagateKeplerian,
+  isPropagationModel,
+  PROPAGATION_MODELS
+} from './keplerian-propagator.js';
+import { openSharedChannel, writeSharedSlice } from './shared-positions.js';
+import { interpolateEphemeris } from './ephemeris-interpolator.js';
+import {
+  PROPAGATION_STATUS,
+  statusFromSatrecError,
+  getInitialStatus
+} from './propagation-status.js';
+import { ECLIPSE_STATE, getEclipseState } from './eclipse.js';
+import { createWatchdogState, growWatchdogState, runWatchdogStep, promote } from './accuracy-watchdog.js';
+import { sunPosition } from '../celestial.js';
+import { createStation, findPasses, compareAos } from './pass-prediction.js';
+import { createCoverageGrid, coverageSampleCount, sampleCoverage } from './coverage-grid.js';
 
 // Satellite records (parsed TLE data)
 let satellites = [];
 let satrecs = [];
 let orbitalElements = [];  // Keplerian elements for each satellite
 
-// SGP4 priority: index of selected satellite (-1 = none, use Keplerian for all)
-let sgp4PriorityIndex = -1;
+// Bulk-tier model: pure Kepler, J2 secular, or J2 + secular drag (set via 'init')
+let propagationModel = PROPAGATION_MODELS.J2_DRAG;
+
+// SGP4 priority set: satellites the main thread wants at full accuracy
+let priority = null;     // Uint8Array: 1 = in priority set
+let priorityCount = 0;
+let sgp4Budget = 256;    // Max priority set size (adds beyond this are ignored)
+
+// Accuracy watchdog configuration (overridable via 'init' / 'setWatchdog'). Per worker:
+// PropagatorPool splits samplesPerTick and maxPromoted across its shards
+const watchdog = {
+  enabled: true,
+  samplesPerTick: 64,   // SGP4 spot-checks per physics tick
+  thresholdKm: 10,      // Promote to SGP4 above this Keplerian error
+  maxPromoted: 2000     // Cap on the SGP4 tier so a long warp can't swamp the tick
+};
+const ACCURACY_REPORT_INTERVAL = 1000; // ms between 'accuracy' messages
+let tiers = null;            // WatchdogState: cursor, SGP4 tier and error estimates
+let lastAccuracyReport = 0;
+
+// Per-satellite propagation status (PROPAGATION_STATUS), reported when it changes
+let status = null;          // Uint8Array
+let statusChanged = false;
+let lastStatusReport = 0;
+
+// Per-satellite eclipse state (ECLIPSE_STATE), reported when it changes
+let eclipse = null;         // Uint8Array
+let eclipseChanged = false;
+let lastEclipseReport = 0;
 
 // Position and velocity buffers (working buffers, never transferred)
 let positions = null;   // Float32Array [x1, y1, z1, x2, y2, z2, ...]
@@ -30,10 +92,15 @@ let transferBufferA = { positions: null, velocities: null };
 let transferBufferB = { positions: null, velocities: null };
 let useBufferA = true;
 
+// Zero-copy alternative: views over the pool's SharedArrayBuffers plus this
+// worker's seqlock slot and first global index (null = use transfers)
+let sharedChannel = null;
+
 // Timing - adaptive based on time multiplier
 const BASE_PHYSICS_INTERVAL = 100; // ms at 1x speed
 const MIN_PHYSICS_INTERVAL = 16;   // ~60 updates/sec max
 const MAX_PHYSICS_INTERVAL = 200;  // 5 updates/sec min
+const QUERY_SLICE = 50;            // ms of pass search or coverage sampling between physics ticks
 let currentPhysicsInterval = BASE_PHYSICS_INTERVAL;
 let physicsTimer = null;
 let lastPhysicsTime = 0;
@@ -49,24 +116,14 @@ function initSatellites(tleDataArray) {
   satrecs = [];
   orbitalElements = [];
 
+  const initialStatus = [];
+
   for (const tle of tleDataArray) {
-    try {
-      const satrec = satellite.twoline2satrec(tle.tle1, tle.tle2);
-      satrecs.push({
-        satrec,
-        name: tle.name,
-        valid: true
-      });
-      // Extract Keplerian elements for fast propagation
-      orbitalElements.push(extractOrbitalElements(satrec));
-    } catch (e) {
-      satrecs.push({
-        satrec: null,
-        name: tle.name,
-        valid: false
-      });
-      orbitalElements.push(null);
-    }
+    const record = parseSatellite(tle);
+    satrecs.push(record);
+    initialStatus.push(record.status);
+    // Extract Keplerian elements for fast propagation
+    orbitalElements.push(record.valid && record.satrec ? extractOrbitalElements(record.satrec) : null);
   }
 
   // Allocate buffers (3 floats per satellite: x, y, z and vx, vy, vz)
@@ -74,6 +131,22 @@ function initSatellites(tleDataArray) {
   positions = new Float32Array(bufferSize);
   velocities = new Float32Array(bufferSize);
 
+  // Reset priority and watchdog state for the new satellite set
+  priority = new Uint8Array(satrecs.length);
+  priorityCount = 0;
+  tiers = createWatchdogState(satrecs.length);
+  status = Uint8Array.from(initialStatus);
+  statusChanged = true;
+  eclipse = new Uint8Array(satrecs.length);
+
+  // Satellites already failing at epoch go straight to the SGP4 tier, up to
+  // its cap; the watchdog promotes the rest as its samples reach them
+  for (let i = 0; i < status.length; i++) {
+    if (status[i] !== PROPAGATION_STATUS.OK && satrecs[i].valid) {
+      promote(tiers, i, watchdog.maxPromoted);
+    }
+  }
+
   // Allocate double-buffered transfer buffers
   transferBufferA = {
     positions: new Float32Array(bufferSize),
@@ -87,37 +160,70 @@ function initSatellites(tleDataArray) {
 
   // Initial propagation
   propagateAll(simulationTime);
+  updateEclipseStates(simulationTime);
 
   self.postMessage({
     type: 'initialized',
     count: satrecs.length
   });
+  sendStatusReport(true);
+  sendEclipseReport(true);
 }
 
 /**
- * Add a single satellite to the existing set
+ * Parse one TLE (or imported ephemeris) into a satrec record
+ * @param {Object} tle - { name, tle1, tle2 } or { name, ephemeris }
+ * @returns {{satrec: Object|null, ephemeris: Object|null, name: string, valid: boolean, status: number}}
+ *   valid is false when the TLE can't be propagated at all
  */
-function addSatellite(tleData, expectedIndex) {
-  let newElements = null;
+function parseSatellite(tle) {
+  if (tle.ephemeris) {
+    // Span status is set on first propagation
+    return {
+      satrec: null,
+      ephemeris: tle.ephemeris,
+      name: tle.name,
+      valid: true,
+      status: PROPAGATION_STATUS.OK
+    };
+  }
+
+  let satrec = null;
   try {
-    const satrec = satellite.twoline2satrec(tleData.tle1, tleData.tle2);
-    satrecs.push({
-      satrec,
-      name: tleData.name,
-      valid: true
-    });
-    satellites.push(tleData);
-    // Extract Keplerian elements for fast propagation
-    newElements = extractOrbitalElements(satrec);
+    satrec = satellite.twoline2satrec(tle.tle1, tle.tle2);
   } catch (e) {
-    satrecs.push({
-      satrec: null,
-      name: tleData.name,
-      valid: false
-    });
-    satellites.push(tleData);
+    // Malformed lines - reported as INVALID_TLE below
+  }
+
+  const initialStatus = getInitialStatus(satrec);
+  return {
+    satrec,
+    ephemeris: null,
+    name: tle.name,
+    valid: initialStatus !== PROPAGATION_STATUS.INVALID_TLE,
+    status: initialStatus
+  };
+}
+
+/**
+ * Record a satellite's propagation status, flagging a report if it changed
+ */
+function setStatus(i, value) {
+  if (status[i] !== value) {
+    status[i] = value;
+    statusChanged = true;
   }
-  orbitalElements.push(newElements);
+}
+
+/**
+ * Add a single satellite to the existing set
+ */
+function addSatellite(tleData, expectedIndex) {
+  const record = parseSatellite(tleData);
+  satrecs.push(record);
+  satellites.push(tleData);
+  // Extract Keplerian elements for fast propagation
+  orbitalElements.push(record.valid && record.satrec ? extractOrbitalElements(record.satrec) : null);
 
   // Expand position/velocity buffers
   const newBufferSize = satrecs.length * 3;
@@ -135,6 +241,24 @@ function addSatellite(tleData, expectedIndex) {
   positions = newPositions;
   velocities = newVelocities;
 
+  // Expand priority/watchdog state (new satellite starts unsampled, Keplerian tier)
+  const newPriority = new Uint8Array(satrecs.length);
+  const newStatus = new Uint8Array(satrecs.length);
+  if (priority) newPriority.set(priority);
+  if (status) newStatus.set(status);
+  priority = newPriority;
+  if (tiers) {
+    growWatchdogState(tiers, satrecs.length);
+  } else {
+    tiers = createWatchdogState(satrecs.length);
+  }
+  status = newStatus;
+  status[status.length - 1] = record.status;
+  statusChanged = true;
+  const newEclipse = new Uint8Array(satrecs.length);
+  if (eclipse) newEclipse.set(eclipse);
+  eclipse = newEclipse;
+
   // Resize transfer buffers to match (they'll be reallocated on next send if neutered)
   transferBufferA = {
     positions: new Float32Array(newBufferSize),
@@ -149,7 +273,9 @@ function addSatellite(tleData, expectedIndex) {
   const idx = satrecs.length - 1;
   const { satrec: newSatrec, valid } = satrecs[idx];
 
-  if (valid && newSatrec) {
+  if (record.ephemeris) {
+    propagateEphemeris(idx, simulationTime);
+  } else if (valid && newSatrec) {
     try {
       const positionAndVelocity = satellite.propagate(newSatrec, simulationTime);
       if (positionAndVelocity && positionAndVelocity.position && positionAndVelocity.velocity) {
@@ -161,29 +287,43 @@ function addSatellite(tleData, expectedIndex) {
         velocities[idx * 3] = vel.x;
         velocities[idx * 3 + 1] = vel.y;
         velocities[idx * 3 + 2] = vel.z;
+      } else {
+        setStatus(idx, statusFromSatrecError(newSatrec.error));
       }
     } catch (e) {
       // Propagation failed
     }
+    if (status[idx] !== PROPAGATION_STATUS.OK) {
+      promote(tiers, idx, watchdog.maxPromoted);
+    }
   }
 
+  updateEclipseStates(simulationTime);
+
   self.postMessage({
     type: 'satelliteAdded',
     index: idx,
     name: tleData.name
   });
+  sendStatusReport(true);
+  sendEclipseReport(true);
 }
 
 /**
  * Propagate all satellites to the given time using tiered physics:
- * - SGP4 for the selected/priority satellite (accurate)
+ * - SGP4 for the priority set and watchdog-promoted satellites
  * - Keplerian for all others (fast, ~100× faster)
  */
 function propagateAll(date) {
   for (let i = 0; i < satrecs.length; i++) {
-    const { satrec, valid } = satrecs[i];
+    const { satrec, valid, ephemeris } = satrecs[i];
     const elements = orbitalElements[i];
 
+    if (ephemeris) {
+      propagateEphemeris(i, date);
+      continue;
+    }
+
     if (!valid || !satrec) {
       // Invalid satellite - set to origin (filtered by main thread)
       positions[i * 3] = 0;
@@ -195,16 +335,34 @@ function propagateAll(date) {
     try {
       let pos, vel;
 
-      if (i === sgp4PriorityIndex) {
-        // Selected satellite: use full SGP4 for accuracy
+      if (priority[i] || tiers.promoted[i]) {
+        // Priority or promoted satellite: use full SGP4 for accuracy
         const positionAndVelocity = satellite.propagate(satrec, date);
         if (positionAndVelocity && positionAndVelocity.position && positionAndVelocity.velocity) {
           pos = positionAndVelocity.position;
           vel = positionAndVelocity.velocity;
+          setStatus(i, PROPAGATION_STATUS.OK);
+        } else {
+          // SGP4 failed (e.g. decayed) - no position at this time
+          setStatus(i, statusFromSatrecError(satrec.error));
+          positions[i * 3] = 0;
+          positions[i * 3 + 1] = 0;
+          positions[i * 3 + 2] = 0;
+          continue;
         }
       } else if (elements) {
         // All other satellites: use fast Keplerian propagation
-        const result = propagateKeplerian(elements, date);
+        const result = propagateKeplerian(elements, date, propagationModel);
+        if (!result) {
+          // Drag has brought it down - no position. Like the watchdog's SGP4
+          // failures it moves to the SGP4 tier, which keeps its status current
+          setStatus(i, PROPAGATION_STATUS.DECAYED);
+          promote(tiers, i, watchdog.maxPromoted);
+          positions[i * 3] = 0;
+          positions[i * 3 + 1] = 0;
+          positions[i * 3 + 2] = 0;
+          continue;
+        }
         pos = result.position;
         vel = result.velocity;
       } else {
@@ -230,6 +388,305 @@ function propagateAll(date) {
   }
 }
 
+/**
+ * Interpolate an imported-ephemeris satellite into the position buffers.
+ * Outside the ephemeris span it has no position and is flagged OUT_OF_SPAN.
+ */
+function propagateEphemeris(i, date) {
+  const i3 = i * 3;
+  const state = interpolateEphemeris(satrecs[i].ephemeris, date.getTime());
+
+  if (!state) {
+    setStatus(i, PROPAGATION_STATUS.OUT_OF_SPAN);
+    positions[i3] = 0;
+    positions[i3 + 1] = 0;
+    positions[i3 + 2] = 0;
+    return;
+  }
+
+  setStatus(i, PROPAGATION_STATUS.OK);
+  positions[i3] = state.position.x;
+  positions[i3 + 1] = state.position.y;
+  positions[i3 + 2] = state.position.z;
+  velocities[i3] = state.velocity.x;
+  velocities[i3 + 1] = state.velocity.y;
+  velocities[i3 + 2] = state.velocity.z;
+}
+
+/**
+ * Propagate selected satellites at arbitrary epochs with full SGP4
+ * (or ephemeris interpolation for imported satellites).
+ * Independent of the live simulation clock and tier state.
+ * @param {number[]} indices - Satellite indices
+ * @param {number[]} times - Epochs (ms since Unix epoch)
+ * @returns {{positions: Float64Array, velocities: Float64Array}} Laid out
+ *   [index][time][xyz] (TEME, km and km/s); failed propagations stay (0,0,0)
+ */
+function propagateAt(indices, times) {
+  const size = indices.length * times.length * 3;
+  const outPositions = new Float64Array(size);
+  const outVelocities = new Float64Array(size);
+  const dates = times.map(time => new Date(time));
+
+  for (let k = 0; k < indices.length; k++) {
+    const record = satrecs[indices[k]];
+
+    for (let j = 0; j < dates.length; j++) {
+      const positionAndVelocity = propagateRecord(record, dates[j]);
+      if (positionAndVelocity) {
+        const pos = positionAndVelocity.position;
+        const vel = positionAndVelocity.velocity;
+        const o = (k * dates.length + j) * 3;
+        outPositions[o] = pos.x;
+        outPositions[o + 1] = pos.y;
+        outPositions[o + 2] = pos.z;
+        outVelocities[o] = vel.x;
+        outVelocities[o + 1] = vel.y;
+        outVelocities[o + 2] = vel.z;
+      }
+    }
+  }
+
+  return { positions: outPositions, velocities: outVelocities };
+}
+
+/**
+ * Full-accuracy state of one satellite record (SGP4 or ephemeris interpolation)
+ * @returns {{position, velocity}|null} TEME, null if there is none (e.g. decayed)
+ */
+function propagateRecord(record, date) {
+  if (!record || !record.valid || !(record.satrec || record.ephemeris)) return null;
+
+  try {
+    const positionAndVelocity = record.ephemeris
+      ? interpolateEphemeris(record.ephemeris, date.getTime())
+      : satellite.propagate(record.satrec, date);
+    if (positionAndVelocity && positionAndVelocity.position && positionAndVelocity.velocity) {
+      return positionAndVelocity;
+    }
+  } catch (e) {
+    // Propagation failed (e.g. decayed)
+  }
+  return null;
+}
+
+/**
+ * Find the next passes of selected satellites over a ground station.
+ * Runs in slices, yielding to the physics loop between them so a search over
+ * a whole constellation doesn't stall the live positions.
+ * @param {Object} query
+ * @param {number[]} query.indices - Satellite indices
+ * @param {Object} query.station - createStation() input (lat, lon, altitude, minElevation)
+ * @param {number} query.start - Window start (ms since Unix epoch)
+ * @param {number} query.end - Window end (ms since Unix epoch)
+ * @param {number} query.maxPasses - Earliest passes to keep, over all satellites
+ * @param {Object} [query.eop] - Earth orientation for the window
+ * @returns {Promise<Array<Object>>} Passes (see pass-prediction.js) with their satellite index, by AOS
+ */
+async function predictPasses({ indices, station, start, end, maxPasses, eop }) {
+  // init replaces the records; keep searching the ones the query refers to
+  const records = satrecs;
+  const topocentric = createStation(station);
+  const passes = [];
+  let searchEnd = end;
+  let sliceStart = performance.now();
+
+  for (const index of indices) {
+    const record = records[index];
+    const found = findPasses(
+      date => propagateRecord(record, date),
+      topocentric,
+      new Date(start),
+      new Date(searchEnd),
+      { maxPasses, eop }
+    );
+    for (const pass of found) passes.push({ index, ...pass });
+
+    // Once enough passes are known, later satellites only need searching up to the last of them
+    if (found.length > 0 && passes.length >= maxPasses) {
+      passes.sort(compareAos);
+      passes.length = maxPasses;
+      const last = passes[maxPasses - 1].aos;
+      if (last) searchEnd = last.getTime();
+    }
+
+    if (performance.now() - sliceStart > QUERY_SLICE) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      sliceStart = performance.now();
+    }
+  }
+
+  passes.sort(compareAos);
+  return passes.slice(0, maxPasses);
+}
+
+/**
+ * Sample how many of the selected satellites each grid cell sees, on a fixed
+ * step through a window. Sliced like predictPasses, reporting progress
+ * between slices.
+ * @param {Object} query
+ * @param {number} query.requestId
+ * @param {number[]} query.indices - Satellite indices
+ * @param {number} query.start - Window start (ms since Unix epoch)
+ * @param {number} query.end - Window end (ms since Unix epoch)
+ * @param {number} query.stepSeconds
+ * @param {number} query.resolution - Grid cell size, degrees
+ * @param {number} query.minElevation - Degrees
+ * @param {Object} [query.eop] - Earth orientation for the window
+ * @returns {Promise<Uint8Array>} Satellites in view, laid out [sample][cell] (see coverage-grid.js)
+ */
+async function coverageGrid({ requestId, indices, start, end, stepSeconds, resolution, minElevation, eop }) {
+  const records = satrecs;
+  const grid = createCoverageGrid(resolution);
+  const cellCount = grid.rows * grid.cols;
+  const samples = coverageSampleCount(start, end, stepSeconds);
+  const counts = new Uint8Array(samples * cellCount);
+  const positionsAt = new Array(indices.length);
+  let sliceStart = performance.now();
+
+  for (let s = 0; s < samples; s++) {
+    const date = new Date(start + s * stepSeconds * 1000);
+    indices.forEach((index, k) => {
+      const state = propagateRecord(records[index], date);
+      positionsAt[k] = state ? state.position : null;
+    });
+    sampleCoverage(grid, positionsAt, date, minElevation, counts.subarray(s * cellCount, (s + 1) * cellCount), eop);
+
+    if (performance.now() - sliceStart > QUERY_SLICE) {
+      self.postMessage({ type: 'coverageProgress', requestId, done: s + 1, total: samples });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      sliceStart = performance.now();
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Spot-check a rotating subset of satellites against SGP4 (see accuracy-watchdog.js).
+ * Must run right after propagateAll(date) so the position buffer holds this
+ * tick's tiered result.
+ */
+function runAccuracyWatchdog(date) {
+  runWatchdogStep(tiers, watchdog, {
+    positions,
+    velocities,
+    priority,
+    status,
+    canSample: i => satrecs[i].valid && !!satrecs[i].satrec && !!orbitalElements[i],
+    keplerPosition: i => {
+      const result = propagateKeplerian(orbitalElements[i], date, propagationModel);
+      return result && result.position;
+    },
+    sgp4State: i => {
+      const { satrec } = satrecs[i];
+      const positionAndVelocity = satellite.propagate(satrec, date);
+      if (!positionAndVelocity || !positionAndVelocity.position) {
+        setStatus(i, statusFromSatrecError(satrec.error));
+        return null;
+      }
+      return positionAndVelocity;
+    }
+  });
+}
+
+/**
+ * Report per-satellite Keplerian error estimates to the main thread.
+ * Throttled to ACCURACY_REPORT_INTERVAL; the copy is transferred, not shared.
+ * @param {boolean} force - Send regardless of throttle
+ */
+function sendAccuracyReport(force = false) {
+  if (!tiers) return;
+
+  const now = performance.now();
+  if (!force && now - lastAccuracyReport < ACCURACY_REPORT_INTERVAL) return;
+  lastAccuracyReport = now;
+
+  const errors = tiers.errors.slice();
+  const promoted = tiers.promoted.slice();
+  self.postMessage({
+    type: 'accuracy',
+    errors: errors.buffer,
+    promoted: promoted.buffer,
+    promotedCount: tiers.promotedCount,
+    thresholdKm: watchdog.thresholdKm
+  }, [errors.buffer, promoted.buffer]);
+}
+
+/**
+ * Report per-satellite propagation status to the main thread when it changed.
+ * Throttled like the accuracy report; the copy is transferred, not shared.
+ * @param {boolean} force - Send regardless of throttle
+ */
+function sendStatusReport(force = false) {
+  if (!status || !statusChanged) return;
+
+  const now = performance.now();
+  if (!force && now - lastStatusReport < ACCURACY_REPORT_INTERVAL) return;
+  lastStatusReport = now;
+  statusChanged = false;
+
+  const copy = status.slice();
+  let problemCount = 0;
+  for (let i = 0; i < copy.length; i++) {
+    if (copy[i] !== PROPAGATION_STATUS.OK) problemCount++;
+  }
+
+  self.postMessage({
+    type: 'status',
+    status: copy.buffer,
+    problemCount
+  }, [copy.buffer]);
+}
+
+/**
+ * Work out every satellite's eclipse state from the current position buffer.
+ * Satellites without a position (left at the origin) are UNKNOWN.
+ */
+function updateEclipseStates(date) {
+  if (!eclipse) return;
+
+  const sun = sunPosition(date);
+  const position = { x: 0, y: 0, z: 0 };
+  for (let i = 0; i < eclipse.length; i++) {
+    position.x = positions[i * 3];
+    position.y = positions[i * 3 + 1];
+    position.z = positions[i * 3 + 2];
+
+    const state = getEclipseState(position, sun);
+    if (eclipse[i] !== state) {
+      eclipse[i] = state;
+      eclipseChanged = true;
+    }
+  }
+}
+
+/**
+ * Report per-satellite eclipse state to the main thread when it changed.
+ * Throttled like the accuracy report; the copy is transferred, not shared.
+ * @param {boolean} force - Send regardless of throttle
+ */
+function sendEclipseReport(force = false) {
+  if (!eclipse || !eclipseChanged) return;
+
+  const now = performance.now();
+  if (!force && now - lastEclipseReport < ACCURACY_REPORT_INTERVAL) return;
+  lastEclipseReport = now;
+  eclipseChanged = false;
+
+  const copy = eclipse.slice();
+  let shadowCount = 0;
+  for (let i = 0; i < copy.length; i++) {
+    if (copy[i] === ECLIPSE_STATE.PENUMBRA || copy[i] === ECLIPSE_STATE.UMBRA) shadowCount++;
+  }
+
+  self.postMessage({
+    type: 'eclipse',
+    eclipse: copy.buffer,
+    shadowCount
+  }, [copy.buffer]);
+}
+
 /**
  * Physics update tick - runs at fixed interval
  */
@@ -245,11 +702,16 @@ function physicsTick() {
   const simDelta = realDelta * timeMultiplier;
   simulationTime = new Date(simulationTime.getTime() + simDelta);
 
-  // Propagate to new time
+  // Propagate to new time, then spot-check a slice of the Keplerian tier
   propagateAll(simulationTime);
+  runAccuracyWatchdog(simulationTime);
+  updateEclipseStates(simulationTime);
 
   // Send positions and velocities via pre-allocated double buffers
   sendPositionUpdate();
+  sendAccuracyReport();
+  sendStatusReport();
+  sendEclipseReport();
 }
 
 /**
@@ -312,11 +774,28 @@ function stopPhysics() {
   }
 }
 
+/**
+ * Point the worker at a shared position channel (or back to transfers)
+ * @param {Object|null} shared - { channel, slot, offset } from the pool
+ */
+function setSharedChannel(shared) {
+  sharedChannel = shared
+    ? { views: openSharedChannel(shared.channel), slot: shared.slot, offset: shared.offset }
+    : null;
+}
+
 /**
  * Send position update using double-buffered transfers
- * Alternates between buffer A and B to avoid per-tick allocation
+ * Alternates between buffer A and B to avoid per-tick allocation.
+ * With a shared channel, positions are written in place and nothing is posted.
  */
 function sendPositionUpdate() {
+  if (sharedChannel) {
+    const { views, slot, offset } = sharedChannel;
+    writeSharedSlice(views, slot, offset, positions, velocities, simulationTime.getTime());
+    return;
+  }
+
   // Select the buffer that's not currently neutered
   const buffer = useBufferA ? transferBufferA : transferBufferB;
 
@@ -345,6 +824,15 @@ function sendPositionUpdate() {
   useBufferA = !useBufferA;
 }
 
+/**
+ * Answer a request/response query that failed, so its caller isn't left waiting
+ * @param {number} requestId
+ * @param {Error} error
+ */
+function postQueryError(requestId, error) {
+  self.postMessage({ type: 'queryError', requestId, message: error.message || String(error) });
+}
+
 /**
  * Handle messages from main thread
  */
@@ -353,6 +841,13 @@ self.onmessage = function (e) {
 
   switch (type) {
     case 'init':
+      if (isPropagationModel(data.model)) {
+        propagationModel = data.model;
+      }
+      if (data.watchdog) {
+        Object.assign(watchdog, data.watchdog);
+      }
+      setSharedChannel(data.shared);
       initSatellites(data.satellites);
       startPhysics();
       break;
@@ -362,10 +857,13 @@ self.onmessage = function (e) {
       lastPhysicsTime = performance.now(); // Reset to prevent large delta on next tick
       // Force immediate update and send positions
       propagateAll(simulationTime);
+      updateEclipseStates(simulationTime);
       // Send updated positions to main thread
       if (positions) {
         sendPositionUpdate();
       }
+      sendStatusReport();
+      sendEclipseReport();
       break;
 
     case 'setTimeMultiplier':
@@ -389,17 +887,85 @@ self.onmessage = function (e) {
       stopPhysics();
       break;
 
-    case 'setSGP4Priority':
-      // Set which satellite should use full SGP4 propagation (-1 for none)
-      // Note: Position jump on selection is due to divergence between Keplerian and SGP4
+    case 'addSGP4Priority':
+      // Add satellites to the SGP4 priority set (up to the budget)
+      // Note: Position jump on promotion is due to divergence between Keplerian and SGP4
       // over time (TLE age). This is expected behavior and not a bug.
-      sgp4PriorityIndex = data.index;
+      for (const index of data.indices) {
+        if (!priority || index < 0 || index >= priority.length || priority[index]) continue;
+        if (priorityCount >= sgp4Budget) break;
+        priority[index] = 1;
+        priorityCount++;
+      }
+      break;
+
+    case 'removeSGP4Priority':
+      for (const index of data.indices) {
+        if (!priority || index < 0 || index >= priority.length || !priority[index]) continue;
+        priority[index] = 0;
+        priorityCount--;
+      }
+      break;
+
+    case 'clearSGP4Priority':
+      if (priority) priority.fill(0);
+      priorityCount = 0;
+      break;
+
+    case 'setSGP4Budget':
+      // Shrinking the budget does not evict; the main thread trims its set to match
+      sgp4Budget = data.budget;
+      break;
+
+    case 'setWatchdog':
+      // Update watchdog settings (e.g. thresholdKm); promotions re-settle as samples rotate
+      Object.assign(watchdog, data);
+      sendAccuracyReport(true);
       break;
 
     case 'addSatellite':
       addSatellite(data.satellite, data.index);
       break;
 
+    case 'propagateAt': {
+      // Request/response query: does not touch simulationTime or the live buffers
+      let result;
+      try {
+        result = propagateAt(data.indices, data.times);
+      } catch (error) {
+        postQueryError(data.requestId, error);
+        break;
+      }
+      self.postMessage({
+        type: 'propagateAtResult',
+        requestId: data.requestId,
+        positions: result.positions.buffer,
+        velocities: result.velocities.buffer
+      }, [result.positions.buffer, result.velocities.buffer]);
+      break;
+    }
+
+    case 'predictPasses':
+      // Request/response query like propagateAt; answered once the search finishes
+      predictPasses(data).then(passes => {
+        self.postMessage({ type: 'passesResult', requestId: data.requestId, passes });
+      }).catch(error => postQueryError(data.requestId, error));
+      break;
+
+    case 'coverageGrid':
+      // Request/response query like predictPasses, with coverageProgress messages on the way
+      coverageGrid(data).then(counts => {
+        self.postMessage({ type: 'coverageResult', requestId: data.requestId, counts: counts.buffer }, [counts.buffer]);
+      }).catch(error => postQueryError(data.requestId, error));
+      break;
+
+    case 'setSharedChannel':
+      setSharedChannel(data);
+      if (positions) {
+        sendPositionUpdate();
+      }
+      break;
+
     default:
     // Unknown message type - silently ignore in production
   }
@@ -0,0 +1,307 @@
+/**
+ * Pass Prediction
+ *
+ * When a satellite is above a ground station's elevation limit (its minimum
+ * elevation, raised by any horizon mask). The orbit is sampled on a fixed step,
+ * AOS and LOS are refined by bisection and TCA (the highest point) by
+ * golden-section search. While the satellite is well below the horizon the
+ * search skips ahead by the least time it could need to rise, so a day of a
+ * whole constellation stays cheap.
+ *
+ * The same station geometry gives the live look angles, range-rate and
+ * Doppler shift shown for a station and satellite pair.
+ *
+ * Shared by the orbit-propagator worker (pass queries) and the main thread.
+ * Satellite states are TEME km and km/s; angles in the results are degrees.
+ */
+
+import { WGS84, geodeticToItrf, temeToItrf } from '../frames.js';
+import { getElevationLimit } from '../data/horizon-mask.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const MU = 398600.4418;                  // km³/s²
+const EARTH_ROTATION_RATE = 7.2921158553e-5; // rad/s
+const HORIZON_MARGIN = 1 * DEG_TO_RAD;   // Covers geodetic vs geocentric "up"
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+const SPEED_OF_LIGHT = 299792.458;       // km/s
+
+/**
+ * Topocentric frame of a ground station
+ * @typedef {Object} Station
+ * @property {{x: number, y: number, z: number}} itrf - Position, ITRF km
+ * @property {{x: number, y: number, z: number}} east - Unit vectors, ITRF
+ * @property {{x: number, y: number, z: number}} north
+ * @property {{x: number, y: number, z: number}} up - Geodetic normal
+ * @property {number} minElevation - Degrees
+ * @property {import('../data/horizon-mask.js').HorizonMask|null} horizonMask - Raises the limit by azimuth
+ */
+
+/**
+ * Build a station's topocentric frame
+ * @param {Object} data
+ * @param {number} data.lat - Geodetic latitude, degrees
+ * @param {number} data.lon - Longitude, degrees
+ * @param {number} [data.altitude=0] - km above the WGS84 ellipsoid
+ * @param {number} [data.minElevation=0] - Degrees
+ * @param {import('../data/horizon-mask.js').HorizonMask|null} [data.horizonMask=null]
+ * @returns {Station}
+ */
+export function createStation({ lat, lon, altitude = 0, minElevation = 0, horizonMask = null }) {
+  const phi = lat * DEG_TO_RAD;
+  const lambda = lon * DEG_TO_RAD;
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const sinLambda = Math.sin(lambda);
+  const cosLambda = Math.cos(lambda);
+
+  return {
+    itrf: geodeticToItrf(phi, lambda, altitude),
+    east: { x: -sinLambda, y: cosLambda, z: 0 },
+    north: { x: -sinPhi * cosLambda, y: -sinPhi * sinLambda, z: cosPhi },
+    up: { x: cosPhi * cosLambda, y: cosPhi * sinLambda, z: sinPhi },
+    minElevation,
+    horizonMask
+  };
+}
+
+/**
+ * Azimuth, elevation and slant range of a satellite from a station
+ * @param {{x: number, y: number, z: number}} position - Satellite, TEME km
+ * @param {Station} station
+ * @param {Date|number} date - UTC
+ * @param {import('../frames.js').EarthOrientation} [eop]
+ * @returns {{azimuth: number, elevation: number, range: number, itrf: {x, y, z}}}
+ *   Degrees (azimuth from north through east) and km; itrf is the satellite's ITRF position
+ */
+export function getLookAngles(position, station, date, eop) {
+  const itrf = temeToItrf({ position }, date, eop).position;
+  return { ...toTopocentric(itrf, station), itrf };
+}
+
+/**
+ * Look angles plus range-rate, from a full satellite state
+ * @param {{position: {x, y, z}, velocity: {x, y, z}}} state - Satellite, TEME km and km/s
+ * @param {Station} station
+ * @param {Date|number} date - UTC
+ * @param {import('../frames.js').EarthOrientation} [eop]
+ * @returns {{azimuth: number, elevation: number, range: number, rangeRate: number}}
+ *   Degrees, km and km/s (positive while the satellite recedes)
+ */
+export function getTopocentricState(state, station, date, eop) {
+  const itrf = temeToItrf(state, date, eop);
+  const look = toTopocentric(itrf.position, station);
+  const v = itrf.velocity;
+  const rangeRate = (look.dx * v.x + look.dy * v.y + look.dz * v.z) / look.range;
+  return { azimuth: look.azimuth, elevation: look.elevation, range: look.range, rangeRate };
+}
+
+/**
+ * Angles and range from a station to an Earth-fixed position
+ * @param {{x: number, y: number, z: number}} itrf - Satellite, ITRF km
+ * @param {Station} station
+ * @returns {{azimuth: number, elevation: number, range: number, dx: number, dy: number, dz: number}}
+ *   Degrees and km; dx/dy/dz is the ITRF line of sight
+ */
+export function toTopocentric(itrf, station) {
+  const dx = itrf.x - station.itrf.x;
+  const dy = itrf.y - station.itrf.y;
+  const dz = itrf.z - station.itrf.z;
+  const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+  const e = dx * station.east.x + dy * station.east.y + dz * station.east.z;
+  const n = dx * station.north.x + dy * station.north.y + dz * station.north.z;
+  const u = dx * station.up.x + dy * station.up.y + dz * station.up.z;
+
+  let azimuth = Math.atan2(e, n) * RAD_TO_DEG;
+  if (azimuth < 0) azimuth += 360;
+
+  return {
+    azimuth,
+    elevation: Math.asin(Math.max(-1, Math.min(1, u / range))) * RAD_TO_DEG,
+    range,
+    dx,
+    dy,
+    dz
+  };
+}
+
+/**
+ * First-order Doppler shift seen at the receiving end of a link
+ * @param {number} frequency - Nominal frequency (any unit)
+ * @param {number} rangeRate - km/s, positive while the satellite recedes
+ * @returns {number} Shift in the frequency's unit (negative while receding)
+ */
+export function dopplerShift(frequency, rangeRate) {
+  return -frequency * rangeRate / SPEED_OF_LIGHT;
+}
+
+/**
+ * Least time (s) before a satellite below the horizon could rise: its angular
+ * distance from the station beyond the widest horizon it can have (at apogee),
+ * over the fastest the two can close (perigee rate plus Earth rotation).
+ * @private
+ */
+function timeToHorizon(state, satelliteItrf, station) {
+  const { position: r, velocity: v } = state;
+  if (!v) return 0;
+
+  const radius = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+  const speed2 = v.x * v.x + v.y * v.y + v.z * v.z;
+  const a = 1 / (2 / radius - speed2 / MU);
+  if (!(a > 0)) return 0;  // Escape orbit - no bound
+
+  const hx = r.y * v.z - r.z * v.y;
+  const hy = r.z * v.x - r.x * v.z;
+  const hz = r.x * v.y - r.y * v.x;
+  const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+  const e = Math.sqrt(Math.max(0, 1 - (h * h) / (MU * a)));
+  const apogee = a * (1 + e);
+  const perigee = a * (1 - e);
+
+  const s = station.itrf;
+  const stationRadius = Math.sqrt(s.x * s.x + s.y * s.y + s.z * s.z);
+  const horizon = Math.acos(Math.min(1, Math.min(stationRadius, WGS84.b) / apogee)) + HORIZON_MARGIN;
+
+  const p = satelliteItrf;
+  const cosAngle = (p.x * s.x + p.y * s.y + p.z * s.z) /
+    (Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z) * stationRadius);
+  const angle = Math.acos(Math.max(-1, Math.min(1, cosAngle)));
+
+  return Math.max(0, (angle - horizon) / (h / (perigee * perigee) + EARTH_ROTATION_RATE));
+}
+
+/**
+ * One pass over a station. AOS/LOS are null where the search window cut the pass.
+ * @typedef {Object} Pass
+ * @property {Date|null} aos - Rises above the elevation limit
+ * @property {Date} tca - Highest point
+ * @property {Date|null} los - Sets below the elevation limit
+ * @property {number} maxElevation - Degrees
+ * @property {number|null} duration - Seconds from AOS to LOS
+ */
+
+/**
+ * Sort order for passes: by AOS, passes already in progress first
+ * @param {Pass} a
+ * @param {Pass} b
+ * @returns {number}
+ */
+export function compareAos(a, b) {
+  return (a.aos ? a.aos.getTime() : -Infinity) - (b.aos ? b.aos.getTime() : -Infinity);
+}
+
+/**
+ * Find the passes of one satellite over a station in a time window
+ * @param {(date: Date) => ({position, velocity}|null)} propagate - TEME state, null if it fails
+ * @param {Station} station
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} [options]
+ * @param {number} [options.stepSeconds=60] - Sampling step; passes shorter than this may be missed
+ * @param {number} [options.toleranceMs=100] - AOS/LOS/TCA precision
+ * @param {number} [options.maxPasses=Infinity] - Stop after this many passes
+ * @param {import('../frames.js').EarthOrientation} [options.eop]
+ * @returns {Pass[]}
+ */
+export function findPasses(propagate, station, start, end, {
+  stepSeconds = 60,
+  toleranceMs = 100,
+  maxPasses = Infinity,
+  eop
+} = {}) {
+  const sample = (ms) => {
+    const state = propagate(new Date(ms));
+    if (!state || !state.position) return null;
+    const look = getLookAngles(state.position, station, ms, eop);
+    return { ms, state, azimuth: look.azimuth, elevation: look.elevation, itrf: look.itrf };
+  };
+  const above = s => s.elevation >= getElevationLimit(station, s.azimuth);
+
+  // Time in (low, high] where the satellite first crosses the elevation limit
+  const bisect = (low, high, wasAbove) => {
+    while (high - low > toleranceMs) {
+      const mid = (low + high) / 2;
+      const s = sample(mid);
+      if (s && above(s) === wasAbove) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return new Date(Math.round(high));
+  };
+
+  // Highest point in [low, high]
+  const culminate = (low, high) => {
+    let a = low;
+    let b = high;
+    let c = b - GOLDEN * (b - a);
+    let d = a + GOLDEN * (b - a);
+    let fc = sample(c)?.elevation ?? -90;
+    let fd = sample(d)?.elevation ?? -90;
+    while (b - a > toleranceMs) {
+      if (fc > fd) {
+        b = d;
+        d = c;
+        fd = fc;
+        c = b - GOLDEN * (b - a);
+        fc = sample(c)?.elevation ?? -90;
+      } else {
+        a = c;
+        c = d;
+        fc = fd;
+        d = a + GOLDEN * (b - a);
+        fd = sample(d)?.elevation ?? -90;
+      }
+    }
+    const ms = (a + b) / 2;
+    return { tca: new Date(Math.round(ms)), maxElevation: sample(ms)?.elevation ?? Math.max(fc, fd) };
+  };
+
+  const passes = [];
+  const startMs = start.getTime();
+  const endMs = end.getTime();
+  const stepMs = stepSeconds * 1000;
+
+  let current = null;  // { aos, peakMs } while above the horizon
+  let previous = sample(startMs);
+  if (previous && above(previous)) current = { aos: null, peakMs: startMs, peak: previous.elevation };
+
+  const close = (los, lastMs) => {
+    const low = Math.max(current.peakMs - stepMs, current.aos ? current.aos.getTime() : startMs);
+    const high = Math.min(current.peakMs + stepMs, lastMs);
+    const { tca, maxElevation } = culminate(low, high);
+    passes.push({
+      aos: current.aos,
+      tca,
+      los,
+      maxElevation,
+      duration: current.aos && los ? (los - current.aos) / 1000 : null
+    });
+    current = null;
+  };
+
+  while (previous && previous.ms < endMs && passes.length < maxPasses) {
+    const skip = above(previous) ? 0 : timeToHorizon(previous.state, previous.itrf, station) * 1000;
+    const ms = Math.min(previous.ms + Math.max(stepMs, skip), endMs);
+    const next = sample(ms);
+
+    // A failed propagation ends the search rather than inventing a pass
+    if (!next) break;
+
+    if (above(next) && !current) {
+      current = { aos: bisect(previous.ms, ms, false), peakMs: ms, peak: next.elevation };
+    } else if (above(next) && next.elevation > current.peak) {
+      current.peakMs = ms;
+      current.peak = next.elevation;
+    } else if (!above(next) && current) {
+      close(bisect(previous.ms, ms, true), ms);
+    }
+
+    previous = next;
+  }
+  if (current && passes.length < maxPasses) close(null, previous ? previous.ms : endMs);
+
+  return passes;
+}
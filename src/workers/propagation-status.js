@@ -0,0 +1,60 @@
+/**
+ * Propagation Status
+ *
+ * Per-satellite SGP4 health reported by the orbit-propagator worker, so the
+ * UI can explain why an object has no position instead of silently hiding it.
+ * Shared by the worker (which computes it) and the main thread (which labels it).
+ */
+
+import { SatRecError } from 'satellite.js';
+
+export const PROPAGATION_STATUS = Object.freeze({
+  OK: 0,
+  DECAYED: 1,
+  ECCENTRICITY: 2,   // Mean or perturbed eccentricity outside [0, 1)
+  INVALID_TLE: 3,    // TLE could not be parsed into usable elements
+  OUT_OF_SPAN: 4     // Imported ephemeris does not cover the simulation time
+});
+
+export const PROPAGATION_STATUS_LABELS = Object.freeze({
+  [PROPAGATION_STATUS.OK]: 'OK',
+  [PROPAGATION_STATUS.DECAYED]: 'Decayed',
+  [PROPAGATION_STATUS.ECCENTRICITY]: 'Eccentricity out of range',
+  [PROPAGATION_STATUS.INVALID_TLE]: 'Invalid TLE',
+  [PROPAGATION_STATUS.OUT_OF_SPAN]: 'Outside ephemeris span'
+});
+
+/**
+ * Map a satellite.js satrec.error code to a propagation status
+ * @param {number} error - SatRecError value
+ * @returns {number} PROPAGATION_STATUS value
+ */
+export function statusFromSatrecError(error) {
+  switch (error) {
+    case SatRecError.None:
+      return PROPAGATION_STATUS.OK;
+    case SatRecError.MeanEccentricityOutOfRange:
+    case SatRecError.PerturbedEccentricityOutOfRange:
+      return PROPAGATION_STATUS.ECCENTRICITY;
+    case SatRecError.Decayed:
+    case SatRecError.MeanMotionBelowZero:
+    case SatRecError.SemiLatusRectumBelowZero:
+      // Negative mean motion / semi-latus rectum only arise once drag has
+      // collapsed the orbit - report them as decayed
+      return PROPAGATION_STATUS.DECAYED;
+    default:
+      return PROPAGATION_STATUS.INVALID_TLE;
+  }
+}
+
+/**
+ * Check a freshly parsed satrec for problems at its epoch
+ * @param {Object} satrec - From satellite.twoline2satrec
+ * @returns {number} PROPAGATION_STATUS value
+ */
+export function getInitialStatus(satrec) {
+  if (!satrec || !Number.isFinite(satrec.no) || !Number.isFinite(satrec.ecco)) {
+    return PROPAGATION_STATUS.INVALID_TLE;
+  }
+  return statusFromSatrecError(satrec.error);
+}
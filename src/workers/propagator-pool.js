@@ -0,0 +1,716 @@
+/**
+ * Propagator Pool
+ *
+ * Shards orbit propagation across several orbit-propagator workers.
+ * Runs on the main thread and speaks the same message protocol as a single
+ * orbit-propagator worker (postMessage / onmessage / onerror / terminate), so
+ * App can drive it exactly like one worker.
+ *
+ * Satellites are partitioned into contiguous index ranges. Each shard runs its
+ * own adaptive physics loop; the pool merges shard results into one
+ * double-buffered position/velocity buffer and emits it once every shard has
+ * reported. Shards tick independently, so each slice is extrapolated (by its
+ * velocity) to the newest shard time before merging.
+ *
+ * When the page is cross-origin isolated the pool instead allocates a shared
+ * position channel (see shared-positions.js): each shard writes its range in
+ * place under its own seqlock and no per-tick position messages are sent.
+ */
+
+import {
+  isSharedMemoryAvailable,
+  createSharedChannel,
+  openSharedChannel,
+  copySharedChannel
+} from './shared-positions.js';
+import { compareAos } from './pass-prediction.js';
+
+const MAX_WORKERS = 8;
+const MIN_SATELLITES_PER_WORKER = 2000;  // Below this, another worker costs more than it saves
+
+/**
+ * Pick a pool size for the given satellite count
+ * @param {number} satelliteCount
+ * @param {number} [hardwareConcurrency] - Logical cores (defaults to navigator.hardwareConcurrency)
+ * @returns {number} Number of workers (at least 1)
+ */
+export function getPoolSize(satelliteCount, hardwareConcurrency = navigator.hardwareConcurrency) {
+  // Leave one core for the render thread
+  const cores = Math.max(1, (hardwareConcurrency || 2) - 1);
+  const needed = Math.max(1, Math.ceil(satelliteCount / MIN_SATELLITES_PER_WORKER));
+  return Math.min(cores, needed, MAX_WORKERS);
+}
+
+/**
+ * Split [0, count) into contiguous, near-equal index ranges
+ * @param {number} count - Total satellites
+ * @param {number} shards - Number of ranges
+ * @returns {Array<{start: number, end: number}>} end is exclusive
+ */
+export function partitionRanges(count, shards) {
+  const ranges = [];
+  const base = Math.floor(count / shards);
+  const remainder = count % shards;
+  let start = 0;
+
+  for (let k = 0; k < shards; k++) {
+    const size = base + (k < remainder ? 1 : 0);
+    ranges.push({ start, end: start + size });
+    start += size;
+  }
+  return ranges;
+}
+
+function createPropagatorWorker() {
+  // Vite's worker import pattern - must stay a literal URL for bundling
+  return new Worker(
+    new URL('./orbit-propagator.js', import.meta.url),
+    { type: 'module' }
+  );
+}
+
+class PropagatorPool {
+  /**
+   * @param {number} satelliteCount - Number of satellites the 'init' message will carry
+   * @param {Object} [options]
+   * @param {number} [options.size] - Override the worker count
+   * @param {Function} [options.createWorker] - Worker factory (for testing)
+   * @param {boolean} [options.shared] - Use the SharedArrayBuffer channel (defaults to when available)
+   */
+  constructor(satelliteCount, {
+    size,
+    createWorker = createPropagatorWorker,
+    shared = isSharedMemoryAvailable()
+  } = {}) {
+    this.onmessage = null;
+    this.onerror = null;
+    this.count = satelliteCount;
+
+    const shardCount = size || getPoolSize(satelliteCount);
+    this.shards = partitionRanges(satelliteCount, shardCount).map((range, id) => {
+      const shard = {
+        id,
+        worker: createWorker(),
+        start: range.start,
+        end: range.end,
+        initialized: false,
+        reported: false,     // Sent positions since the last merge
+        positions: null,     // Latest Float32Array slice from this shard
+        velocities: null,
+        time: 0,             // Simulation time of the latest slice
+        promotedCount: 0,
+        problemCount: 0,     // Satellites with a non-OK propagation status
+        shadowCount: 0       // Satellites in penumbra or umbra
+      };
+      shard.worker.onmessage = (e) => this._handleShardMessage(shard, e.data);
+      shard.worker.onerror = (e) => {
+        if (this.onerror) this.onerror(e);
+      };
+      return shard;
+    });
+
+    // Double-buffered merged output: the consumer keeps a view of the last
+    // emitted buffer while the next merge writes into the other one
+    this._buffers = [this._allocBuffers(), this._allocBuffers()];
+    this._bufferIndex = 0;
+
+    // Merged accuracy watchdog state
+    this._errors = new Float32Array(satelliteCount).fill(-1);
+    this._promoted = new Uint8Array(satelliteCount);
+    this._thresholdKm = 0;
+
+    // Merged propagation status (PROPAGATION_STATUS per satellite)
+    this._status = new Uint8Array(satelliteCount);
+
+    // Merged eclipse state (ECLIPSE_STATE per satellite)
+    this._eclipse = new Uint8Array(satelliteCount);
+
+    // Pool-wide watchdog settings, re-split when a shard grows
+    this._watchdog = null;
+    this._timeMultiplier = 1;
+
+    // requestId -> in-flight propagateAt / predictPasses / coverageGrid query being gathered from shards
+    this._queries = new Map();
+
+    // Zero-copy channel (null = transfer path)
+    this._channel = shared ? createSharedChannel(satelliteCount, shardCount) : null;
+    this._channelViews = this._channel ? openSharedChannel(this._channel) : null;
+  }
+
+  /**
+   * Whether positions are delivered through shared memory
+   * @returns {boolean}
+   */
+  get shared() {
+    return this._channel !== null;
+  }
+
+  /**
+   * Number of workers in the pool
+   * @returns {number}
+   */
+  get size() {
+    return this.shards.length;
+  }
+
+  /**
+   * Send a message to the pool, routing or broadcasting as needed
+   * @param {Object} message - Same shape as orbit-propagator messages
+   */
+  postMessage(message) {
+    const { type, data } = message;
+
+    switch (type) {
+      case 'init':
+        // Each shard gets its slice of satellites and of the watchdog budgets;
+        // other init options are shared
+        this._watchdog = data.watchdog ? { ...data.watchdog } : null;
+        for (const shard of this.shards) {
+          shard.worker.postMessage({
+            type,
+            data: {
+              ...data,
+              satellites: data.satellites.slice(shard.start, shard.end),
+              shared: this._sharedFor(shard),
+              ...(data.watchdog && { watchdog: this._watchdogFor(shard, data.watchdog) })
+            }
+          });
+        }
+        break;
+
+      case 'setWatchdog':
+        this._watchdog = { ...this._watchdog, ...data };
+        for (const shard of this.shards) {
+          shard.worker.postMessage({ type, data: this._watchdogFor(shard, data) });
+        }
+        break;
+
+      case 'addSGP4Priority':
+      case 'removeSGP4Priority':
+        this._routeIndices(type, data.indices);
+        break;
+
+      case 'addSatellite':
+        this._addSatellite(data);
+        break;
+
+      case 'propagateAt':
+        this._propagateAt(data);
+        break;
+
+      case 'predictPasses':
+        this._predictPasses(data);
+        break;
+
+      case 'coverageGrid':
+        this._coverageGrid(data);
+        break;
+
+      default:
+        // setTime, setTimeMultiplier, pause, resume, stop,
+        // setSGP4Budget, clearSGP4Priority apply to every shard
+        for (const shard of this.shards) {
+          shard.worker.postMessage(message);
+        }
+    }
+  }
+
+  /**
+   * Terminate every worker in the pool
+   */
+  terminate() {
+    for (const shard of this.shards) {
+      shard.worker.terminate();
+    }
+  }
+
+  /**
+   * Find the shard that owns a global satellite index
+   * @param {number} index
+   * @returns {Object|null}
+   */
+  getShardFor(index) {
+    for (const shard of this.shards) {
+      if (index >= shard.start && index < shard.end) return shard;
+    }
+    return null;
+  }
+
+  /**
+   * Split global indices by shard and send local indices to each
+   * @private
+   */
+  _routeIndices(type, indices) {
+    const byShard = new Map();
+    for (const index of indices) {
+      const shard = this.getShardFor(index);
+      if (!shard) continue;
+      if (!byShard.has(shard)) byShard.set(shard, []);
+      byShard.get(shard).push(index - shard.start);
+    }
+    for (const [shard, local] of byShard) {
+      shard.worker.postMessage({ type, data: { indices: local } });
+    }
+  }
+
+  /**
+   * Split a propagateAt query by shard; results are gathered in
+   * _handleShardMessage and emitted in the caller's index order
+   * @private
+   */
+  _propagateAt({ requestId, indices, times }) {
+    const size = indices.length * times.length * 3;
+    const query = {
+      stride: times.length * 3,
+      positions: new Float64Array(size),
+      velocities: new Float64Array(size),
+      order: new Map(),  // shard id -> positions in `indices` of that shard's local indices
+      remaining: 0
+    };
+
+    const local = new Map();
+    indices.forEach((index, k) => {
+      const shard = this.getShardFor(index);
+      if (!shard) return;  // Unknown index - stays at the origin
+      if (!local.has(shard)) {
+        local.set(shard, []);
+        query.order.set(shard.id, []);
+      }
+      local.get(shard).push(index - shard.start);
+      query.order.get(shard.id).push(k);
+    });
+
+    query.remaining = local.size;
+    this._queries.set(requestId, query);
+    if (query.remaining === 0) {
+      this._finishQuery(requestId);
+      return;
+    }
+
+    for (const [shard, shardIndices] of local) {
+      shard.worker.postMessage({
+        type: 'propagateAt',
+        data: { requestId, indices: shardIndices, times }
+      });
+    }
+  }
+
+  /**
+   * Emit a completed propagateAt query
+   * @private
+   */
+  _finishQuery(requestId) {
+    const query = this._queries.get(requestId);
+    this._queries.delete(requestId);
+    this._emit({
+      type: 'propagateAtResult',
+      requestId,
+      positions: query.positions.buffer,
+      velocities: query.velocities.buffer
+    });
+  }
+
+  /**
+   * Split a predictPasses query by shard; each shard's earliest passes are
+   * merged in _handleShardMessage and the overall earliest emitted
+   * @private
+   */
+  _predictPasses({ indices, ...query }) {
+    const { requestId } = query;
+    const local = new Map();
+    for (const index of indices) {
+      const shard = this.getShardFor(index);
+      if (!shard) continue;
+      if (!local.has(shard)) local.set(shard, []);
+      local.get(shard).push(index - shard.start);
+    }
+
+    const gathered = { passes: [], maxPasses: query.maxPasses, remaining: local.size };
+    this._queries.set(requestId, gathered);
+    if (gathered.remaining === 0) {
+      this._finishPassQuery(requestId);
+      return;
+    }
+
+    for (const [shard, shardIndices] of local) {
+      shard.worker.postMessage({
+        type: 'predictPasses',
+        data: { ...query, indices: shardIndices }
+      });
+    }
+  }
+
+  /**
+   * Emit a completed predictPasses query, earliest AOS first
+   * @private
+   */
+  _finishPassQuery(requestId) {
+    const query = this._queries.get(requestId);
+    this._queries.delete(requestId);
+    query.passes.sort(compareAos);
+    this._emit({
+      type: 'passesResult',
+      requestId,
+      passes: query.passes.slice(0, query.maxPasses)
+    });
+  }
+
+  /**
+   * Split a coverageGrid query by shard; the shards' counts are summed in
+   * _handleShardMessage and their progress reported together
+   * @private
+   */
+  _coverageGrid({ indices, ...query }) {
+    const { requestId } = query;
+    const local = new Map();
+    for (const index of indices) {
+      const shard = this.getShardFor(index);
+      if (!shard) continue;
+      if (!local.has(shard)) local.set(shard, []);
+      local.get(shard).push(index - shard.start);
+    }
+
+    const gathered = {
+      counts: null,
+      progress: new Map([...local.keys()].map(shard => [shard.id, 0])),
+      remaining: local.size
+    };
+    this._queries.set(requestId, gathered);
+    if (gathered.remaining === 0) {
+      this._finishCoverageQuery(requestId);
+      return;
+    }
+
+    for (const [shard, shardIndices] of local) {
+      shard.worker.postMessage({
+        type: 'coverageGrid',
+        data: { ...query, indices: shardIndices }
+      });
+    }
+  }
+
+  /**
+   * Emit a completed coverageGrid query (null counts if no shard held a satellite)
+   * @private
+   */
+  _finishCoverageQuery(requestId) {
+    const query = this._queries.get(requestId);
+    this._queries.delete(requestId);
+    this._emit({
+      type: 'coverageResult',
+      requestId,
+      counts: query.counts ? query.counts.buffer : null
+    });
+  }
+
+  /**
+   * Shared channel descriptor for one shard's init/setSharedChannel message
+   * @private
+   */
+  _sharedFor(shard) {
+    if (!this._channel) return null;
+    return { channel: this._channel, slot: shard.id, offset: shard.start };
+  }
+
+  /**
+   * One shard's watchdog settings. samplesPerTick and maxPromoted are per
+   * worker, so the pool splits them in proportion to shard size (rounded up):
+   * the whole pool samples and promotes as much as one worker would.
+   * @param {Object} shard
+   * @param {Object} watchdog - Pool-wide settings ('init' watchdog / 'setWatchdog' data)
+   * @returns {Object} Settings for the shard's worker
+   * @private
+   */
+  _watchdogFor(shard, watchdog) {
+    const size = shard.end - shard.start;
+    const split = value => (this.count > 0 ? Math.max(1, Math.ceil(value * size / this.count)) : value);
+    const settings = { ...watchdog };
+    if (settings.samplesPerTick !== undefined) settings.samplesPerTick = split(settings.samplesPerTick);
+    if (settings.maxPromoted !== undefined) settings.maxPromoted = split(settings.maxPromoted);
+    return settings;
+  }
+
+  /**
+   * Describe the shared channel for the renderer
+   * @private
+   */
+  _emitSharedChannel() {
+    this._emit({
+      type: 'sharedChannel',
+      views: this._channelViews,
+      ranges: this.shards.map(s => ({ slot: s.id, start: s.start, end: s.end }))
+    });
+  }
+
+  /**
+   * Append a satellite to the last shard and grow the merged buffers
+   * @private
+   */
+  _addSatellite(data) {
+    const shard = this.shards[this.shards.length - 1];
+    shard.worker.postMessage({
+      type: 'addSatellite',
+      data: { ...data, index: shard.end - shard.start }
+    });
+    shard.end++;
+    this.count++;
+
+    // Every shard's share of the watchdog budgets moves with the count
+    if (this._watchdog) {
+      for (const s of this.shards) {
+        s.worker.postMessage({ type: 'setWatchdog', data: this._watchdogFor(s, this._watchdog) });
+      }
+    }
+
+    this._buffers = this._buffers.map(buffers => this._allocBuffers(buffers));
+
+    const errors = new Float32Array(this.count).fill(-1);
+    errors.set(this._errors);
+    this._errors = errors;
+    const promoted = new Uint8Array(this.count);
+    promoted.set(this._promoted);
+    this._promoted = promoted;
+    const status = new Uint8Array(this.count);
+    status.set(this._status);
+    this._status = status;
+    const eclipse = new Uint8Array(this.count);
+    eclipse.set(this._eclipse);
+    this._eclipse = eclipse;
+
+    if (this._channel) {
+      // Shared buffers cannot grow - replace the channel and repoint every shard
+      const channel = createSharedChannel(this.count, this.shards.length);
+      const views = openSharedChannel(channel);
+      copySharedChannel(this._channelViews, views);
+      this._channel = channel;
+      this._channelViews = views;
+
+      for (const s of this.shards) {
+        s.worker.postMessage({ type: 'setSharedChannel', data: this._sharedFor(s) });
+      }
+      if (this.shards.every(s => s.initialized)) this._emitSharedChannel();
+    }
+  }
+
+  /**
+   * Allocate merged position/velocity buffers, copying from previous ones if given
+   * @private
+   */
+  _allocBuffers(previous = null) {
+    const buffers = {
+      positions: new Float32Array(this.count * 3),
+      velocities: new Float32Array(this.count * 3)
+    };
+    if (previous) {
+      buffers.positions.set(previous.positions);
+      buffers.velocities.set(previous.velocities);
+    }
+    return buffers;
+  }
+
+  _emit(data) {
+    if (this.onmessage) this.onmessage({ data });
+  }
+
+  /**
+   * Handle a message from one shard, translating local indices to global
+   * @private
+   */
+  _handleShardMessage(shard, data) {
+    switch (data.type) {
+      case 'config':
+        // Every shard runs the same adaptive interval; forward the first one's
+        if (shard.id === 0) this._emit(data);
+        break;
+
+      case 'initialized':
+        shard.initialized = true;
+        if (this.shards.every(s => s.initialized)) {
+          this._emit({ type: 'initialized', count: this.count, workers: this.shards.length });
+          if (this._channel) this._emitSharedChannel();
+        }
+        break;
+
+      case 'positions':
+        // A shard reporting twice before the others means they are lagging -
+        // emit what we have rather than stall the renderer
+        if (shard.reported) this._flushPositions();
+
+        shard.positions = new Float32Array(data.positions);
+        shard.velocities = new Float32Array(data.velocities);
+        shard.time = data.time;
+        shard.reported = true;
+        this._timeMultiplier = data.timeMultiplier;
+
+        if (this.shards.every(s => s.reported)) this._flushPositions();
+        break;
+
+      case 'accuracy': {
+        this._errors.set(new Float32Array(data.errors), shard.start);
+        this._promoted.set(new Uint8Array(data.promoted), shard.start);
+        shard.promotedCount = data.promotedCount;
+        this._thresholdKm = data.thresholdKm;
+
+        const errors = this._errors.slice();
+        const promoted = this._promoted.slice();
+        this._emit({
+          type: 'accuracy',
+          errors: errors.buffer,
+          promoted: promoted.buffer,
+          promotedCount: this.shards.reduce((sum, s) => sum + s.promotedCount, 0),
+          thresholdKm: this._thresholdKm
+        });
+        break;
+      }
+
+      case 'status': {
+        this._status.set(new Uint8Array(data.status), shard.start);
+        shard.problemCount = data.problemCount;
+
+        const status = this._status.slice();
+        this._emit({
+          type: 'status',
+          status: status.buffer,
+          problemCount: this.shards.reduce((sum, s) => sum + s.problemCount, 0)
+        });
+        break;
+      }
+
+      case 'eclipse': {
+        this._eclipse.set(new Uint8Array(data.eclipse), shard.start);
+        shard.shadowCount = data.shadowCount;
+
+        const eclipse = this._eclipse.slice();
+        this._emit({
+          type: 'eclipse',
+          eclipse: eclipse.buffer,
+          shadowCount: this.shards.reduce((sum, s) => sum + s.shadowCount, 0)
+        });
+        break;
+      }
+
+      case 'propagateAtResult': {
+        const query = this._queries.get(data.requestId);
+        if (!query) break;
+
+        const positions = new Float64Array(data.positions);
+        const velocities = new Float64Array(data.velocities);
+        const { stride } = query;
+        query.order.get(shard.id).forEach((k, m) => {
+          query.positions.set(positions.subarray(m * stride, (m + 1) * stride), k * stride);
+          query.velocities.set(velocities.subarray(m * stride, (m + 1) * stride), k * stride);
+        });
+
+        if (--query.remaining === 0) this._finishQuery(data.requestId);
+        break;
+      }
+
+      case 'passesResult': {
+        const query = this._queries.get(data.requestId);
+        if (!query) break;
+
+        for (const pass of data.passes) {
+          query.passes.push({ ...pass, index: shard.start + pass.index });
+        }
+        if (--query.remaining === 0) this._finishPassQuery(data.requestId);
+        break;
+      }
+
+      case 'coverageProgress': {
+        const query = this._queries.get(data.requestId);
+        if (!query) break;
+
+        // Shards sample the same epochs, so overall progress is their mean
+        query.progress.set(shard.id, data.done / data.total);
+        const progress = [...query.progress.values()].reduce((sum, p) => sum + p, 0) / query.progress.size;
+        this._emit({ type: 'coverageProgress', requestId: data.requestId, progress });
+        break;
+      }
+
+      case 'coverageResult': {
+        const query = this._queries.get(data.requestId);
+        if (!query) break;
+
+        // Satellites in view add up across shards (saturating like the shards' own counts)
+        const counts = new Uint8Array(data.counts);
+        if (!query.counts) {
+          query.counts = counts;
+        } else {
+          for (let i = 0; i < counts.length; i++) {
+            query.counts[i] = Math.min(255, query.counts[i] + counts[i]);
+          }
+        }
+        query.progress.set(shard.id, 1);
+        if (--query.remaining === 0) this._finishCoverageQuery(data.requestId);
+        break;
+      }
+
+      case 'queryError':
+        // One failed shard fails the whole query; the other shards' answers are dropped
+        if (!this._queries.has(data.requestId)) break;
+        this._queries.delete(data.requestId);
+        this._emit(data);
+        break;
+
+      case 'satelliteAdded':
+        this._emit({ ...data, index: shard.start + data.index });
+        break;
+
+      default:
+        this._emit(data);
+    }
+  }
+
+  /**
+   * Merge the latest shard slices into the next output buffer and emit it
+   * @private
+   */
+  _flushPositions() {
+    const target = this._buffers[this._bufferIndex];
+    // Align to the newest slice: shards can report out of order, and with
+    // reverse time the newest is the earliest
+    const times = this.shards.filter(s => s.positions).map(s => s.time);
+    const time = this._timeMultiplier < 0 ? Math.min(...times) : Math.max(...times);
+
+    for (const shard of this.shards) {
+      shard.reported = false;
+      if (!shard.positions) continue;
+
+      const src = shard.positions;
+      const vel = shard.velocities;
+      const dt = (time - shard.time) / 1000;  // seconds to align this slice
+      const offset = shard.start * 3;
+      const length = Math.min(src.length, (shard.end - shard.start) * 3);
+
+      if (dt === 0) {
+        target.positions.set(src.subarray(0, length), offset);
+      } else {
+        for (let j = 0; j < length; j += 3) {
+          // Keep invalid (0,0,0) positions at the origin so they stay filtered
+          if (src[j] === 0 && src[j + 1] === 0 && src[j + 2] === 0) {
+            target.positions[offset + j] = 0;
+            target.positions[offset + j + 1] = 0;
+            target.positions[offset + j + 2] = 0;
+            continue;
+          }
+          target.positions[offset + j] = src[j] + vel[j] * dt;
+          target.positions[offset + j + 1] = src[j + 1] + vel[j + 1] * dt;
+          target.positions[offset + j + 2] = src[j + 2] + vel[j + 2] * dt;
+        }
+      }
+      target.velocities.set(vel.subarray(0, length), offset);
+    }
+
+    this._emit({
+      type: 'positions',
+      positions: target.positions.buffer,
+      velocities: target.velocities.buffer,
+      time,
+      timeMultiplier: this._timeMultiplier
+    });
+
+    this._bufferIndex = 1 - this._bufferIndex;
+  }
+}
+
+export default PropagatorPool;
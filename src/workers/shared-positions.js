@@ -0,0 +1,105 @@
+/**
+ * Shared Position Channel
+ *
+ * Zero-copy position/velocity exchange between propagation workers and the
+ * renderer using SharedArrayBuffer. Only available when the page is
+ * cross-origin isolated (COOP/COEP headers); otherwise the transferable
+ * double-buffer path in orbit-propagator.js is used.
+ *
+ * Each worker (slot) writes its contiguous index range under a seqlock:
+ *   sequence[slot]++ (odd = write in progress) → write slice + time → sequence[slot]++
+ * Readers load the sequence, read in place, and retry if it changed or was odd.
+ */
+
+/**
+ * Check whether shared memory can be used in this context
+ * @returns {boolean}
+ */
+export function isSharedMemoryAvailable() {
+  return typeof SharedArrayBuffer !== 'undefined' &&
+    typeof Atomics !== 'undefined' &&
+    globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Allocate the shared buffers for a channel
+ * @param {number} count - Satellites (3 floats each for position and velocity)
+ * @param {number} slots - Number of writers (one seqlock and timestamp per writer)
+ * @returns {Object} Plain object of SharedArrayBuffers, safe to postMessage
+ */
+export function createSharedChannel(count, slots) {
+  return {
+    count,
+    slots,
+    positions: new SharedArrayBuffer(count * 3 * Float32Array.BYTES_PER_ELEMENT),
+    velocities: new SharedArrayBuffer(count * 3 * Float32Array.BYTES_PER_ELEMENT),
+    sequence: new SharedArrayBuffer(slots * Int32Array.BYTES_PER_ELEMENT),
+    times: new SharedArrayBuffer(slots * Float64Array.BYTES_PER_ELEMENT)
+  };
+}
+
+/**
+ * Create typed views over a channel's buffers
+ * @param {Object} channel - From createSharedChannel
+ * @returns {{positions: Float32Array, velocities: Float32Array, sequence: Int32Array, times: Float64Array, count: number}}
+ */
+export function openSharedChannel(channel) {
+  return {
+    count: channel.count,
+    positions: new Float32Array(channel.positions),
+    velocities: new Float32Array(channel.velocities),
+    sequence: new Int32Array(channel.sequence),
+    times: new Float64Array(channel.times)
+  };
+}
+
+/**
+ * Copy existing data from one channel into a (larger) replacement
+ * @param {Object} from - Views from openSharedChannel
+ * @param {Object} to - Views from openSharedChannel
+ */
+export function copySharedChannel(from, to) {
+  to.positions.set(from.positions.subarray(0, Math.min(from.positions.length, to.positions.length)));
+  to.velocities.set(from.velocities.subarray(0, Math.min(from.velocities.length, to.velocities.length)));
+  to.times.set(from.times.subarray(0, Math.min(from.times.length, to.times.length)));
+}
+
+/**
+ * Publish one writer's slice under the seqlock
+ * @param {Object} views - From openSharedChannel
+ * @param {number} slot - Writer slot
+ * @param {number} offset - First satellite index of the slice
+ * @param {Float32Array} positions - Slice positions (3 per satellite)
+ * @param {Float32Array} velocities - Slice velocities (3 per satellite)
+ * @param {number} time - Simulation time of the slice (ms since epoch)
+ */
+export function writeSharedSlice(views, slot, offset, positions, velocities, time) {
+  const length = Math.min(positions.length, views.positions.length - offset * 3);
+
+  Atomics.add(views.sequence, slot, 1);  // odd: write in progress
+  views.positions.set(positions.subarray(0, length), offset * 3);
+  views.velocities.set(velocities.subarray(0, length), offset * 3);
+  views.times[slot] = time;
+  Atomics.add(views.sequence, slot, 1);  // even: consistent
+}
+
+/**
+ * Run a read of one writer's slice under the seqlock.
+ * The callback reads views in place and must be safe to repeat.
+ * @param {Object} views - From openSharedChannel
+ * @param {number} slot - Writer slot
+ * @param {Function} read - Called with the slice time (ms); may run more than once
+ * @param {number} [maxAttempts=3] - Give up (leave last read in place) after this many torn reads
+ * @returns {boolean} True if a consistent read completed
+ */
+export function readSharedSlice(views, slot, read, maxAttempts = 3) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const before = Atomics.load(views.sequence, slot);
+    if (before & 1) continue;  // writer mid-update
+
+    read(views.times[slot]);
+
+    if (Atomics.load(views.sequence, slot) === before) return true;
+  }
+  return false;
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { createWatchdogState, growWatchdogState, runWatchdogStep, promote } from '../src/workers/accuracy-watchdog.js';
+import { PROPAGATION_STATUS } from '../src/workers/propagation-status.js';
+
+const SETTINGS = { enabled: true, samplesPerTick: 64, thresholdKm: 10, maxPromoted: 2000 };
+
+/**
+ * A tick whose Keplerian positions are off SGP4 by errorKm[i] (null = SGP4 fails),
+ * with the buffers holding the tiered result as propagateAll leaves them
+ */
+function createTick(state, errorKm, priority = new Uint8Array(errorKm.length)) {
+  const sgp4 = i => ({ x: 7000 + i, y: 0, z: 0 });
+  const kepler = i => ({ x: 7000 + i + (errorKm[i] || 0), y: 0, z: 0 });
+  const positions = new Float32Array(errorKm.length * 3);
+  errorKm.forEach((_, i) => {
+    positions[i * 3] = (priority[i] || state.promoted[i] ? sgp4(i) : kepler(i)).x;
+  });
+  return {
+    positions,
+    velocities: new Float32Array(errorKm.length * 3),
+    priority,
+    status: new Uint8Array(errorKm.length).fill(PROPAGATION_STATUS.OK),
+    canSample: () => true,
+    keplerPosition: kepler,
+    sgp4State: i => (errorKm[i] === null ? null : { position: sgp4(i), velocity: { x: 0, y: 7.5, z: 0 } })
+  };
+}
+
+describe('accuracy watchdog', () => {
+  it('should promote satellites above the threshold and use their SGP4 state', () => {
+    const state = createWatchdogState(3);
+    const tick = createTick(state, [2, 15, null]);
+    runWatchdogStep(state, SETTINGS, tick);
+
+    expect(Array.from(state.promoted)).toEqual([0, 1, 1]);
+    expect(state.promotedCount).toBe(2);
+    expect(state.errors[0]).toBeCloseTo(2, 3);
+    expect(state.errors[1]).toBeCloseTo(15, 3);
+    expect(state.errors[2]).toBe(-1);
+    expect(tick.positions[3]).toBe(7001);
+    expect(tick.velocities[4]).toBe(7.5);
+    // SGP4 fails: zeroed until the SGP4 tier catches up
+    expect(tick.positions[6]).toBe(0);
+  });
+
+  it('should demote promoted satellites only below half the threshold', () => {
+    const state = createWatchdogState(3);
+    state.promoted.fill(1);
+    state.promotedCount = 3;
+    const tick = createTick(state, [4, 7, 4]);
+    tick.status[2] = PROPAGATION_STATUS.DECAYED;
+    runWatchdogStep(state, SETTINGS, tick);
+
+    expect(Array.from(state.promoted)).toEqual([0, 1, 1]);
+    expect(state.promotedCount).toBe(2);
+  });
+
+  it('should keep a satellite promoted while the bulk tier has it decayed', () => {
+    const state = createWatchdogState(1);
+    state.promoted[0] = 1;
+    state.promotedCount = 1;
+    const tick = createTick(state, [1]);
+    tick.keplerPosition = () => null;
+    runWatchdogStep(state, SETTINGS, tick);
+
+    expect(state.promoted[0]).toBe(1);
+    expect(state.errors[0]).toBe(-1);
+  });
+
+  it('should stop promoting at maxPromoted', () => {
+    const state = createWatchdogState(4);
+    runWatchdogStep(state, { ...SETTINGS, maxPromoted: 2 }, createTick(state, [20, 20, null, 20]));
+
+    expect(Array.from(state.promoted)).toEqual([1, 1, 0, 0]);
+    expect(state.promotedCount).toBe(2);
+    expect(state.errors[3]).toBeCloseTo(20, 3);
+  });
+
+  it('should promote within the cap, counting each satellite once', () => {
+    const state = createWatchdogState(3);
+    expect(promote(state, 0, 2)).toBe(true);
+    expect(promote(state, 0, 2)).toBe(true);
+    expect(promote(state, 1, 2)).toBe(true);
+    expect(promote(state, 2, 2)).toBe(false);
+    expect(Array.from(state.promoted)).toEqual([1, 1, 0]);
+    expect(state.promotedCount).toBe(2);
+  });
+
+  it('should measure priority satellites without changing their tier', () => {
+    const state = createWatchdogState(2);
+    const priority = Uint8Array.from([1, 1]);
+    runWatchdogStep(state, SETTINGS, createTick(state, [50, 1], priority));
+    expect(Array.from(state.promoted)).toEqual([0, 0]);
+
+    state.promoted[1] = 1;
+    state.promotedCount = 1;
+    runWatchdogStep(state, SETTINGS, createTick(state, [50, 1], priority));
+    expect(Array.from(state.promoted)).toEqual([0, 1]);
+    expect(state.promotedCount).toBe(1);
+    expect(state.errors[0]).toBeCloseTo(50, 3);
+  });
+
+  it('should sample round-robin and wrap around', () => {
+    const state = createWatchdogState(5);
+    const settings = { ...SETTINGS, samplesPerTick: 3 };
+    runWatchdogStep(state, settings, createTick(state, [1, 1, 1, 1, 1]));
+    expect(state.cursor).toBe(3);
+    expect(Array.from(state.errors).map(e => e >= 0)).toEqual([true, true, true, false, false]);
+
+    state.errors.fill(-1);
+    runWatchdogStep(state, settings, createTick(state, [1, 1, 1, 1, 1]));
+    expect(state.cursor).toBe(1);
+    expect(Array.from(state.errors).map(e => e >= 0)).toEqual([true, false, false, true, true]);
+  });
+
+  it('should grow with added satellites, keeping their tier', () => {
+    const state = createWatchdogState(1);
+    state.promoted[0] = 1;
+    state.errors[0] = 12;
+    growWatchdogState(state, 2);
+    expect(Array.from(state.promoted)).toEqual([1, 0]);
+    expect(Array.from(state.errors)).toEqual([12, -1]);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { sunPosition, moonPosition, sunDirection, AU } from '../src/celestial.js';
+
+describe('Sun and Moon ephemeris', () => {
+  it('should match Vallado example 5-1 for the Sun', () => {
+    const sun = sunPosition(new Date(Date.UTC(2006, 3, 2)));
+    expect(sun.x / AU).toBeCloseTo(0.9771945, 5);
+    expect(sun.y / AU).toBeCloseTo(0.1924424, 5);
+    expect(sun.z / AU).toBeCloseTo(0.0834308, 5);
+
+    const direction = sunDirection(new Date(Date.UTC(2006, 3, 2)));
+    expect(Math.hypot(direction.x, direction.y, direction.z)).toBeCloseTo(1, 12);
+  });
+
+  it('should match Vallado example 5-3 for the Moon', () => {
+    const moon = moonPosition(new Date(Date.UTC(1994, 3, 28)));
+    expect(moon.x).toBeCloseTo(-134240.626, 1);
+    expect(moon.y).toBeCloseTo(-311571.590, 1);
+    expect(moon.z).toBeCloseTo(-126693.785, 1);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import ConjunctionPanel from '../src/components/conjunction-panel.js';
+
+describe('ConjunctionPanel', () => {
+  let panel;
+  let mockApp;
+  const start = new Date('2026-07-19T08:00:00Z');
+  const orbit = { semiMajorAxis: 6778, eccentricity: 0.001 };
+  const iss = { tleData: { name: 'ISS (ZARYA)' }, orbit, constellationId: 'stations' };
+  const css = { tleData: { name: 'CSS (TIANHE)' }, orbit, constellationId: 'stations' };
+
+  beforeEach(() => {
+    mockApp = {
+      satellites: [iss, css],
+      selectedObject: null,
+      getLoadedConstellations: () => [{ id: 'stations', name: 'Space Stations', count: 2 }],
+      timeController: { current: start },
+      propagateAt: vi.fn()
+    };
+    panel = new ConjunctionPanel(mockApp);
+  });
+
+  it('should offer the selected satellite and each loaded constellation', () => {
+    expect(panel.getTargets()).toEqual([
+      { id: 'selected', name: 'Selected vs all loaded', count: 2 },
+      { id: 'stations', name: 'Space Stations, all-vs-all', count: 2 }
+    ]);
+  });
+
+  it('should refuse a screening it cannot run', async () => {
+    const options = { hours: 24, stepSeconds: 60, threshold: 5 };
+    await expect(panel.run({ ...options, target: 'selected', threshold: 0 })).rejects.toThrow('Invalid screening settings');
+    await expect(panel.run({ ...options, target: 'selected' })).rejects.toThrow('Select a satellite');
+    await expect(panel.run({ ...options, target: 'gps' })).rejects.toThrow('Load a constellation');
+    expect(mockApp.propagateAt).not.toHaveBeenCalled();
+  });
+
+  it('should list the last screening by TCA', () => {
+    expect(panel.format()).toBeNull();
+
+    panel.screening = {
+      label: 'Space Stations, all-vs-all',
+      start,
+      hours: 24,
+      threshold: 5,
+      objectCount: 2,
+      pairCount: 1,
+      conjunctions: [
+        { primary: iss, secondary: css, tca: new Date('2026-07-19T09:12:30Z'), missDistance: 3.456, relativeSpeed: 0.25 },
+        { primary: iss, secondary: css, tca: new Date('2026-07-19T10:00:00Z'), missDistance: 12.3, relativeSpeed: 14.1 }
+      ]
+    };
+    const { summary, list } = panel.format();
+    expect(summary).toBe('Space Stations, all-vs-all · 2 objects, 1 pairs · 24 h from 2026-07-19 08:00 UTC · ≤5 km');
+    expect(list).toContain('ISS (ZARYA) × CSS (TIANHE)');
+    expect(list).toContain('3.46 km');
+    expect(list).toContain('TCA 07-19 09:12:30 · 250.0 m/s');
+    expect(list).toContain('12.3 km');
+    expect(list).toContain('14.10 km/s');
+
+    panel.screening.conjunctions = [];
+    expect(panel.format().list).toContain('No approaches within 5 km');
+  });
+});
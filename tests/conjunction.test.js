@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { orbitShell, shellsOverlap, createCoarseEphemeris, screenPair, findTca } from '../src/conjunction.js';
+
+// Two objects on straight lines, crossing head-on 3 km apart at t = 1234.5 s
+const TCA = 1234.5;
+const stateA = (t) => ({ position: { x: 7000, y: 7 * (t - TCA), z: 0 }, velocity: { x: 0, y: 7, z: 0 } });
+const stateB = (t, offset = 3) => ({ position: { x: 7000 + offset, y: -7 * (t - TCA), z: 0 }, velocity: { x: 0, y: -7, z: 0 } });
+
+function sample(states, samples, stepSeconds) {
+  const positions = new Float64Array(states.length * samples * 3);
+  const velocities = new Float64Array(states.length * samples * 3);
+  states.forEach((stateAt, i) => {
+    for (let k = 0; k < samples; k++) {
+      const { position, velocity } = stateAt(k * stepSeconds);
+      positions.set([position.x, position.y, position.z], (i * samples + k) * 3);
+      velocities.set([velocity.x, velocity.y, velocity.z], (i * samples + k) * 3);
+    }
+  });
+  return createCoarseEphemeris(positions, velocities, samples, stepSeconds);
+}
+
+describe('Conjunction screening', () => {
+  it('should only pass orbits whose radial shells come within the threshold', () => {
+    const leo = orbitShell({ altitude: 550, eccentricity: 0.0001 });
+    const iss = orbitShell({ altitude: 420, eccentricity: 0.0005 });
+    const geo = orbitShell({ altitude: 35786, eccentricity: 0 });
+    const gto = orbitShell({ altitude: 18100, eccentricity: 0.73 });
+
+    expect(shellsOverlap(leo, leo, 10)).toBe(true);
+    expect(shellsOverlap(leo, iss, 10)).toBe(false);
+    expect(shellsOverlap(leo, iss, 100)).toBe(true);
+    expect(shellsOverlap(leo, geo, 10)).toBe(false);
+    // A transfer orbit crosses everything between its perigee and apogee
+    expect(shellsOverlap(gto, leo, 10)).toBe(true);
+    expect(shellsOverlap(gto, geo, 10)).toBe(true);
+  });
+
+  it('should find the interval holding a close approach and refine its TCA', () => {
+    const ephemeris = sample([stateA, stateB], 61, 60);
+    expect(screenPair(ephemeris, 0, 1, 10)).toEqual([20]);
+
+    const at = state => time => state(time / 1000);
+    const tca = findTca(at(stateA), at(stateB), 1200000, 1260000);
+    expect(tca.time).toBeCloseTo(TCA * 1000, 3);
+    expect(tca.missDistance).toBeCloseTo(3, 9);
+    expect(tca.relativeSpeed).toBeCloseTo(14, 9);
+  });
+
+  it('should pass over approaches outside the threshold and failed samples', () => {
+    const distant = sample([stateA, t => stateB(t, 2000)], 61, 60);
+    expect(screenPair(distant, 0, 1, 10)).toEqual([]);
+
+    // Close enough that the coarse sweep can't rule it out; the fine search does
+    const near = sample([stateA, t => stateB(t, 50)], 61, 60);
+    expect(screenPair(near, 0, 1, 10)).toEqual([20]);
+    const at = state => time => state(time / 1000);
+    expect(findTca(at(stateA), at(t => stateB(t, 50)), 1200000, 1260000).missDistance).toBeCloseTo(50, 9);
+
+    // Propagation failed around the approach for one object
+    const failing = sample([stateA, t => (t > 1100 && t < 1400 ? { position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } } : stateB(t))], 61, 60);
+    expect(screenPair(failing, 0, 1, 10)).toEqual([]);
+  });
+});
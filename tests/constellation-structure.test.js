@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import {
+  analyzeConstellation,
+  analyzeConstellationSteps,
+  assignSlots,
+  clusterCircular,
+  clusterModes
+} from '../src/constellation-structure.js';
+
+// Walker shell: planes × slots, evenly spread in node and argument of latitude,
+// each plane altitudeStep above the last
+function walker(inclination, altitude, planes, slots, raanOffset = 0, altitudeStep = 0) {
+  const objects = [];
+  for (let p = 0; p < planes; p++) {
+    for (let s = 0; s < slots; s++) {
+      objects.push({
+        inclination,
+        altitude: altitude + p * altitudeStep,
+        raan: (raanOffset + p * 360 / planes) % 360,
+        argumentOfLatitude: (s * 360 / slots + p * 3) % 360
+      });
+    }
+  }
+  return objects;
+}
+
+describe('Constellation structure', () => {
+  it('should cluster values around their modes and angles across 0°', () => {
+    const values = [53.0, 53.05, 53.1, 52.95, 70.0, 70.02, 69.98, 61];
+    expect(Array.from(clusterModes(values, 0.3, 3))).toEqual([0, 0, 0, 0, 1, 1, 1, -1]);
+
+    const angles = [359.8, 0.1, 0.4, 359.6, 180, 180.2, 180.1, 90];
+    expect(Array.from(clusterCircular(angles, 0.5, 2))).toEqual([0, 0, 0, 0, 1, 1, 1, -1]);
+  });
+
+  it('should find the slots of a plane with a gap and a drifting satellite', () => {
+    // 10 slots 36° apart, slot 4 empty, one satellite between slots 6 and 7
+    const angles = [0, 36, 72, 108, 180, 216, 234, 252, 288, 324].map(u => u + 5);
+    const { slotCount, slots, offsets } = assignSlots(angles);
+    expect(slotCount).toBe(10);
+
+    const first = slots[0];
+    const expected = [0, 1, 2, 3, 5, 6, 6.5, 7, 8, 9];
+    angles.forEach((u, k) => {
+      if (k === 6) return;
+      expect((slots[k] - first + slotCount) % slotCount).toBe(expected[k]);
+      expect(Math.abs(offsets[k])).toBeLessThan(1e-6);
+    });
+    expect(Math.abs(offsets[6])).toBeCloseTo(18, 6);
+  });
+
+  it('should split shells, planes and slots and flag gaps and drifters', () => {
+    const objects = [...walker(53, 550, 6, 8), ...walker(97.6, 560, 3, 5, 10)];
+    // Take a satellite off station and one out of the first shell; add one raising between shells
+    objects[3].argumentOfLatitude += 20;
+    objects.splice(10, 1);
+    objects.push({ inclination: 53, altitude: 450, raan: 45, argumentOfLatitude: 0 });
+
+    const { shells, unassigned } = analyzeConstellation(objects);
+    expect(shells).toHaveLength(2);
+    expect(unassigned).toEqual([objects.length - 1]);
+
+    const [walkerShell, sso] = shells;
+    expect(walkerShell.inclination).toBeCloseTo(53, 6);
+    expect(walkerShell.altitude).toBeCloseTo(550, 6);
+    expect(walkerShell.planes).toHaveLength(6);
+    expect(walkerShell.planes.map(p => p.slotCount)).toEqual([8, 8, 8, 8, 8, 8]);
+    expect(sso.planes).toHaveLength(3);
+    expect(sso.planes.map(p => p.raan)).toEqual([10, 130, 250].map(raan => expect.closeTo(raan, 6)));
+
+    const [first, second] = walkerShell.planes;
+    expect(first.drifting).toBe(1);
+    expect(first.members.find(m => m.drifting).index).toBe(3);
+    // The drifter leaves its slot empty
+    expect(first.gaps).toHaveLength(1);
+    expect(second.drifting).toBe(0);
+    expect(second.gaps).toHaveLength(1);
+    expect(second.members).toHaveLength(7);
+  });
+
+  it('should fit the slots of uneven planes from the bundled Starlink catalog', () => {
+    const plane = (inclination, altitude, angles) =>
+      angles.map(argumentOfLatitude => ({ inclination, altitude, raan: 120, argumentOfLatitude }));
+
+    // On station at 53.2°: 31 slots 11.6° apart, two empty after 43°
+    const operational = plane(53.2, 467, [
+      8.4, 20.1, 31.7, 43.3, 78.3, 89.4, 101, 112.6, 124.3, 135.8, 147.5, 159.3, 170.8, 182.4, 194.1,
+      205.6, 217.3, 228.9, 240.5, 252.2, 263.8, 275.4, 287, 298.7, 310.2, 321.9, 333.6, 345.2, 356.8
+    ]);
+    const [onStation] = analyzeConstellation(operational).shells[0].planes;
+    expect(onStation.slotCount).toBe(31);
+    expect(onStation.gaps).toHaveLength(2);
+    expect(onStation.drifting).toBe(0);
+
+    // Fresh from launch at 97.3°: still bunched in a 72° train, with no slots to keep
+    const train = plane(97.3, 307, [
+      94.6, 98.2, 101.7, 105.2, 108.7, 112.2, 115.5, 118.9, 122.2, 125.3, 128.6, 131.7,
+      134.8, 137.9, 140.9, 143.9, 146.8, 149.6, 152.4, 155.2, 158.1, 160.8, 163.6, 166.3
+    ]);
+    const [bunched] = analyzeConstellation(train).shells[0].planes;
+    expect(bunched.slotCount).toBeLessThanOrEqual(30);
+    expect(bunched.gaps.length).toBeLessThanOrEqual(bunched.slotCount / 2);
+  });
+
+  it('should report progress plane by plane and end with the same analysis', () => {
+    const objects = walker(53, 550, 6, 8);
+    const steps = analyzeConstellationSteps(objects);
+    const progress = [];
+    let step = steps.next();
+    for (; !step.done; step = steps.next()) progress.push(step.value);
+
+    expect(progress).toEqual([1, 2, 3, 4, 5, 6].map(p => expect.closeTo(p / 6, 9)));
+    expect(step.value).toEqual(analyzeConstellation(objects));
+  });
+
+  it('should keep planes staggered in altitude in one shell', () => {
+    // OneWeb-like: 12 near-polar planes of 20, each 4 km above the last
+    const { shells, unassigned } = analyzeConstellation(walker(87.9, 1175, 12, 20, 0, 4));
+    expect(unassigned).toEqual([]);
+    expect(shells).toHaveLength(1);
+    expect(shells[0].planes).toHaveLength(12);
+    expect(shells[0].planes.every(plane => plane.slotCount === 20 && plane.drifting === 0)).toBe(true);
+  });
+});
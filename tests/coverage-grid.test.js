@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createCoverageGrid,
+  cellLatitude,
+  cellLongitude,
+  accumulateCoverage,
+  summarizeCoverage,
+  globalMean
+} from '../src/workers/coverage-grid.js';
+import { geodeticToItrf } from '../src/frames.js';
+import { isSatelliteVisibleFromStation } from '../src/utils.js';
+
+const DEG = Math.PI / 180;
+
+describe('Coverage grid', () => {
+  const grid = createCoverageGrid(5);
+
+  it('should count the same cells as testing every one of them', () => {
+    // Over the equator, near the dateline, near a pole, and in GEO
+    const satellites = [
+      geodeticToItrf(0, 178 * DEG, 800),
+      geodeticToItrf(84 * DEG, 30 * DEG, 1200),
+      geodeticToItrf(-40 * DEG, -60 * DEG, 550),
+      geodeticToItrf(0, 10 * DEG, 35786)
+    ];
+
+    for (const itrf of satellites) {
+      const counts = new Uint8Array(grid.rows * grid.cols);
+      accumulateCoverage(grid, itrf, 10, counts);
+
+      // Brute force over every cell, in the same Earth-fixed scene frame
+      const satellite = { x: itrf.x, y: itrf.z, z: -itrf.y };
+      let expected = 0;
+      for (let cell = 0; cell < grid.rows * grid.cols; cell++) {
+        const station = { x: grid.positions[cell * 3], y: grid.positions[cell * 3 + 1], z: grid.positions[cell * 3 + 2] };
+        const visible = isSatelliteVisibleFromStation(station, satellite, 10);
+        expect(counts[cell]).toBe(visible ? 1 : 0);
+        if (visible) expected++;
+      }
+      expect(expected).toBeGreaterThan(0);
+    }
+  });
+
+  it('should lay out cells from the north pole and 180° W', () => {
+    expect(cellLatitude(5, 0)).toBe(87.5);
+    expect(cellLatitude(5, grid.rows - 1)).toBe(-87.5);
+    expect(cellLongitude(5, 0)).toBe(-177.5);
+    expect(grid.cols).toBe(72);
+  });
+
+  it('should reduce samples to percent covered, longest gap and mean in view', () => {
+    // Two cells, six samples
+    const counts = Uint8Array.from([
+      1, 0,
+      2, 0,
+      0, 0,
+      0, 3,
+      0, 0,
+      1, 0
+    ]);
+    const { percent, maxGap, meanVisible } = summarizeCoverage(counts, 2, 60);
+
+    expect(percent[0]).toBeCloseTo(50, 6);
+    expect(percent[1]).toBeCloseTo(100 / 6, 4);
+    expect(maxGap[0]).toBe(180);
+    expect(maxGap[1]).toBe(180);
+    expect(meanVisible[0]).toBeCloseTo(4 / 6, 6);
+
+    // Uniform values average to themselves
+    const uniform = new Float32Array(grid.rows * grid.cols).fill(42);
+    expect(globalMean(grid, uniform)).toBeCloseTo(42, 4);
+  });
+});
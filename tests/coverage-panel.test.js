@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as THREE from 'three';
+import CoveragePanel from '../src/components/coverage-panel.js';
+import { COVERAGE_METRICS, coverageSampleCount } from '../src/workers/coverage-grid.js';
+
+describe('CoveragePanel', () => {
+  let panel;
+  let mockApp;
+  const start = new Date('2026-07-19T08:00:00Z');
+
+  beforeEach(() => {
+    mockApp = {
+      earth: { mesh: new THREE.Mesh() },
+      satellites: [
+        { workerIndex: 0, constellationId: 'gps' },
+        { workerIndex: 1, constellationId: 'gps' },
+        { workerIndex: 2, constellationId: null }
+      ],
+      getLoadedConstellations: () => [{ id: 'gps', name: 'GPS', count: 2 }],
+      timeController: { current: start },
+      coverageGrid: vi.fn()
+    };
+    panel = new CoveragePanel(mockApp);
+    panel.overlay = { paint: vi.fn(), setVisible: vi.fn() };
+  });
+
+  it('should offer everything loaded and each loaded constellation', () => {
+    expect(panel.getTargets()).toEqual([
+      { id: 'all', name: 'All loaded', count: 3 },
+      { id: 'gps', name: 'GPS', count: 2 }
+    ]);
+  });
+
+  it('should refuse a run with nothing to analyse or too fine a grid', async () => {
+    const options = { hours: 1, stepSeconds: 60, resolution: 5, minElevation: 10 };
+    await expect(panel.run({ ...options, target: 'galileo' })).rejects.toThrow('Load a constellation');
+    await expect(panel.run({ ...options, target: 'all', hours: 0 })).rejects.toThrow('Invalid coverage settings');
+    await expect(panel.run({ ...options, target: 'all', resolution: 0.1, hours: 240, stepSeconds: 1 }))
+      .rejects.toThrow('Grid too fine');
+    expect(mockApp.coverageGrid).not.toHaveBeenCalled();
+  });
+
+  it('should summarize a run and paint the chosen statistic', async () => {
+    const options = { target: 'gps', hours: 1, stepSeconds: 600, resolution: 30, minElevation: 10 };
+    const cells = 6 * 12;
+    const samples = coverageSampleCount(start.getTime(), start.getTime() + 3600000, 600);
+    mockApp.coverageGrid.mockResolvedValue(new Uint8Array(samples * cells).fill(2));
+
+    const analysis = await panel.run(options);
+    expect(mockApp.coverageGrid.mock.calls[0][0]).toHaveLength(2);
+    expect(analysis.label).toBe('GPS');
+    expect(analysis.metric).toBe(COVERAGE_METRICS.PERCENT);
+    expect(panel.overlay.paint).toHaveBeenLastCalledWith(analysis.statistics.percent, 6, 12, 0, 100);
+
+    const legend = panel.showMetric(COVERAGE_METRICS.MEAN_VISIBLE);
+    expect(legend.label).toBe('Mean visible');
+    expect(legend.mean).toBe('2.0');
+    expect(legend.max).toBe('2.0');
+    expect(legend.summary).toContain('GPS (2) · 1 h from 2026-07-19 08:00 UTC');
+
+    // The next run keeps the statistic shown
+    await panel.run(options);
+    expect(panel.analysis.metric).toBe(COVERAGE_METRICS.MEAN_VISIBLE);
+
+    panel.clear();
+    expect(panel.showMetric(COVERAGE_METRICS.PERCENT)).toBeNull();
+    expect(panel.overlay.setVisible).toHaveBeenCalledWith(false);
+  });
+});
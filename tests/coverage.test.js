@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { coverageAngle, sensorCoverageAngle, destinationPoint } from '../src/coverage.js';
+
+const DEG = Math.PI / 180;
+
+describe('Coverage geometry', () => {
+  const R = 6378.137;
+  const r = R + 550;
+
+  it('should reach the horizon at zero elevation and shrink above it', () => {
+    expect(coverageAngle(R, r, 0)).toBeCloseTo(Math.acos(R / r), 12);
+    expect(coverageAngle(R, r, 10)).toBeLessThan(coverageAngle(R, r, 0));
+    expect(coverageAngle(R, r, 90)).toBeCloseTo(0, 12);
+    expect(coverageAngle(R, R - 1, 0)).toBe(0);
+
+    // At the edge the satellite really is at the minimum elevation
+    const angle = coverageAngle(R, r, 25);
+    const elevation = Math.atan2(Math.cos(angle) - R / r, Math.sin(angle)) / DEG;
+    expect(elevation).toBeCloseTo(25, 9);
+  });
+
+  it('should match a sensor cone to the elevation it meets the ground at', () => {
+    // Nadir angle of the line to a point seen at 20° elevation
+    const halfAngle = Math.asin(R * Math.cos(20 * DEG) / r) / DEG;
+    expect(sensorCoverageAngle(R, r, halfAngle)).toBeCloseTo(coverageAngle(R, r, 20), 9);
+
+    // A cone wider than the Earth's disc stops at the horizon
+    expect(sensorCoverageAngle(R, r, 80)).toBeCloseTo(coverageAngle(R, r, 0), 12);
+    expect(sensorCoverageAngle(R, r, 0)).toBe(0);
+  });
+
+  it('should follow great circles across the pole and the dateline', () => {
+    const overPole = destinationPoint(80, 0, 0, 20 * DEG);
+    expect(overPole.lat).toBeCloseTo(80, 9);
+    expect(Math.abs(overPole.lon)).toBeCloseTo(180, 9);
+
+    const east = destinationPoint(0, 170, 90, 20 * DEG);
+    expect(east.lat).toBeCloseTo(0, 9);
+    expect(east.lon).toBeCloseTo(-170, 9);
+  });
+});
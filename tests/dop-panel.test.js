@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import DopPanel from '../src/components/dop-panel.js';
+import { DOP_METRICS } from '../src/dop.js';
+
+describe('DopPanel', () => {
+  let panel;
+  let mockApp;
+  const start = Date.parse('2026-07-19T08:00:00Z');
+
+  beforeEach(() => {
+    mockApp = {
+      earth: { mesh: new THREE.Mesh() },
+      timeController: { current: new Date(start + 30 * 60000) },
+      satellites: [],
+      groundStations: [
+        { name: 'Svalbard', lat: 78.2, lon: 15.4, altitude: 0.5, minElevation: 10, horizonMask: null }
+      ]
+    };
+    panel = new DopPanel(mockApp);
+  });
+
+  it('should clamp and wrap a custom location and drop the station and plot', () => {
+    panel.setStation(0);
+    expect(panel.getStation().minElevation).toBe(10);
+
+    panel.plot = { start, hours: 1, samples: [] };
+    panel.setLocation({ lat: 95, lon: 190 });
+    expect(panel.lat).toBe(90);
+    expect(panel.lon).toBe(-170);
+    expect(panel.station).toBeNull();
+    expect(panel.plot).toBeNull();
+    expect(panel.getStation().minElevation).toBe(5);
+  });
+
+  it('should break the plot lines and shade an outage', () => {
+    const step = 3600000 / 239;
+    const dop = { gdop: 2, pdop: 1.8, hdop: 1, vdop: 1.5, tdop: 0.9 };
+    panel.plot = {
+      start,
+      hours: 1,
+      samples: Array.from({ length: 240 }, (_, j) => {
+        const outage = j >= 100 && j < 120;
+        return { time: start + j * step, count: outage ? 3 : 8, dop: outage ? null : dop };
+      })
+    };
+
+    const html = panel.formatPlot();
+    expect(html.match(/dop-outage-band/g)).toHaveLength(1);
+    expect(html.match(/<polyline/g)).toHaveLength(2 * Object.values(DOP_METRICS).length);
+    expect(html).toContain('outage 5 min');
+    expect(html).toContain('doppler-now');
+  });
+
+  it('should not plot without GNSS satellites', async () => {
+    await expect(panel.runPlot(2)).rejects.toThrow('Load a GNSS constellation');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { computeDop, lineOfSight, getDop } from '../src/dop.js';
+import { createStation } from '../src/workers/pass-prediction.js';
+import { geodeticToItrf, itrfToTeme } from '../src/frames.js';
+
+const DEG = Math.PI / 180;
+
+describe('Dilution of precision', () => {
+  it('should match the closed form for a zenith satellite and three on the horizon', () => {
+    // One overhead, three on the horizon 120° apart. GᵀG is diag(3/2, 3/2) in
+    // east/north and [[1, 1], [1, 4]] in up/clock, so Q = diag(2/3, 2/3) and
+    // [[4/3, -1/3], [-1/3, 1/3]]
+    const dop = computeDop([
+      lineOfSight(0, 90),
+      lineOfSight(0, 0),
+      lineOfSight(120, 0),
+      lineOfSight(240, 0)
+    ]);
+    expect(dop.hdop).toBeCloseTo(Math.sqrt(4 / 3), 9);
+    expect(dop.vdop).toBeCloseTo(Math.sqrt(4 / 3), 9);
+    expect(dop.tdop).toBeCloseTo(Math.sqrt(1 / 3), 9);
+    expect(dop.pdop).toBeCloseTo(Math.sqrt(8 / 3), 9);
+    expect(dop.gdop).toBeCloseTo(Math.sqrt(3), 9);
+  });
+
+  it('should give no fix with too few satellites or a degenerate geometry', () => {
+    expect(computeDop([lineOfSight(0, 90), lineOfSight(0, 30), lineOfSight(120, 30)])).toBeNull();
+    // All four on one cone around zenith: the height and clock can't be separated
+    expect(computeDop([0, 90, 180, 270].map(az => lineOfSight(az, 45)))).toBeNull();
+  });
+
+  it('should only count satellites above the station mask', () => {
+    const date = new Date('2024-06-01T00:00:00Z');
+    const station = createStation({ lat: 0, lon: 0, minElevation: 10 });
+    const at = (lat, lon) => itrfToTeme({ position: geodeticToItrf(lat * DEG, lon * DEG, 20200) }, date, {}).position;
+
+    // Four well spread above 10°, one just over the horizon
+    const positions = [at(0, 0), at(30, 0), at(-20, 25), at(-10, -30), at(0, 75), null];
+    const { count, dop } = getDop(positions, station, date, {});
+    expect(count).toBe(4);
+    expect(dop.pdop).toBeGreaterThan(1);
+    expect(dop.gdop).toBeGreaterThan(dop.pdop);
+  });
+});
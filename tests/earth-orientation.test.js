@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  parseFinals2000A,
+  parseLeapSeconds,
+  detectEarthOrientationFile,
+  EarthOrientationTable,
+  EOP_FILE_TYPES,
+  loadBundledEarthOrientation
+} from '../src/data/earth-orientation.js';
+import { greenwichMeanSiderealTime, setEarthOrientationProvider } from '../src/frames.js';
+
+// finals2000A rows across the 2016-12-31 leap second; the last is past the predictions
+const FINALS = [
+  '161231 57753.00 I  0.076000 0.000091  0.283000 0.000091  I-0.4084000 0.0000107  1.0000',
+  '17 1 1 57754.00 I  0.074000 0.000091  0.284000 0.000091  I 0.5917000 0.0000107  0.9000',
+  '17 1 2 57755.00 P  0.072000 0.000091  0.285000 0.000091  P 0.5908000 0.0000107',
+  '17 1 3 57756.00'
+].join('\n');
+
+const LEAP_SECOND_DAT = [
+  '#  MJD        Date        TAI-UTC (s)',
+  '    57204.0     1  7 2015       36',
+  '    57754.0     1  1 2017       37'
+].join('\n');
+
+const LEAP_SECONDS_LIST = [
+  '#@\t3960057600',
+  '3644697600\t36\t# 1 Jul 2015',
+  '3692217600\t37\t# 1 Jan 2017'
+].join('\n');
+
+describe('Earth orientation', () => {
+  afterEach(() => setEarthOrientationProvider(null));
+
+  it('should parse finals2000A rows', () => {
+    const records = parseFinals2000A(FINALS);
+    expect(records).toHaveLength(3);
+    expect(records[0]).toMatchObject({ mjd: 57753, xp: 0.076, yp: 0.283, ut1MinusUtc: -0.4084, predicted: false });
+    expect(records[0].lod).toBeCloseTo(0.001, 10);
+    expect(records[2].predicted).toBe(true);
+    expect(records[2].lod).toBe(0);
+  });
+
+  it('should parse both leap second table formats', () => {
+    expect(parseLeapSeconds(LEAP_SECOND_DAT)).toEqual(parseLeapSeconds(LEAP_SECONDS_LIST));
+    expect(parseLeapSeconds(LEAP_SECONDS_LIST)).toEqual([
+      { mjd: 57204, taiMinusUtc: 36 },
+      { mjd: 57754, taiMinusUtc: 37 }
+    ]);
+  });
+
+  it('should tell EOP files apart from everything else', () => {
+    expect(detectEarthOrientationFile(FINALS)).toBe(EOP_FILE_TYPES.FINALS);
+    expect(detectEarthOrientationFile(LEAP_SECOND_DAT)).toBe(EOP_FILE_TYPES.LEAP_SECONDS);
+    expect(detectEarthOrientationFile(LEAP_SECONDS_LIST)).toBe(EOP_FILE_TYPES.LEAP_SECONDS);
+    expect(detectEarthOrientationFile('epoch,x,y,z\n2024-01-01T00:00:00Z,7000,0,0')).toBeNull();
+  });
+
+  it('should interpolate UT1 across a leap second without smearing it', () => {
+    const table = new EarthOrientationTable({
+      records: parseFinals2000A(FINALS),
+      leapSeconds: parseLeapSeconds(LEAP_SECOND_DAT)
+    });
+
+    const before = table.at(new Date('2016-12-31T12:00:00Z'));
+    expect(before.taiMinusUtc).toBe(36);
+    expect(before.ut1MinusUtc).toBeCloseTo(-0.40835, 6);
+    expect(before.xp).toBeCloseTo(0.075, 9);
+
+    const after = table.at(new Date('2017-01-01T12:00:00Z'));
+    expect(after.taiMinusUtc).toBe(37);
+    expect(after.ut1MinusUtc).toBeCloseTo(0.59125, 6);
+    expect(after.predicted).toBe(true);
+
+    // Outside the table the end values hold
+    const later = table.at(new Date('2017-06-01T00:00:00Z'));
+    expect(later.inRange).toBe(false);
+    expect(later.ut1MinusUtc).toBeCloseTo(0.5908, 9);
+  });
+
+  it('should load the bundled leap second table', () => {
+    const eop = loadBundledEarthOrientation().at(new Date('2024-01-01T00:00:00Z'));
+    expect(eop.taiMinusUtc).toBe(37);
+  });
+
+  it('should feed the registered provider into frame conversions', () => {
+    const date = new Date('2024-01-01T00:00:00Z');
+    const base = greenwichMeanSiderealTime(date);
+
+    setEarthOrientationProvider(() => ({ ut1MinusUtc: 0.5 }));
+    expect(greenwichMeanSiderealTime(date)).toBeCloseTo(greenwichMeanSiderealTime(date, { ut1MinusUtc: 0.5 }), 12);
+    expect(greenwichMeanSiderealTime(date) - base).toBeCloseTo(0.5 * 7.2921158553e-5, 8);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { ECLIPSE_STATE, getEclipseState, findEclipses } from '../src/workers/eclipse.js';
+import { AU } from '../src/celestial.js';
+
+describe('Eclipse state', () => {
+  const sun = { x: AU, y: 0, z: 0 };
+
+  it('should classify sunlit, umbra and penumbra positions', () => {
+    expect(getEclipseState({ x: 6800, y: 0, z: 0 }, sun)).toBe(ECLIPSE_STATE.SUNLIT);
+    expect(getEclipseState({ x: 0, y: 6800, z: 0 }, sun)).toBe(ECLIPSE_STATE.SUNLIT);
+    expect(getEclipseState({ x: -6800, y: 0, z: 0 }, sun)).toBe(ECLIPSE_STATE.UMBRA);
+
+    // Right at the shadow's edge the Sun is partly hidden
+    expect(getEclipseState({ x: -6800, y: 6378.137, z: 0 }, sun)).toBe(ECLIPSE_STATE.PENUMBRA);
+
+    // Inside the Earth there is no answer
+    expect(getEclipseState({ x: 100, y: 0, z: 0 }, sun)).toBe(ECLIPSE_STATE.UNKNOWN);
+  });
+
+  it('should time the eclipses of a circular orbit through the shadow', () => {
+    // 400 km circular orbit whose plane contains the Sun direction (beta angle 0)
+    const start = new Date('2024-03-20T00:00:00Z');
+    const r = 6778;
+    const period = 2 * Math.PI * Math.sqrt(r ** 3 / 398600.4418) * 1000;
+    const propagate = (date) => {
+      const angle = 2 * Math.PI * (date - start) / period;
+      return { x: r * Math.cos(angle), y: r * Math.sin(angle), z: 0 };
+    };
+    // Sun is near the vernal equinox on this date, so within 0.5° of the orbit plane
+    const eclipses = findEclipses(propagate, start, new Date(start.getTime() + 3 * 3600000));
+
+    const complete = eclipses.filter(e => e.duration !== null);
+    expect(complete).toHaveLength(2);
+    for (const eclipse of complete) {
+      expect(eclipse.duration).toBeGreaterThan(35 * 60);
+      expect(eclipse.duration).toBeLessThan(37 * 60);
+      // Penumbra lasts seconds on either side of the umbra
+      expect(eclipse.umbraStart.getTime()).toBeGreaterThan(eclipse.start.getTime());
+      expect(eclipse.duration - eclipse.umbraDuration).toBeLessThan(30);
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import {
+  generateEphemeris,
+  getInternationalDesignator,
+  formatEphemerisCSV,
+  formatOEM
+} from '../src/data/ephemeris-export.js';
+
+// ISS TLE for testing
+const ISS_TLE1 = '1 25544U 98067A   24001.50000000  .00016717  00000-0  10270-3 0  9025';
+const ISS_TLE2 = '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.50000000 00000';
+
+describe('ephemeris export', () => {
+  const satrec = satellite.twoline2satrec(ISS_TLE1, ISS_TLE2);
+  const start = new Date('2024-01-01T12:00:00Z');
+  const stop = new Date('2024-01-01T12:10:00Z');
+
+  describe('generateEphemeris', () => {
+    it('should sample inclusively from start to stop', () => {
+      const states = generateEphemeris(satrec, { start, stop, stepSeconds: 60 });
+      expect(states).toHaveLength(11);
+      expect(states[10].time.getTime()).toBe(stop.getTime());
+    });
+
+    it('should match direct SGP4 propagation', () => {
+      const [state] = generateEphemeris(satrec, { start, stop: start, stepSeconds: 60 });
+      const direct = satellite.propagate(satrec, start).position;
+      expect(state.position.x).toBe(direct.x);
+    });
+
+    it('should reject inverted spans and oversized requests', () => {
+      expect(() => generateEphemeris(satrec, { start: stop, stop: start, stepSeconds: 60 })).toThrow();
+      expect(() => generateEphemeris(satrec, {
+        start, stop: new Date('2025-01-01T00:00:00Z'), stepSeconds: 1
+      })).toThrow(/Too many samples/);
+    });
+  });
+
+  it('should convert the TLE designator to COSPAR form', () => {
+    expect(getInternationalDesignator(ISS_TLE1)).toBe('1998-067A');
+  });
+
+  it('should quote object names in CSV', () => {
+    const states = generateEphemeris(satrec, { start, stop: start, stepSeconds: 60 });
+    const csv = formatEphemerisCSV([{ name: 'ISS, ZARYA', noradId: '25544', states }]);
+    const [header, row] = csv.trim().split('\n');
+    expect(header.split(',')).toHaveLength(9);
+    expect(row.startsWith('"ISS, ZARYA",25544,2024-01-01T12:00:00.000,')).toBe(true);
+  });
+
+  it('should write an OEM 2.0 header, metadata block and data lines', () => {
+    const states = generateEphemeris(satrec, { start, stop, stepSeconds: 300 });
+    const oem = formatOEM([{ name: 'ISS (ZARYA)', objectId: '1998-067A', states }], {
+      creationDate: new Date('2024-01-01T00:00:00Z')
+    });
+    const lines = oem.trim().split('\n');
+
+    expect(lines[0]).toBe('CCSDS_OEM_VERS = 2.0');
+    expect(lines).toContain('REF_FRAME = TEME');
+    expect(lines).toContain('START_TIME = 2024-01-01T12:00:00.000');
+    expect(lines).toContain('STOP_TIME = 2024-01-01T12:10:00.000');
+    expect(lines.at(-1).split(' ')).toHaveLength(7);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import { generateEphemeris, formatOEM, formatEphemerisCSV } from '../src/data/ephemeris-export.js';
+import {
+  parseOEM,
+  parseEphemerisCSV,
+  parseEphemerisFile,
+  parseEpoch,
+  getOrbitParamsFromState
+} from '../src/data/ephemeris-import.js';
+import { interpolateEphemeris, INTERPOLATION_METHODS } from '../src/workers/ephemeris-interpolator.js';
+
+// ISS TLE for testing
+const ISS_TLE1 = '1 25544U 98067A   24001.50000000  .00016717  00000-0  10270-3 0  9025';
+const ISS_TLE2 = '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.50000000 00000';
+
+const satrec = satellite.twoline2satrec(ISS_TLE1, ISS_TLE2);
+const start = new Date('2024-01-01T12:00:00Z');
+const stop = new Date('2024-01-01T13:00:00Z');
+const states = generateEphemeris(satrec, { start, stop, stepSeconds: 60 });
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+describe('ephemeris import', () => {
+  it('should parse calendar and day-of-year epochs', () => {
+    expect(parseEpoch('2024-01-01T12:00:00.000')).toBe(start.getTime());
+    expect(parseEpoch('2024-001T12:00:00')).toBe(start.getTime());
+    expect(() => parseEpoch('yesterday')).toThrow();
+  });
+
+  it('should round-trip an exported OEM', () => {
+    const oem = formatOEM([{ name: 'ISS (ZARYA)', objectId: '1998-067A', states }]);
+    const [ephemeris] = parseOEM(oem);
+
+    expect(ephemeris.name).toBe('ISS (ZARYA)');
+    expect(ephemeris.times).toHaveLength(61);
+    expect(ephemeris.times[0]).toBe(start.getTime());
+    expect(ephemeris.positions[0]).toBeCloseTo(states[0].position.x, 5);
+  });
+
+  it('should round-trip an exported CSV', () => {
+    const csv = formatEphemerisCSV([{ name: 'ISS, ZARYA', noradId: '25544', states }]);
+    const [ephemeris] = parseEphemerisFile(csv, 'iss.csv');
+    expect(ephemeris.name).toBe('ISS, ZARYA');
+    expect(ephemeris.velocities).not.toBeNull();
+  });
+
+  it('should accept position-only CSV and fall back to Lagrange', () => {
+    const csv = 'epoch,x,y,z\n' + states.slice(0, 10)
+      .map(s => `${s.time.toISOString()},${s.position.x},${s.position.y},${s.position.z}`)
+      .join('\n');
+    const [ephemeris] = parseEphemerisCSV(csv, 'planned');
+    expect(ephemeris.name).toBe('planned');
+    expect(ephemeris.interpolation).toBe(INTERPOLATION_METHODS.LAGRANGE);
+  });
+
+  it('should reject frames the app cannot display', () => {
+    const oem = formatOEM([{ name: 'X', objectId: 'X', states }], { frame: 'MCI' });
+    expect(() => parseOEM(oem)).toThrow(/REF_FRAME/);
+  });
+
+  it('should rotate GCRF and ITRF states back to TEME', () => {
+    for (const frame of ['GCRF', 'ITRF']) {
+      const rotated = generateEphemeris(satrec, { start, stop, stepSeconds: 60, frame });
+      expect(distance(rotated[0].position, states[0].position)).toBeGreaterThan(1);
+
+      const [ephemeris] = parseOEM(formatOEM([{ name: 'ISS', objectId: 'ISS', states: rotated }], { frame }));
+      const state = interpolateEphemeris(ephemeris, start.getTime());
+      expect(ephemeris.sourceFrame).toBe(frame);
+      expect(distance(state.position, states[0].position)).toBeLessThan(1e-5);
+      expect(distance(state.velocity, states[0].velocity)).toBeLessThan(1e-8);
+    }
+  });
+
+  it('should derive an ISS-like orbit from a state vector', () => {
+    const params = getOrbitParamsFromState(states[0].position, states[0].velocity);
+    expect(params.inclination).toBeCloseTo(51.64, 0);
+    expect(params.period).toBeGreaterThan(90);
+    expect(params.period).toBeLessThan(95);
+  });
+});
+
+describe('ephemeris interpolation', () => {
+  const [ephemeris] = parseOEM(formatOEM([{ name: 'ISS', objectId: 'ISS', states }]));
+  const midpoint = new Date(start.getTime() + 30 * 60000 + 30000);
+  const truth = satellite.propagate(satrec, midpoint);
+
+  it('should reproduce SGP4 between samples with Hermite', () => {
+    const state = interpolateEphemeris(ephemeris, midpoint.getTime());
+    expect(distance(state.position, truth.position)).toBeLessThan(0.01);
+    expect(distance(state.velocity, truth.velocity)).toBeLessThan(0.001);
+  });
+
+  it('should reproduce SGP4 between samples with Lagrange', () => {
+    const lagrange = { ...ephemeris, velocities: null, interpolation: INTERPOLATION_METHODS.LAGRANGE };
+    const state = interpolateEphemeris(lagrange, midpoint.getTime());
+    expect(distance(state.position, truth.position)).toBeLessThan(0.01);
+    expect(distance(state.velocity, truth.velocity)).toBeLessThan(0.001);
+  });
+
+  it('should return null outside the span', () => {
+    expect(interpolateEphemeris(ephemeris, stop.getTime() + 1)).toBeNull();
+    expect(interpolateEphemeris(ephemeris, stop.getTime())).not.toBeNull();
+  });
+});
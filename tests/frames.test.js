@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import {
+  FRAMES,
+  greenwichMeanSiderealTime,
+  temeToItrf,
+  temeToGcrf,
+  gcrfToTeme,
+  itrfToGeodetic,
+  geodeticToItrf,
+  convertState,
+  temeToScene
+} from '../src/frames.js';
+
+// Vallado, Fundamentals of Astrodynamics (3rd ed.), example 3-15
+const date = new Date(Date.UTC(2004, 3, 6, 7, 51, 28, 386.009));
+const eop = { ut1MinusUtc: -0.4399619, xp: -0.140682, yp: 0.333309, lod: 0.0015563, taiMinusUtc: 32 };
+const teme = {
+  position: { x: 5094.18016210, y: 6127.64465950, z: 6380.34453270 },
+  velocity: { x: -4.746131487, y: 0.785818041, z: 5.531931288 }
+};
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+describe('reference frames', () => {
+  it('should use the same GMST as SGP4', () => {
+    expect(greenwichMeanSiderealTime(date)).toBeCloseTo(satellite.gstime(date), 10);
+  });
+
+  it('should rotate TEME to ITRF', () => {
+    const itrf = temeToItrf(teme, date, eop);
+    expect(distance(itrf.position, { x: -1033.4793830, y: 7901.2952754, z: 6380.3565958 })).toBeLessThan(1e-6);
+    expect(distance(itrf.velocity, { x: -3.225636520, y: -2.872451450, z: 5.531924446 })).toBeLessThan(1e-8);
+  });
+
+  it('should rotate TEME to GCRF within a metre of the full FK5 reduction', () => {
+    const gcrf = temeToGcrf(teme, date, eop);
+    expect(distance(gcrf.position, { x: 5102.5096, y: 6123.01152, z: 6378.1363 })).toBeLessThan(1e-3);
+
+    const back = gcrfToTeme(gcrf, date, eop);
+    expect(distance(back.position, teme.position)).toBeLessThan(1e-8);
+  });
+
+  it('should chain conversions through TEME', () => {
+    const itrf = convertState(teme, FRAMES.TEME, FRAMES.ITRF, date, eop);
+    const gcrf = convertState(itrf, FRAMES.ITRF, FRAMES.GCRF, date, eop);
+    const direct = temeToGcrf(teme, date, eop);
+    expect(distance(gcrf.position, direct.position)).toBeLessThan(1e-8);
+    expect(distance(gcrf.velocity, direct.velocity)).toBeLessThan(1e-11);
+    expect(() => convertState(teme, FRAMES.TEME, FRAMES.WGS84, date)).toThrow();
+  });
+
+  it('should convert between ITRF and WGS84 geodetic', () => {
+    // Equator and pole land on the ellipsoid radii
+    expect(itrfToGeodetic({ x: 6378.137, y: 0, z: 0 }).height).toBeCloseTo(0, 9);
+    expect(itrfToGeodetic({ x: 0, y: 0, z: 6356.752314245 + 1 }).height).toBeCloseTo(1, 9);
+
+    const latitude = 38.8 * Math.PI / 180;
+    const longitude = -104.5 * Math.PI / 180;
+    const geodetic = itrfToGeodetic(geodeticToItrf(latitude, longitude, 2.1));
+    expect(geodetic.latitude).toBeCloseTo(latitude, 12);
+    expect(geodetic.longitude).toBeCloseTo(longitude, 12);
+    expect(geodetic.height).toBeCloseTo(2.1, 9);
+  });
+
+  it('should map TEME to the Y-up scene', () => {
+    expect(temeToScene(1, 2, 3)).toEqual({ x: 1, y: 3, z: -2 });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseHorizonMask, getMaskElevation, getElevationLimit } from '../src/data/horizon-mask.js';
+import { isSatelliteVisibleFromStation, geodeticToVector3 } from '../src/utils.js';
+import { WGS84 } from '../src/frames.js';
+
+describe('Horizon mask', () => {
+  it('should parse az/el CSV with a header, comments and wrapped azimuths', () => {
+    const mask = parseHorizonMask([
+      'Azimuth;Elevation',
+      '# Hills to the east',
+      '90; 12',
+      '180\t3',
+      '360, 5   # north',
+      '0,4',
+      ''
+    ].join('\n'));
+
+    expect(mask).toEqual([
+      { azimuth: 0, elevation: 5 },
+      { azimuth: 90, elevation: 12 },
+      { azimuth: 180, elevation: 3 }
+    ]);
+  });
+
+  it('should reject lines that are not azimuth,elevation pairs', () => {
+    expect(() => parseHorizonMask('0,5\nabc,def')).toThrow(/Line 2/);
+    expect(() => parseHorizonMask('0,95')).toThrow(/out of range/);
+    expect(() => parseHorizonMask('azimuth,elevation\n# none')).toThrow(/No azimuth/);
+  });
+
+  it('should interpolate between points, wrapping through north', () => {
+    const mask = [
+      { azimuth: 10, elevation: 10 },
+      { azimuth: 90, elevation: 20 },
+      { azimuth: 350, elevation: 0 }
+    ];
+    expect(getMaskElevation(mask, 50)).toBeCloseTo(15, 9);
+    expect(getMaskElevation(mask, 0)).toBeCloseTo(5, 9);
+    expect(getMaskElevation(mask, 360)).toBeCloseTo(5, 9);
+    expect(getMaskElevation(mask, 355)).toBeCloseTo(2.5, 9);
+
+    // The minimum elevation still applies where the mask is lower
+    const station = { minElevation: 8, horizonMask: mask };
+    expect(getElevationLimit(station, 90)).toBe(20);
+    expect(getElevationLimit(station, 350)).toBe(8);
+    expect(getElevationLimit({ minElevation: 8, horizonMask: null }, 90)).toBe(8);
+  });
+
+  it('should hide satellites behind the mask in the scene', () => {
+    // Equator, prime meridian: scene +Y is north, -Z is east
+    const station = geodeticToVector3(0, 0);
+    const mask = [{ azimuth: 0, elevation: 30 }, { azimuth: 180, elevation: 0 }];
+    const limit = azimuth => getMaskElevation(mask, azimuth);
+
+    // 20° up to the north is blocked, the same to the south is not
+    const up = 1000 * Math.sin(20 * Math.PI / 180);
+    const out = 1000 * Math.cos(20 * Math.PI / 180);
+    expect(isSatelliteVisibleFromStation(station, { x: WGS84.a + up, y: out, z: 0 }, limit)).toBe(false);
+    expect(isSatelliteVisibleFromStation(station, { x: WGS84.a + up, y: -out, z: 0 }, limit)).toBe(true);
+    expect(isSatelliteVisibleFromStation(station, { x: WGS84.a + up, y: out, z: 0 }, 10)).toBe(true);
+  });
+});
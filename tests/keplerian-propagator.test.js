@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import {
+  extractOrbitalElements,
+  elementsFromState,
+  propagateKeplerian,
+  secularElements,
+  isPropagationModel,
+  PROPAGATION_MODELS
+} from '../src/workers/keplerian-propagator.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Real TLEs from the bundled catalog (fixed here so the suite is deterministic)
+const STARLINK = {
+  tle1: '1 44744U 19074AH  26199.73025132  .00022175  00000+0  73121-3 0  9997',
+  tle2: '2 44744  53.0583 328.1450 0001172 215.8246 144.2676 15.31388900368376'
+};
+// STARLINK with B* raised to 0.05: re-enters within weeks
+const HIGH_DRAG = {
+  tle1: '1 44744U 19074AH  26199.73025132  .00022175  00000+0  50000-1 0  9997',
+  tle2: STARLINK.tle2
+};
+const SUN_SYNC = {
+  tle1: '1 32958U 08026A   26199.83533047  .00000016  00000+0  28234-4 0  9992',
+  tle2: '2 32958  98.6886 140.0776 0009527  42.4086 317.7825 14.19576918939898'
+};
+
+function errorVsSGP4(tle, model, offsetMs) {
+  const satrec = satellite.twoline2satrec(tle.tle1, tle.tle2);
+  const elements = extractOrbitalElements(satrec);
+  const date = new Date(elements.epoch + offsetMs);
+  const truth = satellite.propagate(satrec, date).position;
+  const approx = propagateKeplerian(elements, date, model).position;
+  return Math.hypot(truth.x - approx.x, truth.y - approx.y, truth.z - approx.z);
+}
+
+describe('Keplerian propagator', () => {
+  describe('models', () => {
+    it('should recognize the exposed model names', () => {
+      expect(isPropagationModel('kepler')).toBe(true);
+      expect(isPropagationModel('j2')).toBe(true);
+      expect(isPropagationModel('j2-drag')).toBe(true);
+      expect(isPropagationModel('sgp4')).toBe(false);
+      expect(isPropagationModel(undefined)).toBe(false);
+    });
+
+    it('should default to pure two-body propagation', () => {
+      const satrec = satellite.twoline2satrec(STARLINK.tle1, STARLINK.tle2);
+      const elements = extractOrbitalElements(satrec);
+      const date = new Date(elements.epoch + WEEK_MS);
+      expect(propagateKeplerian(elements, date))
+        .toEqual(propagateKeplerian(elements, date, PROPAGATION_MODELS.KEPLER));
+    });
+  });
+
+  describe('secularElements', () => {
+    const satrec = satellite.twoline2satrec(SUN_SYNC.tle1, SUN_SYNC.tle2);
+    const elements = extractOrbitalElements(satrec);
+
+    it('should freeze RAAN and perigee for the kepler model', () => {
+      const drifted = secularElements(elements, 86400, PROPAGATION_MODELS.KEPLER);
+      expect(drifted.Omega).toBe(elements.Omega);
+      expect(drifted.omega).toBe(elements.omega);
+    });
+
+    it('should precess a sun-synchronous plane by ~0.9856°/day', () => {
+      const drifted = secularElements(elements, 86400, PROPAGATION_MODELS.J2);
+      const deltaDeg = (drifted.Omega - elements.Omega) * 180 / Math.PI;
+      expect(deltaDeg).toBeCloseTo(0.9856, 1);
+    });
+
+    it('should match the SGP4 secular RAAN rate to within 1%', () => {
+      // satrec.nodedot is rad/min (includes J4 and J2² terms); OmegaDot is rad/s
+      const ratio = (elements.OmegaDot * 60) / satrec.nodedot;
+      expect(Math.abs(ratio - 1)).toBeLessThan(0.01);
+    });
+  });
+
+  describe('drag decay', () => {
+    const satrec = satellite.twoline2satrec(HIGH_DRAG.tle1, HIGH_DRAG.tle2);
+    const elements = extractOrbitalElements(satrec);
+    const DAY = 86400;
+
+    it('should lower the orbit until perigee reaches the surface', () => {
+      const early = secularElements(elements, DAY, PROPAGATION_MODELS.J2_DRAG);
+      expect(early.decayed).toBe(false);
+      expect(early.a).toBeLessThan(elements.a);
+      expect(propagateKeplerian(elements, new Date(elements.epoch + DAY * 1000), PROPAGATION_MODELS.J2_DRAG))
+        .not.toBeNull();
+
+      const reentered = secularElements(elements, 90 * DAY, PROPAGATION_MODELS.J2_DRAG);
+      expect(reentered.decayed).toBe(true);
+      expect(propagateKeplerian(elements, new Date(elements.epoch + 90 * DAY * 1000), PROPAGATION_MODELS.J2_DRAG))
+        .toBeNull();
+    });
+
+    it('should not climb back into orbit once 1 - cc1·t passes zero', () => {
+      const dt = 2 / satrec.cc1 * 60;  // Twice the time for 1 - cc1·t to reach zero
+      const late = secularElements(elements, dt, PROPAGATION_MODELS.J2_DRAG);
+      expect(late.a).toBe(0);
+      expect(late.decayed).toBe(true);
+      expect(propagateKeplerian(elements, new Date(elements.epoch + dt * 1000), PROPAGATION_MODELS.J2_DRAG))
+        .toBeNull();
+    });
+
+    it('should leave the drag-free models alone', () => {
+      expect(secularElements(elements, 90 * DAY, PROPAGATION_MODELS.J2).decayed).toBeUndefined();
+    });
+  });
+
+  describe('elementsFromState', () => {
+    it('should reproduce the state it was built from', () => {
+      const satrec = satellite.twoline2satrec(SUN_SYNC.tle1, SUN_SYNC.tle2);
+      const date = new Date('2026-07-19T00:00:00Z');
+      const { position, velocity } = satellite.propagate(satrec, date);
+      const elements = elementsFromState(position, velocity, date.getTime());
+
+      const rebuilt = propagateKeplerian(elements, date);
+      expect(rebuilt.position.x).toBeCloseTo(position.x, 6);
+      expect(rebuilt.position.z).toBeCloseTo(position.z, 6);
+      expect(rebuilt.velocity.y).toBeCloseTo(velocity.y, 9);
+      expect(elements.i * 180 / Math.PI).toBeCloseTo(98.69, 1);
+      expect(elements.OmegaDot).toBeGreaterThan(0);
+    });
+
+    it('should reject unbound states', () => {
+      expect(() => elementsFromState({ x: 7000, y: 0, z: 0 }, { x: 0, y: 12, z: 0 }, 0)).toThrow();
+    });
+  });
+
+  describe('accuracy vs SGP4 over a week of time warp', () => {
+    it('should drift far from SGP4 with pure two-body', () => {
+      expect(errorVsSGP4(STARLINK, PROPAGATION_MODELS.KEPLER, WEEK_MS)).toBeGreaterThan(500);
+    });
+
+    it('should stay within a few tens of km with J2 + drag (LEO shell)', () => {
+      expect(errorVsSGP4(STARLINK, PROPAGATION_MODELS.J2_DRAG, WEEK_MS)).toBeLessThan(50);
+    });
+
+    it('should stay within a few tens of km with J2 + drag (sun-synchronous)', () => {
+      expect(errorVsSGP4(SUN_SYNC, PROPAGATION_MODELS.J2_DRAG, WEEK_MS)).toBeLessThan(50);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import LookPanel from '../src/components/look-panel.js';
+import { dopplerShift } from '../src/workers/pass-prediction.js';
+
+describe('LookPanel', () => {
+  let panel;
+  let mockApp;
+  const now = Date.parse('2026-07-19T08:00:00Z');
+  const sat = { tleData: { name: 'ISS (ZARYA)' } };
+
+  beforeEach(() => {
+    mockApp = {
+      groundStations: [
+        { name: 'Svalbard', minElevation: 10, horizonMask: null },
+        { name: 'Troll', minElevation: 5, horizonMask: null }
+      ],
+      _lastSelectedStation: null,
+      selectedObject: null,
+      sgp4Worker: null,
+      settings: { dopplerFrequency: 437.5, dopplerLink: 'downlink' },
+      timeController: { current: new Date(now) },
+      formatElevationLimit: station => `${station.minElevation}°`
+    };
+    panel = new LookPanel(mockApp);
+  });
+
+  it('should look from the picked station, else the last selected one', () => {
+    const [svalbard, troll] = mockApp.groundStations;
+    expect(panel.getStation()).toBe(svalbard);
+
+    mockApp._lastSelectedStation = troll;
+    expect(panel.getStation()).toBe(troll);
+
+    panel.setStation(0);
+    expect(panel.getStation()).toBe(svalbard);
+
+    // A removed station is skipped
+    mockApp.groundStations = [troll];
+    expect(panel.getStation()).toBe(troll);
+  });
+
+  it('should keep only a valid link frequency', () => {
+    panel.setLink({ frequency: -1, direction: 'uplink' });
+    expect(mockApp.settings).toEqual({ dopplerFrequency: 437.5, dopplerLink: 'uplink' });
+    panel.setLink({ frequency: 2245 });
+    expect(mockApp.settings.dopplerFrequency).toBe(2245);
+  });
+
+  it('should draw the Doppler curve over the pass with the time marked', () => {
+    const station = mockApp.groundStations[0];
+    const aos = now - 5 * 60000;
+    const los = now + 5 * 60000;
+    panel.dopplerPass = {
+      sat,
+      station,
+      minElevation: 10,
+      horizonMask: null,
+      start: now,
+      pass: { aos: new Date(aos), tca: new Date(now), los: new Date(los) },
+      samples: [-6, -3, 0, 3, 6].map((rangeRate, k) => ({ time: aos + k * 150000, rangeRate }))
+    };
+
+    const html = panel.formatDopplerCurve(sat);
+    const limit = Math.abs(dopplerShift(437.5, 6) * 1000);
+    expect(html).toContain(`±${limit.toFixed(1)} kHz`);
+    expect(html).toContain('AOS 07:55:00');
+    expect(html).toContain('LOS 08:05:00');
+    expect(html).toContain('<line class="doppler-now" x1="120.0"');
+
+    panel.dopplerPass.pass = null;
+    expect(panel.formatDopplerCurve(sat)).toContain('No pass above 10° in the next 24 h');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MANEUVER_FRAMES,
+  applyImpulsiveBurn,
+  maneuverToInertial,
+  inertialToManeuver,
+  hohmannTransfer,
+  getAltitudeChangeBurn,
+  getInclinationChangeBurn,
+  planeChangeDeltaV,
+  generateManeuverEphemeris,
+  getApsisAltitudes
+} from '../src/data/maneuver-planner.js';
+import { elementsFromState } from '../src/workers/keplerian-propagator.js';
+import { interpolateEphemeris } from '../src/workers/ephemeris-interpolator.js';
+
+const MU = 398600.4418;
+const RE = 6378.137;
+
+// Circular 500 km orbit inclined 51.6°, starting on the ascending node
+const r0 = RE + 500;
+const v0 = Math.sqrt(MU / r0);
+const inc = 51.6 * Math.PI / 180;
+const circular = {
+  position: { x: r0, y: 0, z: 0 },
+  velocity: { x: 0, y: v0 * Math.cos(inc), z: v0 * Math.sin(inc) }
+};
+
+function inclinationDeg(state) {
+  return elementsFromState(state.position, state.velocity, 0).i * 180 / Math.PI;
+}
+
+describe('maneuver planner', () => {
+  it('should map RIC and VNB components onto the orbit', () => {
+    // In-track and velocity coincide on a circular orbit; radial is +x here
+    const inTrack = maneuverToInertial(circular, [0, 10, 0], MANEUVER_FRAMES.RIC);
+    const along = maneuverToInertial(circular, [10, 0, 0], MANEUVER_FRAMES.VNB);
+    expect(inTrack.y).toBeCloseTo(along.y, 12);
+    expect(inTrack.z).toBeCloseTo(along.z, 12);
+    expect(maneuverToInertial(circular, [10, 0, 0], MANEUVER_FRAMES.RIC).x).toBeCloseTo(0.01, 12);
+
+    const roundTrip = inertialToManeuver(circular, inTrack, MANEUVER_FRAMES.RIC);
+    expect(roundTrip[1]).toBeCloseTo(10, 9);
+    expect(() => maneuverToInertial(circular, [1, 0, 0], 'LVLH')).toThrow();
+  });
+
+  it('should raise apogee with a prograde burn and leave the plane alone', () => {
+    const post = applyImpulsiveBurn(circular, [0, 50, 0], MANEUVER_FRAMES.RIC);
+    const { perigee, apogee } = getApsisAltitudes(post);
+    expect(perigee).toBeCloseTo(500, 3);
+    expect(apogee).toBeGreaterThan(670);
+    expect(inclinationDeg(post)).toBeCloseTo(51.6, 9);
+  });
+
+  it('should size a Hohmann transfer', () => {
+    // LEO 6678 km -> GEO 42164 km: textbook 2.42 + 1.46 km/s, ~5.3 h
+    const { deltaV1, deltaV2, transferTime } = hohmannTransfer(6678, 42164);
+    expect(deltaV1).toBeCloseTo(2426, -1);
+    expect(deltaV2).toBeCloseTo(1467, -1);
+    expect(transferTime / 3600).toBeCloseTo(5.29, 1);
+
+    const { deltaV } = getAltitudeChangeBurn(circular, 800, MANEUVER_FRAMES.VNB);
+    const post = applyImpulsiveBurn(circular, deltaV, MANEUVER_FRAMES.VNB);
+    expect(getApsisAltitudes(post).apogee).toBeCloseTo(800, 3);
+    expect(() => getAltitudeChangeBurn(circular, -10, MANEUVER_FRAMES.VNB)).toThrow();
+  });
+
+  it('should size a plane change at the node', () => {
+    const { deltaV, magnitude } = getInclinationChangeBurn(circular, 53, MANEUVER_FRAMES.RIC);
+    expect(magnitude).toBeCloseTo(planeChangeDeltaV(v0, 1.4 * Math.PI / 180), 6);
+
+    const post = applyImpulsiveBurn(circular, deltaV, MANEUVER_FRAMES.RIC);
+    expect(inclinationDeg(post)).toBeCloseTo(53, 9);
+    expect(getApsisAltitudes(post).perigee).toBeCloseTo(500, 3);
+  });
+
+  it('should refuse inclinations out of reach away from the nodes', () => {
+    // A quarter orbit past the node only inclinations near 51.6° are reachable
+    const apex = {
+      position: { x: 0, y: r0 * Math.cos(inc), z: r0 * Math.sin(inc) },
+      velocity: { x: -v0, y: 0, z: 0 }
+    };
+    expect(() => getInclinationChangeBurn(apex, 10, MANEUVER_FRAMES.RIC)).toThrow();
+  });
+
+  it('should sample the post-burn orbit from the burn epoch', () => {
+    const epoch = Date.UTC(2026, 0, 1);
+    const post = applyImpulsiveBurn(circular, [0, 20, 0], MANEUVER_FRAMES.RIC);
+    const ephemeris = generateManeuverEphemeris(post, epoch, { name: 'TEST', spanSeconds: 7200 });
+
+    expect(ephemeris.times.length).toBe(121);
+    expect(ephemeris.times[0]).toBe(epoch);
+    const start = interpolateEphemeris(ephemeris, epoch);
+    expect(start.position.x).toBeCloseTo(r0, 6);
+    expect(start.velocity.y).toBeCloseTo(post.velocity.y, 9);
+    expect(interpolateEphemeris(ephemeris, epoch - 1000)).toBeNull();
+
+    const retrograde = applyImpulsiveBurn(circular, [0, -400, 0], MANEUVER_FRAMES.RIC);
+    expect(() => generateManeuverEphemeris(retrograde, epoch)).toThrow(/perigee/);
+  });
+});
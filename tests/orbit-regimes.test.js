@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import {
+  ORBIT_REGIMES,
+  classifyOrbit,
+  classifySatrec,
+  getClassRegimes,
+  orbitClass,
+  sunSynchronousInclination
+} from '../src/orbit-regimes.js';
+
+const R = 6378.137;
+const GEO = 42164.137;
+
+const classify = (semiMajorAxis, eccentricity, inclination) =>
+  classifyOrbit({ semiMajorAxis, eccentricity, inclination });
+
+describe('Orbit regimes', () => {
+  it('should find the sun-synchronous inclination from J2 node drift', () => {
+    expect(sunSynchronousInclination(R + 500, 0)).toBeCloseTo(97.4, 1);
+    expect(sunSynchronousInclination(R + 800, 0)).toBeCloseTo(98.6, 1);
+    // Too high for J2 to turn the node fast enough
+    expect(sunSynchronousInclination(R + 7000, 0)).toBeNull();
+  });
+
+  it('should split LEO into sun-synchronous, polar and the rest', () => {
+    expect(classify(R + 700, 0.001, 98.2)).toEqual({ type: 'LEO', regime: 'SSO' });
+    expect(classify(R + 780, 0.0002, 86.4)).toEqual({ type: 'LEO', regime: 'POLAR' });
+    expect(classify(R + 420, 0.0005, 51.6)).toEqual({ type: 'LEO', regime: 'LEO_OTHER' });
+  });
+
+  it('should recognise the regimes around GEO', () => {
+    expect(classify(GEO, 0.0002, 0.05)).toEqual({ type: 'GEO', regime: 'GEOSTATIONARY' });
+    expect(classify(GEO - 20, 0.0003, 8)).toEqual({ type: 'GEO', regime: 'INCLINED_GSO' });
+    expect(classify(GEO + 300, 0.001, 2)).toEqual({ type: 'GEO', regime: 'GRAVEYARD' });
+    // Quasi-zenith: synchronous and mildly eccentric - stays MEO, labelled inclined GSO
+    expect(classify(GEO, 0.075, 41)).toEqual({ type: 'MEO', regime: 'INCLINED_GSO' });
+    expect(classify(GEO + 1500, 0.001, 2)).toEqual({ type: 'MEO', regime: 'GRAVEYARD' });
+  });
+
+  it('should keep the original class of every orbit', () => {
+    const orbits = [];
+    for (const a of [R + 300, R + 1200, 20000, 26554, GEO - 500, GEO, GEO + 300, GEO + 1500, 60000]) {
+      for (const e of [0, 0.005, 0.05, 0.2, 0.3, 0.72]) {
+        for (const i of [0, 28, 55, 63.4, 86, 98]) orbits.push([a, e, i]);
+      }
+    }
+    for (const [a, e, i] of orbits) {
+      if (a * (1 - e) < R) continue;
+      expect(classify(a, e, i).type).toBe(orbitClass(a, e));
+    }
+  });
+
+  it('should recognise Molniya, Tundra and GTO as HEO regimes', () => {
+    expect(classify(26554, 0.72, 63.4)).toEqual({ type: 'HEO', regime: 'MOLNIYA' });
+    expect(classify(GEO, 0.27, 63.4)).toEqual({ type: 'HEO', regime: 'TUNDRA' });
+    expect(classify(GEO, 0.2, 60)).toEqual({ type: 'MEO', regime: 'TUNDRA' });
+
+    const perigee = R + 250;
+    const apogee = GEO;
+    const gto = classify((perigee + apogee) / 2, (apogee - perigee) / (apogee + perigee), 27);
+    expect(gto).toEqual({ type: 'HEO', regime: 'GTO' });
+
+    expect(classify(30000, 0.6, 30)).toEqual({ type: 'HEO', regime: 'HEO_OTHER' });
+    expect(classify(26560, 0.01, 55)).toEqual({ type: 'MEO', regime: 'MEO_OTHER' });
+  });
+
+  it('should classify a TLE record and list every regime under its class', () => {
+    const satrec = satellite.twoline2satrec(
+      '1 25544U 98067A   26199.86307315  .00004074  00000+0  81939-4 0  9998',
+      '2 25544  51.6317 143.3357 0006808 311.9482  48.0925 15.49045026576665'
+    );
+    expect(classifySatrec(satrec)).toEqual({ type: 'LEO', regime: 'LEO_OTHER' });
+
+    const types = ['LEO', 'MEO', 'GEO', 'HEO'];
+    expect(types.flatMap(getClassRegimes).sort()).toEqual(Object.keys(ORBIT_REGIMES).sort());
+    expect(getClassRegimes('GEO')).toEqual(['GEOSTATIONARY', 'INCLINED_GSO', 'GRAVEYARD']);
+  });
+});
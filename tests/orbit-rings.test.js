@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import * as satellite from 'satellite.js';
+import OrbitRings, { RING_LOD, orbitRingMatrix, ringSegments } from '../src/components/orbit-rings.js';
+import { propagateKeplerian, PROPAGATION_MODELS } from '../src/workers/keplerian-propagator.js';
+import { temeToScene } from '../src/frames.js';
+
+const ISS = [
+  '1 25544U 98067A   26199.86307315  .00004074  00000+0  81939-4 0  9998',
+  '2 25544  51.6317 143.3357 0006808 311.9482  48.0925 15.49045026576665'
+];
+
+describe('Orbit rings', () => {
+  it('should map the unit circle onto the orbit by eccentric anomaly', () => {
+    const elements = {
+      a: 26554, e: 0.72, i: 1.1, omega: 4.7, Omega: 0.6, M0: 0,
+      n: Math.sqrt(398600.4418 / 26554 ** 3), epoch: 0
+    };
+    const matrix = new THREE.Matrix4().fromArray(orbitRingMatrix(elements, new Array(16)));
+
+    // Mean anomaly M, reached M/n seconds after perigee; eccentric anomaly by Newton's method
+    for (const M of [0, 1, Math.PI, 4]) {
+      let E = M;
+      for (let k = 0; k < 50; k++) E -= (E - elements.e * Math.sin(E) - M) / (1 - elements.e * Math.cos(E));
+
+      const { position } = propagateKeplerian(elements, new Date(M / elements.n * 1000), PROPAGATION_MODELS.KEPLER);
+      const expected = temeToScene(position.x, position.y, position.z, new THREE.Vector3());
+      const ring = new THREE.Vector3(Math.cos(E), Math.sin(E), 0).applyMatrix4(matrix);
+      // Dates are whole milliseconds: metres at perigee speed
+      expect(ring.distanceTo(expected)).toBeLessThan(0.01);
+    }
+  });
+
+  it('should draw fewer segments far away and for many rings', () => {
+    expect(ringSegments(20000, 10)).toBe(RING_LOD[0].segments);
+    expect(ringSegments(100000, 10)).toBeLessThan(ringSegments(40000, 10));
+    expect(ringSegments(1e6, 10)).toBe(RING_LOD[RING_LOD.length - 1].segments);
+    expect(ringSegments(20000, 10000)).toBeLessThan(ringSegments(20000, 100));
+    expect(ringSegments(1e6, 1e7)).toBe(16);
+  });
+
+  it('should instance a ring per visible satellite and rebuild when asked', () => {
+    const satrec = satellite.twoline2satrec(...ISS);
+    const sats = [
+      { satrec, color: 0x00ffff, type: 'LEO' },
+      { satrec, color: 0xffff00, type: 'MEO' },
+      { satrec, color: 0x00ffff, type: 'LEO' }
+    ];
+    const shown = new Set(['LEO', 'MEO']);
+    const isVisible = sat => shown.has(sat.type);
+    const time = new Date('2026-07-19T08:00:00Z');
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 0, 20000);
+
+    const rings = new OrbitRings(new THREE.Scene());
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    expect(rings.count).toBe(0);  // Hidden
+
+    rings.toggleVisibility(true);
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    expect(rings.mesh.geometry.instanceCount).toBe(3);
+    expect(rings.mesh.geometry.getAttribute('position').count).toBe(RING_LOD[0].segments);
+    const yellow = new THREE.Color(0xffff00);
+    expect(Array.from(rings.colorAttribute.array.slice(3, 6))).toEqual([yellow.r, yellow.g, yellow.b].map(c => Math.fround(c)));
+
+    // Filter changes wait for needsUpdate
+    shown.delete('LEO');
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    expect(rings.count).toBe(3);
+    rings.needsUpdate = true;
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    expect(rings.mesh.geometry.instanceCount).toBe(1);
+
+    camera.position.set(0, 0, 500000);
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    expect(rings.mesh.geometry.getAttribute('position').count).toBe(RING_LOD[RING_LOD.length - 1].segments);
+    expect(rings.mesh.geometry.getAttribute('orbitMatrix')).toBe(rings.matrixAttribute);
+  });
+
+  it('should drop its geometries when it grows past capacity', () => {
+    const satrec = satellite.twoline2satrec(...ISS);
+    const sats = Array.from({ length: 1500 }, () => ({ satrec, color: 0x00ffff }));
+    const shown = { count: 10 };
+    const isVisible = sat => sats.indexOf(sat) < shown.count;
+    const time = new Date('2026-07-19T08:00:00Z');
+    const camera = new THREE.PerspectiveCamera();
+    camera.position.set(0, 0, 20000);
+
+    const rings = new OrbitRings(new THREE.Scene());
+    rings.toggleVisibility(true);
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    const first = rings.mesh.geometry;
+    // As the renderer leaves it after the first draw
+    first._maxInstanceCount = rings.capacity;
+    let disposed = false;
+    first.addEventListener('dispose', () => { disposed = true; });
+
+    shown.count = sats.length;
+    rings.needsUpdate = true;
+    rings.update(sats, isVisible, time, PROPAGATION_MODELS.J2, camera);
+    expect(rings.capacity).toBeGreaterThanOrEqual(sats.length);
+    expect(disposed).toBe(true);
+    expect(rings.mesh.geometry).not.toBe(first);
+    expect(rings.mesh.geometry.instanceCount).toBe(sats.length);
+    for (const geometry of rings.geometries.values()) {
+      expect(geometry._maxInstanceCount).toBeUndefined();
+      expect(geometry.getAttribute('orbitMatrix')).toBe(rings.matrixAttribute);
+      expect(geometry.getAttribute('orbitMatrix').count).toBe(rings.capacity);
+      expect(geometry.getAttribute('orbitColor').count).toBe(rings.capacity);
+    }
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import PassPanel from '../src/components/pass-panel.js';
+import GroundStation from '../src/components/ground-station.js';
+
+describe('PassPanel', () => {
+  let panel;
+  let mockApp;
+  let station;
+  const now = Date.parse('2026-07-19T08:00:00Z');
+  const iss = { workerIndex: 3, tleData: { name: 'ISS (ZARYA)' }, shown: true };
+  const hst = { workerIndex: 7, tleData: { name: 'HST' }, shown: false };
+
+  beforeEach(() => {
+    station = Object.assign(Object.create(GroundStation.prototype), {
+      name: 'Svalbard', lat: 78.2, lon: 15.4, altitude: 0.5, minElevation: 10, horizonMask: null
+    });
+    mockApp = {
+      satellites: [iss, hst],
+      watchList: new Set([hst]),
+      selectedObject: station,
+      sgp4Worker: {},
+      _lastSelectedSatellite: null,
+      timeController: { current: new Date(now) },
+      isSatelliteVisible: sat => sat.shown,
+      formatElevationLimit: s => `${s.minElevation}°`,
+      predictPasses: vi.fn(() => Promise.resolve([])),
+      updateStationReadout: vi.fn()
+    };
+    panel = new PassPanel(mockApp);
+  });
+
+  it('should cover the last selected satellite, or every shown one', () => {
+    expect(panel.getTarget()).toEqual({ target: 'all', satellites: [iss] });
+
+    mockApp._lastSelectedSatellite = hst;
+    expect(panel.getTarget()).toEqual({ target: hst, satellites: [hst] });
+
+    panel.setTarget('all');
+    expect(panel.getTarget().target).toBe('all');
+    expect(mockApp.updateStationReadout).toHaveBeenCalled();
+    expect(panel.formatTargetOptions()).toContain('All shown satellites (1)');
+    expect(panel.formatTargetOptions()).toContain('<option value="7">HST</option>');
+  });
+
+  it('should search again only when the station changes or the clock moves on', async () => {
+    panel.refresh();
+    panel.refresh();
+    expect(mockApp.predictPasses).toHaveBeenCalledTimes(1);
+
+    station.minElevation = 20;
+    panel.refresh();
+    expect(mockApp.predictPasses).toHaveBeenCalledTimes(2);
+
+    // A pending search is kept; an answered one is good for an hour
+    await new Promise(resolve => setTimeout(resolve, 0));
+    mockApp.timeController.current = new Date(now + 2 * 3600000);
+    panel.refresh();
+    expect(mockApp.predictPasses).toHaveBeenCalledTimes(3);
+  });
+
+  it('should list upcoming passes, including one under way', () => {
+    const at = minutes => new Date(now + minutes * 60000);
+    panel.prediction = {
+      station,
+      minElevation: 10,
+      horizonMask: null,
+      passes: [
+        { satellite: iss, aos: at(-20), tca: at(-15), los: at(-10), maxElevation: 40, duration: 600 },
+        { satellite: iss, aos: null, tca: at(2), los: at(5), maxElevation: 12.34, duration: null },
+        { satellite: hst, aos: at(60), tca: at(65), los: at(70), maxElevation: 55, duration: 605 }
+      ]
+    };
+
+    const html = panel.formatList();
+    expect(html.match(/class="pass-item"/g)).toHaveLength(2);
+    expect(html).toContain('title="Jump to TCA"');
+    expect(html).toContain(`data-time="${now + 60 * 60000}"`);
+    expect(html).toContain('12.3°');
+    expect(html).toContain(' · 10m 5s');
+
+    panel.prediction.passes = [];
+    expect(panel.formatList()).toContain('No passes above 10°');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import {
+  createStation,
+  findPasses,
+  getLookAngles,
+  getTopocentricState,
+  dopplerShift
+} from '../src/workers/pass-prediction.js';
+import { getElevationLimit } from '../src/data/horizon-mask.js';
+
+// ISS TLE for testing
+const ISS_TLE1 = '1 25544U 98067A   24001.50000000  .00016717  00000-0  10270-3 0  9025';
+const ISS_TLE2 = '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.50000000 00000';
+
+describe('Pass prediction', () => {
+  const satrec = satellite.twoline2satrec(ISS_TLE1, ISS_TLE2);
+  const propagate = date => satellite.propagate(satrec, date);
+  const station = createStation({ lat: 28.5, lon: -80.6, minElevation: 10 });
+
+  it('should agree with satellite.js look angles', () => {
+    const date = new Date('2024-01-01T13:00:00Z');
+    const { position } = propagate(date);
+    const ecf = satellite.eciToEcf(position, satellite.gstime(date));
+    const expected = satellite.ecfToLookAngles(
+      { latitude: satellite.degreesToRadians(28.5), longitude: satellite.degreesToRadians(-80.6), height: 0 },
+      ecf
+    );
+
+    const look = getLookAngles(position, station, date, {});
+    expect(look.azimuth).toBeCloseTo(satellite.radiansToDegrees(expected.azimuth), 6);
+    expect(look.elevation).toBeCloseTo(satellite.radiansToDegrees(expected.elevation), 6);
+    expect(look.range).toBeCloseTo(expected.rangeSat, 3);
+  });
+
+  it('should find the same passes as a one-second scan', () => {
+    const start = new Date('2024-01-01T12:00:00Z');
+    const end = new Date('2024-01-02T00:00:00Z');
+    const passes = findPasses(propagate, station, start, end, { eop: {} });
+
+    // Reference: elevation sampled every second
+    const scanned = [];
+    let current = null;
+    for (let ms = start.getTime(); ms < end.getTime(); ms += 1000) {
+      const elevation = getLookAngles(propagate(new Date(ms)).position, station, ms, {}).elevation;
+      if (elevation >= 10) {
+        if (!current) scanned.push(current = { aos: ms, max: elevation });
+        current.max = Math.max(current.max, elevation);
+      } else if (current) {
+        current.los = ms;
+        current = null;
+      }
+    }
+
+    expect(passes).toHaveLength(scanned.length);
+    expect(scanned.length).toBeGreaterThan(0);
+    passes.forEach((pass, k) => {
+      expect(Math.abs(pass.aos.getTime() - scanned[k].aos)).toBeLessThan(1000);
+      expect(Math.abs(pass.los.getTime() - scanned[k].los)).toBeLessThan(1000);
+      expect(pass.maxElevation).toBeCloseTo(scanned[k].max, 3);
+      expect(pass.tca.getTime()).toBeGreaterThan(pass.aos.getTime());
+      expect(pass.tca.getTime()).toBeLessThan(pass.los.getTime());
+    });
+  });
+
+  it('should shorten passes that rise or set behind the horizon mask', () => {
+    const start = new Date('2024-01-01T12:00:00Z');
+    const end = new Date('2024-01-02T00:00:00Z');
+    const open = findPasses(propagate, station, start, end, { eop: {} });
+
+    // A wall to the west only
+    const masked = createStation({
+      lat: 28.5,
+      lon: -80.6,
+      minElevation: 10,
+      horizonMask: [{ azimuth: 200, elevation: 0 }, { azimuth: 270, elevation: 40 }, { azimuth: 340, elevation: 0 }]
+    });
+    const passes = findPasses(propagate, masked, start, end, { eop: {} });
+
+    const limitAt = (date) => {
+      const look = getLookAngles(propagate(date).position, masked, date, {});
+      return look.elevation - getElevationLimit(masked, look.azimuth);
+    };
+    expect(passes.length).toBeGreaterThan(0);
+    expect(passes.length).toBeLessThanOrEqual(open.length);
+    expect(passes.reduce((sum, p) => sum + p.duration, 0))
+      .toBeLessThan(open.reduce((sum, p) => sum + p.duration, 0));
+    for (const pass of passes) {
+      expect(Math.abs(limitAt(pass.aos))).toBeLessThan(0.1);
+      expect(Math.abs(limitAt(pass.los))).toBeLessThan(0.1);
+    }
+  });
+
+  it('should give range-rate as the rate of change of range', () => {
+    const date = new Date('2024-01-01T14:52:18Z');
+    const rangeAt = ms => getLookAngles(propagate(new Date(ms)).position, station, ms, {}).range;
+    // Range change over the surrounding second
+    const numeric = rangeAt(date.getTime() + 500) - rangeAt(date.getTime() - 500);
+
+    const { rangeRate } = getTopocentricState(propagate(date), station, date, {});
+    expect(rangeRate).toBeCloseTo(numeric, 3);
+
+    // Approaching satellites are heard high
+    expect(dopplerShift(437.5, -5)).toBeGreaterThan(0);
+    expect(dopplerShift(437.5e6, 7.5)).toBeCloseTo(-10944.7, 0);
+  });
+});
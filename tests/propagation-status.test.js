@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import * as satellite from 'satellite.js';
+import {
+  PROPAGATION_STATUS,
+  statusFromSatrecError,
+  getInitialStatus
+} from '../src/workers/propagation-status.js';
+
+// ISS TLE for testing
+const ISS_TLE1 = '1 25544U 98067A   24001.50000000  .00016717  00000-0  10270-3 0  9025';
+const ISS_TLE2 = '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.50000000 00000';
+
+describe('propagation status', () => {
+  it('should map SGP4 error codes to statuses', () => {
+    expect(statusFromSatrecError(satellite.SatRecError.None)).toBe(PROPAGATION_STATUS.OK);
+    expect(statusFromSatrecError(satellite.SatRecError.Decayed)).toBe(PROPAGATION_STATUS.DECAYED);
+    expect(statusFromSatrecError(satellite.SatRecError.PerturbedEccentricityOutOfRange))
+      .toBe(PROPAGATION_STATUS.ECCENTRICITY);
+  });
+
+  it('should accept a well-formed TLE', () => {
+    expect(getInitialStatus(satellite.twoline2satrec(ISS_TLE1, ISS_TLE2))).toBe(PROPAGATION_STATUS.OK);
+  });
+
+  it('should flag TLEs that parse to unusable elements', () => {
+    expect(getInitialStatus(satellite.twoline2satrec('garbage', 'junk'))).toBe(PROPAGATION_STATUS.INVALID_TLE);
+    expect(getInitialStatus(null)).toBe(PROPAGATION_STATUS.INVALID_TLE);
+  });
+});
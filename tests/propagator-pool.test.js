@@ -0,0 +1,360 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import PropagatorPool, { getPoolSize, partitionRanges } from '../src/workers/propagator-pool.js';
+
+// Mock worker that records posted messages; tests reply via worker.onmessage
+function createMockWorker() {
+  return {
+    messages: [],
+    terminated: false,
+    onmessage: null,
+    postMessage(msg) {
+      this.messages.push(msg);
+    },
+    terminate() {
+      this.terminated = true;
+    }
+  };
+}
+
+function positionsMessage(values, time, velocities = null) {
+  return {
+    type: 'positions',
+    positions: new Float32Array(values).buffer,
+    velocities: new Float32Array(velocities || values.map(() => 0)).buffer,
+    time,
+    timeMultiplier: 1
+  };
+}
+
+describe('PropagatorPool', () => {
+  describe('getPoolSize', () => {
+    it('should leave one core for the render thread', () => {
+      expect(getPoolSize(30000, 4)).toBe(3);
+    });
+
+    it('should not shard small satellite sets', () => {
+      expect(getPoolSize(32, 16)).toBe(1);
+      expect(getPoolSize(4500, 16)).toBe(3);
+    });
+
+    it('should always use at least one worker', () => {
+      expect(getPoolSize(0, 1)).toBe(1);
+      expect(getPoolSize(10000, undefined)).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  describe('partitionRanges', () => {
+    it('should cover every index exactly once', () => {
+      const ranges = partitionRanges(10, 3);
+      expect(ranges).toEqual([
+        { start: 0, end: 4 },
+        { start: 4, end: 7 },
+        { start: 7, end: 10 }
+      ]);
+    });
+  });
+
+  describe('message routing', () => {
+    let pool;
+    let workers;
+
+    beforeEach(() => {
+      workers = [];
+      pool = new PropagatorPool(6, {
+        size: 2,
+        createWorker: () => {
+          const worker = createMockWorker();
+          workers.push(worker);
+          return worker;
+        }
+      });
+    });
+
+    it('should send each shard its slice of satellites on init', () => {
+      const satellites = ['a', 'b', 'c', 'd', 'e', 'f'].map(name => ({ name }));
+      pool.postMessage({ type: 'init', data: { satellites, model: 'j2' } });
+
+      expect(workers[0].messages[0].data.satellites.map(s => s.name)).toEqual(['a', 'b', 'c']);
+      expect(workers[1].messages[0].data.satellites.map(s => s.name)).toEqual(['d', 'e', 'f']);
+      expect(workers[1].messages[0].data.model).toBe('j2');
+    });
+
+    it('should split the watchdog budgets across shards by size', () => {
+      const shardWorkers = [];
+      const uneven = new PropagatorPool(10, {
+        size: 3,
+        createWorker: () => {
+          const worker = createMockWorker();
+          shardWorkers.push(worker);
+          return worker;
+        }
+      });
+      const satellites = Array.from({ length: 10 }, (_, i) => ({ name: `s${i}` }));
+      uneven.postMessage({
+        type: 'init',
+        data: { satellites, watchdog: { samplesPerTick: 64, thresholdKm: 10, maxPromoted: 2000 } }
+      });
+      uneven.postMessage({ type: 'setWatchdog', data: { thresholdKm: 5 } });
+      uneven.postMessage({ type: 'setWatchdog', data: { maxPromoted: 100 } });
+
+      expect(shardWorkers.map(w => w.messages[0].data.watchdog)).toEqual([
+        { samplesPerTick: 26, thresholdKm: 10, maxPromoted: 800 },
+        { samplesPerTick: 20, thresholdKm: 10, maxPromoted: 600 },
+        { samplesPerTick: 20, thresholdKm: 10, maxPromoted: 600 }
+      ]);
+      expect(shardWorkers.map(w => w.messages[1].data)).toEqual([{ thresholdKm: 5 }, { thresholdKm: 5 }, { thresholdKm: 5 }]);
+      expect(shardWorkers.map(w => w.messages[2].data.maxPromoted)).toEqual([40, 30, 30]);
+    });
+
+    it('should re-split the watchdog budgets when a satellite is added', () => {
+      const satellites = ['a', 'b', 'c', 'd', 'e', 'f'].map(name => ({ name }));
+      pool.postMessage({ type: 'init', data: { satellites, watchdog: { samplesPerTick: 7, thresholdKm: 10, maxPromoted: 700 } } });
+      pool.postMessage({ type: 'setWatchdog', data: { thresholdKm: 5 } });
+      pool.postMessage({ type: 'addSatellite', data: { satellite: { name: 'g' } } });
+
+      const last = worker => worker.messages[worker.messages.length - 1];
+      expect(last(workers[0])).toEqual({ type: 'setWatchdog', data: { samplesPerTick: 3, thresholdKm: 5, maxPromoted: 300 } });
+      expect(last(workers[1])).toEqual({ type: 'setWatchdog', data: { samplesPerTick: 4, thresholdKm: 5, maxPromoted: 400 } });
+    });
+
+    it('should broadcast time messages', () => {
+      pool.postMessage({ type: 'setTime', data: { time: 1000 } });
+      expect(workers[0].messages).toHaveLength(1);
+      expect(workers[1].messages).toHaveLength(1);
+    });
+
+    it('should route priority indices to the owning shard as local indices', () => {
+      pool.postMessage({ type: 'addSGP4Priority', data: { indices: [1, 4] } });
+      expect(workers[0].messages[0].data.indices).toEqual([1]);
+      expect(workers[1].messages[0].data.indices).toEqual([1]);
+    });
+
+    it('should append added satellites to the last shard', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      pool.postMessage({ type: 'addSatellite', data: { satellite: { name: 'x' }, index: 6 } });
+
+      expect(workers[1].messages[0].data.index).toBe(3);
+      workers[1].onmessage({ data: { type: 'satelliteAdded', index: 3, name: 'x' } });
+      expect(received[0].index).toBe(6);
+      expect(pool.count).toBe(7);
+    });
+
+    it('should report initialized once every shard is ready', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      workers[0].onmessage({ data: { type: 'initialized', count: 3 } });
+      expect(received).toHaveLength(0);
+      workers[1].onmessage({ data: { type: 'initialized', count: 3 } });
+      expect(received).toEqual([{ type: 'initialized', count: 6, workers: 2 }]);
+    });
+
+    it('should split propagateAt queries by shard and merge results in request order', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      pool.postMessage({ type: 'propagateAt', data: { requestId: 9, indices: [4, 0], times: [0] } });
+
+      expect(workers[0].messages[0].data).toEqual({ requestId: 9, indices: [0], times: [0] });
+      expect(workers[1].messages[0].data).toEqual({ requestId: 9, indices: [1], times: [0] });
+
+      const reply = (values) => ({
+        type: 'propagateAtResult',
+        requestId: 9,
+        positions: new Float64Array(values).buffer,
+        velocities: new Float64Array(3).buffer
+      });
+      workers[1].onmessage({ data: reply([4, 4, 4]) });
+      expect(received).toHaveLength(0);
+      workers[0].onmessage({ data: reply([1, 1, 1]) });
+
+      expect(received[0].requestId).toBe(9);
+      expect(Array.from(new Float64Array(received[0].positions))).toEqual([4, 4, 4, 1, 1, 1]);
+    });
+
+    it('should answer propagateAt immediately when no index is known', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      pool.postMessage({ type: 'propagateAt', data: { requestId: 1, indices: [99], times: [0, 1] } });
+      expect(new Float64Array(received[0].positions)).toHaveLength(6);
+    });
+
+    it('should merge predicted passes from every shard, earliest first', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      pool.postMessage({
+        type: 'predictPasses',
+        data: { requestId: 4, indices: [0, 5], station: { lat: 0, lon: 0 }, start: 0, end: 1000, maxPasses: 2 }
+      });
+
+      expect(workers[0].messages[0].data.indices).toEqual([0]);
+      expect(workers[1].messages[0].data.indices).toEqual([2]);
+
+      const pass = (index, aos) => ({ index, aos: new Date(aos), tca: new Date(aos + 1), los: new Date(aos + 2) });
+      workers[0].onmessage({ data: { type: 'passesResult', requestId: 4, passes: [pass(0, 300), pass(0, 500)] } });
+      expect(received).toHaveLength(0);
+      workers[1].onmessage({ data: { type: 'passesResult', requestId: 4, passes: [pass(2, 100)] } });
+
+      expect(received[0].passes.map(p => [p.index, p.aos.getTime()])).toEqual([[5, 100], [0, 300]]);
+    });
+
+    it('should sum coverage counts from every shard and report their progress together', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      pool.postMessage({
+        type: 'coverageGrid',
+        data: { requestId: 5, indices: [1, 5], start: 0, end: 1000, stepSeconds: 1, resolution: 90, minElevation: 0 }
+      });
+
+      expect(workers[0].messages[0].data.indices).toEqual([1]);
+      expect(workers[1].messages[0].data.indices).toEqual([2]);
+
+      workers[1].onmessage({ data: { type: 'coverageProgress', requestId: 5, done: 1, total: 2 } });
+      expect(received[0].progress).toBeCloseTo(0.25, 9);
+
+      workers[0].onmessage({ data: { type: 'coverageResult', requestId: 5, counts: Uint8Array.from([0, 1, 250]).buffer } });
+      workers[1].onmessage({ data: { type: 'coverageResult', requestId: 5, counts: Uint8Array.from([2, 1, 10]).buffer } });
+
+      const result = received.find(m => m.type === 'coverageResult');
+      expect(Array.from(new Uint8Array(result.counts))).toEqual([2, 2, 255]);
+    });
+
+    it('should fail a query when any shard reports an error, once', () => {
+      const received = [];
+      pool.onmessage = (e) => received.push(e.data);
+      pool.postMessage({
+        type: 'predictPasses',
+        data: { requestId: 6, indices: [0, 5], station: { lat: 0, lon: 0 }, start: 0, end: 1000, maxPasses: 2 }
+      });
+
+      workers[1].onmessage({ data: { type: 'queryError', requestId: 6, message: 'bad station' } });
+      workers[0].onmessage({ data: { type: 'passesResult', requestId: 6, passes: [] } });
+      workers[0].onmessage({ data: { type: 'queryError', requestId: 6, message: 'again' } });
+
+      expect(received).toEqual([{ type: 'queryError', requestId: 6, message: 'bad station' }]);
+    });
+
+    it('should terminate every worker', () => {
+      pool.terminate();
+      expect(workers.every(w => w.terminated)).toBe(true);
+    });
+  });
+
+  describe('position merging', () => {
+    let pool;
+    let workers;
+    let received;
+
+    beforeEach(() => {
+      workers = [];
+      received = [];
+      pool = new PropagatorPool(2, {
+        size: 2,
+        createWorker: () => {
+          const worker = createMockWorker();
+          workers.push(worker);
+          return worker;
+        }
+      });
+      pool.onmessage = (e) => received.push(e.data);
+    });
+
+    it('should wait for every shard before emitting', () => {
+      workers[0].onmessage({ data: positionsMessage([1, 2, 3], 1000) });
+      expect(received).toHaveLength(0);
+      workers[1].onmessage({ data: positionsMessage([4, 5, 6], 1000) });
+      expect(received).toHaveLength(1);
+      expect(Array.from(new Float32Array(received[0].positions))).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should align older slices to the newest shard time using velocity', () => {
+      workers[0].onmessage({ data: positionsMessage([100, 0, 0], 1000, [1, 0, 0]) });
+      workers[1].onmessage({ data: positionsMessage([200, 0, 0], 3000, [0, 0, 0]) });
+      const merged = new Float32Array(received[0].positions);
+      expect(merged[0]).toBe(102);  // 2 s at 1 km/s
+      expect(received[0].time).toBe(3000);
+    });
+
+    it('should align to the newest shard time when shards report out of order', () => {
+      workers[1].onmessage({ data: positionsMessage([200, 0, 0], 3000, [0, 0, 0]) });
+      workers[0].onmessage({ data: positionsMessage([100, 0, 0], 1000, [1, 0, 0]) });
+      expect(new Float32Array(received[0].positions)[0]).toBe(102);
+      expect(received[0].time).toBe(3000);
+    });
+
+    it('should align to the earliest shard time when time runs backwards', () => {
+      const reverse = (values, time, velocities) => ({ ...positionsMessage(values, time, velocities), timeMultiplier: -10 });
+      workers[0].onmessage({ data: reverse([100, 0, 0], 3000, [1, 0, 0]) });
+      workers[1].onmessage({ data: reverse([200, 0, 0], 1000, [0, 0, 0]) });
+      expect(new Float32Array(received[0].positions)[0]).toBe(98);
+      expect(received[0].time).toBe(1000);
+    });
+
+    it('should keep invalid positions at the origin', () => {
+      workers[0].onmessage({ data: positionsMessage([0, 0, 0], 1000, [1, 1, 1]) });
+      workers[1].onmessage({ data: positionsMessage([200, 0, 0], 3000) });
+      expect(Array.from(new Float32Array(received[0].positions)).slice(0, 3)).toEqual([0, 0, 0]);
+    });
+
+    it('should alternate output buffers', () => {
+      workers[0].onmessage({ data: positionsMessage([1, 1, 1], 1000) });
+      workers[1].onmessage({ data: positionsMessage([2, 2, 2], 1000) });
+      workers[0].onmessage({ data: positionsMessage([3, 3, 3], 1100) });
+      workers[1].onmessage({ data: positionsMessage([4, 4, 4], 1100) });
+      expect(received[0].positions).not.toBe(received[1].positions);
+    });
+
+    it('should emit early when a shard reports twice before the others', () => {
+      workers[0].onmessage({ data: positionsMessage([1, 1, 1], 1000) });
+      workers[0].onmessage({ data: positionsMessage([2, 2, 2], 1100) });
+      expect(received).toHaveLength(1);
+    });
+  });
+
+  describe('shared channel', () => {
+    let pool;
+    let workers;
+    let received;
+
+    beforeEach(() => {
+      workers = [];
+      received = [];
+      pool = new PropagatorPool(4, {
+        size: 2,
+        shared: true,
+        createWorker: () => {
+          const worker = createMockWorker();
+          workers.push(worker);
+          return worker;
+        }
+      });
+      pool.onmessage = (e) => received.push(e.data);
+    });
+
+    it('should give each shard its slot and offset on init', () => {
+      pool.postMessage({ type: 'init', data: { satellites: [1, 2, 3, 4].map(n => ({ name: n })) } });
+      expect(workers[1].messages[0].data.shared).toMatchObject({ slot: 1, offset: 2 });
+      expect(workers[1].messages[0].data.shared.channel.positions).toBeInstanceOf(SharedArrayBuffer);
+    });
+
+    it('should hand the renderer the channel once every shard is ready', () => {
+      workers[0].onmessage({ data: { type: 'initialized', count: 2 } });
+      workers[1].onmessage({ data: { type: 'initialized', count: 2 } });
+      const channel = received.find(m => m.type === 'sharedChannel');
+      expect(channel.views.positions.length).toBe(12);
+      expect(channel.ranges).toEqual([
+        { slot: 0, start: 0, end: 2 },
+        { slot: 1, start: 2, end: 4 }
+      ]);
+    });
+
+    it('should replace the channel and keep existing data when a satellite is added', () => {
+      pool._channelViews.positions[0] = 42;
+      pool.postMessage({ type: 'addSatellite', data: { satellite: { name: 'x' }, index: 4 } });
+
+      expect(pool._channelViews.positions.length).toBe(15);
+      expect(pool._channelViews.positions[0]).toBe(42);
+      expect(workers[0].messages[0].type).toBe('setSharedChannel');
+      expect(workers[1].messages.map(m => m.type)).toEqual(['addSatellite', 'setSharedChannel']);
+    });
+  });
+});
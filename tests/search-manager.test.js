@@ -9,10 +9,10 @@ describe('SearchManager', () => {
     // Create mock app with satellites and ground stations
     mockApp = {
       satellites: [
-        { tleData: { name: 'ISS (ZARYA)' }, type: 'LEO' },
-        { tleData: { name: 'STARLINK-1234' }, type: 'LEO' },
-        { tleData: { name: 'GPS BIIR-2' }, type: 'MEO' },
-        { tleData: { name: 'INTELSAT 901' }, type: 'GEO' }
+        { tleData: { name: 'ISS (ZARYA)' }, type: 'LEO', regime: 'LEO_OTHER' },
+        { tleData: { name: 'STARLINK-1234' }, type: 'LEO', regime: 'LEO_OTHER' },
+        { tleData: { name: 'GPS BIIR-2' }, type: 'MEO', regime: 'MEO_OTHER' },
+        { tleData: { name: 'INTELSAT 901' }, type: 'GEO', regime: 'GEOSTATIONARY' }
       ],
       groundStations: [
         { name: 'Kennedy Space Center', lat: 28.5, lon: -80.6 },
@@ -80,6 +80,17 @@ describe('SearchManager', () => {
       expect(results[0].objectType).toBe('MEO');
     });
 
+    it('should filter satellites by orbit class or regime', () => {
+      const leo = searchManager.search('', 'all', 'LEO');
+      expect(leo.map(r => r.name)).toEqual(['ISS (ZARYA)', 'STARLINK-1234']);
+
+      const geostationary = searchManager.search('', 'all', 'GEOSTATIONARY');
+      expect(geostationary).toHaveLength(1);
+      expect(geostationary[0].objectRegime).toBe('GEOSTATIONARY');
+
+      expect(searchManager.search('', 'groundstation', 'LEO')).toHaveLength(0);
+    });
+
     it('should include location for ground stations', () => {
       const results = searchManager.search('kennedy');
       expect(results[0].location).toContain('28.50');
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import SGP4PriorityManager from '../src/components/sgp4-priority.js';
+
+describe('SGP4PriorityManager', () => {
+  let manager;
+  let worker;
+
+  beforeEach(() => {
+    // Mock worker that records posted messages
+    worker = {
+      messages: [],
+      postMessage(msg) {
+        this.messages.push(msg);
+      }
+    };
+    manager = new SGP4PriorityManager(3);
+    manager.attach(worker);
+    worker.messages = [];
+  });
+
+  describe('setReason', () => {
+    it('should add indices to the worker priority set', () => {
+      manager.setReason('selected', [7]);
+      expect(manager.has(7)).toBe(true);
+      expect(worker.messages).toEqual([
+        { type: 'addSGP4Priority', data: { indices: [7] } }
+      ]);
+    });
+
+    it('should only send deltas when re-asserting the same state', () => {
+      manager.setReason('watched', [1, 2]);
+      worker.messages = [];
+      manager.setReason('watched', [1, 2]);
+      expect(worker.messages).toHaveLength(0);
+    });
+
+    it('should keep an index prioritized while any reason still holds it', () => {
+      manager.setReasons({ selected: [4], watched: [4] });
+      manager.setReason('selected', []);
+      expect(manager.has(4)).toBe(true);
+    });
+
+    it('should remove indices no longer wanted', () => {
+      manager.setReason('selected', [4]);
+      worker.messages = [];
+      manager.setReason('selected', [5]);
+      expect(worker.messages).toEqual([
+        { type: 'removeSGP4Priority', data: { indices: [4] } },
+        { type: 'addSGP4Priority', data: { indices: [5] } }
+      ]);
+    });
+
+    it('should ignore undefined and negative indices', () => {
+      manager.setReason('selected', [undefined, -1]);
+      expect(manager.active.size).toBe(0);
+    });
+  });
+
+  describe('budget', () => {
+    it('should rank reasons and trim to the budget', () => {
+      manager.setReasons({ los: [10, 11, 12], watched: [20], selected: [30] });
+      expect(manager.has(30)).toBe(true);
+      expect(manager.has(20)).toBe(true);
+      expect(manager.has(10)).toBe(true);
+      expect(manager.has(11)).toBe(false);
+      expect(manager.active.size).toBe(3);
+    });
+
+    it('should forward budget changes to the worker', () => {
+      manager.setBudget(10);
+      expect(worker.messages[0]).toEqual({ type: 'setSGP4Budget', data: { budget: 10 } });
+    });
+  });
+
+  describe('attach', () => {
+    it('should resend the full set to a new worker', () => {
+      manager.setReason('watched', [1, 2]);
+      const newWorker = { messages: [], postMessage(msg) { this.messages.push(msg); } };
+      manager.attach(newWorker);
+      expect(newWorker.messages).toEqual([
+        { type: 'setSGP4Budget', data: { budget: 3 } },
+        { type: 'addSGP4Priority', data: { indices: [1, 2] } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSharedChannel,
+  openSharedChannel,
+  writeSharedSlice,
+  readSharedSlice
+} from '../src/workers/shared-positions.js';
+
+describe('shared position channel', () => {
+  it('should write a slice at its offset and stamp the slot time', () => {
+    const views = openSharedChannel(createSharedChannel(3, 2));
+    writeSharedSlice(views, 1, 2, new Float32Array([7, 8, 9]), new Float32Array([1, 1, 1]), 5000);
+
+    expect(Array.from(views.positions.subarray(6, 9))).toEqual([7, 8, 9]);
+    expect(views.times[1]).toBe(5000);
+    expect(views.sequence[1]).toBe(2);  // even: no write in progress
+  });
+
+  it('should pass the slice time to the reader', () => {
+    const views = openSharedChannel(createSharedChannel(1, 1));
+    writeSharedSlice(views, 0, 0, new Float32Array([1, 2, 3]), new Float32Array(3), 1234);
+
+    let time = null;
+    expect(readSharedSlice(views, 0, (t) => { time = t; })).toBe(true);
+    expect(time).toBe(1234);
+  });
+
+  it('should retry and give up when the writer keeps changing the slice', () => {
+    const views = openSharedChannel(createSharedChannel(1, 1));
+    let reads = 0;
+    const ok = readSharedSlice(views, 0, () => {
+      reads++;
+      Atomics.add(views.sequence, 0, 2);  // simulate a write completing mid-read
+    });
+
+    expect(ok).toBe(false);
+    expect(reads).toBe(3);
+  });
+
+  it('should not read while a write is in progress', () => {
+    const views = openSharedChannel(createSharedChannel(1, 1));
+    Atomics.store(views.sequence, 0, 1);
+
+    let reads = 0;
+    expect(readSharedSlice(views, 0, () => { reads++; })).toBe(false);
+    expect(reads).toBe(0);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import StructurePanel from '../src/components/structure-panel.js';
+
+describe('StructurePanel', () => {
+  let panel;
+  let mockApp;
+  const sat = (workerIndex, name) => ({ workerIndex, tleData: { name }, toggleVisibility: vi.fn() });
+  const a = sat(0, 'SAT-A');
+  const b = sat(1, 'SAT-B');
+  const c = sat(2, 'SAT-C');
+
+  beforeEach(() => {
+    mockApp = {
+      satellites: [a, b, c],
+      settings: { showSatellites: true },
+      getLoadedConstellations: () => [],
+      satelliteManager: { setPlaneColors: vi.fn() },
+      orbitRings: { needsUpdate: false },
+      isSatelliteOrbitVisible: s => !panel.getHidden()[s.workerIndex]
+    };
+    panel = new StructurePanel(mockApp);
+    panel.analysis = {
+      label: 'All loaded',
+      time: new Date('2026-07-19T08:00:00Z'),
+      satelliteCount: 3,
+      shells: [{ inclination: 53.05, altitude: 550.4, count: 3, planes: [{}, {}], unassigned: [] }],
+      planes: [
+        {
+          shell: 0, raan: 10, slotCount: 3, gaps: [2], drifting: 1, color: 0x00ff00, visible: true,
+          members: [{ satellite: a, slot: 0, drifting: false }, { satellite: b, slot: 1, drifting: true }]
+        },
+        {
+          shell: 0, raan: 130, slotCount: 1, gaps: [], drifting: 0, color: 0xff0000, visible: true,
+          members: [{ satellite: c, slot: 0, drifting: false }]
+        }
+      ],
+      unassigned: [],
+      hidden: new Uint8Array(3)
+    };
+  });
+
+  it('should list a header per shell and a toggle per plane', () => {
+    const { summary, list } = panel.format();
+    expect(summary).toBe('All loaded · 3 satellites, 1 shells, 2 planes · 0 between shells · 2026-07-19 08:00 UTC');
+    expect(list).toContain('53.05° · 550 km');
+    expect(list).toContain('3 sats · 2 planes');
+    expect(list.match(/data-plane="\d"/g)).toEqual(['data-plane="0"', 'data-plane="1"']);
+    expect(list).toContain('2/3');
+    expect(list).toContain('1 gap · 1 drifting');
+    expect(list).toContain('Drifting: SAT-B (slot 1)');
+    expect(list).toContain('--tag-color: #00ff00;');
+  });
+
+  it('should hide and show the satellites of a plane', () => {
+    panel.setPlaneVisible(0, false);
+    expect(Array.from(panel.getHidden())).toEqual([1, 1, 0]);
+    expect(a.toggleVisibility).toHaveBeenLastCalledWith(false);
+    expect(c.toggleVisibility).not.toHaveBeenCalled();
+    expect(mockApp.orbitRings.needsUpdate).toBe(true);
+
+    panel.setPlaneVisible(0, true);
+    expect(Array.from(panel.getHidden())).toEqual([0, 0, 0]);
+    expect(b.toggleVisibility).toHaveBeenLastCalledWith(true);
+
+    panel.clear();
+    expect(panel.getHidden()).toBeNull();
+    expect(panel.format()).toBeNull();
+    expect(mockApp.satelliteManager.setPlaneColors).toHaveBeenCalledWith(null);
+  });
+
+  it('should refuse to analyse without satellites that have TLEs', async () => {
+    await expect(panel.analyze('all')).rejects.toThrow('Load a constellation to analyse');
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { geodeticToVector3, isSatelliteVisibleFromStation } from '../src/utils.js';
+import { WGS84, ellipsoidRadius } from '../src/frames.js';
+
+describe('WGS84 geodesy helpers', () => {
+  it('should place geodetic points on the ellipsoid with Y as the polar axis', () => {
+    const pole = geodeticToVector3(90, 0);
+    expect(pole.y).toBeCloseTo(WGS84.b, 6);
+    expect(Math.hypot(pole.x, pole.z)).toBeLessThan(1e-9);
+
+    const equator = geodeticToVector3(0, 90, 1);
+    expect(equator.z).toBeCloseTo(-(WGS84.a + 1), 6);
+
+    const mid = geodeticToVector3(45, 0);
+    expect(Math.hypot(mid.x, mid.y, mid.z)).toBeCloseTo(ellipsoidRadius(Math.atan2(mid.y, mid.x)), 6);
+  });
+
+  it('should test visibility against the horizon and the ellipsoid', () => {
+    const station = geodeticToVector3(0, 0);
+
+    // Overhead, and low over the horizon
+    expect(isSatelliteVisibleFromStation(station, { x: WGS84.a + 500, y: 0, z: 0 })).toBe(true);
+    expect(isSatelliteVisibleFromStation(station, { x: WGS84.a + 10, y: 2000, z: 0 })).toBe(true);
+
+    // Other side of the Earth
+    expect(isSatelliteVisibleFromStation(station, { x: -(WGS84.a + 500), y: 0, z: 0 })).toBe(false);
+
+    // Straight up the geodetic normal at high latitude
+    const polar = geodeticToVector3(80, 0);
+    const up = { x: Math.cos(80 * Math.PI / 180), y: Math.sin(80 * Math.PI / 180), z: 0 };
+    expect(isSatelliteVisibleFromStation(polar, {
+      x: polar.x + 1000 * up.x, y: polar.y + 1000 * up.y, z: polar.z
+    })).toBe(true);
+  });
+});
@@ -1,11 +1,25 @@
 import { defineConfig } from 'vite';
 
+// Cross-origin isolation enables SharedArrayBuffer, which the propagator pool
+// uses to share satellite positions with the renderer without copying.
+// 'credentialless' (rather than 'require-corp') keeps Google Fonts and
+// GoatCounter loading. GitHub Pages can't send these headers, so production
+// falls back to transferring position buffers.
+const crossOriginIsolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless'
+};
+
 export default defineConfig({
   base: '/satorama/',  // GitHub Pages serves from repo name path
   server: {
     host: true,
     open: true,
-    port: 3000
+    port: 3000,
+    headers: crossOriginIsolationHeaders
+  },
+  preview: {
+    headers: crossOriginIsolationHeaders
   },
   build: {
     outDir: 'dist',